@@ -1,6 +1,6 @@
 'use client';
 
-import { useEffect, useState, useRef } from 'react';
+import { useEffect, useLayoutEffect, useState, useRef } from 'react';
 import { useRouter } from 'next/navigation';
 import {
   Send,
@@ -16,9 +16,16 @@ import {
   MessageCircle,
   User,
   Loader2,
+  FileText,
+  MapPin,
+  CornerUpLeft,
+  ThumbsUp,
+  X,
 } from 'lucide-react';
 import { useAccounts, useChats, useChatMessages } from '@/lib/hooks/useWebSocket';
 
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5001';
+
 interface Account {
   id: string;
   name: string;
@@ -28,14 +35,133 @@ interface Account {
 }
 
 interface Chat {
+  id: string;
   chatId: string;
-  contactNumber: string;
-  contactName: string;
-  lastMessage: string;
-  lastMessageTime: string;
+  contactNumber: string | null;
+  name: string | null;
+  isGroup: boolean;
+  lastMessage: string | null;
+  lastMessageAt: string;
+  lastMessageDirection: string | null;
   unreadCount: number;
-  direction: string;
-  messages?: any[];
+  archived: boolean;
+  muted: boolean;
+}
+
+// Local storage returns API paths (/api/media/...), other backends absolute URLs
+function mediaSrc(url: string) {
+  return url.startsWith('/') ? `${API_URL}${url}` : url;
+}
+
+function MessageBody({ msg }: { msg: any }) {
+  const src = msg.mediaUrl ? mediaSrc(msg.mediaUrl) : null;
+  const caption = msg.caption ? (
+    <p className="text-sm break-words mt-2">{msg.caption}</p>
+  ) : null;
+
+  if (src && (msg.type === 'IMAGE' || msg.type === 'STICKER')) {
+    return (
+      <>
+        <a href={src} target="_blank" rel="noopener noreferrer">
+          <img
+            src={src}
+            alt={msg.filename || msg.type.toLowerCase()}
+            className={
+              msg.type === 'STICKER'
+                ? 'w-32 h-32 object-contain'
+                : 'max-w-full max-h-80 rounded-md'
+            }
+          />
+        </a>
+        {caption}
+      </>
+    );
+  }
+
+  if (src && msg.type === 'VIDEO') {
+    return (
+      <>
+        <video src={src} controls className="max-w-full max-h-80 rounded-md" />
+        {caption}
+      </>
+    );
+  }
+
+  if (src && msg.type === 'AUDIO') {
+    return <audio src={src} controls className="max-w-full" />;
+  }
+
+  if (src && (msg.type === 'DOCUMENT' || msg.type === 'CONTACT')) {
+    return (
+      <>
+        <a
+          href={src}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="flex items-center gap-2 bg-black/20 rounded-md px-3 py-2 hover:bg-black/30 transition"
+        >
+          <FileText className="w-5 h-5 flex-shrink-0" />
+          <span className="text-sm break-all">{msg.filename || msg.message}</span>
+        </a>
+        {caption}
+      </>
+    );
+  }
+
+  if (msg.type === 'LOCATION') {
+    const mapUrl = msg.message.match(/https:\/\/maps\.google\.com\S+/)?.[0];
+    return (
+      <a
+        href={mapUrl}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="flex items-center gap-2 text-sm break-words underline"
+      >
+        <MapPin className="w-4 h-4 flex-shrink-0" />
+        {msg.caption || 'Location'}
+      </a>
+    );
+  }
+
+  // Text, or media whose file could not be stored
+  return <p className="text-sm break-words">{msg.message}</p>;
+}
+
+// Quoted message of a reply: the stored one when we have it, else the text WhatsApp sent
+function QuotedMessage({ msg }: { msg: any }) {
+  const text = msg.quoted?.message || msg.quotedText;
+  if (!text) return null;
+
+  const quoted = msg.quoted;
+  const author = quoted && (quoted.direction === 'OUTGOING' ? 'You' : quoted.contactName || quoted.contactNumber);
+
+  return (
+    <div className="border-l-4 border-green-400 bg-black/20 rounded px-2 py-1 mb-2">
+      {author && <p className="text-xs font-semibold text-green-300">{author}</p>}
+      <p className="text-xs text-gray-300 line-clamp-2 break-words">{text}</p>
+    </div>
+  );
+}
+
+// Reactions grouped by emoji, with a count when several people used it
+function Reactions({ reactions }: { reactions: any[] }) {
+  if (!reactions?.length) return null;
+
+  const counts = new Map<string, number>();
+  for (const reaction of reactions) {
+    counts.set(reaction.emoji, (counts.get(reaction.emoji) || 0) + 1);
+  }
+
+  return (
+    <div className="flex gap-1 mt-1">
+      {[...counts].map(([emoji, count]) => (
+        <span key={emoji} className="bg-gray-700 text-xs rounded-full px-2 py-0.5">
+          {emoji}
+          {count > 1 && <span className="ml-1 text-gray-300">{count}</span>}
+        </span>
+      ))}
+    </div>
+  );
 }
 
 export default function ChatPage() {
@@ -45,24 +171,23 @@ export default function ChatPage() {
   const [newMessage, setNewMessage] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
   const [sending, setSending] = useState(false);
+  const [replyTo, setReplyTo] = useState<any | null>(null);
   const messagesEndRef = useRef<HTMLDivElement>(null);
 
   // WebSocket hooks
   const { accounts, loading } = useAccounts();
-  const { chats, sendMessage: sendMessageWS } = useChats(selectedAccount?.id || null);
-  const { messages } = useChatMessages(selectedAccount?.id || null, selectedChat?.chatId || null);
+  const { chats, sendMessage: sendMessageWS, markRead } = useChats(selectedAccount?.id || null);
+  const { messages, hasOlder, loadingOlder, loadOlder, react } = useChatMessages(
+    selectedAccount?.id || null,
+    selectedChat?.chatId || null
+  );
+  const messagesContainerRef = useRef<HTMLDivElement>(null);
+  // Distance from the bottom to keep while an older page is prepended
+  const scrollAnchorRef = useRef<number | null>(null);
 
   // Filter connected accounts
   const connectedAccounts = accounts.filter((acc: Account) => acc.clientStatus === 'CONNECTED');
 
-  // Check authentication
-  useEffect(() => {
-    const isAuth = localStorage.getItem('wa_manager_auth');
-    if (!isAuth) {
-      router.push('/login');
-    }
-  }, [router]);
-
   // Auto-select first connected account
   useEffect(() => {
     if (connectedAccounts.length > 0 && !selectedAccount) {
@@ -70,11 +195,31 @@ export default function ChatPage() {
     }
   }, [connectedAccounts, selectedAccount]);
 
-  // Автоскролл к последнему сообщению
+  // Автоскролл к последнему сообщению (не при подгрузке старой истории)
+  const lastMessageId = messages[messages.length - 1]?.id;
   useEffect(() => {
     scrollToBottom();
+  }, [lastMessageId]);
+
+  // После подгрузки старых сообщений экран остается на том же сообщении
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    if (container && scrollAnchorRef.current !== null) {
+      container.scrollTop = container.scrollHeight - scrollAnchorRef.current;
+      scrollAnchorRef.current = null;
+    }
   }, [messages]);
 
+  const handleMessagesScroll = () => {
+    const container = messagesContainerRef.current;
+    if (!container || container.scrollTop > 80 || !hasOlder || loadingOlder) return;
+
+    scrollAnchorRef.current = container.scrollHeight - container.scrollTop;
+    loadOlder().then((loaded) => {
+      if (!loaded) scrollAnchorRef.current = null;
+    });
+  };
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
@@ -92,12 +237,16 @@ export default function ChatPage() {
     setSending(true);
 
     try {
-      // Send via WebSocket
-      const contactNumber = selectedChat.contactNumber;
-      await sendMessageWS(contactNumber, newMessage.trim());
+      // Send via WebSocket; the JID also works for groups
+      await sendMessageWS(
+        selectedChat.chatId,
+        newMessage.trim(),
+        replyTo ? { quotedMessageId: replyTo.id } : undefined
+      );
 
       // Clear input
       setNewMessage('');
+      setReplyTo(null);
     } catch (error: any) {
       console.error('Failed to send message:', error);
       alert(`❌ ${error.message || 'Failed to send message. Please try again.'}`);
@@ -134,10 +283,20 @@ export default function ChatPage() {
     }
   };
 
+  const chatTitle = (chat: Chat) => chat.name || chat.contactNumber || chat.chatId;
+
+  const selectChat = (chat: Chat) => {
+    setSelectedChat(chat);
+    setReplyTo(null);
+    if (chat.unreadCount > 0) {
+      markRead(chat.chatId);
+    }
+  };
+
   const filteredChats = chats.filter(
-    (chat) =>
-      chat.contactName.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      chat.contactNumber.includes(searchQuery)
+    (chat: Chat) =>
+      chatTitle(chat).toLowerCase().includes(searchQuery.toLowerCase()) ||
+      (chat.contactNumber || '').includes(searchQuery)
   );
 
   if (loading) {
@@ -229,10 +388,10 @@ export default function ChatPage() {
               <p className="text-sm">Send a message to start chatting</p>
             </div>
           ) : (
-            filteredChats.map((chat) => (
+            filteredChats.map((chat: Chat) => (
               <div
                 key={chat.chatId}
-                onClick={() => setSelectedChat(chat)}
+                onClick={() => selectChat(chat)}
                 className={`flex items-center gap-3 p-4 cursor-pointer border-b border-gray-800 transition hover:bg-gray-800 ${
                   selectedChat?.chatId === chat.chatId ? 'bg-gray-800' : ''
                 }`}
@@ -246,15 +405,15 @@ export default function ChatPage() {
                 <div className="flex-1 min-w-0">
                   <div className="flex items-center justify-between mb-1">
                     <h3 className="font-semibold text-white truncate">
-                      {chat.contactName}
+                      {chatTitle(chat)}
                     </h3>
                     <span className="text-xs text-gray-500 flex-shrink-0">
-                      {formatTime(chat.lastMessageTime)}
+                      {formatTime(chat.lastMessageAt)}
                     </span>
                   </div>
                   <div className="flex items-center justify-between">
                     <p className="text-sm text-gray-400 truncate">
-                      {chat.direction === 'OUTGOING' && (
+                      {chat.lastMessageDirection === 'OUTGOING' && (
                         <CheckCheck className="w-3 h-3 inline mr-1 text-blue-400" />
                       )}
                       {chat.lastMessage}
@@ -296,10 +455,10 @@ export default function ChatPage() {
                 </div>
                 <div>
                   <h3 className="font-semibold text-white">
-                    {selectedChat.contactName}
+                    {chatTitle(selectedChat)}
                   </h3>
                   <p className="text-xs text-gray-400">
-                    {selectedChat.contactNumber}
+                    {selectedChat.isGroup ? 'Group' : selectedChat.contactNumber}
                   </p>
                 </div>
               </div>
@@ -318,6 +477,8 @@ export default function ChatPage() {
 
             {/* Messages */}
             <div
+              ref={messagesContainerRef}
+              onScroll={handleMessagesScroll}
               className="flex-1 overflow-y-auto p-4 bg-gray-900"
               style={{
                 backgroundImage:
@@ -330,8 +491,14 @@ export default function ChatPage() {
                 </div>
               ) : (
                 <div className="space-y-3">
+                  {loadingOlder && (
+                    <div className="flex justify-center">
+                      <Loader2 className="w-5 h-5 text-gray-500 animate-spin" />
+                    </div>
+                  )}
                   {messages.map((msg, index) => {
                     const isOutgoing = msg.direction === 'OUTGOING';
+                    const myReaction = msg.reactions?.find((r: any) => r.fromMe)?.emoji;
                     const showDate =
                       index === 0 ||
                       formatDate(messages[index - 1].sentAt) !==
@@ -347,10 +514,41 @@ export default function ChatPage() {
                           </div>
                         )}
                         <div
-                          className={`flex ${
+                          className={`group flex items-center gap-1 ${
                             isOutgoing ? 'justify-end' : 'justify-start'
                           }`}
                         >
+                          {/* Only sent or received messages can be quoted or reacted to */}
+                          {msg.waMessageId && (
+                            <div
+                              className={`hidden group-hover:flex gap-1 ${
+                                isOutgoing ? 'order-first' : 'order-last'
+                              }`}
+                            >
+                              <button
+                                type="button"
+                                onClick={() => setReplyTo(msg)}
+                                className="p-1 text-gray-500 hover:text-white"
+                                title="Reply"
+                              >
+                                <CornerUpLeft className="w-4 h-4" />
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() =>
+                                  react(msg.id, myReaction === '👍' ? '' : '👍').catch((error) =>
+                                    alert(`❌ ${error.message}`)
+                                  )
+                                }
+                                className={`p-1 hover:text-white ${
+                                  myReaction === '👍' ? 'text-green-400' : 'text-gray-500'
+                                }`}
+                                title="React"
+                              >
+                                <ThumbsUp className="w-4 h-4" />
+                              </button>
+                            </div>
+                          )}
                           <div
                             className={`max-w-[70%] rounded-lg p-3 ${
                               isOutgoing
@@ -358,7 +556,14 @@ export default function ChatPage() {
                                 : 'bg-gray-800 text-white'
                             }`}
                           >
-                            <p className="text-sm break-words">{msg.message}</p>
+                            {selectedChat.isGroup && !isOutgoing && (
+                              <p className="text-xs font-semibold text-green-400 mb-1">
+                                {msg.contactName || msg.contactNumber}
+                              </p>
+                            )}
+                            <QuotedMessage msg={msg} />
+                            <MessageBody msg={msg} />
+                            <Reactions reactions={msg.reactions} />
                             <div
                               className={`flex items-center justify-end gap-1 mt-1 ${
                                 isOutgoing ? 'text-gray-200' : 'text-gray-500'
@@ -393,6 +598,25 @@ export default function ChatPage() {
 
             {/* Message Input */}
             <div className="bg-gray-800 border-t border-gray-700 p-4">
+              {replyTo && (
+                <div className="flex items-center gap-3 mb-3 border-l-4 border-green-500 bg-gray-700 rounded px-3 py-2">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-xs font-semibold text-green-400">
+                      {replyTo.direction === 'OUTGOING'
+                        ? 'You'
+                        : replyTo.contactName || replyTo.contactNumber}
+                    </p>
+                    <p className="text-sm text-gray-300 truncate">{replyTo.message}</p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => setReplyTo(null)}
+                    className="p-1 hover:bg-gray-600 rounded transition"
+                  >
+                    <X className="w-4 h-4 text-gray-400" />
+                  </button>
+                </div>
+              )}
               <form onSubmit={sendMessage} className="flex items-center gap-3">
                 <button
                   type="button"
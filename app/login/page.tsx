@@ -2,28 +2,41 @@
 
 import { useState } from 'react';
 import { useRouter } from 'next/navigation';
-import { Lock, Loader2, MessageSquare, Shield } from 'lucide-react';
+import { Lock, Loader2, Mail, MessageSquare, Shield } from 'lucide-react';
+import { login } from '@/lib/auth';
+
+// Only paths on this site: "//evil.com" and "/\evil.com" also start with "/"
+function safeRedirectPath(next: string | null) {
+  if (!next || !next.startsWith('/')) return '/';
+
+  try {
+    const url = new URL(next, window.location.origin);
+    return url.origin === window.location.origin ? `${url.pathname}${url.search}${url.hash}` : '/';
+  } catch {
+    return '/';
+  }
+}
 
 export default function LoginPage() {
+  const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const router = useRouter();
 
-  const handleSubmit = (e: React.FormEvent) => {
+  const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setError('');
     setLoading(true);
 
-    setTimeout(() => {
-      if (password === '123321aslan') {
-        localStorage.setItem('wa_manager_auth', 'true');
-        router.push('/');
-      } else {
-        setError('Invalid password');
-        setLoading(false);
-      }
-    }, 500);
+    try {
+      await login(email, password);
+      const next = new URLSearchParams(window.location.search).get('next');
+      router.push(safeRedirectPath(next));
+    } catch (err: any) {
+      setError(err.message || 'Login failed');
+      setLoading(false);
+    }
   };
 
   return (
@@ -46,15 +59,27 @@ export default function LoginPage() {
           {/* Form */}
           <form onSubmit={handleSubmit} className="space-y-6">
             <div className="space-y-2">
+              <div className="relative">
+                <Mail className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-500" />
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="Email"
+                  autoComplete="username"
+                  className="w-full pl-12 pr-4 py-4 bg-black/50 border border-gray-800 rounded-xl text-white placeholder-gray-600 focus:outline-none focus:border-green-500/50 transition"
+                  autoFocus
+                />
+              </div>
               <div className="relative">
                 <Lock className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-500" />
                 <input
                   type="password"
                   value={password}
                   onChange={(e) => setPassword(e.target.value)}
-                  placeholder="Enter password"
+                  placeholder="Password"
+                  autoComplete="current-password"
                   className="w-full pl-12 pr-4 py-4 bg-black/50 border border-gray-800 rounded-xl text-white placeholder-gray-600 focus:outline-none focus:border-green-500/50 transition"
-                  autoFocus
                 />
               </div>
               {error && (
@@ -67,7 +92,7 @@ export default function LoginPage() {
 
             <button
               type="submit"
-              disabled={loading || !password}
+              disabled={loading || !email || !password}
               className="w-full py-4 bg-gradient-to-r from-green-500 to-emerald-600 text-white rounded-xl font-semibold hover:shadow-lg hover:shadow-green-500/20 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 flex items-center justify-center gap-2"
             >
               {loading ? (
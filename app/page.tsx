@@ -24,6 +24,7 @@ import {
   X
 } from 'lucide-react';
 import { useAccounts, useQRCode } from '@/lib/hooks/useWebSocket';
+import { logout } from '@/lib/auth';
 
 interface Account {
   id: string;
@@ -70,13 +71,6 @@ export default function Dashboard() {
     setTimeout(() => setToast(null), 3000);
   };
 
-  useEffect(() => {
-    const isAuth = localStorage.getItem('wa_manager_auth');
-    if (!isAuth) {
-      router.push('/login');
-    }
-  }, [router]);
-
   // Update selected account when accounts change
   useEffect(() => {
     if (selectedAccount) {
@@ -232,8 +226,8 @@ export default function Dashboard() {
     pending: accounts.filter(a => ['CONNECTING', 'AUTHENTICATING', 'QR_READY'].includes(a.clientStatus)).length,
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('wa_manager_auth');
+  const handleLogout = async () => {
+    await logout();
     router.push('/login');
   };
 
@@ -0,0 +1,39 @@
+/**
+ * Session authentication for the dashboard
+ *
+ * The API server sets an httpOnly `wa_session` cookie on login; the browser
+ * sends it with every REST request and the Socket.IO handshake.
+ */
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5001';
+
+export interface AuthUser {
+  id: string;
+  email: string;
+  name: string | null;
+  role: 'ADMIN' | 'OPERATOR';
+  scopes: string[];
+}
+
+export async function login(email: string, password: string): Promise<AuthUser> {
+  const response = await fetch(`${API_URL}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({ email, password }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || 'Login failed');
+  }
+
+  return data.user;
+}
+
+export async function logout(): Promise<void> {
+  await fetch(`${API_URL}/api/auth/logout`, {
+    method: 'POST',
+    credentials: 'include',
+  }).catch(() => {});
+}
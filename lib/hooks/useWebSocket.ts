@@ -5,7 +5,7 @@
  */
 
 import { useEffect, useState, useCallback, useRef } from 'react';
-import { accountsSocket, chatsSocket, qrSocket } from '../socket';
+import { accountsSocket, chatsSocket, qrSocket, type ReplyOptions } from '../socket';
 
 // ===== ACCOUNTS HOOKS =====
 
@@ -157,7 +157,7 @@ export function useChats(accountId: string | null) {
   const [error, setError] = useState<string | null>(null);
 
   const loadChats = useCallback(
-    async (options?: { page?: number; limit?: number; phone?: string }) => {
+    async (options?: { limit?: number; phone?: string; archived?: boolean }) => {
       if (!accountId) return;
 
       setLoading(true);
@@ -197,16 +197,32 @@ export function useChats(accountId: string | null) {
       }
     });
 
+    // Read / archive / mute changes from this or another client
+    chatsSocket.onChatUpdated((data) => {
+      if (data.accountId === accountId) {
+        setChats((prev) => prev.map((chat) => (chat.id === data.chat.id ? data.chat : chat)));
+      }
+    });
+
+    // Group chats are named after the group subject
+    chatsSocket.onGroupUpdated((data) => {
+      if (data.accountId === accountId && data.group?.subject) {
+        setChats((prev) =>
+          prev.map((chat) => (chat.chatId === data.group.jid ? { ...chat, name: data.group.subject } : chat))
+        );
+      }
+    });
+
     return () => {
       chatsSocket.leave(accountId);
     };
   }, [accountId, loadChats]);
 
   const sendMessage = useCallback(
-    async (to: string, message: string) => {
+    async (to: string, message: string, options?: ReplyOptions) => {
       if (!accountId) throw new Error('No account selected');
 
-      const response = await chatsSocket.send(accountId, to, message);
+      const response = await chatsSocket.send(accountId, to, message, options);
       if (!response.success) {
         throw new Error(response.error || 'Failed to send message');
       }
@@ -215,19 +231,38 @@ export function useChats(accountId: string | null) {
     [accountId]
   );
 
+  const markRead = useCallback(
+    async (chatId: string) => {
+      if (!accountId) return;
+
+      // Clear the badge right away; chat:updated brings the stored state
+      setChats((prev) => prev.map((chat) => (chat.chatId === chatId ? { ...chat, unreadCount: 0 } : chat)));
+
+      const response = await chatsSocket.markRead(accountId, chatId);
+      if (!response.success) {
+        console.error('Failed to mark chat as read:', response.error);
+      }
+    },
+    [accountId]
+  );
+
   return {
     chats,
     loading,
     error,
     refresh: loadChats,
     sendMessage,
+    markRead,
   };
 }
 
 export function useChatMessages(accountId: string | null, chatId: string | null) {
   const [messages, setMessages] = useState<any[]>([]);
   const [loading, setLoading] = useState(false);
+  const [hasOlder, setHasOlder] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
 
+  // Newest page of the chat
   const loadMessages = useCallback(async () => {
     if (!accountId || !chatId) return;
 
@@ -236,6 +271,7 @@ export function useChatMessages(accountId: string | null, chatId: string | null)
       const response = await chatsSocket.getMessages(accountId, chatId);
       if (response.success && response.data) {
         setMessages(response.data);
+        setHasOlder(Boolean(response.pagination?.hasMore));
       }
     } catch (err) {
       console.error('Failed to load messages:', err);
@@ -244,9 +280,31 @@ export function useChatMessages(accountId: string | null, chatId: string | null)
     }
   }, [accountId, chatId]);
 
+  // Prepends the page before the oldest loaded message; resolves false when nothing was added
+  const loadOlder = useCallback(async () => {
+    if (!accountId || !chatId || !hasOlder || loadingOlder || messages.length === 0) return false;
+
+    setLoadingOlder(true);
+    try {
+      const response = await chatsSocket.getMessages(accountId, chatId, { before: messages[0].id });
+      if (!response.success || !response.data) return false;
+
+      const older = response.data;
+      setMessages((prev) => [...older, ...prev]);
+      setHasOlder(Boolean(response.pagination?.hasMore));
+      return older.length > 0;
+    } catch (err) {
+      console.error('Failed to load older messages:', err);
+      return false;
+    } finally {
+      setLoadingOlder(false);
+    }
+  }, [accountId, chatId, hasOlder, loadingOlder, messages]);
+
   useEffect(() => {
     if (!accountId || !chatId) {
       setMessages([]);
+      setHasOlder(false);
       return;
     }
 
@@ -261,16 +319,43 @@ export function useChatMessages(accountId: string | null, chatId: string | null)
       }
     });
 
+    chatsSocket.onMessageStatus((data) => {
+      if (data.accountId === accountId && data.chatId === chatId) {
+        setMessages((prev) =>
+          prev.map((m) =>
+            m.id === data.messageId
+              ? { ...m, status: data.status, deliveredAt: data.deliveredAt, readAt: data.readAt }
+              : m
+          )
+        );
+      }
+    });
+
+    // One reaction per person: a new emoji replaces the previous one
+    chatsSocket.onMessageReaction((data) => {
+      if (data.accountId === accountId && data.chatId === chatId) {
+        const { reaction } = data;
+        setMessages((prev) =>
+          prev.map((m) => {
+            if (m.id !== data.messageId) return m;
+
+            const others = (m.reactions || []).filter((r: any) => r.senderJid !== reaction.senderJid);
+            return { ...m, reactions: reaction.removed ? others : [...others, reaction] };
+          })
+        );
+      }
+    });
+
     return () => {
       chatsSocket.leave(accountId);
     };
   }, [accountId, chatId, loadMessages]);
 
   const sendMessage = useCallback(
-    async (message: string) => {
+    async (message: string, options?: ReplyOptions) => {
       if (!accountId || !chatId) throw new Error('Invalid chat');
 
-      const response = await chatsSocket.sendToChat(accountId, chatId, message);
+      const response = await chatsSocket.sendToChat(accountId, chatId, message, options);
       if (!response.success) {
         throw new Error(response.error || 'Failed to send message');
       }
@@ -279,11 +364,29 @@ export function useChatMessages(accountId: string | null, chatId: string | null)
     [accountId, chatId]
   );
 
+  // The reaction shows up through chat:message:reaction
+  const react = useCallback(
+    async (messageId: string, emoji: string) => {
+      if (!accountId || !chatId) throw new Error('Invalid chat');
+
+      const response = await chatsSocket.react(accountId, chatId, messageId, emoji);
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to react');
+      }
+      return response;
+    },
+    [accountId, chatId]
+  );
+
   return {
     messages,
     loading,
+    hasOlder,
+    loadingOlder,
+    loadOlder,
     refresh: loadMessages,
     sendMessage,
+    react,
   };
 }
 
@@ -27,6 +27,7 @@ class SocketManager {
     if (!this.sockets.has(namespace)) {
       const socket = io(`${API_URL}${namespace}`, {
         transports: ['websocket', 'polling'],
+        withCredentials: true,
         reconnection: true,
         reconnectionDelay: 1000,
         reconnectionDelayMax: 5000,
@@ -46,6 +47,15 @@ class SocketManager {
         console.error(`[WS] Error on ${namespace}:`, error);
       });
 
+      socket.on('connect_error', (error) => {
+        console.error(`[WS] Connection rejected on ${namespace}: ${error.message}`);
+
+        // Session expired or revoked - back to login
+        if (error.message === 'Unauthorized' && typeof window !== 'undefined') {
+          window.location.href = '/login';
+        }
+      });
+
       this.sockets.set(namespace, socket);
       this.listeners.set(namespace, new Map());
     }
@@ -229,6 +239,12 @@ export const accountsSocket = {
 
 // === CHATS API ===
 
+// Reply to a stored message of the chat and/or mention people (numbers or JIDs)
+export interface ReplyOptions {
+  quotedMessageId?: string;
+  mentions?: string[];
+}
+
 export const chatsSocket = {
   /**
    * Join chat updates for an account
@@ -245,31 +261,59 @@ export const chatsSocket = {
   },
 
   /**
-   * Get all chats for an account
+   * Get chats for an account, newest first (cursor = pagination.nextCursor)
    */
-  list(accountId: string, options?: { page?: number; limit?: number; phone?: string }): Promise<{ success: boolean; data?: any[]; pagination?: any; error?: string }> {
+  list(accountId: string, options?: { cursor?: string; limit?: number; phone?: string; archived?: boolean }): Promise<{ success: boolean; data?: any[]; pagination?: { limit: number; hasNextPage: boolean; nextCursor: string | null }; error?: string }> {
     return socketManager.emit('/chats', 'chats:list', { accountId, ...options });
   },
 
   /**
-   * Get messages for a chat
+   * Full-text search over messages of all accounts in the workspace
+   */
+  search(options: { q?: string; contact?: string; accountId?: string; from?: string; to?: string; direction?: 'INCOMING' | 'OUTGOING'; status?: string; cursor?: string; limit?: number }): Promise<{ success: boolean; data?: any[]; pagination?: { limit: number; hasNextPage: boolean; nextCursor: string | null }; error?: string }> {
+    return socketManager.emit('/chats', 'chats:search', options);
+  },
+
+  /**
+   * Reset unread count and send read receipts
    */
-  getMessages(accountId: string, chatId: string): Promise<{ success: boolean; data?: any[]; error?: string }> {
-    return socketManager.emit('/chats', 'chat:messages', { accountId, chatId });
+  markRead(accountId: string, chatId: string): Promise<{ success: boolean; data?: any; error?: string }> {
+    return socketManager.emit('/chats', 'chat:read', { accountId, chatId });
   },
 
   /**
-   * Send message to chat
+   * Get a page of chat history in chronological order (newest page by default)
    */
-  sendToChat(accountId: string, chatId: string, message: string): Promise<{ success: boolean; messageId?: string; error?: string }> {
-    return socketManager.emit('/chats', 'chat:send', { accountId, chatId, message });
+  getMessages(accountId: string, chatId: string, options?: { before?: string; after?: string; limit?: number }): Promise<{ success: boolean; data?: any[]; pagination?: { limit: number; hasMore: boolean; oldestId: string | null; newestId: string | null }; error?: string }> {
+    return socketManager.emit('/chats', 'chat:messages', { accountId, chatId, ...options });
+  },
+
+  /**
+   * Send message to chat; quotedMessageId makes it a reply
+   */
+  sendToChat(accountId: string, chatId: string, message: string, options?: ReplyOptions): Promise<{ success: boolean; messageId?: string; error?: string }> {
+    return socketManager.emit('/chats', 'chat:send', { accountId, chatId, message, ...options });
   },
 
   /**
    * Send single message
    */
-  send(accountId: string, to: string, message: string): Promise<{ success: boolean; messageId?: string; error?: string }> {
-    return socketManager.emit('/chats', 'message:send', { accountId, to, message });
+  send(accountId: string, to: string, message: string, options?: ReplyOptions): Promise<{ success: boolean; messageId?: string; error?: string }> {
+    return socketManager.emit('/chats', 'message:send', { accountId, to, message, ...options });
+  },
+
+  /**
+   * React to a message of the chat; an empty emoji removes the reaction
+   */
+  react(accountId: string, chatId: string, messageId: string, emoji: string): Promise<{ success: boolean; data?: any; error?: string; retryAfter?: number }> {
+    return socketManager.emit('/chats', 'chat:send', { accountId, chatId, reaction: { messageId, emoji } });
+  },
+
+  /**
+   * Subscribe to reactions added or removed on stored messages
+   */
+  onMessageReaction(callback: (data: any) => void) {
+    socketManager.on('/chats', 'chat:message:reaction', callback);
   },
 
   /**
@@ -285,6 +329,90 @@ export const chatsSocket = {
   onNewMessage(callback: (data: any) => void) {
     socketManager.on('/chats', 'chat:message:new', callback);
   },
+
+  /**
+   * Subscribe to delivery / read status changes of sent messages
+   */
+  onMessageStatus(callback: (data: any) => void) {
+    socketManager.on('/chats', 'message:status', callback);
+  },
+
+  /**
+   * Subscribe to chat changes (read, archived, muted)
+   */
+  onChatUpdated(callback: (data: any) => void) {
+    socketManager.on('/chats', 'chat:updated', callback);
+  },
+
+  /**
+   * Get stored groups of an account
+   */
+  listGroups(accountId: string, options?: { page?: number; limit?: number; search?: string }): Promise<{ success: boolean; data?: any[]; pagination?: any; error?: string }> {
+    return socketManager.emit('/chats', 'groups:list', { accountId, ...options });
+  },
+
+  /**
+   * Get group metadata with participants and admins
+   */
+  getGroup(accountId: string, groupId: string): Promise<{ success: boolean; data?: any; error?: string }> {
+    return socketManager.emit('/chats', 'group:get', { accountId, groupId });
+  },
+
+  /**
+   * Subscribe to group subject / description / settings changes
+   */
+  onGroupUpdated(callback: (data: any) => void) {
+    socketManager.on('/chats', 'group:updated', callback);
+  },
+
+  /**
+   * Subscribe to participants added, removed, promoted or demoted
+   */
+  onGroupParticipants(callback: (data: any) => void) {
+    socketManager.on('/chats', 'group:participants', callback);
+  },
+
+  /**
+   * Create a group; participants are phone numbers or JIDs
+   */
+  createGroup(accountId: string, subject: string, participants: string[] = []): Promise<{ success: boolean; data?: any; error?: string; retryAfter?: number }> {
+    return socketManager.emit('/chats', 'group:create', { accountId, subject, participants });
+  },
+
+  /**
+   * Add, remove, promote or demote participants; data holds a result per participant
+   */
+  updateGroupParticipants(accountId: string, groupId: string, action: 'add' | 'remove' | 'promote' | 'demote', participants: string[]): Promise<{ success: boolean; data?: { jid: string; status: string; success: boolean }[]; error?: string; retryAfter?: number }> {
+    return socketManager.emit('/chats', 'group:participants:update', { accountId, groupId, action, participants });
+  },
+
+  /**
+   * Change group subject and/or description
+   */
+  updateGroup(accountId: string, groupId: string, changes: { subject?: string; description?: string }): Promise<{ success: boolean; data?: any; error?: string; retryAfter?: number }> {
+    return socketManager.emit('/chats', 'group:update', { accountId, groupId, ...changes });
+  },
+
+  /**
+   * Set group picture (image as base64 or url), or remove it with null
+   */
+  setGroupPicture(accountId: string, groupId: string, media: { base64?: string; url?: string; mimetype?: string } | null): Promise<{ success: boolean; data?: any; error?: string; retryAfter?: number }> {
+    return socketManager.emit('/chats', 'group:picture', { accountId, groupId, media });
+  },
+
+  /**
+   * Get the group invite link
+   */
+  getGroupInvite(accountId: string, groupId: string): Promise<{ success: boolean; data?: { code: string; link: string }; error?: string; retryAfter?: number }> {
+    return socketManager.emit('/chats', 'group:invite', { accountId, groupId });
+  },
+
+  /**
+   * Revoke the invite link; data holds the new one
+   */
+  revokeGroupInvite(accountId: string, groupId: string): Promise<{ success: boolean; data?: { code: string; link: string }; error?: string; retryAfter?: number }> {
+    return socketManager.emit('/chats', 'group:invite:revoke', { accountId, groupId });
+  },
 };
 
 // === QR API ===
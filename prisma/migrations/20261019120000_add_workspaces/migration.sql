@@ -0,0 +1,72 @@
+-- CreateTable
+CREATE TABLE "workspaces" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "workspaces_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "workspaces_slug_key" ON "workspaces"("slug");
+
+-- Existing data moves into a default workspace
+INSERT INTO "workspaces" ("id", "name", "slug", "updatedAt")
+VALUES ('default', 'Default', 'default', CURRENT_TIMESTAMP);
+
+-- AlterTable
+ALTER TABLE "whatsapp_accounts" ADD COLUMN "workspaceId" TEXT;
+UPDATE "whatsapp_accounts" SET "workspaceId" = 'default';
+ALTER TABLE "whatsapp_accounts" ALTER COLUMN "workspaceId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN "workspaceId" TEXT;
+UPDATE "messages" SET "workspaceId" = 'default';
+ALTER TABLE "messages" ALTER COLUMN "workspaceId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "contracts" ADD COLUMN "workspaceId" TEXT;
+UPDATE "contracts" SET "workspaceId" = 'default';
+ALTER TABLE "contracts" ALTER COLUMN "workspaceId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "api_keys" ADD COLUMN "workspaceId" TEXT;
+UPDATE "api_keys" SET "workspaceId" = 'default';
+ALTER TABLE "api_keys" ALTER COLUMN "workspaceId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "workspaceId" TEXT;
+UPDATE "users" SET "workspaceId" = 'default';
+ALTER TABLE "users" ALTER COLUMN "workspaceId" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "whatsapp_accounts_workspaceId_idx" ON "whatsapp_accounts"("workspaceId");
+
+-- CreateIndex
+CREATE INDEX "messages_workspaceId_idx" ON "messages"("workspaceId");
+
+-- CreateIndex
+CREATE INDEX "contracts_workspaceId_idx" ON "contracts"("workspaceId");
+
+-- CreateIndex
+CREATE INDEX "api_keys_workspaceId_idx" ON "api_keys"("workspaceId");
+
+-- CreateIndex
+CREATE INDEX "users_workspaceId_idx" ON "users"("workspaceId");
+
+-- AddForeignKey
+ALTER TABLE "whatsapp_accounts" ADD CONSTRAINT "whatsapp_accounts_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "messages" ADD CONSTRAINT "messages_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "contracts" ADD CONSTRAINT "contracts_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "api_keys" ADD CONSTRAINT "api_keys_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "users" ADD CONSTRAINT "users_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
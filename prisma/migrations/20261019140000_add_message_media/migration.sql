@@ -0,0 +1,9 @@
+-- CreateEnum
+CREATE TYPE "MessageType" AS ENUM ('TEXT', 'IMAGE', 'VIDEO', 'AUDIO', 'DOCUMENT', 'STICKER', 'LOCATION', 'CONTACT');
+
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN     "type" "MessageType" NOT NULL DEFAULT 'TEXT',
+ADD COLUMN     "caption" TEXT,
+ADD COLUMN     "mimetype" TEXT,
+ADD COLUMN     "filename" TEXT,
+ADD COLUMN     "mediaUrl" TEXT;
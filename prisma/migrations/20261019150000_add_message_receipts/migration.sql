@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN     "waMessageId" TEXT,
+ADD COLUMN     "deliveredAt" TIMESTAMP(3),
+ADD COLUMN     "readAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "contracts" ADD COLUMN     "deliveredCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "readCount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "messages_accountId_waMessageId_idx" ON "messages"("accountId", "waMessageId");
+
+-- CreateIndex
+CREATE INDEX "contract_recipients_messageId_idx" ON "contract_recipients"("messageId");
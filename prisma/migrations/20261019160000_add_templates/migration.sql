@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "contracts" ADD COLUMN     "templateId" TEXT;
+
+-- AlterTable
+ALTER TABLE "contract_recipients" ADD COLUMN     "variables" JSONB;
+
+-- CreateTable
+CREATE TABLE "templates" (
+    "id" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "mediaType" TEXT,
+    "mediaUrl" TEXT,
+    "mimetype" TEXT,
+    "filename" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "templates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "templates_workspaceId_name_key" ON "templates"("workspaceId", "name");
+
+-- AddForeignKey
+ALTER TABLE "contracts" ADD CONSTRAINT "contracts_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "templates"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "templates" ADD CONSTRAINT "templates_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
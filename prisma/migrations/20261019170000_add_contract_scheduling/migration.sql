@@ -0,0 +1,13 @@
+-- AlterEnum
+ALTER TYPE "ContractStatus" ADD VALUE 'SCHEDULED';
+
+-- AlterTable
+ALTER TABLE "whatsapp_accounts" ADD COLUMN     "timezone" TEXT;
+
+-- AlterTable
+ALTER TABLE "contracts" ADD COLUMN     "scheduledAt" TIMESTAMP(3),
+ADD COLUMN     "sendWindow" JSONB,
+ADD COLUMN     "timezone" TEXT;
+
+-- AlterTable
+ALTER TABLE "contract_recipients" ADD COLUMN     "timezone" TEXT;
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "whatsapp_accounts" ADD COLUMN     "limitProfileAssignedAt" TIMESTAMP(3),
+ADD COLUMN     "limitProfileId" TEXT;
+
+-- CreateTable
+CREATE TABLE "limit_profiles" (
+    "id" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "ratePerMinute" INTEGER NOT NULL,
+    "dailyLimit" INTEGER NOT NULL,
+    "newChatsPerDay" INTEGER NOT NULL,
+    "restAfterMessages" INTEGER NOT NULL,
+    "restMinSeconds" INTEGER NOT NULL,
+    "restMaxSeconds" INTEGER NOT NULL,
+    "delayMinSeconds" INTEGER NOT NULL,
+    "delayMaxSeconds" INTEGER NOT NULL,
+    "warmupStartLimit" INTEGER,
+    "warmupDailyIncrease" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "limit_profiles_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "limit_profiles_workspaceId_name_key" ON "limit_profiles"("workspaceId", "name");
+
+-- AddForeignKey
+ALTER TABLE "whatsapp_accounts" ADD CONSTRAINT "whatsapp_accounts_limitProfileId_fkey" FOREIGN KEY ("limitProfileId") REFERENCES "limit_profiles"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "limit_profiles" ADD CONSTRAINT "limit_profiles_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
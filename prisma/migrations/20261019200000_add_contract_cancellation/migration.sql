@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "ContractStatus" ADD VALUE 'CANCELLED';
+
+-- AlterEnum
+ALTER TYPE "RecipientStatus" ADD VALUE 'SKIPPED';
+
+-- AlterTable
+ALTER TABLE "contracts" ADD COLUMN     "cancelledAt" TIMESTAMP(3),
+ADD COLUMN     "skippedCount" INTEGER NOT NULL DEFAULT 0;
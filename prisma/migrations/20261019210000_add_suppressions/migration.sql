@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "SuppressionSource" AS ENUM ('MANUAL', 'IMPORT', 'KEYWORD');
+
+-- AlterTable
+ALTER TABLE "contract_recipients" ADD COLUMN     "skipReason" TEXT;
+
+-- CreateTable
+CREATE TABLE "suppressions" (
+    "id" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "accountId" TEXT,
+    "phoneNumber" TEXT NOT NULL,
+    "reason" TEXT,
+    "source" "SuppressionSource" NOT NULL DEFAULT 'MANUAL',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "suppressions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "suppressions_workspaceId_phoneNumber_idx" ON "suppressions"("workspaceId", "phoneNumber");
+
+-- CreateIndex
+CREATE INDEX "suppressions_accountId_idx" ON "suppressions"("accountId");
+
+-- AddForeignKey
+ALTER TABLE "suppressions" ADD CONSTRAINT "suppressions_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "suppressions" ADD CONSTRAINT "suppressions_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "whatsapp_accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- AlterEnum
+ALTER TYPE "RecipientStatus" ADD VALUE 'INVALID_NUMBER';
+
+-- AlterTable
+ALTER TABLE "contracts" ADD COLUMN     "invalidCount" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "whatsapp_accounts" ADD COLUMN     "defaultCountryCode" TEXT,
+ADD COLUMN     "verifyNumbers" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "whatsapp_numbers" (
+    "phoneNumber" TEXT NOT NULL,
+    "exists" BOOLEAN NOT NULL,
+    "jid" TEXT,
+    "checkedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "whatsapp_numbers_pkey" PRIMARY KEY ("phoneNumber")
+);
@@ -0,0 +1,111 @@
+-- CreateTable
+CREATE TABLE "chats" (
+    "id" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "chatId" TEXT NOT NULL,
+    "name" TEXT,
+    "contactNumber" TEXT,
+    "isGroup" BOOLEAN NOT NULL DEFAULT false,
+    "unreadCount" INTEGER NOT NULL DEFAULT 0,
+    "archived" BOOLEAN NOT NULL DEFAULT false,
+    "muted" BOOLEAN NOT NULL DEFAULT false,
+    "lastMessageId" TEXT,
+    "lastMessage" TEXT,
+    "lastMessageType" "MessageType",
+    "lastMessageDirection" "MessageDirection",
+    "lastMessageAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "chats_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "contacts" (
+    "id" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "jid" TEXT NOT NULL,
+    "phoneNumber" TEXT,
+    "name" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "contacts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "chats_accountId_chatId_key" ON "chats"("accountId", "chatId");
+
+-- CreateIndex
+CREATE INDEX "chats_accountId_lastMessageAt_id_idx" ON "chats"("accountId", "lastMessageAt" DESC, "id" DESC);
+
+-- CreateIndex
+CREATE INDEX "chats_workspaceId_idx" ON "chats"("workspaceId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "contacts_accountId_jid_key" ON "contacts"("accountId", "jid");
+
+-- CreateIndex
+CREATE INDEX "contacts_workspaceId_idx" ON "contacts"("workspaceId");
+
+-- CreateIndex
+CREATE INDEX "contacts_phoneNumber_idx" ON "contacts"("phoneNumber");
+
+-- AddForeignKey
+ALTER TABLE "chats" ADD CONSTRAINT "chats_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "whatsapp_accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "chats" ADD CONSTRAINT "chats_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "contacts" ADD CONSTRAINT "contacts_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "whatsapp_accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "contacts" ADD CONSTRAINT "contacts_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing history: one chat per account and chatId, built from its latest message.
+-- Nothing was ever marked read before, so old chats start with no unread messages.
+INSERT INTO "chats" (
+    "id", "accountId", "workspaceId", "chatId", "name", "contactNumber", "isGroup", "unreadCount",
+    "lastMessageId", "lastMessage", "lastMessageType", "lastMessageDirection", "lastMessageAt", "updatedAt"
+)
+SELECT DISTINCT ON (m."accountId", m."chatId")
+    gen_random_uuid()::text,
+    m."accountId",
+    m."workspaceId",
+    m."chatId",
+    CASE WHEN m."chatId" LIKE '%@g.us' THEN NULL ELSE (
+        SELECT n."contactName" FROM "messages" n
+        WHERE n."accountId" = m."accountId" AND n."chatId" = m."chatId"
+          AND n."direction" = 'INCOMING' AND n."contactName" IS NOT NULL
+        ORDER BY n."sentAt" DESC LIMIT 1
+    ) END,
+    CASE WHEN m."chatId" LIKE '%@g.us' THEN NULL ELSE split_part(m."chatId", '@', 1) END,
+    m."chatId" LIKE '%@g.us',
+    0,
+    m."id",
+    LEFT(m."message", 200),
+    m."type",
+    m."direction",
+    m."sentAt",
+    CURRENT_TIMESTAMP
+FROM "messages" m
+WHERE m."chatId" IS NOT NULL
+ORDER BY m."accountId", m."chatId", m."sentAt" DESC;
+
+-- Push names of direct senders
+INSERT INTO "contacts" ("id", "accountId", "workspaceId", "jid", "phoneNumber", "name", "updatedAt")
+SELECT DISTINCT ON (m."accountId", m."chatId")
+    gen_random_uuid()::text,
+    m."accountId",
+    m."workspaceId",
+    m."chatId",
+    CASE WHEN m."chatId" LIKE '%@s.whatsapp.net' THEN split_part(m."chatId", '@', 1) ELSE NULL END,
+    m."contactName",
+    CURRENT_TIMESTAMP
+FROM "messages" m
+WHERE m."chatId" IS NOT NULL AND m."chatId" NOT LIKE '%@g.us'
+  AND m."direction" = 'INCOMING' AND m."contactName" IS NOT NULL
+ORDER BY m."accountId", m."chatId", m."sentAt" DESC;
@@ -0,0 +1,6 @@
+-- AlterTable
+-- Generated from the message text; 'simple' keeps Russian and English words unstemmed
+ALTER TABLE "messages" ADD COLUMN     "searchVector" tsvector GENERATED ALWAYS AS (to_tsvector('simple', "message")) STORED;
+
+-- CreateIndex
+CREATE INDEX "messages_searchVector_idx" ON "messages" USING GIN ("searchVector");
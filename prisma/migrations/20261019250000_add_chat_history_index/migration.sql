@@ -0,0 +1,5 @@
+-- DropIndex
+DROP INDEX "messages_accountId_chatId_idx";
+
+-- CreateIndex
+CREATE INDEX "messages_accountId_chatId_sentAt_id_idx" ON "messages"("accountId", "chatId", "sentAt" DESC, "id" DESC);
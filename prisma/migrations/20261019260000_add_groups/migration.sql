@@ -0,0 +1,56 @@
+-- CreateEnum
+CREATE TYPE "GroupRole" AS ENUM ('MEMBER', 'ADMIN', 'SUPERADMIN');
+
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN     "senderJid" TEXT;
+
+-- CreateTable
+CREATE TABLE "groups" (
+    "id" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "jid" TEXT NOT NULL,
+    "subject" TEXT,
+    "description" TEXT,
+    "ownerJid" TEXT,
+    "announce" BOOLEAN NOT NULL DEFAULT false,
+    "restrict" BOOLEAN NOT NULL DEFAULT false,
+    "size" INTEGER NOT NULL DEFAULT 0,
+    "groupCreatedAt" TIMESTAMP(3),
+    "syncedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "groups_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "group_participants" (
+    "id" TEXT NOT NULL,
+    "groupId" TEXT NOT NULL,
+    "jid" TEXT NOT NULL,
+    "phoneNumber" TEXT,
+    "role" "GroupRole" NOT NULL DEFAULT 'MEMBER',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "group_participants_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "groups_accountId_jid_key" ON "groups"("accountId", "jid");
+
+-- CreateIndex
+CREATE INDEX "groups_workspaceId_idx" ON "groups"("workspaceId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "group_participants_groupId_jid_key" ON "group_participants"("groupId", "jid");
+
+-- AddForeignKey
+ALTER TABLE "groups" ADD CONSTRAINT "groups_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "whatsapp_accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "groups" ADD CONSTRAINT "groups_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "group_participants" ADD CONSTRAINT "group_participants_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "groups"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN     "mentions" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "quotedMessageId" TEXT,
+ADD COLUMN     "quotedText" TEXT,
+ADD COLUMN     "quotedWaMessageId" TEXT;
+
+-- CreateTable
+CREATE TABLE "message_reactions" (
+    "id" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "senderJid" TEXT NOT NULL,
+    "fromMe" BOOLEAN NOT NULL DEFAULT false,
+    "emoji" TEXT NOT NULL,
+    "reactedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "message_reactions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "message_reactions_messageId_senderJid_key" ON "message_reactions"("messageId", "senderJid");
+
+-- AddForeignKey
+ALTER TABLE "messages" ADD CONSTRAINT "messages_quotedMessageId_fkey" FOREIGN KEY ("quotedMessageId") REFERENCES "messages"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "message_reactions" ADD CONSTRAINT "message_reactions_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "messages"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "contract_recipients_contractId_status_id_idx" ON "contract_recipients"("contractId", "status", "id");
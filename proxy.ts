@@ -0,0 +1,43 @@
+import { NextResponse, type NextRequest } from 'next/server';
+
+/**
+ * Protects dashboard pages: every request must carry a session cookie
+ * that the API server accepts, otherwise it is redirected to /login.
+ */
+
+const SESSION_COOKIE = 'wa_session';
+const API_INTERNAL_URL =
+  process.env.API_INTERNAL_URL || process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5001';
+
+async function isSessionValid(token: string): Promise<boolean> {
+  try {
+    const response = await fetch(`${API_INTERNAL_URL}/api/auth/me`, {
+      headers: { Authorization: `Bearer ${token}` },
+      cache: 'no-store',
+    });
+    return response.ok;
+  } catch {
+    return false;
+  }
+}
+
+export async function proxy(request: NextRequest) {
+  const token = request.cookies.get(SESSION_COOKIE)?.value;
+
+  if (token && (await isSessionValid(token))) {
+    return NextResponse.next();
+  }
+
+  const loginUrl = new URL('/login', request.url);
+  loginUrl.searchParams.set('next', request.nextUrl.pathname);
+
+  const response = NextResponse.redirect(loginUrl);
+  if (token) {
+    response.cookies.delete(SESSION_COOKIE);
+  }
+  return response;
+}
+
+export const config = {
+  matcher: ['/((?!login|api|_next/static|_next/image|favicon.ico).*)'],
+};
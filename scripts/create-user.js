@@ -0,0 +1,57 @@
+const { PrismaClient } = require("@prisma/client");
+const { hashPassword } = require("../server/auth");
+
+const prisma = new PrismaClient();
+
+const USAGE = "Usage: node scripts/create-user.js <email> <password> [ADMIN|OPERATOR] [workspace-slug] [name]";
+
+async function createUser() {
+  const [email, password, role = "ADMIN", workspaceSlug = "default", ...nameParts] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (!["ADMIN", "OPERATOR"].includes(role)) {
+    console.error(`❌ Unknown role: ${role}`);
+    process.exit(1);
+  }
+
+  try {
+    const normalizedEmail = email.trim().toLowerCase();
+    const passwordHash = await hashPassword(password);
+
+    // Missing workspaces are created so the first admin can bootstrap a tenant
+    const workspace = await prisma.workspace.upsert({
+      where: { slug: workspaceSlug },
+      update: {},
+      create: { name: workspaceSlug, slug: workspaceSlug },
+    });
+
+    // Re-running the script for an existing email resets its password
+    const user = await prisma.user.upsert({
+      where: { email: normalizedEmail },
+      update: { passwordHash, role, isActive: true },
+      create: {
+        workspaceId: workspace.id,
+        email: normalizedEmail,
+        name: nameParts.join(" ") || null,
+        passwordHash,
+        role,
+      },
+    });
+
+    console.log(`✅ User ready: ${user.email} (${user.role}) in workspace "${workspace.slug}"`);
+  } catch (error) {
+    console.error("❌ Failed to create user:", error);
+    throw error;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+createUser().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
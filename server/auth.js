@@ -0,0 +1,352 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// ==================== API KEY & SESSION AUTHENTICATION ====================
+
+const API_KEY_PREFIX = "wam_";
+const SESSION_TOKEN_PREFIX = "wms_";
+const SESSION_COOKIE = "wa_session";
+const SESSION_TTL = parseInt(process.env.SESSION_TTL_HOURS || "168", 10) * 3600000;
+
+const SCOPES = [
+  "accounts:read",
+  "accounts:write",
+  "messages:send",
+  "contracts:manage",
+  "groups:manage",
+  "keys:manage",
+  "users:manage",
+  "webhooks:manage",
+];
+
+// Operators get everything except key, user and webhook management
+const ROLE_SCOPES = {
+  ADMIN: ["*"],
+  OPERATOR: ["accounts:read", "accounts:write", "messages:send", "contracts:manage", "groups:manage"],
+};
+
+// Throttle lastUsedAt writes - one DB update per key per minute is enough
+const LAST_USED_UPDATE_INTERVAL = 60000;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+
+  return {
+    key,
+    keyHash: hashToken(key),
+    keyPrefix: key.slice(0, API_KEY_PREFIX.length + 6),
+  };
+}
+
+function generateSessionToken() {
+  const token = `${SESSION_TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  return { token, tokenHash: hashToken(token) };
+}
+
+// Stored as scrypt$<salt>$<hash>
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const derived = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${derived.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [algorithm, salt, hash] = (stored || "").split("$");
+  if (algorithm !== "scrypt" || !salt || !hash) return false;
+
+  const derived = await scrypt(password, salt, 64);
+  const expected = Buffer.from(hash, "hex");
+  return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function extractBearerToken(header) {
+  if (!header || typeof header !== "string") return null;
+
+  const [type, token] = header.split(" ");
+  if (!token || type.toLowerCase() !== "bearer") return null;
+
+  return token.trim();
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index === -1) continue;
+
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (e) {
+      cookies[name] = value;
+    }
+  }
+
+  return cookies;
+}
+
+// Bearer header first (API clients), then the session cookie (dashboard)
+function extractRequestToken(headers) {
+  return (
+    extractBearerToken(headers?.authorization) ||
+    parseCookies(headers?.cookie)[SESSION_COOKIE] ||
+    null
+  );
+}
+
+function hasScope(auth, scope) {
+  if (!auth || !Array.isArray(auth.scopes)) return false;
+  return auth.scopes.includes("*") || auth.scopes.includes(scope);
+}
+
+// ==================== WORKSPACE SCOPING ====================
+
+function isPlatformAuth(auth) {
+  return !!auth && auth.workspaceId === null;
+}
+
+// Adds the caller's workspace to a Prisma where clause.
+// Platform callers (master key) see every workspace.
+function scopeToWorkspace(auth, where = {}) {
+  if (isPlatformAuth(auth)) return where;
+  return { ...where, workspaceId: auth.workspaceId };
+}
+
+// Workspace for newly created resources: always the caller's own,
+// platform callers have to name one explicitly
+function resolveWorkspaceId(auth, requestedWorkspaceId) {
+  if (isPlatformAuth(auth)) return requestedWorkspaceId || null;
+  return auth.workspaceId;
+}
+
+function invalidScopes(scopes) {
+  return scopes.filter(scope => !SCOPES.includes(scope));
+}
+
+// API keys can only hand out scopes they hold themselves; the master key and
+// dashboard users (keys:manage is admin-only) may grant any scope
+function ungrantableScopes(auth, scopes) {
+  if (auth?.type === "master" || auth?.type === "session") return [];
+  return scopes.filter(scope => !hasScope(auth, scope));
+}
+
+// ==================== CORS ====================
+
+// Browser origins that may call the API with the session cookie:
+// CORS_ORIGINS (comma-separated), otherwise the dashboard's NEXT_PUBLIC_APP_URL
+function allowedOrigins() {
+  const configured = process.env.CORS_ORIGINS || process.env.NEXT_PUBLIC_APP_URL || "";
+
+  return configured
+    .split(",")
+    .map(value => {
+      try {
+        return new URL(value.trim()).origin;
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(origin => origin && origin !== "null");
+}
+
+// Fails closed: without a configured origin no browser origin is allowed,
+// and credentials are never combined with a reflected origin.
+// Server-to-server API key calls don't go through CORS at all.
+function corsOptions(methods) {
+  const origins = allowedOrigins();
+
+  return {
+    origin: origins.length > 0 ? origins : false,
+    methods,
+    credentials: origins.length > 0,
+  };
+}
+
+function createAuth({ getPrisma, logger }) {
+  const lastUsedWrites = new Map();
+  const sessionWrites = new Map();
+
+  if (!process.env.API_SECRET_KEY) {
+    logger.warn("API_SECRET_KEY is not set - only database API keys will be accepted");
+  }
+
+  function touchApiKey(prisma, apiKeyId) {
+    const now = Date.now();
+    if (now - (lastUsedWrites.get(apiKeyId) || 0) < LAST_USED_UPDATE_INTERVAL) return;
+
+    lastUsedWrites.set(apiKeyId, now);
+    prisma.apiKey
+      .update({ where: { id: apiKeyId }, data: { lastUsedAt: new Date(now) } })
+      .catch(error => logger.warn(`Failed to update lastUsedAt for key ${apiKeyId}: ${error.message}`));
+  }
+
+  function touchSession(prisma, sessionId) {
+    const now = Date.now();
+    if (now - (sessionWrites.get(sessionId) || 0) < LAST_USED_UPDATE_INTERVAL) return;
+
+    sessionWrites.set(sessionId, now);
+    prisma.session
+      .update({ where: { id: sessionId }, data: { lastUsedAt: new Date(now) } })
+      .catch(error => logger.warn(`Failed to update lastUsedAt for session ${sessionId}: ${error.message}`));
+  }
+
+  async function authenticateSession(prisma, token) {
+    const session = await prisma.session.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { user: true },
+    });
+
+    if (!session || session.expiresAt < new Date() || !session.user.isActive) {
+      return null;
+    }
+
+    touchSession(prisma, session.id);
+
+    return {
+      type: "session",
+      sessionId: session.id,
+      workspaceId: session.user.workspaceId,
+      userId: session.user.id,
+      email: session.user.email,
+      role: session.user.role,
+      scopes: ROLE_SCOPES[session.user.role] || [],
+    };
+  }
+
+  // Resolves a raw token into an auth context ({ type, scopes, ... }) or null
+  async function authenticate(token) {
+    if (!token) return null;
+
+    // Master key from the environment - platform-wide, not bound to a workspace.
+    // Used to bootstrap workspaces and their first API keys.
+    if (process.env.API_SECRET_KEY && safeEqual(token, process.env.API_SECRET_KEY)) {
+      return { type: "master", workspaceId: null, scopes: ["*"] };
+    }
+
+    const isApiKey = token.startsWith(API_KEY_PREFIX);
+    if (!isApiKey && !token.startsWith(SESSION_TOKEN_PREFIX)) return null;
+
+    const prisma = getPrisma();
+    if (!prisma) {
+      throw new Error("Database is not connected");
+    }
+
+    if (!isApiKey) {
+      return authenticateSession(prisma, token);
+    }
+
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { keyHash: hashToken(token) },
+    });
+
+    if (!apiKey || apiKey.revokedAt) return null;
+
+    touchApiKey(prisma, apiKey.id);
+
+    return {
+      type: "apiKey",
+      apiKeyId: apiKey.id,
+      workspaceId: apiKey.workspaceId,
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+    };
+  }
+
+  // Express middleware: API key or session token with the given scope.
+  // Without a scope it only requires the caller to be authenticated.
+  function requireScope(scope) {
+    return async (req, res, next) => {
+      try {
+        const auth = await authenticate(extractRequestToken(req.headers));
+
+        if (!auth) {
+          return res.status(401).json({ error: "Invalid or missing credentials" });
+        }
+
+        if (scope && !hasScope(auth, scope)) {
+          return res.status(403).json({ error: `Missing required scope: ${scope}` });
+        }
+
+        req.auth = auth;
+        next();
+      } catch (error) {
+        logger.error("Authentication failed:", error.message);
+        res.status(503).json({ error: error.message });
+      }
+    };
+  }
+
+  // Socket.IO middleware: token from handshake auth, Authorization header or session cookie
+  async function socketMiddleware(socket, next) {
+    try {
+      const token =
+        socket.handshake.auth?.token ||
+        extractRequestToken(socket.handshake.headers);
+
+      const auth = await authenticate(token);
+      if (!auth) {
+        return next(new Error("Unauthorized"));
+      }
+
+      socket.data.auth = auth;
+      next();
+    } catch (error) {
+      logger.error("Socket authentication failed:", error.message);
+      next(new Error("Authentication unavailable"));
+    }
+  }
+
+  // Express middleware: master key only (workspace administration)
+  function requirePlatform(req, res, next) {
+    requireScope()(req, res, () => {
+      if (!isPlatformAuth(req.auth)) {
+        return res.status(403).json({ error: "Platform credentials required" });
+      }
+      next();
+    });
+  }
+
+  return {
+    authenticate,
+    requireScope,
+    requireAuth: requireScope(),
+    requirePlatform,
+    socketMiddleware,
+  };
+}
+
+module.exports = {
+  SCOPES,
+  ROLE_SCOPES,
+  SESSION_COOKIE,
+  SESSION_TTL,
+  createAuth,
+  generateApiKey,
+  generateSessionToken,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  hasScope,
+  invalidScopes,
+  ungrantableScopes,
+  isPlatformAuth,
+  scopeToWorkspace,
+  resolveWorkspaceId,
+  allowedOrigins,
+  corsOptions,
+};
@@ -0,0 +1,273 @@
+// ==================== CHATS AND CONTACTS ====================
+//
+// One Chat row per account and JID holds the last message and unread count,
+// so chat lists are a single indexed query. Every stored message updates it.
+
+const { jidToNumber } = require("./phone");
+const { MESSAGE_CONTEXT_INCLUDE } = require("./replies");
+
+// Characters of the last message kept for the chat list
+const CHAT_PREVIEW_LENGTH = 200;
+
+const MAX_CHATS_PAGE = 100;
+
+const MAX_MESSAGES_PAGE = 200;
+
+// Read receipts are sent for the newest unread messages only
+const MAX_READ_RECEIPTS = 100;
+
+function isGroupJid(jid) {
+  return jid.endsWith("@g.us");
+}
+
+function isUserJid(jid) {
+  return jid.endsWith("@s.whatsapp.net");
+}
+
+// Cursors are opaque to clients: the (time, id) of the last row of the page
+function encodeCursor(at, id) {
+  return Buffer.from(JSON.stringify([at.toISOString(), id])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    const at = new Date(value);
+    if (!id || Number.isNaN(at.getTime())) return null;
+    return { at, id };
+  } catch {
+    return null;
+  }
+}
+
+// Push names are only known from incoming messages; group senders get a contact too
+async function upsertContact(prisma, { accountId, workspaceId, jid, name }) {
+  if (!jid || !name || isGroupJid(jid)) return;
+
+  await prisma.contact.upsert({
+    where: { accountId_jid: { accountId, jid } },
+    create: {
+      accountId,
+      workspaceId,
+      jid,
+      phoneNumber: isUserJid(jid) ? jidToNumber(jid) : null,
+      name,
+    },
+    update: { name },
+  });
+}
+
+/**
+ * Updates the chat of a stored Message row. Incoming messages raise the
+ * unread count and bring an archived chat back, like WhatsApp does.
+ * `contactName` is the sender's push name; `senderJid` differs from the chat in groups.
+ */
+async function recordChatMessage(prisma, message, { senderJid = null, contactName = null } = {}) {
+  if (!message.chatId) return null;
+
+  const { accountId, workspaceId, chatId } = message;
+  const isGroup = isGroupJid(chatId);
+  const isIncoming = message.direction === "INCOMING";
+
+  const last = {
+    lastMessageId: message.id,
+    lastMessage: (message.message || "").substring(0, CHAT_PREVIEW_LENGTH),
+    lastMessageType: message.type,
+    lastMessageDirection: message.direction,
+    lastMessageAt: message.sentAt,
+  };
+  // In groups the push name belongs to the sender, not the chat
+  const name = !isGroup && isIncoming ? contactName : null;
+
+  const chat = await prisma.chat.upsert({
+    where: { accountId_chatId: { accountId, chatId } },
+    create: {
+      accountId,
+      workspaceId,
+      chatId,
+      isGroup,
+      contactNumber: isGroup ? null : message.contactNumber || jidToNumber(chatId),
+      name,
+      unreadCount: isIncoming ? 1 : 0,
+      ...last,
+    },
+    update: {
+      ...(isIncoming && { unreadCount: { increment: 1 }, archived: false }),
+      ...(name && { name }),
+    },
+  });
+
+  // Messages may be stored out of order; an older one doesn't replace the preview
+  if (chat.lastMessageId !== message.id) {
+    await prisma.chat.updateMany({
+      where: { id: chat.id, lastMessageAt: { lte: message.sentAt } },
+      data: last,
+    });
+  }
+
+  if (isIncoming && contactName) {
+    await upsertContact(prisma, { accountId, workspaceId, jid: senderJid || chatId, name: contactName });
+  }
+
+  return chat;
+}
+
+/**
+ * Newest chats first. `archived` ("true"/"false") filters by state, `phone`
+ * matches the number or JID. Returns { data, pagination } or { error }.
+ */
+async function listChats(prisma, accountId, { cursor, limit, phone, archived } = {}) {
+  const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_CHATS_PAGE);
+  const where = { accountId };
+
+  if (archived === "true" || archived === true) where.archived = true;
+  if (archived === "false" || archived === false) where.archived = false;
+
+  if (phone) {
+    where.OR = [
+      { contactNumber: { contains: String(phone) } },
+      { chatId: { contains: String(phone) } },
+    ];
+  }
+
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    if (!after) {
+      return { error: "Invalid cursor" };
+    }
+
+    where.AND = [
+      {
+        OR: [
+          { lastMessageAt: { lt: after.at } },
+          { lastMessageAt: after.at, id: { lt: after.id } },
+        ],
+      },
+    ];
+  }
+
+  // One row more than asked tells whether there is a next page
+  const chats = await prisma.chat.findMany({
+    where,
+    orderBy: [{ lastMessageAt: "desc" }, { id: "desc" }],
+    take: limitNum + 1,
+  });
+
+  const hasNextPage = chats.length > limitNum;
+  const data = chats.slice(0, limitNum);
+  const last = data[data.length - 1];
+
+  return {
+    data,
+    pagination: {
+      limit: limitNum,
+      hasNextPage,
+      nextCursor: hasNextPage ? encodeCursor(last.lastMessageAt, last.id) : null,
+    },
+  };
+}
+
+// `before` / `after` of a history page: a message of the chat or an ISO timestamp
+async function resolveHistoryAnchor(prisma, where, value) {
+  const message = await prisma.message.findFirst({
+    where: { ...where, id: String(value) },
+    select: { id: true, sentAt: true },
+  });
+  if (message) return { at: message.sentAt, id: message.id };
+
+  const at = new Date(value);
+  return Number.isNaN(at.getTime()) ? null : { at, id: null };
+}
+
+/**
+ * One page of a chat's history in chronological order: the newest messages,
+ * the ones before a message/timestamp (scrolling up) or after it (catching up).
+ * `hasMore` refers to the direction asked for. Returns { data, pagination } or { error }.
+ */
+async function listChatMessages(prisma, accountId, chatId, { before, after, limit } = {}) {
+  if (before && after) {
+    return { error: "Use either before or after, not both" };
+  }
+
+  const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_MESSAGES_PAGE);
+  const where = { accountId, chatId };
+  const newer = Boolean(after);
+
+  if (before || after) {
+    const anchor = await resolveHistoryAnchor(prisma, where, before || after);
+    if (!anchor) {
+      return { error: `${newer ? "after" : "before"} must be a message id or a timestamp` };
+    }
+
+    const op = newer ? "gt" : "lt";
+    where.AND = [
+      anchor.id
+        ? { OR: [{ sentAt: { [op]: anchor.at } }, { sentAt: anchor.at, id: { [op]: anchor.id } }] }
+        : { sentAt: { [op]: anchor.at } },
+    ];
+  }
+
+  const order = newer ? "asc" : "desc";
+  const messages = await prisma.message.findMany({
+    where,
+    orderBy: [{ sentAt: order }, { id: order }],
+    take: limitNum + 1,
+    include: MESSAGE_CONTEXT_INCLUDE,
+  });
+
+  const hasMore = messages.length > limitNum;
+  const data = messages.slice(0, limitNum);
+  if (!newer) data.reverse();
+
+  return {
+    data,
+    pagination: {
+      limit: limitNum,
+      hasMore,
+      oldestId: data[0]?.id || null,
+      newestId: data[data.length - 1]?.id || null,
+    },
+  };
+}
+
+/**
+ * Resets the unread count and marks incoming messages READ. Returns the chat
+ * (null when it doesn't exist) and the messages that still need a read receipt.
+ */
+async function markChatRead(prisma, accountId, chatId) {
+  const chat = await prisma.chat.findUnique({
+    where: { accountId_chatId: { accountId, chatId } },
+  });
+  if (!chat) return { chat: null, unread: [] };
+
+  const unreadWhere = { accountId, chatId, direction: "INCOMING", status: "RECEIVED" };
+
+  const unread = await prisma.message.findMany({
+    where: { ...unreadWhere, waMessageId: { not: null } },
+    orderBy: { sentAt: "desc" },
+    take: MAX_READ_RECEIPTS,
+    select: { waMessageId: true, from: true, senderJid: true },
+  });
+
+  const [, updated] = await prisma.$transaction([
+    prisma.message.updateMany({
+      where: unreadWhere,
+      data: { status: "READ", readAt: new Date() },
+    }),
+    prisma.chat.update({
+      where: { id: chat.id },
+      data: { unreadCount: 0 },
+    }),
+  ]);
+
+  return { chat: updated, unread };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  recordChatMessage,
+  listChats,
+  listChatMessages,
+  markChatRead,
+};
@@ -0,0 +1,366 @@
+// ==================== CONTRACT LIFECYCLE ====================
+//
+// Pause, resume, cancel and retry change recipient statuses in the database only.
+// Message jobs already in BullMQ are not removed: the messages worker claims a
+// recipient right before sending and drops jobs whose recipient can't be claimed.
+
+const { messageQueue, MESSAGE_PRIORITY } = require("./queue");
+const { templateMedia } = require("./templates");
+const { resolveTimezone, delayUntilWindow } = require("./schedule");
+const { findSuppressions, suppressionNumber, suppressionReason } = require("./suppressions");
+
+const RECIPIENT_STATUSES = ["PENDING", "QUEUED", "SENDING", "SUCCESS", "FAILED", "SKIPPED", "INVALID_NUMBER"];
+
+// Recipients that still count towards pendingCount
+const OPEN_RECIPIENT_STATUSES = ["PENDING", "QUEUED", "SENDING"];
+
+// Only recipients of a running contract that nobody has sent yet may be sent
+const CLAIMABLE_RECIPIENT = {
+  status: { in: ["PENDING", "QUEUED"] },
+  contract: { status: "IN_PROGRESS" },
+};
+
+// Jobs are added and recipients marked in batches of this size
+const ENQUEUE_CHUNK_SIZE = 1000;
+
+/**
+ * PENDING recipients of a contract, a page at a time in id order.
+ * Keyset on id rather than Prisma's `cursor`: the caller moves each page out
+ * of PENDING, and `cursor` + `skip: 1` would then skip a real recipient.
+ */
+async function* pendingRecipientPages(prisma, contractId) {
+  let lastId = null;
+
+  for (;;) {
+    const page = await prisma.contractRecipient.findMany({
+      where: { contractId, status: "PENDING", ...(lastId && { id: { gt: lastId } }) },
+      orderBy: { id: "asc" },
+      take: ENQUEUE_CHUNK_SIZE,
+    });
+    if (page.length === 0) return;
+
+    yield page;
+
+    if (page.length < ENQUEUE_CHUNK_SIZE) return;
+    lastId = page[page.length - 1].id;
+  }
+}
+
+/**
+ * Adds a `messages` job for every PENDING recipient and marks them QUEUED.
+ * Suppressed numbers are SKIPPED instead of queued. Recipients are read and
+ * queued a page at a time, so memory doesn't grow with the contract.
+ * The template is copied into each job, so edits don't affect a running contract.
+ * Returns the number of queued recipients.
+ */
+async function enqueueRecipients(prisma, contractId) {
+  const contract = await prisma.contract.findUnique({
+    where: { id: contractId },
+    include: {
+      template: true,
+      account: { select: { timezone: true } },
+    },
+  });
+
+  if (!contract) {
+    throw new Error(`Contract ${contractId} not found`);
+  }
+
+  if (contract.templateId && !contract.template) {
+    throw new Error("Contract template was deleted");
+  }
+
+  const template = contract.template
+    ? { body: contract.template.body, media: templateMedia(contract.template) }
+    : null;
+
+  // Outside the send window a job waits as delayed
+  const sendWindow = contract.sendWindow || null;
+
+  let queued = 0;
+
+  for await (const chunk of pendingRecipientPages(prisma, contractId)) {
+    const suppressed = await findSuppressions(prisma, {
+      workspaceId: contract.workspaceId,
+      accountId: contract.accountId,
+      phoneNumbers: chunk.map((recipient) => recipient.phoneNumber),
+    });
+    const sendable = [];
+    const skippedByReason = new Map();
+
+    for (const recipient of chunk) {
+      const suppression = suppressed.get(suppressionNumber(recipient.phoneNumber));
+      if (!suppression) {
+        sendable.push(recipient);
+        continue;
+      }
+
+      const reason = suppressionReason(suppression);
+      skippedByReason.set(reason, [...(skippedByReason.get(reason) || []), recipient.id]);
+    }
+
+    for (const [reason, recipientIds] of skippedByReason) {
+      await skipRecipients(prisma, contractId, recipientIds, reason);
+    }
+
+    if (sendable.length === 0) continue;
+
+    await messageQueue.addBulk(
+      sendable.map((recipient) => {
+        const timezone = resolveTimezone(
+          recipient.timezone,
+          contract.timezone,
+          contract.account.timezone
+        );
+
+        return {
+          name: `msg-${recipient.phoneNumber}`,
+          data: {
+            contractId,
+            recipientId: recipient.id,
+            accountId: contract.accountId,
+            workspaceId: contract.workspaceId,
+            phoneNumber: recipient.phoneNumber,
+            message: recipient.message,
+            template,
+            variables: recipient.variables,
+            sendWindow,
+            timezone,
+          },
+          opts: {
+            priority: MESSAGE_PRIORITY.CONTRACT,
+            delay: delayUntilWindow(sendWindow, timezone),
+          },
+        };
+      })
+    );
+
+    // A recipient the worker already claimed keeps its status, and so does a contract paused meanwhile
+    await prisma.contractRecipient.updateMany({
+      where: {
+        id: { in: sendable.map((recipient) => recipient.id) },
+        status: "PENDING",
+        contract: { status: "IN_PROGRESS" },
+      },
+      data: { status: "QUEUED" },
+    });
+
+    queued += sendable.length;
+  }
+
+  return queued;
+}
+
+// Unsent recipients become SKIPPED with the reason; returns how many were skipped
+async function skipRecipients(prisma, contractId, recipientIds, skipReason) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.contractRecipient.updateMany({
+      where: { id: { in: recipientIds }, contractId, status: { in: ["PENDING", "QUEUED"] } },
+      data: { status: "SKIPPED", skipReason },
+    });
+
+    if (count > 0) {
+      await tx.contract.update({
+        where: { id: contractId },
+        data: {
+          skippedCount: { increment: count },
+          pendingCount: { decrement: count },
+        },
+      });
+    }
+
+    return count;
+  });
+}
+
+// A number without WhatsApp never gets a send attempt, so it doesn't count as FAILED
+async function markRecipientInvalid(prisma, contractId, recipientId, errorMessage) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.contractRecipient.updateMany({
+      where: { id: recipientId, contractId, status: { in: ["PENDING", "QUEUED"] } },
+      data: { status: "INVALID_NUMBER", errorMessage },
+    });
+
+    if (count > 0) {
+      await tx.contract.update({
+        where: { id: contractId },
+        data: {
+          invalidCount: { increment: 1 },
+          pendingCount: { decrement: 1 },
+        },
+      });
+    }
+
+    return count > 0;
+  });
+}
+
+// Queued recipients go back to PENDING so resume picks them up; messages being sent right now still finish
+async function pauseContract(prisma, contractId) {
+  const [contract, requeued] = await prisma.$transaction([
+    prisma.contract.update({
+      where: { id: contractId },
+      data: { status: "PAUSED" },
+    }),
+    prisma.contractRecipient.updateMany({
+      where: { contractId, status: "QUEUED" },
+      data: { status: "PENDING" },
+    }),
+  ]);
+
+  return { contract, requeued: requeued.count };
+}
+
+// Recipients still QUEUED in a stopped contract may have lost their job, so they are queued again;
+// a job that survived finds its recipient claimed by the new one and is dropped
+async function resumeContract(prisma, contractId) {
+  await prisma.$transaction([
+    prisma.contractRecipient.updateMany({
+      where: { contractId, status: "QUEUED", contract: { status: { not: "IN_PROGRESS" } } },
+      data: { status: "PENDING" },
+    }),
+    prisma.contract.update({
+      where: { id: contractId },
+      data: { status: "IN_PROGRESS", completedAt: null },
+    }),
+  ]);
+
+  return enqueueRecipients(prisma, contractId);
+}
+
+// Recipients that haven't been sent become SKIPPED
+async function cancelContract(prisma, contractId) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.contractRecipient.updateMany({
+      where: { contractId, status: { in: ["PENDING", "QUEUED"] } },
+      data: { status: "SKIPPED", skipReason: "Contract cancelled" },
+    });
+
+    const contract = await tx.contract.update({
+      where: { id: contractId },
+      data: {
+        status: "CANCELLED",
+        cancelledAt: new Date(),
+        skippedCount: { increment: count },
+        pendingCount: { decrement: count },
+      },
+    });
+
+    return { contract, skipped: count };
+  });
+}
+
+/**
+ * Moves FAILED recipients back to PENDING, optionally only those whose error
+ * contains `errorContains` (case-insensitive). The contract runs again, except
+ * a PAUSED one: its retried recipients wait for /resume like the rest.
+ */
+async function retryFailedRecipients(prisma, contractId, { errorContains } = {}) {
+  const { retried, paused } = await prisma.$transaction(async (tx) => {
+    const where = { contractId, status: "FAILED" };
+    if (errorContains) {
+      where.errorMessage = { contains: errorContains, mode: "insensitive" };
+    }
+
+    const { count } = await tx.contractRecipient.updateMany({
+      where,
+      data: { status: "PENDING", errorMessage: null },
+    });
+
+    if (count === 0) {
+      return { retried: 0, paused: false };
+    }
+
+    const contract = await tx.contract.update({
+      where: { id: contractId },
+      data: {
+        failureCount: { decrement: count },
+        pendingCount: { increment: count },
+      },
+    });
+
+    return { retried: count, paused: contract.status === "PAUSED" };
+  });
+
+  if (retried > 0 && !paused) {
+    await resumeContract(prisma, contractId);
+  }
+
+  return retried;
+}
+
+/**
+ * Hands a recipient back after a send attempt that won't be its last (a
+ * failure BullMQ retries, or a run that stalled). A running contract lets the
+ * retry claim it again; a paused one gets it back as PENDING for resume, and
+ * a cancelled one skips it like cancel did with the rest.
+ */
+async function releaseRecipient(prisma, contractId, recipientId) {
+  await prisma.$transaction([
+    prisma.contractRecipient.updateMany({
+      where: { id: recipientId, status: "SENDING", contract: { status: "IN_PROGRESS" } },
+      data: { status: "QUEUED" },
+    }),
+    prisma.contractRecipient.updateMany({
+      where: { id: recipientId, status: "SENDING" },
+      data: { status: "PENDING" },
+    }),
+  ]);
+
+  const contract = await prisma.contract.findUnique({ where: { id: contractId }, select: { status: true } });
+  if (contract?.status === "CANCELLED") {
+    await skipRecipients(prisma, contractId, [recipientId], "Contract cancelled");
+  }
+}
+
+// Cheap pre-check so jobs of paused or cancelled contracts don't wait for limits
+async function isRecipientClaimable(prisma, recipientId) {
+  return (await prisma.contractRecipient.count({ where: { id: recipientId, ...CLAIMABLE_RECIPIENT } })) > 0;
+}
+
+// Atomically marks the recipient SENDING; false means another job sent it or the contract stopped
+async function claimRecipient(prisma, recipientId) {
+  const { count } = await prisma.contractRecipient.updateMany({
+    where: { id: recipientId, ...CLAIMABLE_RECIPIENT },
+    data: {
+      status: "SENDING",
+      attempts: { increment: 1 },
+      lastAttempt: new Date(),
+    },
+  });
+
+  return count > 0;
+}
+
+// Returns the contract when this call completed it, otherwise null
+async function completeContractIfDone(prisma, contractId) {
+  const open = await prisma.contractRecipient.count({
+    where: { contractId, status: { in: OPEN_RECIPIENT_STATUSES } },
+  });
+  if (open > 0) return null;
+
+  // Paused and cancelled contracts keep their status
+  const { count } = await prisma.contract.updateMany({
+    where: { id: contractId, status: "IN_PROGRESS" },
+    data: { status: "COMPLETED", completedAt: new Date() },
+  });
+  if (count === 0) return null;
+
+  return prisma.contract.findUnique({ where: { id: contractId } });
+}
+
+module.exports = {
+  RECIPIENT_STATUSES,
+  OPEN_RECIPIENT_STATUSES,
+  enqueueRecipients,
+  skipRecipients,
+  markRecipientInvalid,
+  pauseContract,
+  resumeContract,
+  cancelContract,
+  retryFailedRecipients,
+  releaseRecipient,
+  isRecipientClaimable,
+  claimRecipient,
+  completeContractIfDone,
+};
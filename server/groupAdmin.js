@@ -0,0 +1,325 @@
+// ==================== GROUP ADMINISTRATION ====================
+//
+// Group changes made through the account's connected socket. Every action
+// that reaches WhatsApp is written to audit_logs, successful or not, and
+// counts against the account's per-minute rate limit like a sent message.
+
+const { resolveJid } = require("./phone");
+const { isGroupJid, toGroupJid, saveGroupMetadata } = require("./groups");
+const { downloadUrlMedia } = require("./media");
+
+const PARTICIPANT_ACTIONS = ["add", "remove", "promote", "demote"];
+
+// Limits WhatsApp applies to group info
+const MAX_SUBJECT_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 2048;
+
+// Adding many people at once is what gets accounts flagged
+const MAX_PARTICIPANTS_PER_REQUEST = 50;
+
+const INVITE_LINK_PREFIX = "https://chat.whatsapp.com/";
+
+// Baileys rejects with Boom errors: 401/403 when the account isn't an admin, 404 for unknown groups
+function rejectionStatus(error) {
+  const status = error.output?.statusCode;
+  if (status === 401 || status === 403) return 403;
+  if (status === 404) return 404;
+  if (status === 400) return 400;
+  return null;
+}
+
+function inviteLink(code) {
+  return { code, link: `${INVITE_LINK_PREFIX}${code}` };
+}
+
+function createGroupAdmin({ getPrisma, logger, clients, checkRateLimit, recordRateLimitHit, checkNeedRest, onGroupChanged }) {
+  function actor(auth) {
+    return {
+      actorType: auth?.type || "system",
+      actorId: auth?.apiKeyId || auth?.userId || null,
+    };
+  }
+
+  async function audit(auth, account, { action, target, details, error = null }) {
+    try {
+      await getPrisma().auditLog.create({
+        data: {
+          workspaceId: account.workspaceId,
+          accountId: account.id,
+          ...actor(auth),
+          action,
+          target: target || null,
+          details: details || undefined,
+          success: !error,
+          error,
+        },
+      });
+    } catch (auditError) {
+      logger.error(`Failed to write audit log for ${action} (${account.id}):`, auditError.message);
+    }
+  }
+
+  // Returns the connected socket, or { status, error } when the account can't act now
+  async function readyToAct(account) {
+    const clientInfo = clients.get(account.id);
+    if (!clientInfo || clientInfo.status !== "CONNECTED") {
+      return { status: 400, error: "Account not connected" };
+    }
+
+    const rest = await checkNeedRest(account.id);
+    if (rest.restingFor > 0) {
+      return {
+        status: 429,
+        error: "Account is resting",
+        retryAfter: Math.ceil(rest.restingFor / 1000),
+      };
+    }
+
+    const rate = await checkRateLimit(account.id);
+    if (!rate.allowed) {
+      return { status: 429, error: "Rate limit exceeded", retryAfter: rate.resetIn };
+    }
+
+    return { sock: clientInfo.sock };
+  }
+
+  /**
+   * Runs one WhatsApp call and audits it. `run(sock)` returns the response data;
+   * `targetOf(data)` names the target when it's only known afterwards.
+   * WhatsApp rejections become { status, error }, anything else is rethrown.
+   */
+  async function perform(auth, account, { action, target, targetOf, details }, run) {
+    const ready = await readyToAct(account);
+    if (ready.error) return ready;
+
+    let data;
+    try {
+      data = await run(ready.sock);
+    } catch (error) {
+      await audit(auth, account, { action, target, details, error: error.message });
+
+      const status = rejectionStatus(error);
+      if (status) return { status, error: error.message };
+      throw error;
+    }
+
+    await recordRateLimitHit(account.id);
+
+    const auditedTarget = target || targetOf?.(data);
+    await audit(auth, account, { action, target: auditedTarget, details });
+    logger.info(`${action} ${auditedTarget || ""} by ${actor(auth).actorType} (${account.id})`);
+
+    return { data, sock: ready.sock };
+  }
+
+  // Keeps the stored copy in step; the change itself already succeeded
+  async function refreshGroup(sock, account, jid) {
+    try {
+      const group = await saveGroupMetadata(getPrisma(), account, await sock.groupMetadata(jid));
+      onGroupChanged(account.id, group);
+      return group;
+    } catch (error) {
+      logger.warn(`Failed to refresh group ${jid} (${account.id}):`, error.message);
+      return null;
+    }
+  }
+
+  // Numbers or JIDs -> { jids } or { error }
+  function resolveParticipants(account, participants, { required }) {
+    if (!Array.isArray(participants) || (required && participants.length === 0)) {
+      return { error: "participants must be a non-empty array" };
+    }
+
+    if (participants.length > MAX_PARTICIPANTS_PER_REQUEST) {
+      return { error: `participants can contain at most ${MAX_PARTICIPANTS_PER_REQUEST} entries` };
+    }
+
+    const jids = [];
+    for (const participant of participants) {
+      const jid = resolveJid(participant, account);
+      if (!jid || isGroupJid(jid)) {
+        return { error: `Invalid phone number: ${participant}` };
+      }
+      jids.push(jid);
+    }
+
+    return { jids: [...new Set(jids)] };
+  }
+
+  function parseGroupId(groupId) {
+    const jid = groupId ? toGroupJid(groupId) : null;
+    return jid && isGroupJid(jid) ? jid : null;
+  }
+
+  async function createGroup(auth, account, { subject, participants = [] }) {
+    const name = String(subject || "").trim();
+    if (!name || name.length > MAX_SUBJECT_LENGTH) {
+      return { status: 400, error: `subject is required, at most ${MAX_SUBJECT_LENGTH} characters` };
+    }
+
+    const resolved = resolveParticipants(account, participants, { required: false });
+    if (resolved.error) return { status: 400, error: resolved.error };
+
+    const result = await perform(
+      auth,
+      account,
+      {
+        action: "group.create",
+        targetOf: (metadata) => metadata?.id,
+        details: { subject: name, participants: resolved.jids },
+      },
+      (sock) => sock.groupCreate(name, resolved.jids)
+    );
+    if (result.error) return result;
+
+    const group = await saveGroupMetadata(getPrisma(), account, result.data);
+    onGroupChanged(account.id, group);
+
+    return { data: group };
+  }
+
+  /**
+   * Returns per-participant results: WhatsApp answers "200" for success and
+   * e.g. "403" when a person's privacy settings only allow an invite link.
+   */
+  async function updateParticipants(auth, account, { groupId, action, participants }) {
+    const jid = parseGroupId(groupId);
+    if (!jid) return { status: 400, error: "groupId must be a group JID" };
+
+    if (!PARTICIPANT_ACTIONS.includes(action)) {
+      return { status: 400, error: `action must be one of: ${PARTICIPANT_ACTIONS.join(", ")}` };
+    }
+
+    const resolved = resolveParticipants(account, participants, { required: true });
+    if (resolved.error) return { status: 400, error: resolved.error };
+
+    const result = await perform(
+      auth,
+      account,
+      { action: `group.participants.${action}`, target: jid, details: { participants: resolved.jids } },
+      (sock) => sock.groupParticipantsUpdate(jid, resolved.jids, action)
+    );
+    if (result.error) return result;
+
+    await refreshGroup(result.sock, account, jid);
+
+    return {
+      data: (result.data || []).map((entry) => ({
+        jid: entry.jid,
+        status: entry.status,
+        success: entry.status === "200",
+      })),
+    };
+  }
+
+  async function updateSubject(auth, account, { groupId, subject }) {
+    const jid = parseGroupId(groupId);
+    if (!jid) return { status: 400, error: "groupId must be a group JID" };
+
+    const name = String(subject || "").trim();
+    if (!name || name.length > MAX_SUBJECT_LENGTH) {
+      return { status: 400, error: `subject is required, at most ${MAX_SUBJECT_LENGTH} characters` };
+    }
+
+    const result = await perform(
+      auth,
+      account,
+      { action: "group.subject", target: jid, details: { subject: name } },
+      (sock) => sock.groupUpdateSubject(jid, name)
+    );
+    if (result.error) return result;
+
+    return { data: await refreshGroup(result.sock, account, jid) };
+  }
+
+  // An empty description removes it
+  async function updateDescription(auth, account, { groupId, description }) {
+    const jid = parseGroupId(groupId);
+    if (!jid) return { status: 400, error: "groupId must be a group JID" };
+
+    const text = description ? String(description) : "";
+    if (text.length > MAX_DESCRIPTION_LENGTH) {
+      return { status: 400, error: `description can be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+
+    const result = await perform(
+      auth,
+      account,
+      { action: "group.description", target: jid, details: { description: text || null } },
+      (sock) => sock.groupUpdateDescription(jid, text || undefined)
+    );
+    if (result.error) return result;
+
+    return { data: await refreshGroup(result.sock, account, jid) };
+  }
+
+  // `media` is parsed by parseMediaInput and must be an image; null removes the picture
+  async function updatePicture(auth, account, { groupId, media }) {
+    const jid = parseGroupId(groupId);
+    if (!jid) return { status: 400, error: "groupId must be a group JID" };
+
+    if (media && media.type !== "image") {
+      return { status: 400, error: "Group picture must be an image" };
+    }
+
+    // Like sends, a URL is downloaded by us with every redirect checked, never by Baileys
+    let picture = media?.path ? { url: media.path } : null;
+    if (media && !picture) {
+      try {
+        picture = (await downloadUrlMedia(media)).buffer;
+      } catch (error) {
+        return { status: 400, error: `Failed to download media.url: ${error.message}` };
+      }
+    }
+
+    const result = await perform(
+      auth,
+      account,
+      { action: media ? "group.picture" : "group.picture.remove", target: jid },
+      (sock) => (picture ? sock.updateProfilePicture(jid, picture) : sock.removeProfilePicture(jid))
+    );
+    if (result.error) return result;
+
+    return { data: { success: true } };
+  }
+
+  async function getInviteLink(auth, account, { groupId }) {
+    const jid = parseGroupId(groupId);
+    if (!jid) return { status: 400, error: "groupId must be a group JID" };
+
+    const result = await perform(auth, account, { action: "group.invite", target: jid }, (sock) =>
+      sock.groupInviteCode(jid)
+    );
+    if (result.error) return result;
+
+    return { data: inviteLink(result.data) };
+  }
+
+  // The old link stops working; the response holds the new one
+  async function revokeInviteLink(auth, account, { groupId }) {
+    const jid = parseGroupId(groupId);
+    if (!jid) return { status: 400, error: "groupId must be a group JID" };
+
+    const result = await perform(auth, account, { action: "group.invite.revoke", target: jid }, (sock) =>
+      sock.groupRevokeInvite(jid)
+    );
+    if (result.error) return result;
+
+    return { data: inviteLink(result.data) };
+  }
+
+  return {
+    createGroup,
+    updateParticipants,
+    updateSubject,
+    updateDescription,
+    updatePicture,
+    getInviteLink,
+    revokeInviteLink,
+  };
+}
+
+module.exports = {
+  PARTICIPANT_ACTIONS,
+  createGroupAdmin,
+};
@@ -0,0 +1,222 @@
+// ==================== GROUPS ====================
+//
+// Groups the account belongs to, stored from Baileys groupMetadata and kept
+// up to date by the groups.* / group-participants.update events. The group's
+// Chat row takes the subject as its name.
+
+const { jidToNumber } = require("./phone");
+
+const MAX_GROUPS_PAGE = 100;
+
+const PARTICIPANT_ROLES = { admin: "ADMIN", superadmin: "SUPERADMIN" };
+
+function isGroupJid(jid) {
+  return typeof jid === "string" && jid.endsWith("@g.us");
+}
+
+// "120363025246125486" and "120363025246125486@g.us" both name the same group
+function toGroupJid(value) {
+  const jid = String(value).trim();
+  return jid.includes("@") ? jid : `${jid}@g.us`;
+}
+
+// Participants are JIDs in Baileys 6, objects with an `id` in later versions
+function participantJid(participant) {
+  return typeof participant === "string" ? participant : participant?.id;
+}
+
+function participantRow(groupId, participant) {
+  const jid = participantJid(participant);
+  return {
+    groupId,
+    jid,
+    phoneNumber: jid.endsWith("@s.whatsapp.net") ? jidToNumber(jid) : null,
+    role: PARTICIPANT_ROLES[participant.admin] || "MEMBER",
+  };
+}
+
+function groupFields(metadata) {
+  return {
+    subject: metadata.subject || null,
+    description: metadata.desc || null,
+    ownerJid: metadata.owner || null,
+    announce: Boolean(metadata.announce),
+    restrict: Boolean(metadata.restrict),
+    size: metadata.size || metadata.participants?.length || 0,
+    groupCreatedAt: metadata.creation ? new Date(metadata.creation * 1000) : null,
+  };
+}
+
+async function renameGroupChat(prisma, accountId, jid, subject) {
+  if (!subject) return;
+  await prisma.chat.updateMany({ where: { accountId, chatId: jid }, data: { name: subject } });
+}
+
+/**
+ * Stores a full groupMetadata result: the group and its complete participant list.
+ * Returns the group with participants.
+ */
+async function saveGroupMetadata(prisma, account, metadata) {
+  const fields = { ...groupFields(metadata), syncedAt: new Date() };
+
+  const group = await prisma.group.upsert({
+    where: { accountId_jid: { accountId: account.id, jid: metadata.id } },
+    create: { accountId: account.id, workspaceId: account.workspaceId, jid: metadata.id, ...fields },
+    update: fields,
+  });
+
+  await prisma.$transaction([
+    prisma.groupParticipant.deleteMany({ where: { groupId: group.id } }),
+    prisma.groupParticipant.createMany({
+      data: (metadata.participants || []).map((participant) => participantRow(group.id, participant)),
+      skipDuplicates: true,
+    }),
+  ]);
+
+  await renameGroupChat(prisma, account.id, metadata.id, metadata.subject);
+
+  return prisma.group.findUnique({ where: { id: group.id }, include: { participants: true } });
+}
+
+/**
+ * Re-reads every group the account participates in. Groups the account has
+ * left since the last sync are removed. Returns the number of groups.
+ */
+async function syncGroups(prisma, sock, account) {
+  const groups = Object.values((await sock.groupFetchAllParticipating()) || {});
+
+  for (const metadata of groups) {
+    await saveGroupMetadata(prisma, account, metadata);
+  }
+
+  await prisma.group.deleteMany({
+    where: { accountId: account.id, jid: { notIn: groups.map((metadata) => metadata.id) } },
+  });
+
+  return groups.length;
+}
+
+/**
+ * Applies a groups.update entry (subject, description, settings).
+ * Returns the updated group, or null when the group isn't stored yet.
+ */
+async function applyGroupUpdate(prisma, accountId, update) {
+  const data = {};
+  if (update.subject !== undefined) data.subject = update.subject || null;
+  if (update.desc !== undefined) data.description = update.desc || null;
+  if (update.announce !== undefined) data.announce = Boolean(update.announce);
+  if (update.restrict !== undefined) data.restrict = Boolean(update.restrict);
+
+  const group = await prisma.group.findUnique({
+    where: { accountId_jid: { accountId, jid: update.id } },
+  });
+  if (!group) return null;
+  if (Object.keys(data).length === 0) return group;
+
+  const updated = await prisma.group.update({ where: { id: group.id }, data });
+  await renameGroupChat(prisma, accountId, update.id, data.subject);
+
+  return updated;
+}
+
+/**
+ * Applies a group-participants.update event (add, remove, promote, demote).
+ * When the account itself is removed the group is dropped.
+ * Returns the group (null when unknown or dropped).
+ */
+async function applyParticipantsUpdate(prisma, accountId, { id, participants, action }, { selfJid = null } = {}) {
+  const group = await prisma.group.findUnique({
+    where: { accountId_jid: { accountId, jid: id } },
+  });
+  if (!group) return null;
+
+  const jids = (participants || []).map(participantJid).filter(Boolean);
+  const where = { groupId: group.id, jid: { in: jids } };
+
+  if (action === "remove" && selfJid && jids.some((jid) => jidToNumber(jid) === jidToNumber(selfJid))) {
+    await prisma.group.delete({ where: { id: group.id } });
+    return null;
+  }
+
+  if (action === "add") {
+    await prisma.groupParticipant.createMany({
+      data: jids.map((jid) => participantRow(group.id, jid)),
+      skipDuplicates: true,
+    });
+  } else if (action === "remove") {
+    await prisma.groupParticipant.deleteMany({ where });
+  } else if (action === "promote" || action === "demote") {
+    await prisma.groupParticipant.updateMany({
+      where,
+      data: { role: action === "promote" ? "ADMIN" : "MEMBER" },
+    });
+  }
+
+  const size = await prisma.groupParticipant.count({ where: { groupId: group.id } });
+  return prisma.group.update({ where: { id: group.id }, data: { size } });
+}
+
+// Participant names come from the contacts table (push names seen in messages)
+async function withParticipantNames(prisma, group) {
+  const contacts = await prisma.contact.findMany({
+    where: { accountId: group.accountId, jid: { in: group.participants.map((participant) => participant.jid) } },
+    select: { jid: true, name: true },
+  });
+  const names = new Map(contacts.map((contact) => [contact.jid, contact.name]));
+
+  return {
+    ...group,
+    participants: group.participants.map((participant) => ({
+      ...participant,
+      name: names.get(participant.jid) || null,
+    })),
+    admins: group.participants
+      .filter((participant) => participant.role !== "MEMBER")
+      .map((participant) => participant.jid),
+  };
+}
+
+async function listGroups(prisma, accountId, { page = 1, limit = 50, search } = {}) {
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_GROUPS_PAGE);
+
+  const where = { accountId };
+  if (search) {
+    where.subject = { contains: String(search), mode: "insensitive" };
+  }
+
+  const [groups, total] = await Promise.all([
+    prisma.group.findMany({
+      where,
+      orderBy: [{ subject: "asc" }, { id: "asc" }],
+      skip: (pageNum - 1) * limitNum,
+      take: limitNum,
+    }),
+    prisma.group.count({ where }),
+  ]);
+
+  const totalPages = Math.ceil(total / limitNum);
+
+  return {
+    data: groups,
+    pagination: {
+      total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+    },
+  };
+}
+
+module.exports = {
+  isGroupJid,
+  toGroupJid,
+  saveGroupMetadata,
+  syncGroups,
+  applyGroupUpdate,
+  applyParticipantsUpdate,
+  withParticipantNames,
+  listGroups,
+};
@@ -0,0 +1,298 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const multer = require("multer");
+const { parse } = require("csv-parse");
+const ExcelJS = require("exceljs");
+const { normalizePhoneNumber } = require("./phone");
+const { isValidTimezone } = require("./schedule");
+const { extractPlaceholders, renderTemplate, MissingVariablesError } = require("./templates");
+
+// ==================== CONTRACT RECIPIENT IMPORT ====================
+
+const MAX_IMPORT_SIZE = parseInt(process.env.IMPORT_MAX_SIZE_MB || "50", 10) * 1024 * 1024;
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS || "100000", 10);
+
+// Rows per createMany; keeps each INSERT well below Postgres' bind parameter limit
+const IMPORT_CHUNK_SIZE = parseInt(process.env.IMPORT_CHUNK_SIZE || "1000", 10);
+
+// The full counts are always returned, only the row-level lists are truncated
+const MAX_REPORTED_ROWS = 1000;
+
+const IMPORT_DIR = path.join(os.tmpdir(), "wa-manager-imports");
+
+// Header names recognised when no explicit mapping is given
+const DEFAULT_COLUMNS = {
+  phoneNumber: ["phonenumber", "phone", "number", "телефон", "номер"],
+  message: ["message", "text", "сообщение", "текст"],
+  timezone: ["timezone", "tz", "часовойпояс"],
+};
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportError";
+  }
+}
+
+// Multipart handler for the spreadsheet in the `file` field
+function createImportUpload() {
+  fs.mkdirSync(IMPORT_DIR, { recursive: true });
+
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: IMPORT_DIR,
+      filename: (req, file, cb) =>
+        cb(null, `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${path.extname(file.originalname || "")}`),
+    }),
+    limits: { fileSize: MAX_IMPORT_SIZE, files: 1 },
+  }).single("file");
+
+  return function importUpload(req, res, next) {
+    upload(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({ error: `Upload failed: ${error.message}` });
+      }
+      next();
+    });
+  };
+}
+
+function importFormat(file) {
+  const extension = path.extname(file.originalname || "").toLowerCase();
+  if (extension === ".csv" || file.mimetype === "text/csv") return "csv";
+  if (extension === ".xlsx") return "xlsx";
+  return null;
+}
+
+// Excel cells may hold numbers, dates, formulas, hyperlinks or rich text
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((part) => part.text).join("");
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return "";
+  }
+  return String(value).trim();
+}
+
+function headerNames(values) {
+  return values.map((value, index) => cellText(value) || `column${index + 1}`);
+}
+
+// Yields { row, values } with values keyed by header; row numbers match the spreadsheet
+async function* readCsvRows(filePath) {
+  const parser = fs.createReadStream(filePath).pipe(
+    parse({
+      bom: true,
+      delimiter: [",", ";", "\t"],
+      relax_column_count: true,
+      skip_empty_lines: true,
+      trim: true,
+      info: true,
+    })
+  );
+
+  let headers = null;
+  for await (const { record, info } of parser) {
+    if (!headers) {
+      headers = headerNames(record);
+      continue;
+    }
+    yield { row: info.lines, values: Object.fromEntries(headers.map((name, i) => [name, record[i] ?? ""])) };
+  }
+}
+
+// Streams the first worksheet only
+async function* readXlsxRows(filePath) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+    sharedStrings: "cache",
+    hyperlinks: "cache",
+    styles: "ignore",
+    worksheets: "emit",
+  });
+
+  for await (const worksheet of workbook) {
+    let headers = null;
+    for await (const row of worksheet) {
+      // row.values is 1-based
+      const cells = row.values.slice(1);
+      if (!headers) {
+        headers = headerNames(cells);
+        continue;
+      }
+      if (cells.every((cell) => cellText(cell) === "")) continue;
+      yield { row: row.number, values: Object.fromEntries(headers.map((name, i) => [name, cellText(cells[i])])) };
+    }
+    return;
+  }
+}
+
+function findColumn(headers, candidates) {
+  return headers.find((header) => candidates.includes(header.toLowerCase().replace(/[\s_-]/g, ""))) || null;
+}
+
+/**
+ * Resolves which spreadsheet columns feed which recipient fields.
+ * Explicit mapping: { phoneNumber, message, timezone, variables: { name: "Column" } }.
+ * Without `variables`, a template import uses every unmapped column under its header name.
+ */
+function resolveMapping(headers, mapping, template) {
+  const columns = {
+    phoneNumber: mapping.phoneNumber || findColumn(headers, DEFAULT_COLUMNS.phoneNumber),
+    message: mapping.message || findColumn(headers, DEFAULT_COLUMNS.message),
+    timezone: mapping.timezone || findColumn(headers, DEFAULT_COLUMNS.timezone),
+  };
+
+  if (!columns.phoneNumber) {
+    throw new ImportError("Phone number column not found; set mapping.phoneNumber");
+  }
+
+  let variables = mapping.variables;
+  if (!variables && template) {
+    const mapped = new Set(Object.values(columns));
+    variables = Object.fromEntries(headers.filter((h) => !mapped.has(h)).map((h) => [h, h]));
+  }
+  columns.variables = variables || {};
+
+  const referenced = [columns.phoneNumber, columns.message, columns.timezone, ...Object.values(columns.variables)];
+  const unknown = referenced.filter((column) => column && !headers.includes(column));
+  if (unknown.length > 0) {
+    throw new ImportError(`Unknown column(s): ${[...new Set(unknown)].join(", ")}`);
+  }
+
+  if (template) {
+    const missing = extractPlaceholders(template.body).filter(
+      (name) => !Object.keys(columns.variables).includes(name.split(".")[0])
+    );
+    if (missing.length > 0) {
+      throw new ImportError(`No column mapped for template variable(s): ${missing.join(", ")}`);
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * Reads and validates the whole file before anything is written.
+ * Returns { recipients, totalRows, errors, duplicates, errorCount, duplicateCount }.
+ */
+async function parseRecipientFile(file, { mapping = {}, template = null, message = null, defaultCountryCode = null }) {
+  const format = importFormat(file);
+  if (!format) {
+    throw new ImportError("File must be CSV or XLSX");
+  }
+
+  const rows = format === "csv" ? readCsvRows(file.path) : readXlsxRows(file.path);
+
+  const recipients = [];
+  const errors = [];
+  const duplicates = [];
+  const seen = new Map();
+  let columns = null;
+  let totalRows = 0;
+  let errorCount = 0;
+  let duplicateCount = 0;
+
+  const reportError = (row, phoneNumber, error) => {
+    errorCount++;
+    if (errors.length < MAX_REPORTED_ROWS) errors.push({ row, phoneNumber, error });
+  };
+
+  for await (const { row, values } of rows) {
+    if (!columns) {
+      columns = resolveMapping(Object.keys(values), mapping, template);
+    }
+
+    totalRows++;
+    if (totalRows > MAX_IMPORT_ROWS) {
+      throw new ImportError(`File has more than ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    const rawPhone = values[columns.phoneNumber];
+    const phoneNumber = normalizePhoneNumber(rawPhone, { defaultCountryCode });
+    if (!phoneNumber) {
+      reportError(row, rawPhone || null, "Invalid phone number");
+      continue;
+    }
+
+    if (seen.has(phoneNumber)) {
+      duplicateCount++;
+      if (duplicates.length < MAX_REPORTED_ROWS) {
+        duplicates.push({ row, phoneNumber, firstRow: seen.get(phoneNumber) });
+      }
+      continue;
+    }
+
+    const timezone = columns.timezone ? values[columns.timezone] || null : null;
+    if (timezone && !isValidTimezone(timezone)) {
+      reportError(row, phoneNumber, `Invalid timezone: ${timezone}`);
+      continue;
+    }
+
+    const recipient = { phoneNumber, message: "", timezone };
+
+    if (template) {
+      recipient.variables = Object.fromEntries(
+        Object.entries(columns.variables)
+          .filter(([, column]) => values[column] !== "")
+          .map(([name, column]) => [name, values[column]])
+      );
+
+      try {
+        renderTemplate(template.body, recipient.variables);
+      } catch (error) {
+        if (!(error instanceof MissingVariablesError)) throw error;
+        reportError(row, phoneNumber, error.message);
+        continue;
+      }
+    } else {
+      recipient.message = message || (columns.message ? values[columns.message] : "");
+      if (!recipient.message) {
+        reportError(row, phoneNumber, "Message is empty");
+        continue;
+      }
+    }
+
+    seen.set(phoneNumber, row);
+    recipients.push(recipient);
+  }
+
+  if (!columns) {
+    throw new ImportError("File has no data rows");
+  }
+
+  return { recipients, totalRows, errors, duplicates, errorCount, duplicateCount };
+}
+
+// createMany in chunks so a 100k-row import is never one giant statement
+async function createRecipientsInChunks(prisma, contractId, recipients) {
+  for (let i = 0; i < recipients.length; i += IMPORT_CHUNK_SIZE) {
+    await prisma.contractRecipient.createMany({
+      data: recipients.slice(i, i + IMPORT_CHUNK_SIZE).map((recipient) => ({
+        contractId,
+        phoneNumber: recipient.phoneNumber,
+        message: recipient.message,
+        variables: recipient.variables,
+        timezone: recipient.timezone,
+        status: "PENDING",
+      })),
+    });
+  }
+}
+
+async function removeImportFile(file) {
+  if (!file?.path) return;
+  await fs.promises.rm(file.path, { force: true }).catch(() => {});
+}
+
+module.exports = {
+  ImportError,
+  createImportUpload,
+  parseRecipientFile,
+  createRecipientsInChunks,
+  removeImportFile,
+};
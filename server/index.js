@@ -7,15 +7,77 @@ const QRCode = require("qrcode");
 const fs = require("fs");
 const path = require("path");
 const pino = require("pino");
-const { contractQueue, messageQueue } = require("./queue");
+const {
+  contractQueue,
+  messageQueue,
+  webhookQueue,
+  MESSAGE_PRIORITY,
+  enqueueContract,
+  redisConnection,
+} = require("./queue");
 const { initializeWorkers } = require("./workers");
 const { initSocketIO } = require("./socket");
+const { createAuth, hasScope, isPlatformAuth, scopeToWorkspace, resolveWorkspaceId, corsOptions } = require("./auth");
+const { createWebhookDispatcher } = require("./webhooks");
+const { ackToStatus, createReceiptTracker } = require("./receipts");
+const { isValidTimezone, parseContractSchedule } = require("./schedule");
+const { createLimiter } = require("./limiter");
+const {
+  RECIPIENT_STATUSES,
+  OPEN_RECIPIENT_STATUSES,
+  pauseContract,
+  resumeContract,
+  cancelContract,
+  retryFailedRecipients,
+  completeContractIfDone,
+} = require("./contracts");
+const { matchOptOutKeyword, optOutNumbers, addSuppressions, findSuppression, suppressionReason } = require("./suppressions");
+const { checkNumbers } = require("./numberCheck");
+const { recordChatMessage, listChats, listChatMessages, markChatRead } = require("./chats");
+const { searchMessages } = require("./search");
+const { createGroupAdmin } = require("./groupAdmin");
+const {
+  MESSAGE_CONTEXT_INCLUDE,
+  selfJid,
+  messageKey,
+  toQuotedMessage,
+  resolveSendOptions,
+  saveReaction,
+  applyIncomingReaction,
+  incomingReplyFields,
+} = require("./replies");
+const {
+  isGroupJid,
+  toGroupJid,
+  saveGroupMetadata,
+  syncGroups,
+  applyGroupUpdate,
+  applyParticipantsUpdate,
+  withParticipantNames,
+  listGroups,
+} = require("./groups");
+const { parseCountryCode, normalizePhoneNumber, resolveJid, toJid, jidToNumber } = require("./phone");
+const {
+  MAX_INLINE_MEDIA_SIZE,
+  MAX_MEDIA_SIZE,
+  createMediaUpload,
+  parseMediaInput,
+  downloadUrlMedia,
+  buildMessageContent,
+  describeMessage,
+  removeOutgoingMedia,
+  storeMedia,
+  extractMessageContent,
+  outgoingMessageFields,
+} = require("./media");
 
 const {
   default: makeWASocket,
   DisconnectReason,
   useMultiFileAuthState,
   fetchLatestBaileysVersion,
+  downloadMediaMessage,
+  normalizeMessageContent,
 } = require("@whiskeysockets/baileys");
 
 // ==================== PRISMA WITH AUTO-RECONNECT ====================
@@ -151,18 +213,28 @@ function startDbHealthCheck() {
 
 const app = express();
 
-// CORS configuration
+// Number of reverse proxies (nginx, traefik) in front of the API, so req.ip is
+// the client's address from X-Forwarded-For; login lockouts are keyed by it
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY, 10) || 0);
+}
+
+// CORS configuration - the dashboard authenticates with a session cookie,
+// so only the configured origins get credentialed access (see corsOptions)
 app.use(
   cors({
-    origin: "*",
-    methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
+    ...corsOptions(["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"]),
     allowedHeaders: ["Content-Type", "Authorization", "Accept"],
-    credentials: true,
   })
 );
 
+// Send routes accept base64 media inline, everything else stays small
+const MEDIA_SEND_ROUTES = ["/api/messages/send", "/api/accounts/:accountId/chats/:chatId"];
+app.post(MEDIA_SEND_ROUTES, express.json({ limit: MAX_INLINE_MEDIA_SIZE }));
 app.use(express.json({ limit: "1mb" }));
 
+const mediaUpload = createMediaUpload();
+
 // Logger configuration - minimal for production
 const logger = pino({
   level: process.env.LOG_LEVEL || "info",
@@ -176,6 +248,40 @@ const logger = pino({
   },
 });
 
+// ==================== AUTHENTICATION ====================
+
+const { requireScope, requireAuth, requirePlatform, socketMiddleware } = createAuth({
+  getPrisma: () => prisma,
+  logger,
+});
+
+// ==================== WEBHOOKS ====================
+
+const { emitWebhookEvent } = createWebhookDispatcher({
+  getPrisma: () => prisma,
+  logger,
+});
+
+// ==================== RECEIPTS ====================
+
+// Outgoing message progress: SENT/FAILED from the messages worker, DELIVERED/READ from receipts
+function emitMessageStatus(data) {
+  if (global.io) {
+    global.io.of('/chats')
+      .to(`account:${data.accountId}`)
+      .emit('message:status', {
+        ...data,
+        timestamp: new Date().toISOString()
+      });
+  }
+}
+
+const { applyStatus: applyReceiptStatus } = createReceiptTracker({
+  getPrisma: () => prisma,
+  logger,
+  onStatus: emitMessageStatus,
+});
+
 // ==================== CONFIGURATION ====================
 
 const CONFIG = {
@@ -209,13 +315,8 @@ const CONFIG = {
 
   // Cleanup intervals
   CLEANUP_INTERVAL: 300000, // Cleanup every 5 minutes
-  MAP_ENTRY_TTL: 86400000, // 24 hours TTL for map entries
   SESSION_CLEANUP_INTERVAL: 3600000, // Cleanup sessions every hour
 
-  // Message queue
-  MESSAGE_RETRY_COUNT: 3,
-  MESSAGE_RETRY_DELAY: 5000,
-
   // Resource monitoring
   RESOURCE_MONITOR_INTERVAL: 60000, // Every minute
 
@@ -224,6 +325,8 @@ const CONFIG = {
   TYPING_SPEED_MAX: 100,
   DELAY_BEFORE_TYPING_MIN: 500,
   DELAY_BEFORE_TYPING_MAX: 2000,
+  UPLOAD_DELAY_MIN: 1500,
+  UPLOAD_DELAY_MAX: 4000,
   DELAY_BETWEEN_MESSAGES_MIN: 3000,
   DELAY_BETWEEN_MESSAGES_MAX: 8000,
   REST_AFTER_MESSAGES: 5,
@@ -232,7 +335,6 @@ const CONFIG = {
 
   // Per-client limits
   MAX_CLIENTS: parseInt(process.env.MAX_CLIENTS || "150", 10), // Maximum concurrent clients
-  MAX_QUEUE_SIZE_PER_CLIENT: 1000, // Maximum queue size per client
 };
 
 // ==================== STATE MANAGEMENT ====================
@@ -246,18 +348,6 @@ const reconnectAttempts = new Map();
 // Track accounts being connected
 const connectingAccounts = new Set();
 
-// Rate limiting tracker with timestamps for cleanup
-const rateLimiter = new Map();
-
-// Daily limits tracker with timestamps
-const dailyLimits = new Map();
-
-// Message counters with timestamps
-const messageCounters = new Map();
-
-// Message queues with size limits
-const messageQueues = new Map();
-
 // Graceful shutdown flag
 let isShuttingDown = false;
 
@@ -342,6 +432,11 @@ async function updateAccountStatus(accountId, status, data = {}) {
           timestamp: new Date().toISOString()
         });
     }
+
+    emitWebhookEvent(accountId, "account.status", {
+      status,
+      phoneNumber: data.phoneNumber || null,
+    });
   } catch (error) {
     logger.error(`Failed to update status for ${accountId}:`, error.message);
   }
@@ -365,6 +460,12 @@ function calculateTypingDelay(message) {
   return Math.min(length * speed, 5000); // Cap at 5 seconds
 }
 
+function calculateUploadDelay(media) {
+  const sizeKb = (media.size || 0) / 1024;
+  const base = randomDelay(CONFIG.UPLOAD_DELAY_MIN, CONFIG.UPLOAD_DELAY_MAX);
+  return Math.min(base + sizeKb, 10000); // Cap at 10 seconds
+}
+
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -373,48 +474,8 @@ function sleep(ms) {
 
 // Clean up old entries from Maps
 function cleanupMaps() {
-  const now = Date.now();
   let cleaned = 0;
 
-  // Clean rateLimiter - remove entries older than window
-  for (const [accountId, data] of rateLimiter.entries()) {
-    if (now - data.windowStart > CONFIG.RATE_LIMIT_WINDOW * 2) {
-      rateLimiter.delete(accountId);
-      cleaned++;
-    }
-  }
-
-  // Clean dailyLimits - reset old days
-  const today = new Date().toDateString();
-  for (const [accountId, data] of dailyLimits.entries()) {
-    if (data.date !== today) {
-      dailyLimits.delete(accountId);
-      cleaned++;
-    }
-  }
-
-  // Clean messageCounters - remove for disconnected clients
-  for (const [accountId, data] of messageCounters.entries()) {
-    const client = clients.get(accountId);
-    if (!client || client.status !== "CONNECTED") {
-      if (now - (data.lastActivity || 0) > CONFIG.MAP_ENTRY_TTL) {
-        messageCounters.delete(accountId);
-        cleaned++;
-      }
-    }
-  }
-
-  // Clean empty message queues
-  for (const [accountId, queue] of messageQueues.entries()) {
-    if (queue.length === 0) {
-      const client = clients.get(accountId);
-      if (!client || client.status !== "CONNECTED") {
-        messageQueues.delete(accountId);
-        cleaned++;
-      }
-    }
-  }
-
   // Clean old reconnect attempts
   for (const [accountId, attempts] of reconnectAttempts.entries()) {
     const client = clients.get(accountId);
@@ -496,122 +557,26 @@ function startCleanupRoutine() {
 
 // ==================== RATE LIMITING ====================
 
-async function checkRateLimit(accountId) {
-  const account = await prisma.whatsAppAccount.findUnique({
-    where: { id: accountId },
-    select: { useLimits: true },
-  });
-
-  if (!account || !account.useLimits) {
-    return { allowed: true, noLimits: true };
-  }
-
-  const now = Date.now();
-
-  if (!rateLimiter.has(accountId)) {
-    rateLimiter.set(accountId, { count: 0, windowStart: now });
-  }
-
-  const limiter = rateLimiter.get(accountId);
-
-  if (now - limiter.windowStart > CONFIG.RATE_LIMIT_WINDOW) {
-    limiter.count = 0;
-    limiter.windowStart = now;
-  }
-
-  if (limiter.count >= CONFIG.RATE_LIMIT_MAX_MESSAGES) {
-    const resetIn = Math.ceil(
-      (limiter.windowStart + CONFIG.RATE_LIMIT_WINDOW - now) / 1000
-    );
-    return { allowed: false, resetIn };
-  }
-
-  limiter.count++;
-  return { allowed: true };
-}
-
-async function checkDailyLimit(accountId) {
-  const today = new Date().toDateString();
-
-  if (!dailyLimits.has(accountId)) {
-    dailyLimits.set(accountId, {
-      date: today,
-      messageCount: 0,
-      newChatsCount: 0,
-    });
-  }
-
-  const limits = dailyLimits.get(accountId);
-
-  if (limits.date !== today) {
-    limits.date = today;
-    limits.messageCount = 0;
-    limits.newChatsCount = 0;
-  }
-
-  const account = await prisma.whatsAppAccount.findUnique({
-    where: { id: accountId },
-    select: { useLimits: true, createdAt: true },
-  });
-
-  if (!account) {
-    return { allowed: false, reason: "Account not found" };
-  }
-
-  if (!account.useLimits) {
-    return { allowed: true, isNewAccount: false, noLimits: true };
-  }
-
-  const accountAge = Date.now() - new Date(account.createdAt).getTime();
-  const isNewAccount = accountAge < 7 * 24 * 60 * 60 * 1000;
-
-  const dailyLimit = isNewAccount
-    ? CONFIG.DAILY_MESSAGE_LIMIT_NEW_ACCOUNT
-    : CONFIG.DAILY_MESSAGE_LIMIT_OLD_ACCOUNT;
-
-  if (limits.messageCount >= dailyLimit) {
-    return {
-      allowed: false,
-      reason: `Daily limit reached (${dailyLimit} messages)`,
-      isNewAccount,
-    };
-  }
-
-  return { allowed: true, isNewAccount };
-}
-
-async function checkNeedRest(accountId) {
-  const account = await prisma.whatsAppAccount.findUnique({
-    where: { id: accountId },
-    select: { useLimits: true },
-  });
-
-  if (!account || !account.useLimits) {
-    return { needRest: false, noLimits: true };
-  }
-
-  if (!messageCounters.has(accountId)) {
-    messageCounters.set(accountId, {
-      count: 0,
-      lastRest: Date.now(),
-      isResting: false,
-      lastActivity: Date.now(),
-    });
-  }
-
-  const counter = messageCounters.get(accountId);
-  counter.lastActivity = Date.now();
-
-  if (counter.isResting) {
-    return { needRest: true, reason: "Currently resting" };
-  }
-
-  if (counter.count >= CONFIG.REST_AFTER_MESSAGES) {
-    return { needRest: true, reason: "Need rest after messages" };
-  }
-
-  return { needRest: false };
-}
+// Counters live in Redis (see server/limiter.js) and are shared with the workers
+const {
+  getLimits,
+  checkRateLimit,
+  recordRateLimitHit,
+  checkDailyLimit,
+  checkNeedRest,
+  checkNewChatLimit,
+  startRest,
+  recordMessageSent,
+  acquireSendLock,
+  releaseSendLock,
+  startSendPause,
+  getSendPause,
+  reserveSendSlot,
+  getLimitUsage,
+  getLoginLock,
+  recordLoginFailure,
+  clearLoginFailures,
+} = createLimiter({ redis: redisConnection, getPrisma: () => prisma, CONFIG });
 
 // ==================== CLIENT CLEANUP ====================
 
@@ -641,11 +606,6 @@ async function cleanupClient(accountId) {
   }
   clients.delete(accountId);
   connectingAccounts.delete(accountId);
-
-  // Clear related data
-  messageQueues.delete(accountId);
-  rateLimiter.delete(accountId);
-  messageCounters.delete(accountId);
 }
 
 // ==================== RECONNECTION LOGIC ====================
@@ -900,39 +860,30 @@ function stopWatchdog() {
   }
 }
 
-// ==================== MESSAGE QUEUE SYSTEM ====================
+// ==================== SENDING ====================
 
-function enqueueMessage(accountId, to, message) {
-  if (!messageQueues.has(accountId)) {
-    messageQueues.set(accountId, []);
+// `quoted` is a Baileys quoted message (see toQuotedMessage), `mentions` a list of JIDs
+async function sendMessageWithHumanBehavior(accountId, jid, message, media = null, { quoted = null, mentions = [] } = {}) {
+  const clientInfo = clients.get(accountId);
+  if (!clientInfo || clientInfo.status !== "CONNECTED") {
+    throw new Error("Client not connected");
   }
 
-  const queue = messageQueues.get(accountId);
-
-  // Enforce queue size limit
-  if (queue.length >= CONFIG.MAX_QUEUE_SIZE_PER_CLIENT) {
-    logger.warn(`Queue full for ${accountId}, dropping oldest message`);
-    queue.shift();
+  // URL media is downloaded now, re-checked against private addresses on every hop:
+  // template media and queued jobs may go out long after the URL was accepted
+  if (media?.url && !media.path) {
+    try {
+      media = await downloadUrlMedia(media);
+    } catch (error) {
+      throw new Error(`Media URL download failed: ${error.message}`);
+    }
   }
 
-  const messageId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-
-  queue.push({
-    id: messageId,
-    to,
-    message,
-    retries: 0,
-    createdAt: Date.now(),
-  });
-
-  return messageId;
-}
-
-async function sendMessageWithHumanBehavior(accountId, jid, message) {
-  const clientInfo = clients.get(accountId);
-  if (!clientInfo || clientInfo.status !== "CONNECTED") {
-    throw new Error("Client not connected");
+  const content = buildMessageContent(message, media);
+  if (mentions.length > 0) {
+    content.mentions = mentions;
   }
+  const options = quoted ? { quoted } : undefined;
 
   const account = await prisma.whatsAppAccount.findUnique({
     where: { id: accountId },
@@ -941,7 +892,7 @@ async function sendMessageWithHumanBehavior(accountId, jid, message) {
 
   // No limits - send immediately
   if (account && !account.useLimits) {
-    const sentMessage = await clientInfo.sock.sendMessage(jid, { text: message });
+    const sentMessage = await clientInfo.sock.sendMessage(jid, content, options);
     clientInfo.lastActivity = Date.now();
     return sentMessage;
   }
@@ -950,13 +901,17 @@ async function sendMessageWithHumanBehavior(accountId, jid, message) {
   const delayBeforeTyping = randomDelay(CONFIG.DELAY_BEFORE_TYPING_MIN, CONFIG.DELAY_BEFORE_TYPING_MAX);
   await sleep(delayBeforeTyping);
 
+  // WhatsApp only has "recording" for media; other uploads show as composing
+  // but last as long as picking and uploading the file would
+  const presence = media?.type === "audio" ? "recording" : "composing";
+
   try {
-    await clientInfo.sock.sendPresenceUpdate("composing", jid);
+    await clientInfo.sock.sendPresenceUpdate(presence, jid);
   } catch (err) {
     // Ignore presence errors
   }
 
-  const typingDuration = calculateTypingDelay(message);
+  const typingDuration = media ? calculateUploadDelay(media) : calculateTypingDelay(message);
   await sleep(typingDuration);
 
   try {
@@ -967,139 +922,60 @@ async function sendMessageWithHumanBehavior(accountId, jid, message) {
 
   await sleep(randomDelay(200, 800));
 
-  const sentMessage = await clientInfo.sock.sendMessage(jid, { text: message });
+  const sentMessage = await clientInfo.sock.sendMessage(jid, content, options);
   clientInfo.lastActivity = Date.now();
 
   return sentMessage;
 }
 
-async function processMessageQueue(accountId) {
-  const queue = messageQueues.get(accountId);
-  if (!queue || queue.length === 0) return;
-
-  const clientInfo = clients.get(accountId);
-  if (!clientInfo || clientInfo.status !== "CONNECTED") {
-    setTimeout(() => processMessageQueue(accountId), 10000);
-    return;
-  }
-
-  const restCheck = await checkNeedRest(accountId);
-  if (restCheck.needRest && !restCheck.noLimits) {
-    const counter = messageCounters.get(accountId);
-    if (counter && !counter.isResting) {
-      counter.isResting = true;
-      const restDuration = randomDelay(CONFIG.REST_DURATION_MIN, CONFIG.REST_DURATION_MAX);
-      logger.info(`Account ${accountId} resting for ${Math.round(restDuration / 1000)}s`);
-
-      setTimeout(() => {
-        counter.isResting = false;
-        counter.count = 0;
-        processMessageQueue(accountId);
-      }, restDuration);
-    }
-    return;
-  }
-
-  const rateCheck = await checkRateLimit(accountId);
-  if (!rateCheck.allowed && !rateCheck.noLimits) {
-    setTimeout(() => processMessageQueue(accountId), rateCheck.resetIn * 1000);
-    return;
-  }
-
-  const dailyCheck = await checkDailyLimit(accountId);
-  if (!dailyCheck.allowed && !dailyCheck.noLimits) {
-    setTimeout(() => processMessageQueue(accountId), 3600000);
-    return;
-  }
-
-  const msg = queue[0];
+// ==================== INCOMING MEDIA ====================
 
+// Downloads the file (or keeps the vCard) of an incoming message and returns
+// its storage URL; null when there is nothing to store or it can't be fetched
+async function saveIncomingMedia(sock, msg, content, workspaceId, accountId) {
   try {
-    // Support all JID formats: @s.whatsapp.net, @lid, @g.us
-    let jid = msg.to;
-    if (!msg.to.includes("@")) {
-      // Plain number - default to regular WhatsApp
-      jid = `${msg.to}@s.whatsapp.net`;
-    } else if (msg.to.includes("@lid")) {
-      // LID format - use as is
-      jid = msg.to;
-    } else if (msg.to.includes("@g.us")) {
-      // Group - use as is
-      jid = msg.to;
-    } else if (msg.to.includes("@s.whatsapp.net")) {
-      // Regular user - use as is
-      jid = msg.to;
-    }
-
-    await sendMessageWithHumanBehavior(accountId, jid, msg.message);
-
-    // Extract contact number from JID (remove @suffix and device id)
-    const contactNumber = jid.split("@")[0].split(":")[0];
-
-    // Save to database
-    await prisma.message.create({
-      data: {
-        accountId,
-        chatId: jid,
-        direction: "OUTGOING",
-        message: msg.message,
-        to: contactNumber,
-        status: "SENT",
-        contactNumber,
-      },
-    });
-
-    // Update counters
-    const limits = dailyLimits.get(accountId);
-    if (limits) limits.messageCount++;
-
-    const counter = messageCounters.get(accountId);
-    if (counter) counter.count++;
-
-    queue.shift();
-
-    // Process next
-    if (queue.length > 0) {
-      const account = await prisma.whatsAppAccount.findUnique({
-        where: { id: accountId },
-        select: { useLimits: true },
-      });
-
-      if (account && !account.useLimits) {
-        setTimeout(() => processMessageQueue(accountId), 100);
-      } else {
-        const nextDelay = randomDelay(CONFIG.DELAY_BETWEEN_MESSAGES_MIN, CONFIG.DELAY_BETWEEN_MESSAGES_MAX);
-        setTimeout(() => processMessageQueue(accountId), nextDelay);
+    let buffer;
+
+    if (content.vcard) {
+      buffer = Buffer.from(content.vcard, "utf8");
+    } else if (content.downloadable) {
+      if (content.fileLength && content.fileLength > MAX_MEDIA_SIZE) {
+        logger.warn(`Skipping ${content.type} download for ${accountId}: ${content.fileLength} bytes`);
+        return null;
       }
-    }
-  } catch (error) {
-    logger.error(`Failed to send message from ${accountId}:`, error.message);
 
-    msg.retries++;
-
-    if (msg.retries >= CONFIG.MESSAGE_RETRY_COUNT) {
-      await prisma.message.create({
-        data: {
-          accountId,
-          message: msg.message,
-          to: msg.to,
-          direction: "OUTGOING",
-          status: "FAILED",
-          contactNumber: msg.to,
-        },
+      buffer = await downloadMediaMessage(msg, "buffer", {}, {
+        logger: pino({ level: "silent" }),
+        reuploadRequest: sock.updateMediaMessage,
       });
-
-      queue.shift();
-
-      if (queue.length > 0) {
-        setTimeout(() => processMessageQueue(accountId), 2000);
-      }
     } else {
-      setTimeout(() => processMessageQueue(accountId), CONFIG.MESSAGE_RETRY_DELAY);
+      return null;
     }
+
+    return await storeMedia({
+      workspaceId,
+      accountId,
+      buffer,
+      mimetype: content.mimetype,
+      filename: content.filename,
+    });
+  } catch (error) {
+    logger.error(`Failed to store ${content.type} media for ${accountId}:`, error.message);
+    return null;
   }
 }
 
+// Text of a quoted message from an incoming contextInfo
+function describeQuotedMessage(quotedMessage) {
+  const content = extractMessageContent(normalizeMessageContent(quotedMessage));
+  if (!content) return null;
+
+  return describeMessage(content.text || content.caption, {
+    type: content.type.toLowerCase(),
+    filename: content.filename,
+  });
+}
+
 // ==================== WHATSAPP CLIENT INITIALIZATION ====================
 
 async function initializeClient(accountId) {
@@ -1185,6 +1061,7 @@ async function initializeClient(accountId) {
 
     const clientInfo = {
       accountId,
+      workspaceId: account.workspaceId,
       sock,
       status: "CONNECTING",
       qrCode: null,
@@ -1277,9 +1154,10 @@ async function initializeClient(accountId) {
 
         await updateAccountStatus(accountId, "CONNECTED", { phoneNumber, qrCode: null });
 
-        processMessageQueue(accountId).catch(err => {
-          logger.error(`Queue error for ${accountId}:`, err.message);
-        });
+        // Groups joined or left while offline; later changes arrive as events
+        syncGroups(prisma, sock, account)
+          .then(count => logger.debug(`Synced ${count} groups for ${accountId}`))
+          .catch(error => logger.error(`Failed to sync groups for ${accountId}:`, error.message));
       } else if (connection === "connecting") {
         clientInfo.status = "AUTHENTICATING";
         await updateAccountStatus(accountId, "AUTHENTICATING");
@@ -1297,12 +1175,20 @@ async function initializeClient(accountId) {
 
       for (const msg of messages) {
         try {
-          const messageText =
-            msg.message?.conversation ||
-            msg.message?.extendedTextMessage?.text ||
-            "";
+          // Unwraps ephemeral / view-once / document-with-caption envelopes
+          const normalized = normalizeMessageContent(msg.message);
+
+          if (normalized?.reactionMessage) {
+            const applied = await applyIncomingReaction(prisma, accountId, msg, normalized.reactionMessage, sock);
+            if (applied) {
+              emitMessageReaction(accountId, applied.message.chatId, applied.message.id, applied.reaction);
+            }
+            continue;
+          }
 
-          if (!messageText) continue;
+          const content = extractMessageContent(normalized);
+
+          if (!content) continue;
 
           const chatId = msg.key.remoteJid;
           const isFromMe = msg.key.fromMe;
@@ -1326,18 +1212,51 @@ async function initializeClient(accountId) {
           // For direct chats or outgoing messages, use chatId
           const contactNumber = senderNumber || chatId.split("@")[0];
 
+          // Group senders without a push name in this message keep the last one seen
+          let contactName = msg.pushName || null;
+          if (!contactName && senderJid) {
+            const contact = await prisma.contact.findUnique({
+              where: { accountId_jid: { accountId, jid: senderJid } },
+              select: { name: true },
+            });
+            contactName = contact?.name || null;
+          }
+
+          const mediaUrl = await saveIncomingMedia(sock, msg, content, account.workspaceId, accountId);
+          const replyFields = await incomingReplyFields(prisma, accountId, chatId, normalized, describeQuotedMessage);
+
           const dbMessage = await prisma.message.create({
             data: {
               accountId,
+              workspaceId: account.workspaceId,
               chatId,
+              waMessageId: msg.key.id || null,
               direction: isFromMe ? "OUTGOING" : "INCOMING",
-              message: messageText,
+              type: content.type,
+              message: describeMessage(content.text || content.caption, {
+                type: content.type.toLowerCase(),
+                filename: content.filename,
+              }),
+              caption: content.caption || null,
+              mimetype: content.mimetype || null,
+              filename: content.filename || null,
+              mediaUrl,
               to: isFromMe ? chatId.split("@")[0] : null,
               from: isFromMe ? null : contactNumber,
               status: isFromMe ? "SENT" : "RECEIVED",
               contactNumber,
-              contactName: msg.pushName || null,
+              contactName,
+              senderJid,
+              ...replyFields,
             },
+            include: MESSAGE_CONTEXT_INCLUDE,
+          });
+
+          await recordChatMessage(prisma, dbMessage, {
+            senderJid,
+            contactName: isFromMe ? null : msg.pushName || null,
+          }).catch(error => {
+            logger.error(`Failed to update chat ${chatId} for ${accountId}:`, error.message);
           });
 
           // WebSocket emit for real-time message delivery
@@ -1351,9 +1270,32 @@ async function initializeClient(accountId) {
               });
           }
 
+          if (!isFromMe) {
+            emitWebhookEvent(accountId, "message.received", { message: dbMessage });
+          }
+
+          // A "STOP" reply keeps the number out of every campaign of the workspace
+          const optOutKeyword = !isFromMe && !isGroup && matchOptOutKeyword(content.text);
+          if (optOutKeyword) {
+            const phoneNumbers = await optOutNumbers(msg.key, sock.signalRepository?.lidMapping);
+            if (chatId.endsWith("@lid") && phoneNumbers.length === 1) {
+              logger.warn(`No phone number known for ${chatId}, opt-out saved for the LID only (account ${accountId})`);
+            }
+
+            const added = await addSuppressions(prisma, {
+              workspaceId: account.workspaceId,
+              phoneNumbers,
+              reason: `Opt-out keyword "${optOutKeyword}"`,
+              source: "KEYWORD",
+            });
+            if (added > 0) {
+              logger.info(`🔕 ${phoneNumbers[0]} opted out via "${optOutKeyword}" (account ${accountId})`);
+            }
+          }
+
           // Log for debugging group messages
           if (isGroup) {
-            logger.debug(`Group msg in ${chatId} from ${senderJid} (${contactNumber}): ${messageText.substring(0, 50)}`);
+            logger.debug(`Group msg in ${chatId} from ${senderJid} (${contactNumber}): ${dbMessage.message.substring(0, 50)}`);
           }
         } catch (error) {
           logger.error(`Failed to save message for ${accountId}:`, error.message);
@@ -1361,9 +1303,99 @@ async function initializeClient(accountId) {
       }
     });
 
-    // Handle message updates - minimal
-    sock.ev.on("messages.update", () => {
+    // Delivery / read acks for messages we sent
+    sock.ev.on("messages.update", (updates) => {
       clientInfo.lastActivity = Date.now();
+
+      for (const { key, update } of updates) {
+        const status = key.fromMe ? ackToStatus(update?.status) : null;
+        if (!status || !key.id) continue;
+
+        applyReceiptStatus(accountId, key.id, status).catch(error => {
+          logger.error(`Failed to apply receipt for ${accountId}:`, error.message);
+        });
+      }
+    });
+
+    // Group messages report receipts per participant - the first one counts
+    sock.ev.on("message-receipt.update", (updates) => {
+      for (const { key, receipt } of updates) {
+        if (!key.fromMe || !key.id) continue;
+
+        const status = receipt?.readTimestamp || receipt?.playedTimestamp
+          ? "READ"
+          : receipt?.receiptTimestamp ? "DELIVERED" : null;
+        if (!status) continue;
+
+        applyReceiptStatus(accountId, key.id, status).catch(error => {
+          logger.error(`Failed to apply receipt for ${accountId}:`, error.message);
+        });
+      }
+    });
+
+    // Archive, mute and reads made on the phone
+    sock.ev.on("chats.update", (updates) => {
+      for (const update of updates) {
+        const data = {};
+        if (update.archived !== undefined && update.archived !== null) data.archived = Boolean(update.archived);
+        if (update.mute !== undefined) data.muted = Boolean(update.mute);
+        if (typeof update.unreadCount === "number" && update.unreadCount >= 0) data.unreadCount = update.unreadCount;
+        if (!update.id || Object.keys(data).length === 0) continue;
+
+        prisma.chat.updateMany({ where: { accountId, chatId: update.id }, data }).catch(error => {
+          logger.error(`Failed to sync chat ${update.id} for ${accountId}:`, error.message);
+        });
+      }
+    });
+
+    // Groups the account was added to or created
+    sock.ev.on("groups.upsert", async (groups) => {
+      for (const metadata of groups) {
+        try {
+          const group = await saveGroupMetadata(prisma, account, metadata);
+          emitGroupUpdated(accountId, group);
+        } catch (error) {
+          logger.error(`Failed to save group ${metadata.id} for ${accountId}:`, error.message);
+        }
+      }
+    });
+
+    // Subject, description and settings changes
+    sock.ev.on("groups.update", async (updates) => {
+      for (const update of updates) {
+        if (!update.id) continue;
+
+        try {
+          let group = await applyGroupUpdate(prisma, accountId, update);
+          if (!group) {
+            group = await saveGroupMetadata(prisma, account, await sock.groupMetadata(update.id));
+          }
+          emitGroupUpdated(accountId, group);
+        } catch (error) {
+          logger.error(`Failed to update group ${update.id} for ${accountId}:`, error.message);
+        }
+      }
+    });
+
+    sock.ev.on("group-participants.update", async (event) => {
+      try {
+        const group = await applyParticipantsUpdate(prisma, accountId, event, { selfJid: sock.user?.id });
+
+        if (global.io) {
+          global.io.of('/chats')
+            .to(`account:${accountId}`)
+            .emit('group:participants', {
+              accountId,
+              groupId: event.id,
+              action: event.action,
+              participants: event.participants,
+              author: event.author || null,
+              group,
+            });
+        }
+      } catch (error) {
+        logger.error(`Failed to update participants of ${event.id} for ${accountId}:`, error.message);
+      }
     });
 
     // Handle presence updates - minimal
@@ -1406,8 +1438,15 @@ function withPublicClientStatus(account) {
   };
 }
 
+// Account lookup limited to the caller's workspace
+function findAccessibleAccount(req, accountId) {
+  return prisma.whatsAppAccount.findFirst({
+    where: scopeToWorkspace(req.auth, { id: accountId }),
+  });
+}
+
 // Get all accounts
-app.get("/api/accounts", async (req, res) => {
+app.get("/api/accounts", requireScope("accounts:read"), async (req, res) => {
   try {
     if (!prismaConnected || !prisma) {
       return res.status(503).json({ error: "Database is not connected" });
@@ -1415,6 +1454,7 @@ app.get("/api/accounts", async (req, res) => {
 
     const timeoutMs = parseInt(process.env.DB_QUERY_TIMEOUT_MS || "15000", 10);
     const accountsQuery = prisma.whatsAppAccount.findMany({
+      where: scopeToWorkspace(req.auth),
       orderBy: { createdAt: "desc" },
     });
     accountsQuery.catch(() => {});
@@ -1436,11 +1476,39 @@ app.get("/api/accounts", async (req, res) => {
 });
 
 // Create account
-app.post("/api/accounts", async (req, res) => {
+app.post("/api/accounts", requireScope("accounts:write"), async (req, res) => {
   try {
-    const { name, useLimits = true } = req.body;
+    const { name, useLimits = true, timezone = null, limitProfileId = null, verifyNumbers = false } = req.body;
+    const workspaceId = resolveWorkspaceId(req.auth, req.body.workspaceId);
+
+    if (!workspaceId) {
+      return res.status(400).json({ error: "workspaceId is required" });
+    }
+
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: "Invalid timezone" });
+    }
+
+    const defaultCountryCode = parseCountryCode(req.body.defaultCountryCode);
+    if (defaultCountryCode === undefined) {
+      return res.status(400).json({ error: "Invalid defaultCountryCode" });
+    }
+
+    if (limitProfileId && !(await prisma.limitProfile.findFirst({ where: { id: limitProfileId, workspaceId } }))) {
+      return res.status(404).json({ error: "Limit profile not found" });
+    }
+
     const account = await prisma.whatsAppAccount.create({
-      data: { name, useLimits },
+      data: {
+        name,
+        useLimits,
+        workspaceId,
+        timezone,
+        defaultCountryCode,
+        verifyNumbers: Boolean(verifyNumbers),
+        limitProfileId,
+        limitProfileAssignedAt: limitProfileId ? new Date() : null,
+      },
     });
     logger.info(`Created account: ${account.id} (${name})`);
     res.status(201).json(account);
@@ -1451,11 +1519,9 @@ app.post("/api/accounts", async (req, res) => {
 });
 
 // Get account by ID
-app.get("/api/accounts/:id", async (req, res) => {
+app.get("/api/accounts/:id", requireScope("accounts:read"), async (req, res) => {
   try {
-    const account = await prisma.whatsAppAccount.findUnique({
-      where: { id: req.params.id },
-    });
+    const account = await findAccessibleAccount(req, req.params.id);
 
     if (!account) {
       return res.status(404).json({ error: "Account not found" });
@@ -1469,14 +1535,46 @@ app.get("/api/accounts/:id", async (req, res) => {
 });
 
 // Update account
-app.put("/api/accounts/:id", async (req, res) => {
+app.put("/api/accounts/:id", requireScope("accounts:write"), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, useLimits } = req.body;
+    const { name, useLimits, timezone, limitProfileId, verifyNumbers } = req.body;
+
+    const existing = await findAccessibleAccount(req, id);
+    if (!existing) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    // timezone: null falls back to DEFAULT_TIMEZONE for send windows
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: "Invalid timezone" });
+    }
 
     const updateData = {};
     if (name !== undefined) updateData.name = name;
     if (useLimits !== undefined) updateData.useLimits = useLimits;
+    if (timezone !== undefined) updateData.timezone = timezone || null;
+    if (verifyNumbers !== undefined) updateData.verifyNumbers = Boolean(verifyNumbers);
+
+    if (req.body.defaultCountryCode !== undefined) {
+      const defaultCountryCode = parseCountryCode(req.body.defaultCountryCode);
+      if (defaultCountryCode === undefined) {
+        return res.status(400).json({ error: "Invalid defaultCountryCode" });
+      }
+      updateData.defaultCountryCode = defaultCountryCode;
+    }
+
+    // Assigning a profile (re)starts its warm-up; null returns to the default limits
+    if (limitProfileId !== undefined && limitProfileId !== existing.limitProfileId) {
+      if (
+        limitProfileId &&
+        !(await prisma.limitProfile.findFirst({ where: { id: limitProfileId, workspaceId: existing.workspaceId } }))
+      ) {
+        return res.status(404).json({ error: "Limit profile not found" });
+      }
+      updateData.limitProfileId = limitProfileId || null;
+      updateData.limitProfileAssignedAt = limitProfileId ? new Date() : null;
+    }
 
     const account = await prisma.whatsAppAccount.update({
       where: { id },
@@ -1491,7 +1589,7 @@ app.put("/api/accounts/:id", async (req, res) => {
 });
 
 // Connect account
-app.post("/api/accounts/:id/connect", async (req, res) => {
+app.post("/api/accounts/:id/connect", requireScope("accounts:write"), async (req, res) => {
   try {
     const accountId = req.params.id;
 
@@ -1499,6 +1597,10 @@ app.post("/api/accounts/:id/connect", async (req, res) => {
       return res.status(503).json({ error: "WhatsApp client initialization is disabled" });
     }
 
+    if (!(await findAccessibleAccount(req, accountId))) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
     if (connectingAccounts.has(accountId)) {
       return res.status(400).json({ error: "Client is already being initialized" });
     }
@@ -1524,12 +1626,12 @@ app.post("/api/accounts/:id/connect", async (req, res) => {
 });
 
 // Disconnect account
-app.post("/api/accounts/:id/disconnect", async (req, res) => {
+app.post("/api/accounts/:id/disconnect", requireScope("accounts:write"), async (req, res) => {
   try {
     const accountId = req.params.id;
     const clientInfo = clients.get(accountId);
 
-    if (!clientInfo) {
+    if (!clientInfo || !(await findAccessibleAccount(req, accountId))) {
       return res.status(404).json({ error: "Client not found" });
     }
 
@@ -1554,10 +1656,14 @@ app.post("/api/accounts/:id/disconnect", async (req, res) => {
 });
 
 // Reset session
-app.post("/api/accounts/:id/reset-session", async (req, res) => {
+app.post("/api/accounts/:id/reset-session", requireScope("accounts:write"), async (req, res) => {
   try {
     const accountId = req.params.id;
 
+    if (!(await findAccessibleAccount(req, accountId))) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
     reconnectAttempts.delete(accountId);
     connectingAccounts.delete(accountId);
 
@@ -1584,13 +1690,11 @@ app.post("/api/accounts/:id/reset-session", async (req, res) => {
 });
 
 // Delete account
-app.delete("/api/accounts/:id", async (req, res) => {
+app.delete("/api/accounts/:id", requireScope("accounts:write"), async (req, res) => {
   const accountId = req.params.id;
 
   try {
-    const account = await prisma.whatsAppAccount.findUnique({
-      where: { id: accountId },
-    });
+    const account = await findAccessibleAccount(req, accountId);
 
     if (!account) {
       return res.status(404).json({ error: "Account not found" });
@@ -1623,359 +1727,960 @@ app.delete("/api/accounts/:id", async (req, res) => {
   }
 });
 
-// Send message via BullMQ
-app.post("/api/messages/send", async (req, res) => {
-  try {
-    const { accountId, to, message } = req.body;
+// Queues a one-off send or chat reply through BullMQ; the Message row stays PENDING until the worker sends it
+// `to` is a JID or a number already checked with resolveJid; `reply` comes from resolveSendOptions
+async function queueSingleMessage(account, to, message, media = null, { quoted = null, mentions = [] } = {}) {
+  const jid = toJid(to);
+  const contactNumber = jidToNumber(jid);
+
+  const dbMessage = await prisma.message.create({
+    data: {
+      accountId: account.id,
+      workspaceId: account.workspaceId,
+      chatId: jid,
+      direction: "OUTGOING",
+      ...outgoingMessageFields(message || "", media),
+      to: contactNumber,
+      status: "PENDING",
+      contactNumber,
+      ...(quoted && {
+        quotedMessageId: quoted.id,
+        quotedWaMessageId: quoted.waMessageId,
+        quotedText: quoted.message,
+      }),
+      mentions,
+    },
+  });
+
+  await recordChatMessage(prisma, dbMessage);
+
+  let job;
+  try {
+    job = await messageQueue.add(
+      `msg-${contactNumber}`,
+      {
+        messageId: dbMessage.id,
+        accountId: account.id,
+        workspaceId: account.workspaceId,
+        phoneNumber: jid,
+        message: message || "",
+        media,
+        quoted: quoted ? toQuotedMessage(quoted) : null,
+        mentions,
+      },
+      {
+        priority: MESSAGE_PRIORITY.SINGLE,
+      }
+    );
+  } catch (error) {
+    // Without a job nothing will ever send it; the chat shows it as failed instead of pending forever
+    await prisma.message
+      .update({
+        where: { id: dbMessage.id },
+        data: { status: "FAILED", errorMessage: `Failed to queue: ${error.message}`.substring(0, 500) },
+      })
+      .catch((dbError) => logger.error(`Failed to mark unqueued message ${dbMessage.id}:`, dbError.message));
+    throw error;
+  }
+
+  const queueCounts = await messageQueue.getJobCounts();
+  const waitingCount = queueCounts.waiting || 0;
+  const prioritizedCount = queueCounts.prioritized || 0;
+  const delayedCount = queueCounts.delayed || 0;
+  const activeCount = queueCounts.active || 0;
+  const queuedCount = waitingCount + prioritizedCount + delayedCount;
+
+  return {
+    queued: true,
+    messageId: dbMessage.id,
+    jobId: job.id,
+    queuePosition: Math.max(1, queuedCount),
+    queueLength: queuedCount + activeCount,
+  };
+}
+
+function emitGroupUpdated(accountId, group) {
+  if (global.io) {
+    global.io.of('/chats')
+      .to(`account:${accountId}`)
+      .emit('group:updated', { accountId, group });
+  }
+}
+
+/**
+ * Group with participants, fresh from WhatsApp when the account is connected
+ * (and stored), otherwise the stored copy. Null when neither is available.
+ */
+async function getGroup(account, groupId) {
+  const jid = toGroupJid(groupId);
+  if (!isGroupJid(jid)) return null;
+
+  const clientInfo = clients.get(account.id);
+
+  let group;
+  if (clientInfo?.status === "CONNECTED") {
+    let metadata;
+    try {
+      metadata = await clientInfo.sock.groupMetadata(jid);
+    } catch (error) {
+      // No such group, or the account isn't a member
+      if ([401, 403, 404].includes(error.output?.statusCode)) return null;
+      throw error;
+    }
+    group = await saveGroupMetadata(prisma, account, metadata);
+  } else {
+    group = await prisma.group.findUnique({
+      where: { accountId_jid: { accountId: account.id, jid } },
+      include: { participants: true },
+    });
+  }
+
+  return group ? withParticipantNames(prisma, group) : null;
+}
+
+// Clears the chat's unread count and, when the account is connected, sends read receipts (blue ticks)
+async function readChat(accountId, chatId) {
+  const { chat, unread } = await markChatRead(prisma, accountId, chatId);
+  if (!chat) return null;
+
+  const clientInfo = clients.get(accountId);
+  if (unread.length > 0 && clientInfo?.status === "CONNECTED") {
+    const keys = unread.map(message => ({
+      remoteJid: chatId,
+      id: message.waMessageId,
+      fromMe: false,
+      ...(chat.isGroup && (message.senderJid || message.from) && {
+        participant: message.senderJid || toJid(message.from),
+      }),
+    }));
 
-    if (!accountId || !to || !message) {
+    try {
+      await clientInfo.sock.readMessages(keys);
+    } catch (error) {
+      logger.warn(`Failed to send read receipts for ${chatId} (${accountId}):`, error.message);
+    }
+  }
+
+  if (global.io) {
+    global.io.of('/chats')
+      .to(`account:${accountId}`)
+      .emit('chat:updated', { accountId, chat });
+  }
+
+  return chat;
+}
+
+function emitMessageReaction(accountId, chatId, messageId, reaction) {
+  if (global.io) {
+    global.io.of('/chats')
+      .to(`account:${accountId}`)
+      .emit('chat:message:reaction', { accountId, chatId, messageId, reaction });
+  }
+
+  emitWebhookEvent(accountId, "message.reaction", { chatId, messageId, reaction });
+}
+
+/**
+ * Suppression reason when `jid` must not be contacted by the account, else null.
+ * The worker checks again before sending, for opt-outs that arrive meanwhile.
+ */
+async function suppressedSendReason(account, jid) {
+  const suppression = await findSuppression(prisma, {
+    workspaceId: account.workspaceId,
+    accountId: account.id,
+    phoneNumber: jid,
+  });
+  return suppression ? suppressionReason(suppression) : null;
+}
+
+/**
+ * Sends go through the queue even while the account is offline: the worker
+ * holds their jobs until it connects. An idle account is started here so
+ * that it does; connecting runs in the background.
+ */
+function ensureClientStarted(accountId) {
+  const clientInfo = clients.get(accountId);
+  if (clientInfo && clientInfo.status !== "DISCONNECTED") return;
+
+  (async () => {
+    if (clientInfo) {
+      await cleanupClient(accountId);
+    }
+    await initializeClient(accountId);
+  })().catch((error) => {
+    logger.warn(`Failed to start ${accountId} for a queued send:`, error.message);
+  });
+}
+
+/**
+ * Reacts to a message of the chat; an empty emoji removes the reaction.
+ * Reactions skip the queue but count against the per-minute rate limit.
+ * Returns { data } or { status, error, retryAfter }.
+ */
+async function sendReaction(account, chatId, { target, emoji }) {
+  const clientInfo = clients.get(account.id);
+  if (!clientInfo || clientInfo.status !== "CONNECTED") {
+    return { status: 503, error: "Account not connected" };
+  }
+
+  const rate = await checkRateLimit(account.id);
+  if (!rate.allowed && !rate.noLimits) {
+    return { status: 429, error: "Rate limit exceeded", retryAfter: rate.resetIn };
+  }
+
+  await clientInfo.sock.sendMessage(chatId, { react: { text: emoji, key: messageKey(target) } });
+  clientInfo.lastActivity = Date.now();
+  await recordRateLimitHit(account.id);
+
+  const senderJid = selfJid(clientInfo.sock);
+  await saveReaction(prisma, target.id, { senderJid, fromMe: true, emoji });
+
+  const reaction = { senderJid, fromMe: true, emoji, removed: !emoji };
+  emitMessageReaction(account.id, chatId, target.id, reaction);
+
+  return { data: { messageId: target.id, ...reaction } };
+}
+
+// Outbound backlog of an account: single sends still PENDING plus unsent recipients of running contracts
+async function getQueueStatus(accountId) {
+  const pendingWhere = { accountId, direction: "OUTGOING", status: "PENDING" };
+
+  const [pending, pendingCount, contractRecipients, usage, limits] = await Promise.all([
+    prisma.message.findMany({
+      where: pendingWhere,
+      orderBy: { sentAt: "asc" },
+      take: 20,
+      select: { id: true, chatId: true, to: true, type: true, message: true, sentAt: true },
+    }),
+    prisma.message.count({ where: pendingWhere }),
+    prisma.contractRecipient.count({
+      where: {
+        status: { in: ["PENDING", "QUEUED", "SENDING"] },
+        contract: { accountId, status: "IN_PROGRESS" },
+      },
+    }),
+    getLimitUsage(accountId),
+    getLimits(accountId),
+  ]);
+
+  const clientInfo = clients.get(accountId);
+
+  return {
+    accountId,
+    queueLength: pendingCount + contractRecipients,
+    // Single sends run before contract messages, so they are listed in send order
+    messages: pending.map((msg, index) => ({
+      position: index + 1,
+      messageId: msg.id,
+      chatId: msg.chatId,
+      to: msg.to,
+      type: msg.type,
+      message: msg.message.substring(0, 50) + (msg.message.length > 50 ? "..." : ""),
+      queuedAt: msg.sentAt,
+    })),
+    contractRecipients,
+    status: {
+      clientStatus: clientInfo?.status || "DISCONNECTED",
+      isResting: usage.isResting,
+      messagesSinceRest: usage.messagesSinceRest,
+    },
+    // limits: null when the account has useLimits: false
+    limits: limits && {
+      profileId: limits.profileId,
+      profileName: limits.profileName,
+      dailyCount: usage.dailyCount,
+      dailyLimit: limits.dailyLimit,
+      newChatsCount: usage.newChatsCount,
+      newChatsLimit: limits.newChatsPerDay,
+      ratePerMinute: limits.ratePerMinute,
+      restAfterMessages: limits.restAfterMessages,
+      warmup: limits.warmup,
+    },
+  };
+}
+
+// Send message via BullMQ
+// Accepts JSON ({ message, media: { base64 | url } }) or multipart with a `file` field;
+// quotedMessageId / mentions make a reply, `reaction` reacts to a message instead of sending one
+app.post("/api/messages/send", requireScope("messages:send"), mediaUpload, async (req, res) => {
+  let media = null;
+  let queued = false;
+
+  try {
+    const { accountId, to, quotedMessageId, mentions, reaction } = req.body;
+    const message = req.body.message || req.body.caption || "";
+
+    const parsed = await parseMediaInput({
+      file: req.file,
+      media: req.file ? req.body : req.body.media,
+    });
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    media = parsed.media;
+
+    if (!accountId || !to || (!message && !media && !reaction)) {
       return res.status(400).json({ error: "Missing required fields" });
     }
 
-    let clientInfo = clients.get(accountId);
+    const account = await findAccessibleAccount(req, accountId);
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
 
-    if (!clientInfo || clientInfo.status !== "CONNECTED") {
-      try {
-        const account = await prisma.whatsAppAccount.findUnique({
-          where: { id: accountId },
-        });
+    const jid = resolveJid(to, account);
+    if (!jid) {
+      return res.status(400).json({ error: "Invalid phone number" });
+    }
 
-        if (!account) {
-          return res.status(404).json({ error: "Account not found" });
-        }
+    const options = await resolveSendOptions(prisma, account, jid, {
+      hasContent: Boolean(message || media),
+      quotedMessageId,
+      mentions,
+      reaction,
+    });
+    if (options.error) {
+      return res.status(options.status).json({ error: options.error });
+    }
 
-        if (!clientInfo) {
-          await initializeClient(accountId);
-        } else if (clientInfo.status === "DISCONNECTED") {
-          await cleanupClient(accountId);
-          await initializeClient(accountId);
-        }
+    const suppressed = await suppressedSendReason(account, jid);
+    if (suppressed) {
+      return res.status(403).json({ error: suppressed });
+    }
 
-        await sleep(2000);
+    ensureClientStarted(accountId);
 
-        clientInfo = clients.get(accountId);
-        if (!clientInfo || clientInfo.status !== "CONNECTED") {
-          return res.status(503).json({
-            error: "Account is connecting. Try again in a few seconds.",
-            status: clientInfo?.status || "DISCONNECTED",
-          });
+    if (options.reaction) {
+      const reacted = await sendReaction(account, jid, options.reaction);
+      if (reacted.error) {
+        if (reacted.retryAfter) {
+          res.set("Retry-After", String(reacted.retryAfter));
         }
-      } catch (connectError) {
-        return res.status(503).json({
-          error: "Failed to connect account",
-          details: connectError.message,
-        });
+        return res.status(reacted.status).json({ error: reacted.error });
       }
+      return res.json({ success: true, data: reacted.data });
     }
 
-    const tempContract = await prisma.contract.create({
-      data: {
-        accountId,
-        name: `Single message to ${to}`,
-        totalCount: 1,
-        pendingCount: 1,
-        status: "PENDING",
-        recipients: {
-          create: {
-            phoneNumber: to,
-            message: message,
-            status: "PENDING",
-          },
-        },
-      },
-      include: {
-        recipients: true,
-      },
+    const result = await queueSingleMessage(account, jid, message, media, options.reply);
+    queued = true;
+
+    res.status(202).json({
+      success: true,
+      ...result,
+      message: "Message queued for delivery",
     });
+  } catch (error) {
+    logger.error("Failed to queue message:", error.message);
+    res.status(500).json({ error: error.message });
+  } finally {
+    // The worker owns the file once queued; otherwise drop the upload
+    if (!queued) {
+      await removeOutgoingMedia(media || req.file);
+    }
+  }
+});
 
-    const recipient = tempContract.recipients[0];
+// Get chats, newest first; `cursor` comes from pagination.nextCursor of the previous page
+app.get("/api/accounts/:id/chats", requireScope("accounts:read"), async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    const job = await messageQueue.add(
-      `msg-${to}`,
-      {
-        contractId: tempContract.id,
-        recipientId: recipient.id,
-        accountId,
-        phoneNumber: to,
-        message: message,
-      },
-      {
-        priority: 10,
+    if (!(await findAccessibleAccount(req, id))) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const result = await listChats(prisma, id, req.query);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error("Failed to get chats:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get chat messages: the newest page, or older/newer ones with `before` / `after`
+app.get("/api/accounts/:accountId/chats/:chatId", requireScope("accounts:read"), async (req, res) => {
+  try {
+    const { accountId, chatId } = req.params;
+    const decodedChatId = decodeURIComponent(chatId);
+
+    if (!(await findAccessibleAccount(req, accountId))) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const result = await listChatMessages(prisma, accountId, decodedChatId, req.query);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error("Failed to get chat messages:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark chat as read
+app.post("/api/accounts/:accountId/chats/:chatId/read", requireScope("accounts:write"), async (req, res) => {
+  try {
+    const { accountId, chatId } = req.params;
+
+    if (!(await findAccessibleAccount(req, accountId))) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const chat = await readChat(accountId, decodeURIComponent(chatId));
+    if (!chat) {
+      return res.status(404).json({ error: "Chat not found" });
+    }
+
+    res.json(chat);
+  } catch (error) {
+    logger.error("Failed to mark chat as read:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Archive or mute a chat; the state is local and isn't pushed to the phone
+app.patch("/api/accounts/:accountId/chats/:chatId", requireScope("accounts:write"), async (req, res) => {
+  try {
+    const { accountId, chatId } = req.params;
+    const { archived, muted } = req.body;
+
+    const data = {};
+    for (const [field, value] of Object.entries({ archived, muted })) {
+      if (value === undefined) continue;
+      if (typeof value !== "boolean") {
+        return res.status(400).json({ error: `${field} must be a boolean` });
       }
+      data[field] = value;
+    }
+
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({ error: "Nothing to update" });
+    }
+
+    if (!(await findAccessibleAccount(req, accountId))) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const existing = await prisma.chat.findUnique({
+      where: { accountId_chatId: { accountId, chatId: decodeURIComponent(chatId) } },
+    });
+    if (!existing) {
+      return res.status(404).json({ error: "Chat not found" });
+    }
+
+    const chat = await prisma.chat.update({ where: { id: existing.id }, data });
+
+    if (global.io) {
+      global.io.of('/chats')
+        .to(`account:${accountId}`)
+        .emit('chat:updated', { accountId, chat });
+    }
+
+    res.json(chat);
+  } catch (error) {
+    logger.error("Failed to update chat:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send to chat; same reply / reaction fields as /api/messages/send
+app.post("/api/accounts/:accountId/chats/:chatId", requireScope("messages:send"), mediaUpload, async (req, res) => {
+  let media = null;
+  let queued = false;
+
+  try {
+    const { accountId, chatId } = req.params;
+    const { quotedMessageId, mentions, reaction } = req.body;
+    const message = req.body.message || req.body.caption || "";
+    const decodedChatId = decodeURIComponent(chatId);
+
+    const parsed = await parseMediaInput({
+      file: req.file,
+      media: req.file ? req.body : req.body.media,
+    });
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    media = parsed.media;
+
+    if (!message && !media && !reaction) {
+      return res.status(400).json({ error: "Message is required" });
+    }
+
+    const account = await findAccessibleAccount(req, accountId);
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const jid = resolveJid(decodedChatId, account);
+    if (!jid) {
+      return res.status(400).json({ error: "Invalid phone number" });
+    }
+
+    const options = await resolveSendOptions(prisma, account, jid, {
+      hasContent: Boolean(message || media),
+      quotedMessageId,
+      mentions,
+      reaction,
+    });
+    if (options.error) {
+      return res.status(options.status).json({ error: options.error });
+    }
+
+    const suppressed = await suppressedSendReason(account, jid);
+    if (suppressed) {
+      return res.status(403).json({ error: suppressed });
+    }
+
+    ensureClientStarted(accountId);
+
+    if (options.reaction) {
+      const reacted = await sendReaction(account, jid, options.reaction);
+      if (reacted.error) {
+        if (reacted.retryAfter) {
+          res.set("Retry-After", String(reacted.retryAfter));
+        }
+        return res.status(reacted.status).json({ error: reacted.error });
+      }
+      return res.json({ success: true, data: reacted.data });
+    }
+
+    const result = await queueSingleMessage(account, jid, message, media, options.reply);
+    queued = true;
+
+    res.status(202).json({
+      success: true,
+      ...result,
+      message: "Message queued for delivery",
+    });
+  } catch (error) {
+    logger.error("Failed to queue chat message:", error.message);
+    res.status(500).json({ error: error.message });
+  } finally {
+    if (!queued) {
+      await removeOutgoingMedia(media || req.file);
+    }
+  }
+});
+
+// Queue status
+app.get("/api/accounts/:id/queue", requireScope("accounts:read"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await findAccessibleAccount(req, id))) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    res.json(await getQueueStatus(id));
+  } catch (error) {
+    logger.error("Failed to get queue status:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Numbers per check-numbers request
+const MAX_CHECK_NUMBERS = 1000;
+
+// Asks WhatsApp which numbers are registered; answers are cached for NUMBER_CHECK_TTL_HOURS
+app.post("/api/accounts/:id/check-numbers", requireScope("messages:send"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { phoneNumbers, refresh = false } = req.body;
+
+    if (!Array.isArray(phoneNumbers) || phoneNumbers.length === 0) {
+      return res.status(400).json({ error: "phoneNumbers must be a non-empty array" });
+    }
+
+    if (phoneNumbers.length > MAX_CHECK_NUMBERS) {
+      return res.status(400).json({ error: `phoneNumbers can contain at most ${MAX_CHECK_NUMBERS} numbers` });
+    }
+
+    const account = await findAccessibleAccount(req, id);
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const clientInfo = clients.get(id);
+    if (!clientInfo || clientInfo.status !== "CONNECTED") {
+      return res.status(400).json({ error: "Account not connected" });
+    }
+
+    const normalized = phoneNumbers.map((input) => ({
+      input,
+      phoneNumber: normalizePhoneNumber(input, { defaultCountryCode: account.defaultCountryCode }),
+    }));
+
+    const checks = await checkNumbers(
+      prisma,
+      clientInfo.sock,
+      normalized.map((entry) => entry.phoneNumber).filter(Boolean),
+      { refresh: Boolean(refresh) }
     );
 
-    await prisma.contract.update({
-      where: { id: tempContract.id },
-      data: {
-        status: "IN_PROGRESS",
-        startedAt: new Date(),
+    const results = normalized.map(({ input, phoneNumber }) => {
+      if (!phoneNumber) {
+        return { input, phoneNumber: null, valid: false, exists: false };
+      }
+
+      const { exists, jid, checkedAt, cached } = checks.get(phoneNumber);
+      return { input, phoneNumber, valid: true, exists, jid, checkedAt, cached };
+    });
+
+    res.json({
+      summary: {
+        total: results.length,
+        onWhatsApp: results.filter((result) => result.exists).length,
+        notOnWhatsApp: results.filter((result) => result.valid && !result.exists).length,
+        invalid: results.filter((result) => !result.valid).length,
       },
+      results,
     });
+  } catch (error) {
+    logger.error("Failed to check numbers:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== GROUP ROUTES ====================
+
+// Stored groups of the account; POST .../groups/sync refreshes them from WhatsApp
+app.get("/api/accounts/:id/groups", requireScope("accounts:read"), async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    const queueCounts = await messageQueue.getJobCounts();
-    const waitingCount = queueCounts.waiting || 0;
-    const prioritizedCount = queueCounts.prioritized || 0;
-    const delayedCount = queueCounts.delayed || 0;
-    const activeCount = queueCounts.active || 0;
-    const queuedCount = waitingCount + prioritizedCount + delayedCount;
+    if (!(await findAccessibleAccount(req, id))) {
+      return res.status(404).json({ error: "Account not found" });
+    }
 
-    res.status(202).json({
-      success: true,
-      queued: true,
-      messageId: tempContract.id,
-      contractId: tempContract.id,
-      recipientId: recipient.id,
-      jobId: job.id,
-      queuePosition: Math.max(1, queuedCount),
-      queueLength: queuedCount + activeCount,
-      message: "Message queued for delivery",
-    });
+    res.json(await listGroups(prisma, id, req.query));
   } catch (error) {
-    logger.error("Failed to queue message:", error.message);
+    logger.error("Failed to list groups:", error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get chats
-app.get("/api/accounts/:id/chats", async (req, res) => {
+app.post("/api/accounts/:id/groups/sync", requireScope("accounts:read"), async (req, res) => {
   try {
     const { id } = req.params;
-    const { page = 1, limit = 50, phone } = req.query;
 
-    const pageNum = parseInt(page);
-    const limitNum = Math.min(parseInt(limit), 100); // Cap at 100
-    const skip = (pageNum - 1) * limitNum;
-
-    const where = { accountId: id };
+    const account = await findAccessibleAccount(req, id);
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
 
-    if (phone) {
-      where.OR = [
-        { to: { contains: phone } },
-        { from: { contains: phone } },
-        { contactNumber: { contains: phone } },
-      ];
+    const clientInfo = clients.get(id);
+    if (!clientInfo || clientInfo.status !== "CONNECTED") {
+      return res.status(400).json({ error: "Account not connected" });
     }
 
-    const messages = await prisma.message.findMany({
-      where,
-      orderBy: { sentAt: "desc" },
-      take: 5000, // Limit to prevent memory issues
-    });
+    const count = await syncGroups(prisma, clientInfo.sock, account);
 
-    const chatsMap = new Map();
+    logger.info(`Synced ${count} groups for ${id}`);
+    res.json({ success: true, count });
+  } catch (error) {
+    logger.error("Failed to sync groups:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    messages.forEach(msg => {
-      const key = msg.contactNumber || msg.to || msg.from || msg.chatId;
-      if (!key) return;
+// Metadata with participants and admins; live from WhatsApp when the account is connected
+app.get("/api/accounts/:accountId/groups/:groupId", requireScope("accounts:read"), async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    const groupId = decodeURIComponent(req.params.groupId);
 
-      if (!chatsMap.has(key)) {
-        chatsMap.set(key, {
-          chatId: msg.chatId,
-          contactNumber: msg.contactNumber || msg.to || msg.from,
-          contactName: msg.contactName,
-          messages: [],
-          unreadCount: 0,
-          lastMessageTime: msg.sentAt,
-        });
-      }
+    if (!isGroupJid(toGroupJid(groupId))) {
+      return res.status(400).json({ error: "groupId must be a group JID" });
+    }
 
-      const chat = chatsMap.get(key);
-      if (chat.messages.length < 50) { // Limit messages per chat
-        chat.messages.push(msg);
-      }
+    const account = await findAccessibleAccount(req, accountId);
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
 
-      if (new Date(msg.sentAt) > new Date(chat.lastMessageTime)) {
-        chat.lastMessageTime = msg.sentAt;
-      }
-    });
+    const group = await getGroup(account, groupId);
+    if (!group) {
+      return res.status(404).json({ error: "Group not found" });
+    }
 
-    let chatsArray = Array.from(chatsMap.values());
-    chatsArray.sort((a, b) => new Date(b.lastMessageTime) - new Date(a.lastMessageTime));
+    res.json(group);
+  } catch (error) {
+    logger.error("Failed to get group:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const total = chatsArray.length;
-    const paginatedChats = chatsArray.slice(skip, skip + limitNum);
-    const totalPages = Math.ceil(total / limitNum);
+// ==================== GROUP ADMINISTRATION ROUTES ====================
+
+// Audited and rate limited like sends (see server/groupAdmin.js)
+const groupAdmin = createGroupAdmin({
+  getPrisma: () => prisma,
+  logger,
+  clients,
+  checkRateLimit,
+  recordRateLimitHit,
+  checkNeedRest,
+  onGroupChanged: emitGroupUpdated,
+});
 
-    res.json({
-      data: paginatedChats,
-      pagination: {
-        total,
-        page: pageNum,
-        limit: limitNum,
-        totalPages,
-        hasNextPage: pageNum < totalPages,
-        hasPrevPage: pageNum > 1,
-      },
+// { data } or { status, error, retryAfter } from groupAdmin
+function sendGroupAdminResult(res, result, successStatus = 200) {
+  if (result.error) {
+    if (result.retryAfter) {
+      res.set("Retry-After", String(result.retryAfter));
+    }
+    return res.status(result.status).json({
+      error: result.error,
+      ...(result.retryAfter && { retryAfter: result.retryAfter }),
     });
+  }
+
+  res.status(successStatus).json(result.data);
+}
+
+// Create a group; participants are numbers or JIDs
+app.post("/api/accounts/:id/groups", requireScope("groups:manage"), async (req, res) => {
+  try {
+    const account = await findAccessibleAccount(req, req.params.id);
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const result = await groupAdmin.createGroup(req.auth, account, req.body);
+    sendGroupAdminResult(res, result, 201);
   } catch (error) {
-    logger.error("Failed to get chats:", error.message);
+    logger.error("Failed to create group:", error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get chat messages
-app.get("/api/accounts/:accountId/chats/:chatId", async (req, res) => {
+// Add, remove, promote or demote participants
+app.post("/api/accounts/:accountId/groups/:groupId/participants", requireScope("groups:manage"), async (req, res) => {
   try {
-    const { accountId, chatId } = req.params;
-    const decodedChatId = decodeURIComponent(chatId);
+    const account = await findAccessibleAccount(req, req.params.accountId);
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
 
-    const messages = await prisma.message.findMany({
-      where: { accountId, chatId: decodedChatId },
-      orderBy: { sentAt: "asc" },
-      take: 500, // Limit messages
+    const result = await groupAdmin.updateParticipants(req.auth, account, {
+      groupId: decodeURIComponent(req.params.groupId),
+      action: req.body.action,
+      participants: req.body.participants,
     });
-
-    res.json(messages);
+    sendGroupAdminResult(res, result.error ? result : { data: { results: result.data } });
   } catch (error) {
-    logger.error("Failed to get chat messages:", error.message);
+    logger.error("Failed to update group participants:", error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Send to chat
-app.post("/api/accounts/:accountId/chats/:chatId", async (req, res) => {
+// Change subject and/or description; an empty description removes it
+app.patch("/api/accounts/:accountId/groups/:groupId", requireScope("groups:manage"), async (req, res) => {
   try {
-    const { accountId, chatId } = req.params;
-    const { message } = req.body;
-    const decodedChatId = decodeURIComponent(chatId);
+    const { subject, description } = req.body;
+    const groupId = decodeURIComponent(req.params.groupId);
 
-    if (!message) {
-      return res.status(400).json({ error: "Message is required" });
+    if (subject === undefined && description === undefined) {
+      return res.status(400).json({ error: "Nothing to update" });
     }
 
-    let clientInfo = clients.get(accountId);
+    const account = await findAccessibleAccount(req, req.params.accountId);
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
 
-    if (!clientInfo || clientInfo.status !== "CONNECTED") {
-      try {
-        const account = await prisma.whatsAppAccount.findUnique({
-          where: { id: accountId },
-        });
+    let result;
+    if (subject !== undefined) {
+      result = await groupAdmin.updateSubject(req.auth, account, { groupId, subject });
+      if (result.error) return sendGroupAdminResult(res, result);
+    }
+    if (description !== undefined) {
+      result = await groupAdmin.updateDescription(req.auth, account, { groupId, description });
+    }
 
-        if (!account) {
-          return res.status(404).json({ error: "Account not found" });
-        }
+    sendGroupAdminResult(res, result);
+  } catch (error) {
+    logger.error("Failed to update group:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        if (!clientInfo) {
-          await initializeClient(accountId);
-        } else if (clientInfo.status === "DISCONNECTED") {
-          await cleanupClient(accountId);
-          await initializeClient(accountId);
-        }
+// Set the group picture: multipart `file` or `media` (base64 / url), an image
+app.put("/api/accounts/:accountId/groups/:groupId/picture", requireScope("groups:manage"), mediaUpload, async (req, res) => {
+  let media = null;
 
-        await sleep(2000);
+  try {
+    const parsed = await parseMediaInput({
+      file: req.file,
+      media: req.file ? req.body : req.body.media,
+    });
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    media = parsed.media;
 
-        clientInfo = clients.get(accountId);
-        if (!clientInfo || clientInfo.status !== "CONNECTED") {
-          return res.status(503).json({
-            error: "Account is connecting. Try again.",
-            status: clientInfo?.status || "DISCONNECTED",
-          });
-        }
-      } catch (connectError) {
-        return res.status(503).json({
-          error: "Failed to connect account",
-          details: connectError.message,
-        });
-      }
+    if (!media) {
+      return res.status(400).json({ error: "Image is required" });
     }
 
-    const contactNumber = decodedChatId.split("@")[0];
-    const queue = messageQueues.get(accountId) || [];
-    const queueLength = queue.length;
+    const account = await findAccessibleAccount(req, req.params.accountId);
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
 
-    const messageId = enqueueMessage(accountId, contactNumber, message);
+    const result = await groupAdmin.updatePicture(req.auth, account, {
+      groupId: decodeURIComponent(req.params.groupId),
+      media,
+    });
+    sendGroupAdminResult(res, result);
+  } catch (error) {
+    logger.error("Failed to update group picture:", error.message);
+    res.status(500).json({ error: error.message });
+  } finally {
+    await removeOutgoingMedia(media || req.file);
+  }
+});
 
-    if (queueLength === 0) {
-      setTimeout(() => processMessageQueue(accountId), 100);
+app.delete("/api/accounts/:accountId/groups/:groupId/picture", requireScope("groups:manage"), async (req, res) => {
+  try {
+    const account = await findAccessibleAccount(req, req.params.accountId);
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
     }
 
-    res.status(202).json({
-      success: true,
-      queued: true,
-      messageId,
-      queuePosition: queueLength + 1,
-      queueLength: queueLength + 1,
-      message: "Message queued for delivery",
+    const result = await groupAdmin.updatePicture(req.auth, account, {
+      groupId: decodeURIComponent(req.params.groupId),
+      media: null,
     });
+    sendGroupAdminResult(res, result);
   } catch (error) {
-    logger.error("Failed to queue chat message:", error.message);
+    logger.error("Failed to remove group picture:", error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Queue status
-app.get("/api/accounts/:id/queue", async (req, res) => {
+// Current invite link; the account must be a group admin
+app.get("/api/accounts/:accountId/groups/:groupId/invite", requireScope("groups:manage"), async (req, res) => {
   try {
-    const { id } = req.params;
+    const account = await findAccessibleAccount(req, req.params.accountId);
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
 
-    const queue = messageQueues.get(id) || [];
-    const counter = messageCounters.get(id);
-    const limitsInfo = dailyLimits.get(id);
-    const clientInfo = clients.get(id);
-    const dailyCheck = await checkDailyLimit(id);
+    const result = await groupAdmin.getInviteLink(req.auth, account, {
+      groupId: decodeURIComponent(req.params.groupId),
+    });
+    sendGroupAdminResult(res, result);
+  } catch (error) {
+    logger.error("Failed to get group invite link:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json({
-      accountId: id,
-      queueLength: queue.length,
-      messages: queue.slice(0, 20).map((msg, index) => ({
-        position: index + 1,
-        to: msg.to,
-        message: msg.message.substring(0, 50) + (msg.message.length > 50 ? "..." : ""),
-        retries: msg.retries,
-      })),
-      status: {
-        clientStatus: clientInfo?.status || "DISCONNECTED",
-        isResting: counter?.isResting || false,
-        messagesSinceRest: counter?.count || 0,
-      },
-      limits: {
-        dailyCount: limitsInfo?.messageCount || 0,
-        dailyLimit: dailyCheck.isNewAccount
-          ? CONFIG.DAILY_MESSAGE_LIMIT_NEW_ACCOUNT
-          : CONFIG.DAILY_MESSAGE_LIMIT_OLD_ACCOUNT,
-      },
+// Invalidates the current link and returns a new one
+app.post("/api/accounts/:accountId/groups/:groupId/invite/revoke", requireScope("groups:manage"), async (req, res) => {
+  try {
+    const account = await findAccessibleAccount(req, req.params.accountId);
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const result = await groupAdmin.revokeInviteLink(req.auth, account, {
+      groupId: decodeURIComponent(req.params.groupId),
     });
+    sendGroupAdminResult(res, result);
   } catch (error) {
-    logger.error("Failed to get queue status:", error.message);
+    logger.error("Failed to revoke group invite link:", error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
 // ==================== CONTRACT API ROUTES ====================
 
-app.post("/api/contracts", async (req, res) => {
+app.post("/api/contracts", requireScope("contracts:manage"), async (req, res) => {
   try {
-    const { accountId, name, recipients } = req.body;
+    const { accountId, name, recipients, templateId } = req.body;
 
     if (!accountId || !name || !recipients || !Array.isArray(recipients) || recipients.length === 0) {
       return res.status(400).json({ error: "Missing required fields" });
     }
 
+    const { schedule, error: scheduleError } = parseContractSchedule(req.body);
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    // With a template, recipients carry variables and the worker renders the text at send time
     for (const recipient of recipients) {
-      if (!recipient.phoneNumber || !recipient.message) {
-        return res.status(400).json({ error: "Each recipient must have phoneNumber and message" });
+      if (!recipient.phoneNumber || (!templateId && !recipient.message)) {
+        return res.status(400).json({
+          error: templateId
+            ? "Each recipient must have phoneNumber"
+            : "Each recipient must have phoneNumber and message",
+        });
+      }
+
+      if (recipient.variables !== undefined && (typeof recipient.variables !== "object" || Array.isArray(recipient.variables))) {
+        return res.status(400).json({ error: "Recipient variables must be an object" });
+      }
+
+      if (recipient.timezone !== undefined && !isValidTimezone(recipient.timezone)) {
+        return res.status(400).json({ error: `Invalid timezone for ${recipient.phoneNumber}` });
       }
     }
 
-    const account = await prisma.whatsAppAccount.findUnique({
-      where: { id: accountId },
-    });
+    const account = await findAccessibleAccount(req, accountId);
 
     if (!account) {
       return res.status(404).json({ error: "Account not found" });
     }
 
+    // Numbers are stored normalized, national ones with the account's default country code; JIDs are kept
+    const phoneNumbers = recipients.map((recipient) =>
+      String(recipient.phoneNumber).includes("@")
+        ? recipient.phoneNumber
+        : normalizePhoneNumber(recipient.phoneNumber, { defaultCountryCode: account.defaultCountryCode })
+    );
+    const invalidIndex = phoneNumbers.indexOf(null);
+    if (invalidIndex !== -1) {
+      return res.status(400).json({ error: `Invalid phone number: ${recipients[invalidIndex].phoneNumber}` });
+    }
+
+    if (templateId) {
+      const template = await prisma.template.findFirst({
+        where: { id: templateId, workspaceId: account.workspaceId },
+      });
+
+      if (!template) {
+        return res.status(404).json({ error: "Template not found" });
+      }
+    }
+
     const contract = await prisma.contract.create({
       data: {
         accountId,
+        workspaceId: account.workspaceId,
+        templateId: templateId || null,
         name,
         totalCount: recipients.length,
         pendingCount: recipients.length,
-        status: "PENDING",
+        status: schedule.scheduledAt ? "SCHEDULED" : "PENDING",
+        scheduledAt: schedule.scheduledAt,
+        sendWindow: schedule.sendWindow || undefined,
+        timezone: schedule.timezone,
         recipients: {
-          create: recipients.map(r => ({
-            phoneNumber: r.phoneNumber,
-            message: r.message,
+          create: recipients.map((r, index) => ({
+            phoneNumber: phoneNumbers[index],
+            message: r.message || "",
+            variables: r.variables || undefined,
+            timezone: r.timezone || null,
             status: "PENDING",
           })),
         },
@@ -1985,7 +2690,15 @@ app.post("/api/contracts", async (req, res) => {
       },
     });
 
-    logger.info(`Created contract: ${contract.id} with ${recipients.length} recipients`);
+    // Scheduled contracts start on their own; the account must be connected by then
+    if (schedule.scheduledAt) {
+      await enqueueContract(contract.id, Math.max(schedule.scheduledAt.getTime() - Date.now(), 0));
+    }
+
+    logger.info(
+      `Created contract: ${contract.id} with ${recipients.length} recipients` +
+        (schedule.scheduledAt ? ` (scheduled for ${schedule.scheduledAt.toISOString()})` : "")
+    );
     res.status(201).json(contract);
   } catch (error) {
     logger.error("Failed to create contract:", error.message);
@@ -1993,11 +2706,11 @@ app.post("/api/contracts", async (req, res) => {
   }
 });
 
-app.get("/api/contracts", async (req, res) => {
+app.get("/api/contracts", requireScope("contracts:manage"), async (req, res) => {
   try {
     const { accountId, status } = req.query;
 
-    const where = {};
+    const where = scopeToWorkspace(req.auth);
     if (accountId) where.accountId = accountId;
     if (status) where.status = status;
 
@@ -2022,12 +2735,12 @@ app.get("/api/contracts", async (req, res) => {
   }
 });
 
-app.get("/api/contracts/:id", async (req, res) => {
+app.get("/api/contracts/:id", requireScope("contracts:manage"), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const contract = await prisma.contract.findUnique({
-      where: { id },
+    const contract = await prisma.contract.findFirst({
+      where: scopeToWorkspace(req.auth, { id }),
       include: {
         account: {
           select: { id: true, name: true, phoneNumber: true },
@@ -2050,18 +2763,63 @@ app.get("/api/contracts/:id", async (req, res) => {
   }
 });
 
-app.post("/api/contracts/:id/start", async (req, res) => {
+// Contract lifecycle: start → pause ⇄ resume → completed; cancel and retry-failed at any point
+function findContractForAction(req, id) {
+  return prisma.contract.findFirst({ where: scopeToWorkspace(req.auth, { id }) });
+}
+
+function isAccountConnected(accountId) {
+  return clients.get(accountId)?.status === "CONNECTED";
+}
+
+// Suppressed recipients are skipped while queueing, which can leave a contract with nothing to send
+async function completeIfNothingLeft(contract) {
+  const completed = await completeContractIfDone(prisma, contract.id);
+  if (!completed) return;
+
+  emitWebhookEvent(contract.accountId, "contract.completed", {
+    contractId: completed.id,
+    name: completed.name,
+    totalCount: completed.totalCount,
+    successCount: completed.successCount,
+    failureCount: completed.failureCount,
+    completedAt: completed.completedAt,
+  });
+}
+
+// Queues PENDING recipients of a paused contract again; shared by /resume and /start
+async function respondWithResume(res, contract) {
+  const pendingRecipients = await prisma.contractRecipient.count({
+    where: { contractId: contract.id, status: "PENDING" },
+  });
+
+  if (pendingRecipients === 0) {
+    return res.status(400).json({ error: "No pending recipients" });
+  }
+
+  if (!isAccountConnected(contract.accountId)) {
+    return res.status(400).json({ error: "Account not connected" });
+  }
+
+  const queued = await resumeContract(prisma, contract.id);
+  if (queued === 0) {
+    await completeIfNothingLeft(contract);
+  }
+
+  logger.info(`Resumed contract: ${contract.id} (${queued} recipients queued)`);
+  res.json({
+    success: true,
+    message: "Contract resumed",
+    contractId: contract.id,
+    pendingRecipients: queued,
+  });
+}
+
+app.post("/api/contracts/:id/start", requireScope("contracts:manage"), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const contract = await prisma.contract.findUnique({
-      where: { id },
-      include: {
-        recipients: {
-          where: { status: { in: ["PENDING", "FAILED"] } },
-        },
-      },
-    });
+    const contract = await findContractForAction(req, id);
 
     if (!contract) {
       return res.status(404).json({ error: "Contract not found" });
@@ -2071,31 +2829,40 @@ app.post("/api/contracts/:id/start", async (req, res) => {
       return res.status(400).json({ error: "Contract already completed" });
     }
 
-    if (contract.recipients.length === 0) {
+    if (contract.status === "CANCELLED") {
+      return res.status(400).json({ error: "Contract is cancelled" });
+    }
+
+    if (contract.status === "PAUSED") {
+      return await respondWithResume(res, contract);
+    }
+
+    const pendingRecipients = await prisma.contractRecipient.count({
+      where: { contractId: id, status: "PENDING" },
+    });
+
+    if (pendingRecipients === 0) {
       return res.status(400).json({ error: "No pending recipients" });
     }
 
-    const clientInfo = clients.get(contract.accountId);
-    if (!clientInfo || clientInfo.status !== "CONNECTED") {
+    if (!isAccountConnected(contract.accountId)) {
       return res.status(400).json({ error: "Account not connected" });
     }
 
-    const job = await contractQueue.add(
-      `contract-${id}`,
-      { contractId: id },
-      {
-        jobId: `contract-${id}`,
-        removeOnComplete: false,
-        removeOnFail: false,
-      }
-    );
+    // Starting a scheduled contract early runs its delayed job right away
+    const scheduledJob = contract.status === "SCHEDULED" && (await contractQueue.getJob(`contract-${id}`));
+    if (scheduledJob && (await scheduledJob.isDelayed())) {
+      await scheduledJob.promote();
+    }
+
+    const job = scheduledJob || await enqueueContract(id);
 
     res.json({
       success: true,
       message: "Contract queued",
       contractId: id,
       jobId: job.id,
-      pendingRecipients: contract.recipients.length,
+      pendingRecipients,
     });
   } catch (error) {
     logger.error("Failed to start contract:", error.message);
@@ -2103,60 +2870,184 @@ app.post("/api/contracts/:id/start", async (req, res) => {
   }
 });
 
-app.post("/api/contracts/:id/pause", async (req, res) => {
+// Message jobs already in the queue are dropped by the worker; a message being sent right now still goes out
+app.post("/api/contracts/:id/pause", requireScope("contracts:manage"), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const contract = await prisma.contract.findUnique({ where: { id } });
+    const contract = await findContractForAction(req, id);
 
     if (!contract) {
       return res.status(404).json({ error: "Contract not found" });
     }
 
-    if (contract.status !== "IN_PROGRESS") {
+    if (contract.status !== "IN_PROGRESS" && contract.status !== "SCHEDULED") {
       return res.status(400).json({ error: "Contract is not in progress" });
     }
 
-    await prisma.contract.update({
-      where: { id },
-      data: { status: "PAUSED" },
-    });
+    const { requeued } = await pauseContract(prisma, id);
 
     const job = await contractQueue.getJob(`contract-${id}`);
     if (job) {
       await job.remove();
     }
 
-    res.json({ success: true, message: "Contract paused" });
+    logger.info(`Paused contract: ${id} (${requeued} queued recipients returned to PENDING)`);
+    res.json({ success: true, message: "Contract paused", requeued });
   } catch (error) {
     logger.error("Failed to pause contract:", error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get("/api/contracts/:id/stats", async (req, res) => {
+app.post("/api/contracts/:id/resume", requireScope("contracts:manage"), async (req, res) => {
+  try {
+    const contract = await findContractForAction(req, req.params.id);
+
+    if (!contract) {
+      return res.status(404).json({ error: "Contract not found" });
+    }
+
+    if (contract.status !== "PAUSED") {
+      return res.status(400).json({ error: "Contract is not paused" });
+    }
+
+    await respondWithResume(res, contract);
+  } catch (error) {
+    logger.error("Failed to resume contract:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recipients not sent yet become SKIPPED; the contract can't be started again
+app.post("/api/contracts/:id/cancel", requireScope("contracts:manage"), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const contract = await prisma.contract.findUnique({
-      where: { id },
-      include: { recipients: true },
+    const contract = await findContractForAction(req, id);
+
+    if (!contract) {
+      return res.status(404).json({ error: "Contract not found" });
+    }
+
+    if (contract.status === "COMPLETED" || contract.status === "CANCELLED") {
+      return res.status(400).json({ error: "Contract is already finished" });
+    }
+
+    const { skipped } = await cancelContract(prisma, id);
+
+    const job = await contractQueue.getJob(`contract-${id}`);
+    if (job) {
+      await job.remove();
+    }
+
+    logger.info(`Cancelled contract: ${id} (${skipped} recipients skipped)`);
+    res.json({ success: true, message: "Contract cancelled", skipped });
+  } catch (error) {
+    logger.error("Failed to cancel contract:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { errorContains? } - only retry recipients whose error message contains it
+app.post("/api/contracts/:id/retry-failed", requireScope("contracts:manage"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { errorContains } = req.body || {};
+
+    if (errorContains !== undefined && (typeof errorContains !== "string" || !errorContains.trim())) {
+      return res.status(400).json({ error: "errorContains must be a non-empty string" });
+    }
+
+    const contract = await findContractForAction(req, id);
+
+    if (!contract) {
+      return res.status(404).json({ error: "Contract not found" });
+    }
+
+    if (contract.status === "CANCELLED") {
+      return res.status(400).json({ error: "Contract is cancelled" });
+    }
+
+    if (!isAccountConnected(contract.accountId)) {
+      return res.status(400).json({ error: "Account not connected" });
+    }
+
+    const retried = await retryFailedRecipients(prisma, id, { errorContains: errorContains?.trim() });
+
+    if (retried === 0) {
+      return res.status(400).json({
+        error: errorContains ? "No failed recipients match errorContains" : "No failed recipients",
+      });
+    }
+
+    await completeIfNothingLeft(contract);
+
+    // A paused contract stays paused; its retried recipients go out on /resume
+    const paused = contract.status === "PAUSED";
+
+    logger.info(`Retrying ${retried} failed recipients of contract ${id}${paused ? " (after resume)" : ""}`);
+    res.json({
+      success: true,
+      message: paused ? "Failed recipients will be sent when the contract is resumed" : "Failed recipients queued",
+      contractId: id,
+      retried,
+    });
+  } catch (error) {
+    logger.error("Failed to retry contract recipients:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recipient counts come from one GROUP BY instead of loading the recipients
+app.get("/api/contracts/:id/stats", requireScope("contracts:manage"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const contract = await prisma.contract.findFirst({
+      where: scopeToWorkspace(req.auth, { id }),
+      select: { id: true, name: true, status: true, deliveredCount: true, readCount: true },
     });
 
     if (!contract) {
       return res.status(404).json({ error: "Contract not found" });
     }
 
+    const groups = await prisma.contractRecipient.groupBy({
+      by: ["status"],
+      where: { contractId: id },
+      _count: { _all: true },
+    });
+
+    const byStatus = Object.fromEntries(RECIPIENT_STATUSES.map((status) => [status, 0]));
+    for (const group of groups) {
+      byStatus[group.status] = group._count._all;
+    }
+
+    const total = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+    const success = byStatus.SUCCESS;
+
     const stats = {
       contractId: id,
       name: contract.name,
       status: contract.status,
-      total: contract.totalCount,
-      success: contract.successCount,
-      failed: contract.failureCount,
-      pending: contract.pendingCount,
-      successRate: contract.totalCount > 0
-        ? ((contract.successCount / contract.totalCount) * 100).toFixed(2) + "%"
+      total,
+      success,
+      failed: byStatus.FAILED,
+      pending: OPEN_RECIPIENT_STATUSES.reduce((sum, status) => sum + byStatus[status], 0),
+      skipped: byStatus.SKIPPED,
+      invalid: byStatus.INVALID_NUMBER,
+      byStatus,
+      delivered: contract.deliveredCount,
+      read: contract.readCount,
+      successRate: total > 0
+        ? ((success / total) * 100).toFixed(2) + "%"
+        : "0%",
+      deliveryRate: success > 0
+        ? ((contract.deliveredCount / success) * 100).toFixed(2) + "%"
+        : "0%",
+      readRate: success > 0
+        ? ((contract.readCount / success) * 100).toFixed(2) + "%"
         : "0%",
     };
 
@@ -2167,11 +3058,11 @@ app.get("/api/contracts/:id/stats", async (req, res) => {
   }
 });
 
-app.delete("/api/contracts/:id", async (req, res) => {
+app.delete("/api/contracts/:id", requireScope("contracts:manage"), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const contract = await prisma.contract.findUnique({ where: { id } });
+    const contract = await prisma.contract.findFirst({ where: scopeToWorkspace(req.auth, { id }) });
 
     if (!contract) {
       return res.status(404).json({ error: "Contract not found" });
@@ -2191,10 +3082,23 @@ app.delete("/api/contracts/:id", async (req, res) => {
   }
 });
 
-app.get("/api/queues/status", async (req, res) => {
+// BullMQ counts are global, so only platform callers see them; a workspace gets
+// the backlog of its own accounts
+app.get("/api/queues/status", requireScope("accounts:read"), async (req, res) => {
   try {
+    if (!isPlatformAuth(req.auth)) {
+      const accounts = await prisma.whatsAppAccount.findMany({
+        where: scopeToWorkspace(req.auth),
+        select: { id: true },
+        orderBy: { createdAt: "asc" },
+      });
+
+      return res.json({ accounts: await Promise.all(accounts.map((account) => getQueueStatus(account.id))) });
+    }
+
     const contractQueueCounts = await contractQueue.getJobCounts();
     const messageQueueCounts = await messageQueue.getJobCounts();
+    const webhookQueueCounts = await webhookQueue.getJobCounts();
 
     res.json({
       contracts: {
@@ -2213,6 +3117,13 @@ app.get("/api/queues/status", async (req, res) => {
         completed: messageQueueCounts.completed,
         failed: messageQueueCounts.failed,
       },
+      webhooks: {
+        waiting: webhookQueueCounts.waiting,
+        delayed: webhookQueueCounts.delayed,
+        active: webhookQueueCounts.active,
+        completed: webhookQueueCounts.completed,
+        failed: webhookQueueCounts.failed,
+      },
     });
   } catch (error) {
     logger.error("Failed to get queue status:", error.message);
@@ -2220,6 +3131,33 @@ app.get("/api/queues/status", async (req, res) => {
   }
 });
 
+// ==================== ROUTE MODULES ====================
+
+const routeDeps = {
+  getPrisma: () => prisma,
+  logger,
+  requireScope,
+  requireAuth,
+  requirePlatform,
+  getLoginLock,
+  recordLoginFailure,
+  clearLoginFailures,
+};
+
+require("./routes/auth")(app, routeDeps);
+require("./routes/workspaces")(app, routeDeps);
+require("./routes/users")(app, routeDeps);
+require("./routes/apiKeys")(app, routeDeps);
+require("./routes/webhooks")(app, routeDeps);
+require("./routes/media")(app, routeDeps);
+require("./routes/templates")(app, routeDeps);
+require("./routes/imports")(app, routeDeps);
+require("./routes/limitProfiles")(app, routeDeps);
+require("./routes/recipients")(app, routeDeps);
+require("./routes/suppressions")(app, routeDeps);
+require("./routes/search")(app, routeDeps);
+require("./routes/auditLogs")(app, routeDeps);
+
 // Health check
 app.get("/health", (req, res) => {
   const used = process.memoryUsage();
@@ -2239,10 +3177,6 @@ app.get("/health", (req, res) => {
       rssMB: Math.round(used.rss / 1024 / 1024),
     },
     caches: {
-      rateLimiter: rateLimiter.size,
-      dailyLimits: dailyLimits.size,
-      messageCounters: messageCounters.size,
-      messageQueues: messageQueues.size,
       signalKeyCache: signalKeyCache.size,
     },
   });
@@ -2467,11 +3401,28 @@ const server = httpServer.listen(PORT, async () => {
       CONFIG,
       initializeClient,
       cleanupClient,
-      enqueueMessage,
-      processMessageQueue,
-      messageQueues,
+      queueSingleMessage,
+      resolveSendOptions,
+      sendReaction,
+      ensureClientStarted,
+      suppressedSendReason,
+      resolveJid,
+      listChats,
+      listChatMessages,
+      readChat,
+      searchMessages,
+      listGroups,
+      getGroup,
+      groupAdmin,
+      getQueueStatus,
+      parseMediaInput,
+      removeOutgoingMedia,
       connectingAccounts,
-      reconnectAttempts
+      reconnectAttempts,
+      socketMiddleware,
+      hasScope,
+      scopeToWorkspace,
+      resolveWorkspaceId
     });
     global.io = io;
     logger.info('Socket.IO initialized successfully');
@@ -2484,12 +3435,21 @@ const server = httpServer.listen(PORT, async () => {
       clients,
       logger,
       CONFIG,
+      getLimits,
       checkRateLimit,
       checkDailyLimit,
       checkNeedRest,
+      checkNewChatLimit,
+      startRest,
+      recordMessageSent,
+      acquireSendLock,
+      releaseSendLock,
+      startSendPause,
+      getSendPause,
+      reserveSendSlot,
       sendMessageWithHumanBehavior,
-      messageCounters,
-      dailyLimits,
+      emitWebhookEvent,
+      emitMessageStatus,
     });
   } else {
     logger.info("Skipping BullMQ workers (START_QUEUE_WORKERS is not true)");
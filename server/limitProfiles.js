@@ -0,0 +1,184 @@
+// ==================== LIMIT PROFILES ====================
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Accounts younger than this get the lower default daily limit
+const NEW_ACCOUNT_AGE = 7 * DAY;
+
+const LIMIT_FIELDS = [
+  "ratePerMinute",
+  "dailyLimit",
+  "newChatsPerDay",
+  "restAfterMessages",
+  "restMinSeconds",
+  "restMaxSeconds",
+  "delayMinSeconds",
+  "delayMaxSeconds",
+];
+
+// Optional: without them the profile has a flat daily limit
+const WARMUP_FIELDS = ["warmupStartLimit", "warmupDailyIncrease"];
+
+// Starting points for POST /api/limit-profiles { "preset": "..." }
+const PRESETS = {
+  warmup: {
+    name: "New number warm-up",
+    ratePerMinute: 5,
+    dailyLimit: 500,
+    newChatsPerDay: 30,
+    restAfterMessages: 5,
+    restMinSeconds: 60,
+    restMaxSeconds: 180,
+    delayMinSeconds: 8,
+    delayMaxSeconds: 20,
+    warmupStartLimit: 20,
+    warmupDailyIncrease: 20,
+  },
+  established: {
+    name: "Established",
+    ratePerMinute: 20,
+    dailyLimit: 1000,
+    newChatsPerDay: 100,
+    restAfterMessages: 5,
+    restMinSeconds: 30,
+    restMaxSeconds: 120,
+    delayMinSeconds: 3,
+    delayMaxSeconds: 8,
+    warmupStartLimit: null,
+    warmupDailyIncrease: null,
+  },
+  aggressive: {
+    name: "Aggressive",
+    ratePerMinute: 40,
+    dailyLimit: 3000,
+    newChatsPerDay: 300,
+    restAfterMessages: 20,
+    restMinSeconds: 15,
+    restMaxSeconds: 45,
+    delayMinSeconds: 1,
+    delayMaxSeconds: 3,
+    warmupStartLimit: null,
+    warmupDailyIncrease: null,
+  },
+};
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Validates profile fields from the API. With `partial` only the given fields
+ * are checked (PUT); min/max pairs are checked against `existing` values.
+ * Returns { data } or { error }.
+ */
+function parseLimitProfile(input, { partial = false, existing = {} } = {}) {
+  const data = {};
+
+  for (const field of LIMIT_FIELDS) {
+    if (input[field] === undefined) {
+      if (!partial) return { error: `${field} is required` };
+      continue;
+    }
+    if (!isNonNegativeInteger(input[field])) {
+      return { error: `${field} must be a non-negative integer` };
+    }
+    data[field] = input[field];
+  }
+
+  for (const field of WARMUP_FIELDS) {
+    if (input[field] === undefined) continue;
+    if (input[field] !== null && !isNonNegativeInteger(input[field])) {
+      return { error: `${field} must be a non-negative integer or null` };
+    }
+    data[field] = input[field];
+  }
+
+  const merged = { ...existing, ...data };
+
+  if (merged.ratePerMinute === 0 || merged.dailyLimit === 0) {
+    return { error: "ratePerMinute and dailyLimit must be greater than 0" };
+  }
+
+  if (merged.restMinSeconds > merged.restMaxSeconds) {
+    return { error: "restMinSeconds must not exceed restMaxSeconds" };
+  }
+
+  if (merged.delayMinSeconds > merged.delayMaxSeconds) {
+    return { error: "delayMinSeconds must not exceed delayMaxSeconds" };
+  }
+
+  if ((merged.warmupStartLimit == null) !== (merged.warmupDailyIncrease == null)) {
+    return { error: "warmupStartLimit and warmupDailyIncrease must be set together" };
+  }
+
+  return { data };
+}
+
+// Limits for accounts without a profile, taken from CONFIG
+function defaultLimits(account, CONFIG) {
+  const isNewAccount = Date.now() - new Date(account.createdAt).getTime() < NEW_ACCOUNT_AGE;
+
+  return {
+    profileId: null,
+    profileName: null,
+    isNewAccount,
+    ratePerMinute: CONFIG.RATE_LIMIT_MAX_MESSAGES,
+    dailyLimit: isNewAccount
+      ? CONFIG.DAILY_MESSAGE_LIMIT_NEW_ACCOUNT
+      : CONFIG.DAILY_MESSAGE_LIMIT_OLD_ACCOUNT,
+    newChatsPerDay: CONFIG.DAILY_NEW_CHATS_LIMIT,
+    restAfterMessages: CONFIG.REST_AFTER_MESSAGES,
+    restDurationMin: CONFIG.REST_DURATION_MIN,
+    restDurationMax: CONFIG.REST_DURATION_MAX,
+    delayMin: CONFIG.DELAY_BETWEEN_MESSAGES_MIN,
+    delayMax: CONFIG.DELAY_BETWEEN_MESSAGES_MAX,
+    warmup: null,
+  };
+}
+
+/**
+ * Resolves the limits that apply to an account right now. Warm-up profiles
+ * start at warmupStartLimit and add warmupDailyIncrease per day since the
+ * profile was assigned, capped at dailyLimit. Durations are in ms.
+ */
+function effectiveLimits(account, CONFIG) {
+  const profile = account.limitProfile;
+  if (!profile) return defaultLimits(account, CONFIG);
+
+  let dailyLimit = profile.dailyLimit;
+  let warmup = null;
+
+  if (profile.warmupStartLimit != null) {
+    const since = new Date(account.limitProfileAssignedAt || account.createdAt).getTime();
+    const day = Math.max(Math.floor((Date.now() - since) / DAY), 0);
+    const warmupLimit = profile.warmupStartLimit + profile.warmupDailyIncrease * day;
+
+    if (warmupLimit < profile.dailyLimit) {
+      dailyLimit = warmupLimit;
+      warmup = { day: day + 1, dailyLimit: warmupLimit, targetDailyLimit: profile.dailyLimit };
+    }
+  }
+
+  return {
+    profileId: profile.id,
+    profileName: profile.name,
+    isNewAccount: false,
+    ratePerMinute: profile.ratePerMinute,
+    dailyLimit,
+    newChatsPerDay: profile.newChatsPerDay,
+    restAfterMessages: profile.restAfterMessages,
+    restDurationMin: profile.restMinSeconds * 1000,
+    restDurationMax: profile.restMaxSeconds * 1000,
+    delayMin: profile.delayMinSeconds * 1000,
+    delayMax: profile.delayMaxSeconds * 1000,
+    warmup,
+  };
+}
+
+module.exports = {
+  LIMIT_FIELDS,
+  WARMUP_FIELDS,
+  PRESETS,
+  parseLimitProfile,
+  effectiveLimits,
+};
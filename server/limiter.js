@@ -0,0 +1,348 @@
+// ==================== RATE LIMITING (REDIS) ====================
+//
+// Counters live in Redis so they survive restarts and are shared by the API,
+// PM2 cluster instances and separate worker containers. Keys expire on their own.
+
+const { effectiveLimits } = require("./limitProfiles");
+
+const KEY_PREFIX = "limits";
+
+// Daily counters are kept a bit longer than a day so late readers still see them
+const DAILY_KEY_TTL_SECONDS = 2 * 24 * 60 * 60;
+
+// The rest counter only matters while an account is actively sending
+const REST_COUNTER_TTL_SECONDS = 24 * 60 * 60;
+
+// INCR + PEXPIRE on the first hit of a window, atomically; returns [count, pttl]
+const FIXED_WINDOW_SCRIPT = `
+local count = redis.call("INCR", KEYS[1])
+if count == 1 then
+  redis.call("PEXPIRE", KEYS[1], ARGV[1])
+end
+return { count, redis.call("PTTL", KEYS[1]) }
+`;
+
+// Deletes the lock only if it is still held by the caller
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0
+`;
+
+// Next start time for a job that found its account busy: one pace after the
+// latest reservation (or now). The key lives until the last slot has passed.
+const RESERVE_SLOT_SCRIPT = `
+local now = tonumber(ARGV[1])
+local spacing = math.max(tonumber(redis.call("GET", KEYS[2]) or "0"), tonumber(ARGV[2]))
+local slot = math.max(now, tonumber(redis.call("GET", KEYS[1]) or "0")) + spacing
+redis.call("SET", KEYS[1], slot, "PX", math.floor(slot - now + spacing))
+return slot
+`;
+
+// The last pause is kept as the account's pace for slot reservations
+const SEND_PACE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Failed logins per email and client IP; the counter expires with its window
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCK_WINDOW_MS = 15 * 60 * 1000;
+
+function localDate(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Daily counters roll over at local midnight
+function msUntilNextDay(date = new Date()) {
+  const midnight = new Date(date);
+  midnight.setHours(24, 0, 0, 0);
+  return midnight.getTime() - date.getTime();
+}
+
+function randomBetween(min, max) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+function createLimiter({ redis, getPrisma, CONFIG }) {
+  const keys = {
+    rate: (accountId) => `${KEY_PREFIX}:rate:${accountId}`,
+    daily: (accountId) => `${KEY_PREFIX}:daily:${accountId}:${localDate()}`,
+    restCount: (accountId) => `${KEY_PREFIX}:rest-count:${accountId}`,
+    resting: (accountId) => `${KEY_PREFIX}:resting:${accountId}`,
+    sendLock: (accountId) => `${KEY_PREFIX}:send-lock:${accountId}`,
+    sendPause: (accountId) => `${KEY_PREFIX}:send-pause:${accountId}`,
+    sendPace: (accountId) => `${KEY_PREFIX}:send-pace:${accountId}`,
+    sendSlot: (accountId) => `${KEY_PREFIX}:send-slot:${accountId}`,
+    loginFailures: (email, ip) => `${KEY_PREFIX}:login-failures:${email}:${ip}`,
+  };
+
+  // A chat is new when nothing was ever sent to or received from it; groups never count.
+  // Queued and failed sends don't count as contact.
+  async function isNewChat(accountId, jid) {
+    if (jid.endsWith("@g.us")) return false;
+
+    const contactNumber = jid.split("@")[0].split(":")[0];
+    const previous = await getPrisma().message.findFirst({
+      where: {
+        accountId,
+        status: { notIn: ["PENDING", "FAILED"] },
+        OR: [{ chatId: jid }, { contactNumber }],
+      },
+      select: { id: true },
+    });
+
+    return !previous;
+  }
+
+  function getAccount(accountId) {
+    return getPrisma().whatsAppAccount.findUnique({
+      where: { id: accountId },
+      select: {
+        useLimits: true,
+        createdAt: true,
+        limitProfileAssignedAt: true,
+        limitProfile: true,
+      },
+    });
+  }
+
+  // Effective limits for the account's profile, or null when limits are off
+  async function getLimits(accountId) {
+    const account = await getAccount(accountId);
+    if (!account || !account.useLimits) return null;
+    return effectiveLimits(account, CONFIG);
+  }
+
+  // Read-only: denied attempts don't use up the window, see recordRateLimitHit
+  async function checkRateLimit(accountId) {
+    const limits = await getLimits(accountId);
+
+    if (!limits) {
+      return { allowed: true, noLimits: true };
+    }
+
+    const [count, ttl] = await Promise.all([
+      redis.get(keys.rate(accountId)),
+      redis.pttl(keys.rate(accountId)),
+    ]);
+
+    if ((parseInt(count, 10) || 0) >= limits.ratePerMinute) {
+      return { allowed: false, resetIn: Math.max(Math.ceil(ttl / 1000), 1) };
+    }
+
+    return { allowed: true };
+  }
+
+  // Counts something that actually went out to WhatsApp against the per-minute window
+  async function recordRateLimitHit(accountId) {
+    await redis.eval(FIXED_WINDOW_SCRIPT, 1, keys.rate(accountId), CONFIG.RATE_LIMIT_WINDOW);
+  }
+
+  async function checkDailyLimit(accountId) {
+    const account = await getAccount(accountId);
+
+    if (!account) {
+      return { allowed: false, reason: "Account not found" };
+    }
+
+    if (!account.useLimits) {
+      return { allowed: true, isNewAccount: false, noLimits: true };
+    }
+
+    const { isNewAccount, dailyLimit } = effectiveLimits(account, CONFIG);
+    const messageCount = parseInt(await redis.hget(keys.daily(accountId), "messages"), 10) || 0;
+
+    if (messageCount >= dailyLimit) {
+      return {
+        allowed: false,
+        reason: `Daily limit reached (${dailyLimit} messages)`,
+        isNewAccount,
+        dailyLimit,
+        resetIn: msUntilNextDay(),
+      };
+    }
+
+    return { allowed: true, isNewAccount, dailyLimit };
+  }
+
+  /**
+   * First-contact sends count against newChatsPerDay. When the limit is reached,
+   * resetIn (ms) says how long until the counter rolls over.
+   */
+  async function checkNewChatLimit(accountId, jid) {
+    const limits = await getLimits(accountId);
+
+    if (!limits) {
+      return { allowed: true, noLimits: true, isNewChat: false };
+    }
+
+    if (!(await isNewChat(accountId, jid))) {
+      return { allowed: true, isNewChat: false };
+    }
+
+    const newChatsCount = parseInt(await redis.hget(keys.daily(accountId), "newChats"), 10) || 0;
+
+    if (newChatsCount >= limits.newChatsPerDay) {
+      return {
+        allowed: false,
+        isNewChat: true,
+        reason: `Daily new chats limit reached (${limits.newChatsPerDay} chats)`,
+        resetIn: msUntilNextDay(),
+      };
+    }
+
+    return { allowed: true, isNewChat: true };
+  }
+
+  /**
+   * restingFor (ms) is set while another process is already resting this account;
+   * otherwise restDuration is a suggested rest within the profile's range.
+   */
+  async function checkNeedRest(accountId) {
+    const limits = await getLimits(accountId);
+
+    if (!limits) {
+      return { needRest: false, noLimits: true };
+    }
+
+    const [restingFor, count] = await Promise.all([
+      redis.pttl(keys.resting(accountId)),
+      redis.get(keys.restCount(accountId)),
+    ]);
+
+    if (restingFor > 0) {
+      return { needRest: true, reason: "Currently resting", restingFor };
+    }
+
+    if ((parseInt(count, 10) || 0) >= limits.restAfterMessages) {
+      return {
+        needRest: true,
+        reason: "Need rest after messages",
+        restDuration: randomBetween(limits.restDurationMin, limits.restDurationMax),
+      };
+    }
+
+    return { needRest: false };
+  }
+
+  // Returns false when another process started the rest first
+  async function startRest(accountId, durationMs) {
+    const started = await redis.set(keys.resting(accountId), "1", "PX", durationMs, "NX");
+    if (!started) return false;
+
+    await redis.del(keys.restCount(accountId));
+    return true;
+  }
+
+  async function recordMessageSent(accountId, { isNewChat = false } = {}) {
+    await recordRateLimitHit(accountId);
+    await redis
+      .multi()
+      .hincrby(keys.daily(accountId), "messages", 1)
+      .hincrby(keys.daily(accountId), "newChats", isNewChat ? 1 : 0)
+      .expire(keys.daily(accountId), DAILY_KEY_TTL_SECONDS)
+      .incr(keys.restCount(accountId))
+      .expire(keys.restCount(accountId), REST_COUNTER_TTL_SECONDS)
+      .exec();
+  }
+
+  /**
+   * One message per account at a time, across all worker processes. The TTL
+   * only matters when a process dies while holding the lock.
+   */
+  async function acquireSendLock(accountId, owner, ttlMs) {
+    return (await redis.set(keys.sendLock(accountId), owner, "PX", ttlMs, "NX")) === "OK";
+  }
+
+  async function releaseSendLock(accountId, owner) {
+    await redis.eval(RELEASE_LOCK_SCRIPT, 1, keys.sendLock(accountId), owner);
+  }
+
+  // Human-like pause before the account's next message
+  async function startSendPause(accountId, durationMs) {
+    await redis
+      .multi()
+      .set(keys.sendPause(accountId), "1", "PX", durationMs)
+      .set(keys.sendPace(accountId), String(durationMs), "PX", SEND_PACE_TTL_MS)
+      .exec();
+  }
+
+  // Remaining pause in ms, 0 when the account may send
+  async function getSendPause(accountId) {
+    return Math.max(await redis.pttl(keys.sendPause(accountId)), 0);
+  }
+
+  /**
+   * Timestamp (ms) at which a job that found the account busy should try
+   * again. Every waiting job gets its own slot, spaced by the account's last
+   * pause (at least minSpacingMs), so they line up instead of polling the lock.
+   */
+  async function reserveSendSlot(accountId, minSpacingMs) {
+    const slot = await redis.eval(
+      RESERVE_SLOT_SCRIPT,
+      2,
+      keys.sendSlot(accountId),
+      keys.sendPace(accountId),
+      Date.now(),
+      minSpacingMs
+    );
+    return Number(slot);
+  }
+
+  // Remaining lock in ms after too many failed logins, 0 when login may be tried
+  async function getLoginLock(email, ip) {
+    const key = keys.loginFailures(email, ip);
+    const [count, ttl] = await Promise.all([redis.get(key), redis.pttl(key)]);
+
+    return (parseInt(count, 10) || 0) >= LOGIN_MAX_FAILURES ? Math.max(ttl, 1) : 0;
+  }
+
+  async function recordLoginFailure(email, ip) {
+    await redis.eval(FIXED_WINDOW_SCRIPT, 1, keys.loginFailures(email, ip), LOGIN_LOCK_WINDOW_MS);
+  }
+
+  async function clearLoginFailures(email, ip) {
+    await redis.del(keys.loginFailures(email, ip));
+  }
+
+  // Snapshot for status endpoints
+  async function getLimitUsage(accountId) {
+    const [daily, messagesSinceRest, restingFor] = await Promise.all([
+      redis.hgetall(keys.daily(accountId)),
+      redis.get(keys.restCount(accountId)),
+      redis.pttl(keys.resting(accountId)),
+    ]);
+
+    return {
+      dailyCount: parseInt(daily.messages, 10) || 0,
+      newChatsCount: parseInt(daily.newChats, 10) || 0,
+      messagesSinceRest: parseInt(messagesSinceRest, 10) || 0,
+      isResting: restingFor > 0,
+    };
+  }
+
+  return {
+    getLimits,
+    checkRateLimit,
+    recordRateLimitHit,
+    checkDailyLimit,
+    checkNeedRest,
+    checkNewChatLimit,
+    startRest,
+    recordMessageSent,
+    acquireSendLock,
+    releaseSendLock,
+    startSendPause,
+    getSendPause,
+    reserveSendSlot,
+    getLimitUsage,
+    getLoginLock,
+    recordLoginFailure,
+    clearLoginFailures,
+  };
+}
+
+module.exports = {
+  createLimiter,
+};
@@ -0,0 +1,402 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const multer = require("multer");
+const { getStorage } = require("./storage");
+const { checkOutboundUrl, downloadPublicUrl } = require("./netGuard");
+
+// ==================== OUTGOING MEDIA ====================
+
+// Types accepted for sending; MESSAGE_TYPES mirrors the Prisma MessageType enum
+const MEDIA_TYPES = ["image", "video", "audio", "document"];
+const MESSAGE_TYPES = ["TEXT", "IMAGE", "VIDEO", "AUDIO", "DOCUMENT", "STICKER", "LOCATION", "CONTACT"];
+
+const MAX_MEDIA_SIZE = parseInt(process.env.MEDIA_MAX_SIZE_MB || "64", 10) * 1024 * 1024;
+
+// Base64 payloads arrive inside JSON / Socket.IO frames and are ~33% larger than the file
+const MAX_INLINE_MEDIA_SIZE = parseInt(process.env.MEDIA_MAX_INLINE_MB || "25", 10) * 1024 * 1024;
+
+// Files wait here until the messages worker has sent them
+const OUTGOING_MEDIA_DIR = path.join(process.cwd(), ".media", "outgoing");
+
+const EXTENSION_MIMETYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  gif: "image/gif",
+  mp4: "video/mp4",
+  "3gp": "video/3gpp",
+  mov: "video/quicktime",
+  mp3: "audio/mpeg",
+  ogg: "audio/ogg; codecs=opus",
+  opus: "audio/ogg; codecs=opus",
+  m4a: "audio/mp4",
+  aac: "audio/aac",
+  pdf: "application/pdf",
+  doc: "application/msword",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  xls: "application/vnd.ms-excel",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  csv: "text/csv",
+  txt: "text/plain",
+  vcf: "text/vcard",
+  zip: "application/zip",
+};
+
+// First extension wins, so jpg (not jpeg) and ogg (not opus)
+const MIMETYPE_EXTENSIONS = Object.entries(EXTENSION_MIMETYPES).reduce((map, [extension, mimetype]) => {
+  const base = mimetype.split(";")[0];
+  if (!map[base]) map[base] = extension;
+  return map;
+}, {});
+
+function ensureOutgoingDir() {
+  if (!fs.existsSync(OUTGOING_MEDIA_DIR)) {
+    fs.mkdirSync(OUTGOING_MEDIA_DIR, { recursive: true });
+  }
+}
+
+function randomFileName(extension) {
+  return `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${extension}`;
+}
+
+function mimetypeFromFilename(filename) {
+  const extension = path.extname(filename || "").slice(1).toLowerCase();
+  return EXTENSION_MIMETYPES[extension] || null;
+}
+
+function extensionFromMimetype(mimetype) {
+  const extension = MIMETYPE_EXTENSIONS[(mimetype || "").split(";")[0].trim()];
+  return extension ? `.${extension}` : "";
+}
+
+function mediaTypeFromMimetype(mimetype) {
+  if (!mimetype) return "document";
+  if (mimetype.startsWith("image/")) return "image";
+  if (mimetype.startsWith("video/")) return "video";
+  if (mimetype.startsWith("audio/")) return "audio";
+  return "document";
+}
+
+function isTruthy(value) {
+  return value === true || value === "true" || value === "1";
+}
+
+// Multipart handler for the `file` field; rejects oversized uploads with 400
+function createMediaUpload() {
+  ensureOutgoingDir();
+
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: OUTGOING_MEDIA_DIR,
+      filename: (req, file, cb) => cb(null, randomFileName(path.extname(file.originalname || ""))),
+    }),
+    limits: { fileSize: MAX_MEDIA_SIZE, files: 1 },
+  }).single("file");
+
+  return function mediaUpload(req, res, next) {
+    upload(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({ error: `Upload failed: ${error.message}` });
+      }
+      next();
+    });
+  };
+}
+
+/**
+ * Normalizes the three accepted inputs into one media descriptor that can be
+ * stored in BullMQ job data:
+ *   - multer file (multipart `file` field)
+ *   - media.base64 (raw base64 or data: URL), written to OUTGOING_MEDIA_DIR
+ *   - media.url (http/https on a public host), downloaded by the worker at send time
+ *
+ * Returns { media } on success, { media: null } when nothing was attached,
+ * or { error } for invalid input.
+ */
+async function parseMediaInput({ file, media = {} }) {
+  const options = typeof media === "object" && media !== null ? media : {};
+  const ptt = isTruthy(options.ptt);
+
+  if (file) {
+    const mimetype = options.mimetype || file.mimetype || mimetypeFromFilename(file.originalname);
+    const type = options.type || mediaTypeFromMimetype(mimetype);
+
+    if (!MEDIA_TYPES.includes(type)) {
+      await removeOutgoingMedia({ path: file.path });
+      return { error: `Media type must be one of: ${MEDIA_TYPES.join(", ")}` };
+    }
+
+    return {
+      media: {
+        type,
+        mimetype,
+        filename: options.filename || file.originalname || null,
+        size: file.size,
+        ptt,
+        path: file.path,
+      },
+    };
+  }
+
+  if (options.base64) {
+    let data = String(options.base64);
+    let mimetype = options.mimetype || null;
+
+    const dataUrl = data.match(/^data:([^;,]+)(?:;[^,]*)?;base64,/);
+    if (dataUrl) {
+      mimetype = mimetype || dataUrl[1];
+      data = data.slice(dataUrl[0].length);
+    }
+
+    const buffer = Buffer.from(data, "base64");
+    if (buffer.length === 0) {
+      return { error: "media.base64 is empty or not valid base64" };
+    }
+    if (buffer.length > MAX_MEDIA_SIZE) {
+      return { error: `Media exceeds ${MAX_MEDIA_SIZE / 1024 / 1024}MB` };
+    }
+
+    mimetype = mimetype || mimetypeFromFilename(options.filename);
+    const type = options.type || mediaTypeFromMimetype(mimetype);
+    if (!MEDIA_TYPES.includes(type)) {
+      return { error: `Media type must be one of: ${MEDIA_TYPES.join(", ")}` };
+    }
+
+    ensureOutgoingDir();
+    const filePath = path.join(OUTGOING_MEDIA_DIR, randomFileName(path.extname(options.filename || "")));
+    await fs.promises.writeFile(filePath, buffer);
+
+    return {
+      media: {
+        type,
+        mimetype: mimetype || "application/octet-stream",
+        filename: options.filename || null,
+        size: buffer.length,
+        ptt,
+        path: filePath,
+      },
+    };
+  }
+
+  if (options.url) {
+    const checked = await checkOutboundUrl(String(options.url));
+    if (checked.error) {
+      return { error: `Invalid media.url: ${checked.error}` };
+    }
+    const { url } = checked;
+
+    const filename = options.filename || path.basename(url.pathname) || null;
+    const mimetype = options.mimetype || mimetypeFromFilename(filename);
+    const type = options.type || mediaTypeFromMimetype(mimetype);
+    if (!MEDIA_TYPES.includes(type)) {
+      return { error: `Media type must be one of: ${MEDIA_TYPES.join(", ")}` };
+    }
+
+    return {
+      media: {
+        type,
+        mimetype: mimetype || "application/octet-stream",
+        filename,
+        size: null,
+        ptt,
+        url: url.toString(),
+      },
+    };
+  }
+
+  return { media: null };
+}
+
+/**
+ * Fetches URL media right before it is sent. Baileys never gets the URL: it
+ * would follow redirects and resolve DNS on its own, past the public-address
+ * check. Returns the media with `buffer` and `size` filled in.
+ */
+async function downloadUrlMedia(media) {
+  const { buffer, mimetype } = await downloadPublicUrl(media.url, { maxSize: MAX_MEDIA_SIZE });
+
+  return {
+    ...media,
+    buffer,
+    size: buffer.length,
+    mimetype: media.mimetype === "application/octet-stream" && mimetype ? mimetype : media.mimetype,
+  };
+}
+
+// Baileys content for sock.sendMessage; files go through { url: path }, URL media as a downloaded buffer
+function buildMessageContent(text, media) {
+  if (!media) {
+    return { text };
+  }
+
+  const source = media.buffer || { url: media.path };
+  const caption = text || undefined;
+
+  switch (media.type) {
+    case "image":
+      return { image: source, caption, mimetype: media.mimetype };
+    case "video":
+      return { video: source, caption, mimetype: media.mimetype };
+    case "audio":
+      // WhatsApp audio has no caption; ptt renders it as a voice note
+      return { audio: source, mimetype: media.mimetype, ptt: Boolean(media.ptt) };
+    default:
+      return {
+        document: source,
+        mimetype: media.mimetype,
+        fileName: media.filename || "file",
+        caption,
+      };
+  }
+}
+
+// Text stored in messages.message for a media send
+function describeMessage(text, media) {
+  if (!media) return text;
+  if (text) return text;
+  return media.filename ? `[${media.type}] ${media.filename}` : `[${media.type}]`;
+}
+
+// ==================== STORED MEDIA ====================
+
+// Keys start with the workspace id so /api/media can enforce tenant access
+async function storeMedia({ workspaceId, accountId, buffer, mimetype, filename }) {
+  const month = new Date().toISOString().slice(0, 7);
+  const extension = path.extname(filename || "") || extensionFromMimetype(mimetype);
+  const key = `${workspaceId}/${accountId}/${month}/${randomFileName(extension)}`;
+
+  const { url } = await getStorage().save(key, buffer, { mimetype });
+  return url;
+}
+
+// Stores a sent file so outgoing media shows up in the chat like incoming media
+async function storeOutgoingMedia(media, { workspaceId, accountId }) {
+  if (!media) return null;
+  if (!media.path) return media.url || null;
+
+  const buffer = await fs.promises.readFile(media.path);
+  return storeMedia({ workspaceId, accountId, buffer, mimetype: media.mimetype, filename: media.filename });
+}
+
+// Message columns for an outgoing send
+function outgoingMessageFields(text, media, mediaUrl = null) {
+  if (!media) {
+    return { type: "TEXT", message: text };
+  }
+
+  return {
+    type: media.type.toUpperCase(),
+    message: describeMessage(text, media),
+    caption: text || null,
+    mimetype: media.mimetype,
+    filename: media.filename,
+    mediaUrl,
+  };
+}
+
+// ==================== INCOMING MESSAGES ====================
+
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function downloadableContent(type, media) {
+  return {
+    type,
+    caption: media.caption || null,
+    mimetype: media.mimetype || null,
+    filename: media.fileName || null,
+    fileLength: toNumber(media.fileLength),
+    downloadable: true,
+  };
+}
+
+/**
+ * Maps normalized Baileys message content (after normalizeMessageContent) to
+ * Message columns. Returns null for content we don't store (reactions,
+ * protocol messages, polls...).
+ */
+function extractMessageContent(content) {
+  if (!content) return null;
+
+  const text = content.conversation || content.extendedTextMessage?.text;
+  if (text) {
+    return { type: "TEXT", text };
+  }
+
+  if (content.imageMessage) return downloadableContent("IMAGE", content.imageMessage);
+  if (content.videoMessage) return downloadableContent("VIDEO", content.videoMessage);
+  if (content.audioMessage) return downloadableContent("AUDIO", content.audioMessage);
+  if (content.documentMessage) return downloadableContent("DOCUMENT", content.documentMessage);
+  if (content.stickerMessage) return downloadableContent("STICKER", content.stickerMessage);
+
+  const location = content.locationMessage || content.liveLocationMessage;
+  if (location) {
+    const lat = location.degreesLatitude;
+    const lng = location.degreesLongitude;
+    const label = [location.name, location.address].filter(Boolean).join(", ");
+
+    return {
+      type: "LOCATION",
+      text: `${label ? `${label} ` : ""}https://maps.google.com/?q=${lat},${lng}`,
+      caption: location.caption || label || null,
+    };
+  }
+
+  // Contact cards are kept as a .vcf file so they can be downloaded as-is
+  if (content.contactMessage) {
+    const name = content.contactMessage.displayName || "Contact";
+    return {
+      type: "CONTACT",
+      text: name,
+      mimetype: "text/vcard",
+      filename: `${name}.vcf`,
+      vcard: content.contactMessage.vcard || null,
+    };
+  }
+
+  if (content.contactsArrayMessage) {
+    const contacts = content.contactsArrayMessage.contacts || [];
+    const names = contacts.map((contact) => contact.displayName).filter(Boolean);
+    return {
+      type: "CONTACT",
+      text: names.join(", ") || "Contacts",
+      mimetype: "text/vcard",
+      filename: `${content.contactsArrayMessage.displayName || "contacts"}.vcf`,
+      vcard: contacts.map((contact) => contact.vcard).filter(Boolean).join("\n") || null,
+    };
+  }
+
+  return null;
+}
+
+async function removeOutgoingMedia(media) {
+  if (!media?.path) return;
+
+  try {
+    await fs.promises.rm(media.path, { force: true });
+  } catch (error) {
+    // File already gone - nothing to clean up
+  }
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  MESSAGE_TYPES,
+  MAX_MEDIA_SIZE,
+  MAX_INLINE_MEDIA_SIZE,
+  createMediaUpload,
+  parseMediaInput,
+  downloadUrlMedia,
+  buildMessageContent,
+  describeMessage,
+  removeOutgoingMedia,
+  storeMedia,
+  storeOutgoingMedia,
+  outgoingMessageFields,
+  extractMessageContent,
+};
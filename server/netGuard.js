@@ -0,0 +1,206 @@
+const dns = require("dns");
+const net = require("net");
+const http = require("http");
+const https = require("https");
+
+// ==================== OUTBOUND REQUEST GUARD ====================
+//
+// Webhooks and media URLs make the server request addresses chosen by API
+// clients. Hosts are resolved and every address must be public, so a URL
+// can't reach the server itself, the internal network or cloud metadata.
+// Media is downloaded here rather than by Baileys, which would follow
+// redirects and resolve DNS again on its own.
+
+const BLOCKED_RANGES = new net.BlockList();
+
+// IPv4: "this" network, private, CGNAT, loopback, link-local (incl. 169.254.169.254
+// metadata), IETF protocol assignments, benchmarking, multicast and reserved
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([prefix, length]) => BLOCKED_RANGES.addSubnet(prefix, length, "ipv4"));
+
+// IPv6: unspecified, loopback, NAT64, unique local (incl. fd00:ec2::254 metadata),
+// link-local and multicast
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([prefix, length]) => BLOCKED_RANGES.addSubnet(prefix, length, "ipv6"));
+
+const DOWNLOAD_TIMEOUT = 30000;
+const MAX_REDIRECTS = 3;
+
+// Local development receivers (http://localhost:...) need this switched on
+function privateAddressesAllowed() {
+  return process.env.OUTBOUND_ALLOW_PRIVATE === "true";
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+
+  if (family === 6) {
+    // IPv4-mapped (::ffff:10.0.0.1) and IPv4-compatible forms reach the IPv4 host
+    const mapped = address.match(/^::(?:ffff:)?(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPublicAddress(mapped[1]);
+
+    const hexMapped = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+    if (hexMapped) {
+      const high = parseInt(hexMapped[1], 16);
+      const low = parseInt(hexMapped[2], 16);
+      return isPublicAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+  }
+
+  return !BLOCKED_RANGES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Resolves the host of `url` and checks that every address it points to is
+ * public. `lookup` is injectable for tests.
+ * Returns { url } with the parsed URL, or { error }.
+ */
+async function checkOutboundUrl(url, { lookup = dns.promises.lookup } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { error: "Invalid URL" };
+  }
+
+  if (parsed.protocol !== "https:" && parsed.protocol !== "http:") {
+    return { error: "URL must use http or https" };
+  }
+
+  if (privateAddressesAllowed()) {
+    return { url: parsed };
+  }
+
+  // IPv6 literals keep their brackets in URL.hostname
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await lookup(host, { all: true })).map((entry) => entry.address);
+    } catch {
+      return { error: `Host ${host} could not be resolved` };
+    }
+  }
+
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+    return { error: `Host ${host} resolves to a private or reserved address` };
+  }
+
+  return { url: parsed };
+}
+
+/**
+ * dns.lookup for http(s) requests that refuses private addresses. The check
+ * runs on the addresses the socket actually connects to, so a host can't
+ * pass checkOutboundUrl and then rebind its DNS to an internal address.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!privateAddressesAllowed() && !addresses.every((entry) => isPublicAddress(entry.address))) {
+      return callback(new Error(`Host ${hostname} resolves to a private or reserved address`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function requestUrl(url, timeout) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    const request = client.get(url, { lookup: publicLookup, timeout, headers: { "User-Agent": "wa-manager/1.0" } }, resolve);
+
+    request.on("timeout", () => request.destroy(new Error(`Timed out after ${timeout}ms`)));
+    request.on("error", reject);
+  });
+}
+
+function readBody(response, maxSize) {
+  return new Promise((resolve, reject) => {
+    if (parseInt(response.headers["content-length"], 10) > maxSize) {
+      response.destroy();
+      return reject(new Error(`Response exceeds ${maxSize} bytes`));
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    response.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxSize) {
+        response.destroy();
+        return reject(new Error(`Response exceeds ${maxSize} bytes`));
+      }
+      chunks.push(chunk);
+    });
+    response.on("end", () => resolve(Buffer.concat(chunks)));
+    response.on("error", reject);
+  });
+}
+
+/**
+ * GETs a URL that has to stay on public hosts: redirects are followed by hand
+ * with every hop checked again, and the body is capped at maxSize bytes.
+ * Returns { buffer, mimetype }; throws when the URL is blocked or fails.
+ */
+async function downloadPublicUrl(url, { maxSize, timeout = DOWNLOAD_TIMEOUT, maxRedirects = MAX_REDIRECTS }) {
+  let current = url;
+
+  for (let hop = 0; hop <= maxRedirects; hop++) {
+    // IP literals never reach publicLookup, so each hop is checked up front too
+    const checked = await checkOutboundUrl(current);
+    if (checked.error) {
+      throw new Error(checked.error);
+    }
+
+    const response = await requestUrl(checked.url, timeout);
+    const { statusCode, headers } = response;
+
+    if (statusCode >= 300 && statusCode < 400 && headers.location) {
+      response.resume();
+      current = new URL(headers.location, checked.url).toString();
+      continue;
+    }
+
+    if (statusCode < 200 || statusCode >= 300) {
+      response.resume();
+      throw new Error(`Download failed with HTTP ${statusCode}`);
+    }
+
+    return {
+      buffer: await readBody(response, maxSize),
+      mimetype: headers["content-type"] || null,
+    };
+  }
+
+  throw new Error(`More than ${maxRedirects} redirects`);
+}
+
+module.exports = {
+  isPublicAddress,
+  checkOutboundUrl,
+  downloadPublicUrl,
+};
@@ -0,0 +1,82 @@
+// ==================== WHATSAPP NUMBER CHECK ====================
+//
+// sock.onWhatsApp tells whether a number is registered. Answers are cached in
+// the whatsapp_numbers table so a number is asked about once per TTL, whichever
+// account asks.
+
+const { jidToNumber } = require("./phone");
+
+const NUMBER_CHECK_TTL = parseInt(process.env.NUMBER_CHECK_TTL_HOURS || "168", 10) * 3600000;
+
+// Numbers per onWhatsApp query
+const ON_WHATSAPP_BATCH_SIZE = 50;
+
+const NOT_ON_WHATSAPP = "Number is not on WhatsApp";
+
+// onWhatsApp only returns registered numbers, and their JID may differ from the number asked about
+async function queryOnWhatsApp(sock, numbers) {
+  const found = ((await sock.onWhatsApp(...numbers)) || []).filter((result) => result.exists);
+  const jids = new Map(found.map((result) => [jidToNumber(result.jid), result.jid]));
+
+  // Some answers couldn't be matched by number; ask about the rest one by one
+  if (found.length > numbers.filter((number) => jids.has(number)).length) {
+    for (const number of numbers.filter((n) => !jids.has(n))) {
+      const [result] = (await sock.onWhatsApp(number)) || [];
+      if (result?.exists) jids.set(number, result.jid);
+    }
+  }
+
+  return jids;
+}
+
+/**
+ * Returns a Map of number -> { phoneNumber, exists, jid, checkedAt, cached }.
+ * Numbers must already be normalized; `refresh` ignores the cache.
+ */
+async function checkNumbers(prisma, sock, numbers, { refresh = false } = {}) {
+  const unique = [...new Set(numbers)];
+  const results = new Map();
+
+  if (!refresh) {
+    const cached = await prisma.whatsAppNumber.findMany({
+      where: {
+        phoneNumber: { in: unique },
+        checkedAt: { gte: new Date(Date.now() - NUMBER_CHECK_TTL) },
+      },
+    });
+    for (const entry of cached) {
+      results.set(entry.phoneNumber, { ...entry, cached: true });
+    }
+  }
+
+  const unchecked = unique.filter((number) => !results.has(number));
+
+  for (let i = 0; i < unchecked.length; i += ON_WHATSAPP_BATCH_SIZE) {
+    const batch = unchecked.slice(i, i + ON_WHATSAPP_BATCH_SIZE);
+    const jids = await queryOnWhatsApp(sock, batch);
+    const checkedAt = new Date();
+
+    const entries = batch.map((phoneNumber) => ({
+      phoneNumber,
+      exists: jids.has(phoneNumber),
+      jid: jids.get(phoneNumber) || null,
+      checkedAt,
+    }));
+
+    await prisma.$transaction([
+      prisma.whatsAppNumber.deleteMany({ where: { phoneNumber: { in: batch } } }),
+      prisma.whatsAppNumber.createMany({ data: entries }),
+    ]);
+
+    for (const entry of entries) {
+      results.set(entry.phoneNumber, { ...entry, cached: false });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  NOT_ON_WHATSAPP,
+  checkNumbers,
+};
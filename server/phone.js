@@ -0,0 +1,98 @@
+// ==================== PHONE NUMBERS ====================
+
+// E.164 allows at most 15 digits; shorter than 8 is never a mobile number
+const MIN_PHONE_DIGITS = 8;
+const MAX_PHONE_DIGITS = 15;
+
+// National numbers up to this length get the account's default country code
+const MAX_NATIONAL_DIGITS = 10;
+
+// Trunk prefixes dialled before national numbers; "0" everywhere except the 7 zone (Russia, Kazakhstan)
+const TRUNK_PREFIXES = { 7: "8" };
+const DEFAULT_TRUNK_PREFIX = "0";
+
+// Exact national number length where it is fixed; other codes fall back to MAX_NATIONAL_DIGITS
+const NATIONAL_DIGITS = { 7: 10 };
+
+function isValidCountryCode(value) {
+  return /^[1-9]\d{0,2}$/.test(String(value));
+}
+
+// "+996" and 996 become "996", empty means none; undefined marks an invalid code
+function parseCountryCode(value) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const code = String(value).trim().replace(/^\+/, "");
+  return isValidCountryCode(code) ? code : undefined;
+}
+
+/**
+ * Normalizes user input ("+996 (500) 35-35-29", "00996500353529") to E.164
+ * digits without the "+". With defaultCountryCode, national input
+ * ("0500 353 529", "8 999 123-45-67", "500353529") gets that code.
+ * Returns null when the value can't be a phone number.
+ */
+function normalizePhoneNumber(input, { defaultCountryCode = null } = {}) {
+  if (input === undefined || input === null) return null;
+
+  let digits = String(input).trim().replace(/[\s\-().]/g, "");
+  if (!/^\+?\d+$/.test(digits)) return null;
+
+  const international = /^(\+|00)/.test(digits);
+  digits = digits.replace(/^\+/, "").replace(/^00/, "");
+
+  if (!international && defaultCountryCode) {
+    const code = String(defaultCountryCode);
+    const trunkPrefix = TRUNK_PREFIXES[code] || DEFAULT_TRUNK_PREFIX;
+    const nationalDigits = NATIONAL_DIGITS[code];
+    const isNationalLength = (length) =>
+      nationalDigits ? length === nationalDigits : length <= MAX_NATIONAL_DIGITS;
+
+    // Decided by length rather than by prefix: national numbers can start with
+    // the code's own digits (Kazakhstan 701 123 4567 in the 7 zone)
+    if (digits.startsWith(trunkPrefix) && isNationalLength(digits.length - trunkPrefix.length)) {
+      digits = code + digits.slice(trunkPrefix.length);
+    } else if (isNationalLength(digits.length)) {
+      digits = code + digits;
+    }
+  }
+
+  if (digits.startsWith("0") || digits.length < MIN_PHONE_DIGITS || digits.length > MAX_PHONE_DIGITS) {
+    return null;
+  }
+
+  return digits;
+}
+
+/**
+ * JID for a send target: JIDs are kept, numbers are normalized with the
+ * account's default country code. Returns null for an invalid number.
+ */
+function resolveJid(to, account = {}) {
+  const value = String(to).trim();
+  if (value.includes("@")) return value;
+
+  const number = normalizePhoneNumber(value, { defaultCountryCode: account.defaultCountryCode });
+  return number ? `${number}@s.whatsapp.net` : null;
+}
+
+// Plain numbers become user JIDs; user, @lid and group (@g.us) JIDs are kept as is
+function toJid(to) {
+  const value = String(to).trim();
+  if (value.includes("@")) return value;
+  return `${value.replace(/[^0-9]/g, "")}@s.whatsapp.net`;
+}
+
+// "77001234567:12@s.whatsapp.net" -> "77001234567"
+function jidToNumber(jid) {
+  return jid.split("@")[0].split(":")[0];
+}
+
+module.exports = {
+  isValidCountryCode,
+  parseCountryCode,
+  normalizePhoneNumber,
+  resolveJid,
+  toJid,
+  jidToNumber,
+};
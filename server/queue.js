@@ -54,6 +54,51 @@ const messageQueue = new Queue("messages", {
   },
 });
 
+// Create queue for outbound webhook deliveries
+const webhookQueue = new Queue("webhooks", {
+  connection: redisConnection,
+  defaultJobOptions: {
+    attempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "6", 10),
+    backoff: {
+      type: "exponential",
+      delay: 10000, // 10s, 20s, 40s, 80s, 160s
+    },
+    removeOnComplete: {
+      age: 3600,
+      count: 10000,
+    },
+    removeOnFail: {
+      age: 86400,
+    },
+  },
+});
+
+// BullMQ runs lower numbers first, so replies and one-off sends don't wait behind campaigns
+const MESSAGE_PRIORITY = {
+  SINGLE: 1,
+  CONTRACT: 10,
+};
+
+// One job per contract; a delay defers the start of a scheduled contract
+async function enqueueContract(contractId, delay = 0) {
+  // Finished jobs are kept, and BullMQ ignores an add with an existing job id
+  const previous = await contractQueue.getJob(`contract-${contractId}`);
+  if (previous && ((await previous.isCompleted()) || (await previous.isFailed()))) {
+    await previous.remove();
+  }
+
+  return contractQueue.add(
+    `contract-${contractId}`,
+    { contractId },
+    {
+      jobId: `contract-${contractId}`,
+      delay,
+      removeOnComplete: false,
+      removeOnFail: false,
+    }
+  );
+}
+
 // Queue events for monitoring - create new connections without password warnings
 const contractQueueEvents = new QueueEvents("contracts", {
   connection: redisConfig,
@@ -66,6 +111,9 @@ const messageQueueEvents = new QueueEvents("messages", {
 module.exports = {
   contractQueue,
   messageQueue,
+  webhookQueue,
+  MESSAGE_PRIORITY,
+  enqueueContract,
   contractQueueEvents,
   messageQueueEvents,
   redisConnection,
@@ -0,0 +1,100 @@
+// ==================== DELIVERY & READ RECEIPTS ====================
+
+// proto.WebMessageInfo.Status: ERROR 0, PENDING 1, SERVER_ACK 2, DELIVERY_ACK 3, READ 4, PLAYED 5
+const ACK_STATUS = {
+  2: "SENT",
+  3: "DELIVERED",
+  4: "READ",
+  5: "READ",
+};
+
+// Statuses only move forward; FAILED / RECEIVED rows are never touched
+const STATUS_RANK = {
+  PENDING: 0,
+  SENT: 1,
+  DELIVERED: 2,
+  READ: 3,
+};
+
+// An ack can arrive before the worker has inserted the message row
+const MISSING_MESSAGE_RETRY_DELAY = 3000;
+
+function ackToStatus(ack) {
+  return ACK_STATUS[ack] || null;
+}
+
+function createReceiptTracker({ getPrisma, logger, onStatus }) {
+  async function applyStatus(accountId, waMessageId, status, retry = true) {
+    const prisma = getPrisma();
+
+    const message = await prisma.message.findFirst({
+      where: { accountId, waMessageId, direction: "OUTGOING" },
+      select: { id: true, chatId: true, status: true, deliveredAt: true, readAt: true },
+    });
+
+    if (!message) {
+      if (retry) {
+        setTimeout(() => {
+          applyStatus(accountId, waMessageId, status, false).catch((error) => {
+            logger.error(`Failed to apply receipt for ${waMessageId}:`, error.message);
+          });
+        }, MISSING_MESSAGE_RETRY_DELAY);
+      }
+      return;
+    }
+
+    const currentRank = STATUS_RANK[message.status];
+    if (currentRank === undefined || STATUS_RANK[status] <= currentRank) {
+      return;
+    }
+
+    const now = new Date();
+    const reachedDelivered = !message.deliveredAt && STATUS_RANK[status] >= STATUS_RANK.DELIVERED;
+    const reachedRead = !message.readAt && status === "READ";
+
+    const data = { status };
+    if (reachedDelivered) data.deliveredAt = now;
+    if (reachedRead) data.readAt = now;
+
+    // Guard on the old status so concurrent acks can't double count
+    const { count } = await prisma.message.updateMany({
+      where: { id: message.id, status: message.status },
+      data,
+    });
+    if (count === 0) return;
+
+    if (reachedDelivered || reachedRead) {
+      const recipient = await prisma.contractRecipient.findFirst({
+        where: { messageId: message.id },
+        select: { contractId: true },
+      });
+
+      if (recipient) {
+        await prisma.contract.update({
+          where: { id: recipient.contractId },
+          data: {
+            ...(reachedDelivered && { deliveredCount: { increment: 1 } }),
+            ...(reachedRead && { readCount: { increment: 1 } }),
+          },
+        });
+      }
+    }
+
+    onStatus({
+      accountId,
+      chatId: message.chatId,
+      messageId: message.id,
+      waMessageId,
+      status,
+      deliveredAt: data.deliveredAt || message.deliveredAt,
+      readAt: data.readAt || message.readAt,
+    });
+  }
+
+  return { applyStatus };
+}
+
+module.exports = {
+  ackToStatus,
+  createReceiptTracker,
+};
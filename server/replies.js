@@ -0,0 +1,231 @@
+// ==================== REPLIES, MENTIONS AND REACTIONS ====================
+//
+// Outgoing replies quote a stored message: its WhatsApp key is rebuilt into
+// the Baileys `quoted` object. Incoming quotes and mentions come from the
+// message's contextInfo; reactions are kept per person in message_reactions.
+
+const { resolveJid, toJid, jidToNumber } = require("./phone");
+const { isGroupJid } = require("./groups");
+
+const MAX_MENTIONS = 50;
+
+// What chat history shows of a quoted message and of the reactions
+const MESSAGE_CONTEXT_INCLUDE = {
+  quoted: {
+    select: {
+      id: true,
+      type: true,
+      message: true,
+      direction: true,
+      contactName: true,
+      contactNumber: true,
+    },
+  },
+  reactions: {
+    select: { senderJid: true, fromMe: true, emoji: true, reactedAt: true },
+    orderBy: { reactedAt: "asc" },
+  },
+};
+
+// The account's own JID, without the device part
+function selfJid(sock) {
+  return sock?.user?.id ? toJid(jidToNumber(sock.user.id)) : null;
+}
+
+// A sent or received message of the chat that WhatsApp can refer to
+async function findChatMessage(prisma, accountId, chatId, messageId) {
+  if (!messageId) return null;
+
+  return prisma.message.findFirst({
+    where: { id: String(messageId), accountId, chatId, waMessageId: { not: null } },
+  });
+}
+
+// WhatsApp key of a stored message; group messages also name the sender
+function messageKey(message) {
+  return {
+    remoteJid: message.chatId,
+    id: message.waMessageId,
+    fromMe: message.direction === "OUTGOING",
+    ...(message.senderJid && { participant: message.senderJid }),
+  };
+}
+
+/**
+ * Baileys `quoted` option for a reply. Only the text is known, so media is
+ * quoted by its caption or description.
+ */
+function toQuotedMessage(message) {
+  return {
+    key: messageKey(message),
+    message: { conversation: message.caption || message.message },
+  };
+}
+
+/**
+ * Validates the reply options of a send into the chat `chatId`:
+ * quotedMessageId (a message of the same chat) and mentions (numbers or JIDs).
+ * Returns { quoted, mentions } or { status, error }.
+ */
+async function resolveReplyOptions(prisma, account, chatId, { quotedMessageId, mentions } = {}) {
+  let quoted = null;
+  if (quotedMessageId) {
+    quoted = await findChatMessage(prisma, account.id, chatId, quotedMessageId);
+    if (!quoted) {
+      return { status: 404, error: "Quoted message not found in this chat" };
+    }
+  }
+
+  // Multipart forms send a comma-separated list
+  const list = typeof mentions === "string" ? mentions.split(",").filter((value) => value.trim()) : mentions || [];
+  if (!Array.isArray(list)) {
+    return { status: 400, error: "mentions must be an array" };
+  }
+
+  if (list.length > MAX_MENTIONS) {
+    return { status: 400, error: `mentions can contain at most ${MAX_MENTIONS} entries` };
+  }
+
+  const jids = [];
+  for (const mention of list) {
+    const jid = resolveJid(mention, account);
+    if (!jid || isGroupJid(jid)) {
+      return { status: 400, error: `Invalid mention: ${mention}` };
+    }
+    jids.push(jid);
+  }
+
+  return { quoted, mentions: [...new Set(jids)] };
+}
+
+/**
+ * Validates a reaction send: { messageId, emoji } where an empty emoji
+ * removes the account's reaction. Returns { target, emoji } or { status, error }.
+ */
+async function resolveReaction(prisma, account, chatId, reaction) {
+  if (!reaction || typeof reaction !== "object" || !reaction.messageId) {
+    return { status: 400, error: "reaction must be { messageId, emoji }" };
+  }
+
+  const emoji = reaction.emoji ? String(reaction.emoji) : "";
+  if ([...emoji].length > 10) {
+    return { status: 400, error: "emoji must be a single emoji" };
+  }
+
+  const target = await findChatMessage(prisma, account.id, chatId, reaction.messageId);
+  if (!target) {
+    return { status: 404, error: "Message not found in this chat" };
+  }
+
+  return { target, emoji };
+}
+
+/**
+ * Validates the extras of a send request. A reaction is sent on its own,
+ * without text or media; otherwise quotedMessageId / mentions shape the message.
+ * Returns { reaction: { target, emoji } }, { reply: { quoted, mentions } } or { status, error }.
+ */
+async function resolveSendOptions(prisma, account, chatId, { hasContent, quotedMessageId, mentions, reaction }) {
+  if (reaction !== undefined && reaction !== null) {
+    if (hasContent || quotedMessageId) {
+      return { status: 400, error: "reaction can't be combined with a message, media or quotedMessageId" };
+    }
+
+    const resolved = await resolveReaction(prisma, account, chatId, reaction);
+    return resolved.error ? resolved : { reaction: resolved };
+  }
+
+  const reply = await resolveReplyOptions(prisma, account, chatId, { quotedMessageId, mentions });
+  return reply.error ? reply : { reply };
+}
+
+// Sets or (with an empty emoji) removes one person's reaction; returns it, null when removed
+async function saveReaction(prisma, messageId, { senderJid, fromMe, emoji }) {
+  if (!emoji) {
+    await prisma.messageReaction.deleteMany({ where: { messageId, senderJid } });
+    return null;
+  }
+
+  return prisma.messageReaction.upsert({
+    where: { messageId_senderJid: { messageId, senderJid } },
+    create: { messageId, senderJid, fromMe, emoji },
+    update: { emoji, reactedAt: new Date() },
+  });
+}
+
+/**
+ * Applies an incoming reactionMessage (also reactions made from the phone).
+ * Returns { message, reaction } or null when the reacted message isn't stored.
+ */
+async function applyIncomingReaction(prisma, accountId, msg, reactionMessage, sock) {
+  const chatId = msg.key.remoteJid;
+  const target = await prisma.message.findFirst({
+    where: { accountId, chatId, waMessageId: reactionMessage.key?.id },
+    select: { id: true, chatId: true },
+  });
+  if (!target) return null;
+
+  const fromMe = Boolean(msg.key.fromMe);
+  let senderJid = chatId;
+  if (fromMe) {
+    senderJid = selfJid(sock);
+  } else if (isGroupJid(chatId)) {
+    senderJid = msg.key.participant || msg.participant;
+  }
+  if (!senderJid) return null;
+
+  const emoji = reactionMessage.text || "";
+  const reaction = await saveReaction(prisma, target.id, { senderJid, fromMe, emoji });
+
+  return { message: target, reaction: { senderJid, fromMe, emoji, removed: !reaction } };
+}
+
+// contextInfo sits on the typed part of the content (extendedTextMessage, imageMessage, ...)
+function findContextInfo(content) {
+  for (const part of Object.values(content || {})) {
+    if (part && typeof part === "object" && part.contextInfo) {
+      return part.contextInfo;
+    }
+  }
+  return null;
+}
+
+/**
+ * Reply columns of an incoming message: the quoted message (linked when we
+ * have it stored) and the mentioned JIDs. `describeQuoted(quotedMessage)`
+ * turns the quoted content into text.
+ */
+async function incomingReplyFields(prisma, accountId, chatId, content, describeQuoted) {
+  const contextInfo = findContextInfo(content);
+  if (!contextInfo) return {};
+
+  const fields = {};
+
+  if (contextInfo.stanzaId) {
+    const quoted = await prisma.message.findFirst({
+      where: { accountId, chatId, waMessageId: contextInfo.stanzaId },
+      select: { id: true },
+    });
+
+    fields.quotedWaMessageId = contextInfo.stanzaId;
+    fields.quotedMessageId = quoted?.id || null;
+    fields.quotedText = contextInfo.quotedMessage ? describeQuoted(contextInfo.quotedMessage) : null;
+  }
+
+  if (contextInfo.mentionedJid?.length) {
+    fields.mentions = contextInfo.mentionedJid;
+  }
+
+  return fields;
+}
+
+module.exports = {
+  MESSAGE_CONTEXT_INCLUDE,
+  selfJid,
+  messageKey,
+  toQuotedMessage,
+  resolveSendOptions,
+  saveReaction,
+  applyIncomingReaction,
+  incomingReplyFields,
+};
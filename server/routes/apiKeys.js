@@ -0,0 +1,100 @@
+const {
+  SCOPES,
+  generateApiKey,
+  invalidScopes,
+  ungrantableScopes,
+  scopeToWorkspace,
+  resolveWorkspaceId,
+} = require("../auth");
+
+// Public fields only - keyHash never leaves the server
+const API_KEY_SELECT = {
+  id: true,
+  workspaceId: true,
+  name: true,
+  keyPrefix: true,
+  scopes: true,
+  createdAt: true,
+  lastUsedAt: true,
+  revokedAt: true,
+};
+
+module.exports = function registerApiKeyRoutes(app, { getPrisma, logger, requireScope }) {
+  app.get("/api/keys", requireScope("keys:manage"), async (req, res) => {
+    try {
+      const keys = await getPrisma().apiKey.findMany({
+        where: scopeToWorkspace(req.auth),
+        select: API_KEY_SELECT,
+        orderBy: { createdAt: "desc" },
+      });
+
+      res.json(keys);
+    } catch (error) {
+      logger.error("Failed to list API keys:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post("/api/keys", requireScope("keys:manage"), async (req, res) => {
+    try {
+      const { name, scopes } = req.body;
+
+      if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+        return res.status(400).json({ error: "name and scopes are required", availableScopes: SCOPES });
+      }
+
+      const unknown = invalidScopes(scopes);
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown scopes: ${unknown.join(", ")}`, availableScopes: SCOPES });
+      }
+
+      const ungrantable = ungrantableScopes(req.auth, scopes);
+      if (ungrantable.length > 0) {
+        return res.status(403).json({ error: `Cannot grant scopes the caller doesn't have: ${ungrantable.join(", ")}` });
+      }
+
+      const workspaceId = resolveWorkspaceId(req.auth, req.body.workspaceId);
+      if (!workspaceId) {
+        return res.status(400).json({ error: "workspaceId is required" });
+      }
+
+      const { key, keyHash, keyPrefix } = generateApiKey();
+
+      const apiKey = await getPrisma().apiKey.create({
+        data: { workspaceId, name, keyHash, keyPrefix, scopes },
+        select: API_KEY_SELECT,
+      });
+
+      logger.info(`Created API key: ${apiKey.id} (${name})`);
+
+      // The raw key is only returned once
+      res.status(201).json({ ...apiKey, key });
+    } catch (error) {
+      logger.error("Failed to create API key:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.delete("/api/keys/:id", requireScope("keys:manage"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const prisma = getPrisma();
+
+      const apiKey = await prisma.apiKey.findFirst({ where: scopeToWorkspace(req.auth, { id }) });
+      if (!apiKey) {
+        return res.status(404).json({ error: "API key not found" });
+      }
+
+      await prisma.apiKey.update({
+        where: { id },
+        data: { revokedAt: apiKey.revokedAt || new Date() },
+      });
+
+      logger.info(`Revoked API key: ${id}`);
+      res.json({ success: true });
+    } catch (error) {
+      logger.error("Failed to revoke API key:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+};
@@ -0,0 +1,48 @@
+const { scopeToWorkspace } = require("../auth");
+
+module.exports = function registerAuditLogRoutes(app, { getPrisma, logger, requireScope }) {
+  // Newest first. `action` matches a prefix, so "group.participants" covers add/remove/promote/demote
+  app.get("/api/audit-logs", requireScope("groups:manage"), async (req, res) => {
+    try {
+      const { accountId, action, target, success, page = 1, limit = 50 } = req.query;
+
+      const pageNum = Math.max(parseInt(page) || 1, 1);
+      const limitNum = Math.min(parseInt(limit) || 50, 100);
+
+      const where = scopeToWorkspace(req.auth);
+      if (accountId) where.accountId = String(accountId);
+      if (action) where.action = { startsWith: String(action) };
+      if (target) where.target = String(target);
+      if (success === "true" || success === "false") where.success = success === "true";
+
+      const prisma = getPrisma();
+
+      const [logs, total] = await Promise.all([
+        prisma.auditLog.findMany({
+          where,
+          orderBy: { createdAt: "desc" },
+          skip: (pageNum - 1) * limitNum,
+          take: limitNum,
+        }),
+        prisma.auditLog.count({ where }),
+      ]);
+
+      const totalPages = Math.ceil(total / limitNum);
+
+      res.json({
+        data: logs,
+        pagination: {
+          total,
+          page: pageNum,
+          limit: limitNum,
+          totalPages,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1,
+        },
+      });
+    } catch (error) {
+      logger.error("Failed to list audit logs:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+};
@@ -0,0 +1,151 @@
+const {
+  ROLE_SCOPES,
+  SESSION_COOKIE,
+  SESSION_TTL,
+  generateSessionToken,
+  verifyPassword,
+} = require("../auth");
+
+const USER_SELECT = {
+  id: true,
+  workspaceId: true,
+  email: true,
+  name: true,
+  role: true,
+  isActive: true,
+  createdAt: true,
+  lastLoginAt: true,
+};
+
+module.exports = function registerAuthRoutes(
+  app,
+  { getPrisma, logger, requireAuth, getLoginLock, recordLoginFailure, clearLoginFailures }
+) {
+  function cookieOptions() {
+    return {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: process.env.NODE_ENV === "production",
+      path: "/",
+    };
+  }
+
+  app.post("/api/auth/login", async (req, res) => {
+    try {
+      const { email, password } = req.body || {};
+
+      if (!email || !password) {
+        return res.status(400).json({ error: "Email and password are required" });
+      }
+
+      const normalizedEmail = String(email).trim().toLowerCase();
+
+      // Counted in Redis per email and client IP, so every API instance sees the same lock
+      const clientIp = req.ip || "unknown";
+      const lockedFor = await getLoginLock(normalizedEmail, clientIp);
+      if (lockedFor > 0) {
+        res.set("Retry-After", String(Math.ceil(lockedFor / 1000)));
+        return res.status(429).json({ error: "Too many failed attempts. Try again later." });
+      }
+
+      const prisma = getPrisma();
+      const user = await prisma.user.findUnique({
+        where: { email: normalizedEmail },
+        include: { workspace: { select: { id: true, name: true, slug: true } } },
+      });
+
+      const valid = user && user.isActive && (await verifyPassword(password, user.passwordHash));
+      if (!valid) {
+        await recordLoginFailure(normalizedEmail, clientIp);
+        logger.warn(`Failed login for ${normalizedEmail}`);
+        return res.status(401).json({ error: "Invalid email or password" });
+      }
+
+      await clearLoginFailures(normalizedEmail, clientIp);
+
+      const { token, tokenHash } = generateSessionToken();
+      const expiresAt = new Date(Date.now() + SESSION_TTL);
+
+      await prisma.session.create({
+        data: {
+          userId: user.id,
+          tokenHash,
+          expiresAt,
+          ipAddress: req.ip || null,
+          userAgent: req.headers["user-agent"]?.substring(0, 500) || null,
+        },
+      });
+
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { lastLoginAt: new Date() },
+      });
+
+      res.cookie(SESSION_COOKIE, token, { ...cookieOptions(), maxAge: SESSION_TTL });
+
+      logger.info(`User logged in: ${user.email}`);
+      res.json({
+        token,
+        expiresAt,
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name,
+          role: user.role,
+          scopes: ROLE_SCOPES[user.role] || [],
+          workspace: user.workspace,
+        },
+      });
+    } catch (error) {
+      logger.error("Failed to log in:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post("/api/auth/logout", requireAuth, async (req, res) => {
+    try {
+      if (req.auth.type === "session") {
+        await getPrisma().session.deleteMany({ where: { id: req.auth.sessionId } });
+      }
+
+      res.clearCookie(SESSION_COOKIE, cookieOptions());
+      res.json({ success: true });
+    } catch (error) {
+      logger.error("Failed to log out:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get("/api/auth/me", requireAuth, async (req, res) => {
+    try {
+      if (req.auth.type !== "session") {
+        return res.json({ type: req.auth.type, workspaceId: req.auth.workspaceId, scopes: req.auth.scopes });
+      }
+
+      const user = await getPrisma().user.findUnique({
+        where: { id: req.auth.userId },
+        select: USER_SELECT,
+      });
+
+      res.json({ type: "session", scopes: req.auth.scopes, user });
+    } catch (error) {
+      logger.error("Failed to get current user:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Drop expired sessions once an hour
+  setInterval(() => {
+    const prisma = getPrisma();
+    if (!prisma) return;
+
+    prisma.session
+      .deleteMany({ where: { expiresAt: { lt: new Date() } } })
+      .then(result => {
+        if (result.count > 0) {
+          logger.info(`Removed ${result.count} expired session(s)`);
+        }
+      })
+      .catch(error => logger.warn(`Failed to remove expired sessions: ${error.message}`));
+  }, 3600000);
+};
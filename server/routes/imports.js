@@ -0,0 +1,147 @@
+const { scopeToWorkspace } = require("../auth");
+const { enqueueContract } = require("../queue");
+const { parseContractSchedule } = require("../schedule");
+const {
+  ImportError,
+  createImportUpload,
+  parseRecipientFile,
+  createRecipientsInChunks,
+  removeImportFile,
+} = require("../imports");
+
+// Multipart fields arrive as strings; objects are sent as JSON
+function parseJsonField(value, field) {
+  if (value === undefined || value === "") return { value: undefined };
+  if (typeof value === "object") return { value };
+
+  try {
+    return { value: JSON.parse(value) };
+  } catch {
+    return { error: `${field} must be valid JSON` };
+  }
+}
+
+module.exports = function registerImportRoutes(app, { getPrisma, logger, requireScope }) {
+  const importUpload = createImportUpload();
+
+  // Creates a contract from a CSV/XLSX file; dryRun=true only returns the validation report
+  app.post("/api/contracts/import", requireScope("contracts:manage"), importUpload, async (req, res) => {
+    try {
+      const { accountId, name, templateId, message, scheduledAt, timezone } = req.body;
+      const dryRun = req.body.dryRun === "true" || req.body.dryRun === true;
+
+      if (!req.file) {
+        return res.status(400).json({ error: "file is required" });
+      }
+
+      if (!accountId || (!name && !dryRun)) {
+        return res.status(400).json({ error: "accountId and name are required" });
+      }
+
+      const mapping = parseJsonField(req.body.mapping, "mapping");
+      const sendWindow = parseJsonField(req.body.sendWindow, "sendWindow");
+      const fieldError = mapping.error || sendWindow.error;
+      if (fieldError) {
+        return res.status(400).json({ error: fieldError });
+      }
+
+      const { schedule, error: scheduleError } = parseContractSchedule({
+        scheduledAt,
+        sendWindow: sendWindow.value,
+        timezone,
+      });
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+      }
+
+      const prisma = getPrisma();
+
+      const account = await prisma.whatsAppAccount.findFirst({
+        where: scopeToWorkspace(req.auth, { id: accountId }),
+      });
+      if (!account) {
+        return res.status(404).json({ error: "Account not found" });
+      }
+
+      let template = null;
+      if (templateId) {
+        template = await prisma.template.findFirst({
+          where: { id: templateId, workspaceId: account.workspaceId },
+        });
+        if (!template) {
+          return res.status(404).json({ error: "Template not found" });
+        }
+      }
+
+      const { recipients, totalRows, errors, duplicates, errorCount, duplicateCount } =
+        await parseRecipientFile(req.file, {
+          mapping: mapping.value,
+          template,
+          message,
+          defaultCountryCode: account.defaultCountryCode,
+        });
+
+      const report = {
+        summary: {
+          totalRows,
+          valid: recipients.length,
+          invalid: errorCount,
+          duplicates: duplicateCount,
+        },
+        errors,
+        duplicates,
+      };
+
+      if (dryRun) {
+        return res.json(report);
+      }
+
+      if (recipients.length === 0) {
+        return res.status(400).json({ error: "No valid recipients in file", ...report });
+      }
+
+      const contract = await prisma.contract.create({
+        data: {
+          accountId,
+          workspaceId: account.workspaceId,
+          templateId: template?.id || null,
+          name,
+          totalCount: recipients.length,
+          pendingCount: recipients.length,
+          status: schedule.scheduledAt ? "SCHEDULED" : "PENDING",
+          scheduledAt: schedule.scheduledAt,
+          sendWindow: schedule.sendWindow || undefined,
+          timezone: schedule.timezone,
+        },
+      });
+
+      // A half-imported contract must never be started
+      try {
+        await createRecipientsInChunks(prisma, contract.id, recipients);
+      } catch (error) {
+        await prisma.contract.delete({ where: { id: contract.id } }).catch(() => {});
+        throw error;
+      }
+
+      if (schedule.scheduledAt) {
+        await enqueueContract(contract.id, Math.max(schedule.scheduledAt.getTime() - Date.now(), 0));
+      }
+
+      logger.info(
+        `Imported contract: ${contract.id} with ${recipients.length} recipients ` +
+          `(${errorCount} invalid, ${duplicateCount} duplicates)`
+      );
+
+      res.status(201).json({ contract, ...report });
+    } catch (error) {
+      // Malformed CSV is the caller's problem, not a server error
+      if (error instanceof ImportError || error.code?.startsWith("CSV_")) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error("Failed to import contract:", error.message);
+      res.status(500).json({ error: error.message });
+    } finally {
+      await removeImportFile(req.file);
+    }
+  });
+};
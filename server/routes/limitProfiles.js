@@ -0,0 +1,146 @@
+const { scopeToWorkspace, resolveWorkspaceId } = require("../auth");
+const { PRESETS, parseLimitProfile } = require("../limitProfiles");
+
+module.exports = function registerLimitProfileRoutes(app, { getPrisma, logger, requireScope }) {
+  function findAccessibleProfile(req, id) {
+    return getPrisma().limitProfile.findFirst({ where: scopeToWorkspace(req.auth, { id }) });
+  }
+
+  app.get("/api/limit-profiles", requireScope("accounts:read"), async (req, res) => {
+    try {
+      const profiles = await getPrisma().limitProfile.findMany({
+        where: scopeToWorkspace(req.auth),
+        include: { _count: { select: { accounts: true } } },
+        orderBy: { name: "asc" },
+      });
+
+      res.json(profiles);
+    } catch (error) {
+      logger.error("Failed to list limit profiles:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get("/api/limit-profiles/presets", requireScope("accounts:read"), (req, res) => {
+    res.json(Object.entries(PRESETS).map(([preset, values]) => ({ preset, ...values })));
+  });
+
+  // Either full limit fields or { preset, name? } to copy a built-in preset
+  app.post("/api/limit-profiles", requireScope("accounts:write"), async (req, res) => {
+    try {
+      const { preset } = req.body;
+
+      if (preset !== undefined && !PRESETS[preset]) {
+        return res.status(400).json({ error: `preset must be one of: ${Object.keys(PRESETS).join(", ")}` });
+      }
+
+      const input = preset ? { ...PRESETS[preset], ...req.body } : req.body;
+      const name = input.name;
+
+      if (!name) {
+        return res.status(400).json({ error: "name is required" });
+      }
+
+      const { data, error } = parseLimitProfile(input);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const workspaceId = resolveWorkspaceId(req.auth, req.body.workspaceId);
+      if (!workspaceId) {
+        return res.status(400).json({ error: "workspaceId is required" });
+      }
+
+      const prisma = getPrisma();
+
+      if (await prisma.limitProfile.findUnique({ where: { workspaceId_name: { workspaceId, name } } })) {
+        return res.status(409).json({ error: "Limit profile with this name already exists" });
+      }
+
+      const profile = await prisma.limitProfile.create({ data: { ...data, workspaceId, name } });
+
+      logger.info(`Created limit profile: ${profile.id} (${name})`);
+      res.status(201).json(profile);
+    } catch (error) {
+      logger.error("Failed to create limit profile:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get("/api/limit-profiles/:id", requireScope("accounts:read"), async (req, res) => {
+    try {
+      const profile = await getPrisma().limitProfile.findFirst({
+        where: scopeToWorkspace(req.auth, { id: req.params.id }),
+        include: { accounts: { select: { id: true, name: true, phoneNumber: true, limitProfileAssignedAt: true } } },
+      });
+
+      if (!profile) {
+        return res.status(404).json({ error: "Limit profile not found" });
+      }
+
+      res.json(profile);
+    } catch (error) {
+      logger.error("Failed to get limit profile:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Changes apply to every assigned account on its next send
+  app.put("/api/limit-profiles/:id", requireScope("accounts:write"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { name } = req.body;
+      const prisma = getPrisma();
+
+      const existing = await findAccessibleProfile(req, id);
+      if (!existing) {
+        return res.status(404).json({ error: "Limit profile not found" });
+      }
+
+      const { data, error } = parseLimitProfile(req.body, { partial: true, existing });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      if (name !== undefined && name !== existing.name) {
+        if (!name) {
+          return res.status(400).json({ error: "name cannot be empty" });
+        }
+
+        const duplicate = await prisma.limitProfile.findUnique({
+          where: { workspaceId_name: { workspaceId: existing.workspaceId, name } },
+        });
+        if (duplicate) {
+          return res.status(409).json({ error: "Limit profile with this name already exists" });
+        }
+        data.name = name;
+      }
+
+      const profile = await prisma.limitProfile.update({ where: { id }, data });
+
+      res.json(profile);
+    } catch (error) {
+      logger.error("Failed to update limit profile:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Assigned accounts fall back to the default limits
+  app.delete("/api/limit-profiles/:id", requireScope("accounts:write"), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!(await findAccessibleProfile(req, id))) {
+        return res.status(404).json({ error: "Limit profile not found" });
+      }
+
+      await getPrisma().limitProfile.delete({ where: { id } });
+
+      logger.info(`Deleted limit profile: ${id}`);
+      res.json({ success: true });
+    } catch (error) {
+      logger.error("Failed to delete limit profile:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+};
@@ -0,0 +1,48 @@
+const path = require("path");
+const { isPlatformAuth } = require("../auth");
+const { getStorage, mediaKeyWorkspace } = require("../storage");
+
+module.exports = function registerMediaRoutes(app, { logger, requireScope }) {
+  // Serves files from backends that don't hand out their own URLs (local disk)
+  app.get("/api/media/*key", requireScope("accounts:read"), async (req, res) => {
+    try {
+      const key = req.params.key.join("/");
+      const workspaceId = mediaKeyWorkspace(key);
+
+      // Keys start with the owning workspace id
+      if (!workspaceId || (!isPlatformAuth(req.auth) && workspaceId !== req.auth.workspaceId)) {
+        return res.status(404).json({ error: "Media not found" });
+      }
+
+      let file;
+      try {
+        file = await getStorage().read(key);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      if (!file) {
+        return res.status(404).json({ error: "Media not found" });
+      }
+
+      res.type(path.extname(key) || "application/octet-stream");
+      res.set("Content-Length", String(file.size));
+      res.set("Cache-Control", "private, max-age=86400");
+      res.set("X-Content-Type-Options", "nosniff");
+
+      // Only inline-safe types render in the browser; documents are downloaded
+      if (!/^(image\/(?!svg)|video\/|audio\/)/.test(res.get("Content-Type"))) {
+        res.attachment(path.basename(key));
+      }
+
+      file.stream.on("error", (error) => {
+        logger.error("Failed to stream media:", error.message);
+        res.destroy(error);
+      });
+      file.stream.pipe(res);
+    } catch (error) {
+      logger.error("Failed to serve media:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+};
@@ -0,0 +1,251 @@
+const { once } = require("events");
+const { scopeToWorkspace } = require("../auth");
+const { RECIPIENT_STATUSES } = require("../contracts");
+
+// Rows read from the database per batch while exporting
+const EXPORT_BATCH_SIZE = 1000;
+
+const EXPORT_FORMATS = ["csv", "json"];
+
+const EXPORT_COLUMNS = [
+  "id",
+  "phoneNumber",
+  "status",
+  "attempts",
+  "lastAttempt",
+  "sentAt",
+  "errorMessage",
+  "skipReason",
+  "waMessageId",
+  "deliveredAt",
+  "readAt",
+];
+
+const RECIPIENT_SELECT = {
+  id: true,
+  phoneNumber: true,
+  status: true,
+  attempts: true,
+  lastAttempt: true,
+  sentAt: true,
+  errorMessage: true,
+  skipReason: true,
+  messageId: true,
+  variables: true,
+  createdAt: true,
+};
+
+/**
+ * Query filters shared by the list and the export:
+ * status (comma-separated), phone (substring), error (substring of errorMessage, case-insensitive).
+ * Returns { where } or { error }.
+ */
+function parseRecipientFilters(contractId, { status, phone, error }) {
+  const where = { contractId };
+
+  if (status) {
+    const statuses = String(status).split(",").map((value) => value.trim().toUpperCase());
+    const invalid = statuses.filter((value) => !RECIPIENT_STATUSES.includes(value));
+    if (invalid.length > 0) {
+      return { error: `status must be one of: ${RECIPIENT_STATUSES.join(", ")}` };
+    }
+    where.status = { in: statuses };
+  }
+
+  if (phone) {
+    where.phoneNumber = { contains: String(phone).replace(/[^0-9]/g, "") };
+  }
+
+  if (error) {
+    where.errorMessage = { contains: String(error), mode: "insensitive" };
+  }
+
+  return { where };
+}
+
+// Sent recipients point at their Message row, which holds the WhatsApp id and receipts
+async function withMessageDetails(prisma, recipients) {
+  const messageIds = recipients.map((recipient) => recipient.messageId).filter(Boolean);
+
+  const messages = messageIds.length
+    ? await prisma.message.findMany({
+        where: { id: { in: messageIds } },
+        select: { id: true, waMessageId: true, deliveredAt: true, readAt: true },
+      })
+    : [];
+  const byId = new Map(messages.map((message) => [message.id, message]));
+
+  return recipients.map((recipient) => {
+    const message = byId.get(recipient.messageId);
+    return {
+      ...recipient,
+      waMessageId: message?.waMessageId || null,
+      deliveredAt: message?.deliveredAt || null,
+      readAt: message?.readAt || null,
+    };
+  });
+}
+
+// Cells starting with = + - @ (or tab/CR) run as formulas in Excel and Sheets, so
+// they get a leading ' — message texts and errors come from users and WhatsApp
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return values.map(csvValue).join(",") + "\r\n";
+}
+
+module.exports = function registerRecipientRoutes(app, { getPrisma, logger, requireScope }) {
+  function findAccessibleContract(req, id) {
+    return getPrisma().contract.findFirst({
+      where: scopeToWorkspace(req.auth, { id }),
+      select: { id: true },
+    });
+  }
+
+  app.get("/api/contracts/:id/recipients", requireScope("contracts:manage"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { page = 1, limit = 50 } = req.query;
+
+      const { where, error } = parseRecipientFilters(id, req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      if (!(await findAccessibleContract(req, id))) {
+        return res.status(404).json({ error: "Contract not found" });
+      }
+
+      const pageNum = Math.max(parseInt(page) || 1, 1);
+      const limitNum = Math.min(parseInt(limit) || 50, 100);
+
+      const prisma = getPrisma();
+
+      const [recipients, total] = await Promise.all([
+        prisma.contractRecipient.findMany({
+          where,
+          orderBy: { createdAt: "asc" },
+          skip: (pageNum - 1) * limitNum,
+          take: limitNum,
+          select: RECIPIENT_SELECT,
+        }),
+        prisma.contractRecipient.count({ where }),
+      ]);
+
+      const totalPages = Math.ceil(total / limitNum);
+
+      res.json({
+        data: await withMessageDetails(prisma, recipients),
+        pagination: {
+          total,
+          page: pageNum,
+          limit: limitNum,
+          totalPages,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1,
+        },
+      });
+    } catch (error) {
+      logger.error("Failed to list contract recipients:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Streams every matching recipient in batches, so large contracts never sit in memory
+  app.get("/api/contracts/:id/recipients/export", requireScope("contracts:manage"), async (req, res) => {
+    const { id } = req.params;
+    const format = String(req.query.format || "csv").toLowerCase();
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+    }
+
+    const { where, error } = parseRecipientFilters(id, req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // A client that disconnects mid-download never drains the response, so the
+    // wait for "drain" is cancelled when the response closes
+    const abort = new AbortController();
+    res.on("close", () => abort.abort());
+
+    async function write(chunk) {
+      if (!res.write(chunk)) {
+        await once(res, "drain", { signal: abort.signal });
+      }
+    }
+
+    try {
+      if (!(await findAccessibleContract(req, id))) {
+        return res.status(404).json({ error: "Contract not found" });
+      }
+
+      res.setHeader(
+        "Content-Type",
+        format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8"
+      );
+      res.setHeader("Content-Disposition", `attachment; filename="contract-${id}-recipients.${format}"`);
+
+      // The BOM makes Excel read Cyrillic error messages correctly
+      await write(format === "csv" ? "\uFEFF" + csvRow(EXPORT_COLUMNS) : "[");
+
+      const prisma = getPrisma();
+      let cursor = null;
+      let first = true;
+
+      while (!abort.signal.aborted) {
+        const batch = await prisma.contractRecipient.findMany({
+          where,
+          orderBy: { id: "asc" },
+          take: EXPORT_BATCH_SIZE,
+          ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+          select: RECIPIENT_SELECT,
+        });
+        if (batch.length === 0) break;
+
+        const rows = await withMessageDetails(prisma, batch);
+        let chunk = "";
+
+        for (const row of rows) {
+          const record = Object.fromEntries(EXPORT_COLUMNS.map((column) => [column, row[column] ?? null]));
+
+          if (format === "csv") {
+            chunk += csvRow(EXPORT_COLUMNS.map((column) => record[column]));
+          } else {
+            chunk += (first ? "" : ",") + JSON.stringify(record);
+            first = false;
+          }
+        }
+
+        await write(chunk);
+        cursor = batch[batch.length - 1].id;
+
+        if (batch.length < EXPORT_BATCH_SIZE) break;
+      }
+
+      if (format === "json") {
+        await write("]");
+      }
+      res.end();
+    } catch (error) {
+      if (abort.signal.aborted) return;
+      logger.error("Failed to export contract recipients:", error.message);
+
+      if (!res.headersSent) {
+        return res.status(500).json({ error: error.message });
+      }
+      // Part of the file is already sent; cut the download so it isn't mistaken for a complete one
+      res.destroy(error);
+    }
+  });
+};
+
+module.exports.csvRow = csvRow;
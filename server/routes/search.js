@@ -0,0 +1,35 @@
+const { scopeToWorkspace, resolveWorkspaceId } = require("../auth");
+const { searchMessages } = require("../search");
+
+module.exports = function registerSearchRoutes(app, { getPrisma, logger, requireScope }) {
+  // Searches every account of the caller's workspace; platform keys may narrow it with workspaceId
+  app.get("/api/messages/search", requireScope("accounts:read"), async (req, res) => {
+    try {
+      const { accountId, workspaceId } = req.query;
+      const prisma = getPrisma();
+
+      if (accountId) {
+        const account = await prisma.whatsAppAccount.findFirst({
+          where: scopeToWorkspace(req.auth, { id: String(accountId) }),
+          select: { id: true },
+        });
+        if (!account) {
+          return res.status(404).json({ error: "Account not found" });
+        }
+      }
+
+      const result = await searchMessages(prisma, {
+        ...req.query,
+        workspaceId: resolveWorkspaceId(req.auth, workspaceId),
+      });
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      res.json(result);
+    } catch (error) {
+      logger.error("Failed to search messages:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+};
@@ -0,0 +1,188 @@
+const { scopeToWorkspace, resolveWorkspaceId } = require("../auth");
+const { normalizePhoneNumber } = require("../phone");
+const { SUPPRESSION_SOURCES, addSuppressions } = require("../suppressions");
+
+// Numbers per bulk import request
+const MAX_IMPORT_NUMBERS = 10000;
+
+// The full counts are always returned, only the list of rejected values is truncated
+const MAX_REPORTED_INVALID = 1000;
+
+module.exports = function registerSuppressionRoutes(app, { getPrisma, logger, requireScope }) {
+  /**
+   * Workspace and account a new entry belongs to. Without accountId the entry
+   * applies to the whole workspace. Returns { workspaceId, accountId } or { status, error }.
+   */
+  async function resolveScope(req) {
+    const { accountId, workspaceId } = req.body;
+
+    if (accountId) {
+      const account = await getPrisma().whatsAppAccount.findFirst({
+        where: scopeToWorkspace(req.auth, { id: accountId }),
+        select: { id: true, workspaceId: true },
+      });
+      if (!account) {
+        return { status: 404, error: "Account not found" };
+      }
+      return { workspaceId: account.workspaceId, accountId: account.id };
+    }
+
+    const resolvedWorkspaceId = resolveWorkspaceId(req.auth, workspaceId);
+    if (!resolvedWorkspaceId) {
+      return { status: 400, error: "workspaceId is required" };
+    }
+    return { workspaceId: resolvedWorkspaceId, accountId: null };
+  }
+
+  app.get("/api/suppressions", requireScope("contracts:manage"), async (req, res) => {
+    try {
+      const { accountId, phone, source, page = 1, limit = 50 } = req.query;
+
+      if (source && !SUPPRESSION_SOURCES.includes(source)) {
+        return res.status(400).json({ error: `source must be one of: ${SUPPRESSION_SOURCES.join(", ")}` });
+      }
+
+      const pageNum = Math.max(parseInt(page) || 1, 1);
+      const limitNum = Math.min(parseInt(limit) || 50, 100);
+
+      const where = scopeToWorkspace(req.auth);
+      if (accountId) where.accountId = accountId;
+      if (source) where.source = source;
+      if (phone) where.phoneNumber = { contains: String(phone).replace(/[^0-9]/g, "") };
+
+      const prisma = getPrisma();
+
+      const [suppressions, total] = await Promise.all([
+        prisma.suppression.findMany({
+          where,
+          orderBy: { createdAt: "desc" },
+          skip: (pageNum - 1) * limitNum,
+          take: limitNum,
+          include: { account: { select: { id: true, name: true, phoneNumber: true } } },
+        }),
+        prisma.suppression.count({ where }),
+      ]);
+
+      const totalPages = Math.ceil(total / limitNum);
+
+      res.json({
+        data: suppressions,
+        pagination: {
+          total,
+          page: pageNum,
+          limit: limitNum,
+          totalPages,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1,
+        },
+      });
+    } catch (error) {
+      logger.error("Failed to list suppressions:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post("/api/suppressions", requireScope("contracts:manage"), async (req, res) => {
+    try {
+      const { reason } = req.body;
+      const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+
+      if (!phoneNumber) {
+        return res.status(400).json({ error: "phoneNumber must be a valid phone number" });
+      }
+
+      const scope = await resolveScope(req);
+      if (scope.error) {
+        return res.status(scope.status).json({ error: scope.error });
+      }
+
+      const prisma = getPrisma();
+
+      const existing = await prisma.suppression.findFirst({ where: { ...scope, phoneNumber } });
+      if (existing) {
+        return res.status(409).json({ error: "Number is already suppressed" });
+      }
+
+      const suppression = await prisma.suppression.create({
+        data: { ...scope, phoneNumber, reason: reason || null, source: "MANUAL" },
+      });
+
+      logger.info(`Suppressed ${phoneNumber} in workspace ${scope.workspaceId}`);
+      res.status(201).json(suppression);
+    } catch (error) {
+      logger.error("Failed to create suppression:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Numbers already on the list in the same scope are counted as duplicates
+  app.post("/api/suppressions/import", requireScope("contracts:manage"), async (req, res) => {
+    try {
+      const { phoneNumbers, reason } = req.body;
+
+      if (!Array.isArray(phoneNumbers) || phoneNumbers.length === 0) {
+        return res.status(400).json({ error: "phoneNumbers must be a non-empty array" });
+      }
+
+      if (phoneNumbers.length > MAX_IMPORT_NUMBERS) {
+        return res.status(400).json({ error: `phoneNumbers can contain at most ${MAX_IMPORT_NUMBERS} numbers` });
+      }
+
+      const scope = await resolveScope(req);
+      if (scope.error) {
+        return res.status(scope.status).json({ error: scope.error });
+      }
+
+      const numbers = [];
+      const invalid = [];
+      for (const value of phoneNumbers) {
+        const number = normalizePhoneNumber(value);
+        if (number) {
+          numbers.push(number);
+        } else {
+          invalid.push(value);
+        }
+      }
+
+      const added = await addSuppressions(getPrisma(), {
+        ...scope,
+        phoneNumbers: numbers,
+        reason: reason || null,
+        source: "IMPORT",
+      });
+
+      logger.info(`Imported ${added} suppressions into workspace ${scope.workspaceId}`);
+      res.json({
+        success: true,
+        added,
+        duplicates: numbers.length - added,
+        invalidCount: invalid.length,
+        invalid: invalid.slice(0, MAX_REPORTED_INVALID),
+      });
+    } catch (error) {
+      logger.error("Failed to import suppressions:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // The number can be contacted again; recipients skipped earlier stay SKIPPED
+  app.delete("/api/suppressions/:id", requireScope("contracts:manage"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const prisma = getPrisma();
+
+      const suppression = await prisma.suppression.findFirst({ where: scopeToWorkspace(req.auth, { id }) });
+      if (!suppression) {
+        return res.status(404).json({ error: "Suppression not found" });
+      }
+
+      await prisma.suppression.delete({ where: { id } });
+
+      logger.info(`Removed suppression of ${suppression.phoneNumber} in workspace ${suppression.workspaceId}`);
+      res.json({ success: true });
+    } catch (error) {
+      logger.error("Failed to delete suppression:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+};
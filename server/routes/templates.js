@@ -0,0 +1,196 @@
+const { scopeToWorkspace, resolveWorkspaceId } = require("../auth");
+const { parseMediaInput } = require("../media");
+const { extractPlaceholders, renderTemplate, MissingVariablesError } = require("../templates");
+
+// Contracts that may still render this template
+const ACTIVE_CONTRACT_STATUSES = ["PENDING", "IN_PROGRESS", "PAUSED"];
+
+function withPlaceholders(template) {
+  return { ...template, placeholders: extractPlaceholders(template.body) };
+}
+
+// Templates are stored, so only URL media is accepted (no base64 / uploads)
+async function parseTemplateMedia(media) {
+  if (media === null) {
+    return { fields: { mediaType: null, mediaUrl: null, mimetype: null, filename: null } };
+  }
+
+  if (media.base64) {
+    return { error: "Template media must be a URL" };
+  }
+
+  const parsed = await parseMediaInput({ media });
+  if (parsed.error) return { error: parsed.error };
+  if (!parsed.media) return { error: "media.url is required" };
+
+  return {
+    fields: {
+      mediaType: parsed.media.type,
+      mediaUrl: parsed.media.url,
+      mimetype: parsed.media.mimetype,
+      filename: parsed.media.filename,
+    },
+  };
+}
+
+module.exports = function registerTemplateRoutes(app, { getPrisma, logger, requireScope }) {
+  app.get("/api/templates", requireScope("contracts:manage"), async (req, res) => {
+    try {
+      const templates = await getPrisma().template.findMany({
+        where: scopeToWorkspace(req.auth),
+        orderBy: { name: "asc" },
+      });
+
+      res.json(templates.map(withPlaceholders));
+    } catch (error) {
+      logger.error("Failed to list templates:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post("/api/templates", requireScope("contracts:manage"), async (req, res) => {
+    try {
+      const { name, body = "", media } = req.body;
+
+      if (!name || (!body && !media)) {
+        return res.status(400).json({ error: "name and body (or media) are required" });
+      }
+
+      const workspaceId = resolveWorkspaceId(req.auth, req.body.workspaceId);
+      if (!workspaceId) {
+        return res.status(400).json({ error: "workspaceId is required" });
+      }
+
+      const data = { workspaceId, name, body };
+
+      if (media) {
+        const parsed = await parseTemplateMedia(media);
+        if (parsed.error) {
+          return res.status(400).json({ error: parsed.error });
+        }
+        Object.assign(data, parsed.fields);
+      }
+
+      const prisma = getPrisma();
+
+      if (await prisma.template.findUnique({ where: { workspaceId_name: { workspaceId, name } } })) {
+        return res.status(409).json({ error: "Template with this name already exists" });
+      }
+
+      const template = await prisma.template.create({ data });
+
+      logger.info(`Created template: ${template.id} (${name})`);
+      res.status(201).json(withPlaceholders(template));
+    } catch (error) {
+      logger.error("Failed to create template:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get("/api/templates/:id", requireScope("contracts:manage"), async (req, res) => {
+    try {
+      const template = await getPrisma().template.findFirst({
+        where: scopeToWorkspace(req.auth, { id: req.params.id }),
+      });
+
+      if (!template) {
+        return res.status(404).json({ error: "Template not found" });
+      }
+
+      res.json(withPlaceholders(template));
+    } catch (error) {
+      logger.error("Failed to get template:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.put("/api/templates/:id", requireScope("contracts:manage"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { name, body, media } = req.body;
+      const prisma = getPrisma();
+
+      const existing = await prisma.template.findFirst({ where: scopeToWorkspace(req.auth, { id }) });
+      if (!existing) {
+        return res.status(404).json({ error: "Template not found" });
+      }
+
+      const data = {};
+      if (name !== undefined) data.name = name;
+      if (body !== undefined) data.body = body;
+
+      // media: null removes the attachment
+      if (media !== undefined) {
+        const parsed = await parseTemplateMedia(media);
+        if (parsed.error) {
+          return res.status(400).json({ error: parsed.error });
+        }
+        Object.assign(data, parsed.fields);
+      }
+
+      if (data.name && data.name !== existing.name) {
+        const duplicate = await prisma.template.findUnique({
+          where: { workspaceId_name: { workspaceId: existing.workspaceId, name: data.name } },
+        });
+        if (duplicate) {
+          return res.status(409).json({ error: "Template with this name already exists" });
+        }
+      }
+
+      const template = await prisma.template.update({ where: { id }, data });
+
+      res.json(withPlaceholders(template));
+    } catch (error) {
+      logger.error("Failed to update template:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.delete("/api/templates/:id", requireScope("contracts:manage"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const prisma = getPrisma();
+
+      const template = await prisma.template.findFirst({ where: scopeToWorkspace(req.auth, { id }) });
+      if (!template) {
+        return res.status(404).json({ error: "Template not found" });
+      }
+
+      const activeContracts = await prisma.contract.count({
+        where: { templateId: id, status: { in: ACTIVE_CONTRACT_STATUSES } },
+      });
+      if (activeContracts > 0) {
+        return res.status(409).json({ error: "Template is used by unfinished contracts" });
+      }
+
+      await prisma.template.delete({ where: { id } });
+
+      logger.info(`Deleted template: ${id}`);
+      res.json({ success: true });
+    } catch (error) {
+      logger.error("Failed to delete template:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Renders the template with sample variables without sending anything
+  app.post("/api/templates/:id/preview", requireScope("contracts:manage"), async (req, res) => {
+    try {
+      const template = await getPrisma().template.findFirst({
+        where: scopeToWorkspace(req.auth, { id: req.params.id }),
+      });
+
+      if (!template) {
+        return res.status(404).json({ error: "Template not found" });
+      }
+
+      res.json({ message: renderTemplate(template.body, req.body.variables) });
+    } catch (error) {
+      if (error instanceof MissingVariablesError) {
+        return res.status(400).json({ error: error.message, missing: error.variables });
+      }
+      logger.error("Failed to preview template:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+};
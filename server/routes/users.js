@@ -0,0 +1,187 @@
+const { ROLE_SCOPES, hashPassword, ungrantableScopes, scopeToWorkspace, resolveWorkspaceId } = require("../auth");
+
+const USER_SELECT = {
+  id: true,
+  workspaceId: true,
+  email: true,
+  name: true,
+  role: true,
+  isActive: true,
+  createdAt: true,
+  updatedAt: true,
+  lastLoginAt: true,
+};
+
+const ROLES = ["ADMIN", "OPERATOR"];
+const MIN_PASSWORD_LENGTH = 8;
+
+// A role grants its scopes at login, so API keys may only hand out roles within their own scopes
+function roleError(auth, role) {
+  if (!ROLES.includes(role)) {
+    return { status: 400, error: `Role must be one of: ${ROLES.join(", ")}` };
+  }
+
+  const ungrantable = ungrantableScopes(auth, ROLE_SCOPES[role]);
+  if (ungrantable.length > 0) {
+    return { status: 403, error: `Cannot grant role ${role}: missing scopes ${ungrantable.join(", ")}` };
+  }
+
+  return null;
+}
+
+module.exports = function registerUserRoutes(app, { getPrisma, logger, requireScope }) {
+  app.get("/api/users", requireScope("users:manage"), async (req, res) => {
+    try {
+      const users = await getPrisma().user.findMany({
+        where: scopeToWorkspace(req.auth),
+        select: USER_SELECT,
+        orderBy: { createdAt: "asc" },
+      });
+
+      res.json(users);
+    } catch (error) {
+      logger.error("Failed to list users:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post("/api/users", requireScope("users:manage"), async (req, res) => {
+    try {
+      const { email, password, name, role = "OPERATOR" } = req.body;
+
+      if (!email || !password) {
+        return res.status(400).json({ error: "Email and password are required" });
+      }
+
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+
+      const invalidRole = roleError(req.auth, role);
+      if (invalidRole) {
+        return res.status(invalidRole.status).json({ error: invalidRole.error });
+      }
+
+      const workspaceId = resolveWorkspaceId(req.auth, req.body.workspaceId);
+      if (!workspaceId) {
+        return res.status(400).json({ error: "workspaceId is required" });
+      }
+
+      const normalizedEmail = String(email).trim().toLowerCase();
+      const prisma = getPrisma();
+
+      const existing = await prisma.user.findUnique({ where: { email: normalizedEmail } });
+      if (existing) {
+        return res.status(409).json({ error: "User with this email already exists" });
+      }
+
+      const user = await prisma.user.create({
+        data: {
+          workspaceId,
+          email: normalizedEmail,
+          name: name || null,
+          role,
+          passwordHash: await hashPassword(password),
+        },
+        select: USER_SELECT,
+      });
+
+      logger.info(`Created user: ${user.id} (${user.email})`);
+      res.status(201).json(user);
+    } catch (error) {
+      logger.error("Failed to create user:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.put("/api/users/:id", requireScope("users:manage"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { name, role, isActive, password } = req.body;
+      const prisma = getPrisma();
+
+      const existing = await prisma.user.findFirst({ where: scopeToWorkspace(req.auth, { id }) });
+      if (!existing) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      // Resetting the password of a user above the caller would hand over that user's scopes
+      const protectedRole = roleError(req.auth, existing.role);
+      if (protectedRole) {
+        return res.status(protectedRole.status).json({ error: protectedRole.error });
+      }
+
+      const updateData = {};
+      if (name !== undefined) updateData.name = name;
+      if (isActive !== undefined) updateData.isActive = isActive;
+
+      if (role !== undefined) {
+        const invalidRole = roleError(req.auth, role);
+        if (invalidRole) {
+          return res.status(invalidRole.status).json({ error: invalidRole.error });
+        }
+        updateData.role = role;
+      }
+
+      if (password !== undefined) {
+        if (password.length < MIN_PASSWORD_LENGTH) {
+          return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+        updateData.passwordHash = await hashPassword(password);
+      }
+
+      const user = await prisma.user.update({
+        where: { id },
+        data: updateData,
+        select: USER_SELECT,
+      });
+
+      // Password change or deactivation ends existing sessions
+      if (password !== undefined || isActive === false) {
+        await prisma.session.deleteMany({ where: { userId: id } });
+      }
+
+      res.json(user);
+    } catch (error) {
+      if (error.code === "P2025") {
+        return res.status(404).json({ error: "User not found" });
+      }
+      logger.error("Failed to update user:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.delete("/api/users/:id", requireScope("users:manage"), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (req.auth.type === "session" && req.auth.userId === id) {
+        return res.status(400).json({ error: "You cannot delete your own user" });
+      }
+
+      const prisma = getPrisma();
+
+      const existing = await prisma.user.findFirst({ where: scopeToWorkspace(req.auth, { id }) });
+      if (!existing) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      // Resetting the password of a user above the caller would hand over that user's scopes
+      const protectedRole = roleError(req.auth, existing.role);
+      if (protectedRole) {
+        return res.status(protectedRole.status).json({ error: protectedRole.error });
+      }
+
+      await prisma.user.delete({ where: { id } });
+
+      logger.info(`Deleted user: ${id}`);
+      res.json({ success: true });
+    } catch (error) {
+      if (error.code === "P2025") {
+        return res.status(404).json({ error: "User not found" });
+      }
+      logger.error("Failed to delete user:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+};
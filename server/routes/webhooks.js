@@ -0,0 +1,319 @@
+const { scopeToWorkspace } = require("../auth");
+const {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  invalidEvents,
+  webhookUrlError,
+  enqueueDelivery,
+} = require("../webhooks");
+
+// The signing secret is only returned on create and rotation
+const WEBHOOK_SELECT = {
+  id: true,
+  workspaceId: true,
+  accountId: true,
+  url: true,
+  events: true,
+  isActive: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+const DELIVERY_STATUSES = ["PENDING", "SUCCESS", "FAILED"];
+
+module.exports = function registerWebhookRoutes(app, { getPrisma, logger, requireScope }) {
+  function findAccessibleWebhook(req, id) {
+    return getPrisma().webhook.findFirst({
+      where: scopeToWorkspace(req.auth, { id }),
+      select: WEBHOOK_SELECT,
+    });
+  }
+
+  function validateEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return "events must be a non-empty array";
+    }
+
+    const unknown = invalidEvents(events);
+    if (unknown.length > 0) {
+      return `Unknown events: ${unknown.join(", ")}`;
+    }
+
+    return null;
+  }
+
+  app.get("/api/webhooks", requireScope("webhooks:manage"), async (req, res) => {
+    try {
+      const { accountId } = req.query;
+
+      const webhooks = await getPrisma().webhook.findMany({
+        where: scopeToWorkspace(req.auth, accountId ? { accountId } : {}),
+        select: WEBHOOK_SELECT,
+        orderBy: { createdAt: "desc" },
+      });
+
+      res.json(webhooks);
+    } catch (error) {
+      logger.error("Failed to list webhooks:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post("/api/webhooks", requireScope("webhooks:manage"), async (req, res) => {
+    try {
+      const { accountId, url, events } = req.body;
+
+      if (!accountId || !url) {
+        return res.status(400).json({ error: "accountId and url are required" });
+      }
+
+      const urlError = await webhookUrlError(url);
+      if (urlError) {
+        return res.status(400).json({ error: `Invalid url: ${urlError}` });
+      }
+
+      const eventsError = validateEvents(events);
+      if (eventsError) {
+        return res.status(400).json({ error: eventsError, availableEvents: WEBHOOK_EVENTS });
+      }
+
+      const prisma = getPrisma();
+
+      const account = await prisma.whatsAppAccount.findFirst({
+        where: scopeToWorkspace(req.auth, { id: accountId }),
+      });
+      if (!account) {
+        return res.status(404).json({ error: "Account not found" });
+      }
+
+      const secret = generateWebhookSecret();
+
+      const webhook = await prisma.webhook.create({
+        data: {
+          workspaceId: account.workspaceId,
+          accountId,
+          url,
+          secret,
+          events: [...new Set(events)],
+        },
+        select: WEBHOOK_SELECT,
+      });
+
+      logger.info(`Created webhook: ${webhook.id} (${url})`);
+
+      res.status(201).json({ ...webhook, secret });
+    } catch (error) {
+      logger.error("Failed to create webhook:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get("/api/webhooks/:id", requireScope("webhooks:manage"), async (req, res) => {
+    try {
+      const webhook = await findAccessibleWebhook(req, req.params.id);
+      if (!webhook) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      res.json(webhook);
+    } catch (error) {
+      logger.error("Failed to get webhook:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.put("/api/webhooks/:id", requireScope("webhooks:manage"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { url, events, isActive, rotateSecret } = req.body;
+
+      if (!(await findAccessibleWebhook(req, id))) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      const data = {};
+
+      if (url !== undefined) {
+        const urlError = await webhookUrlError(url);
+        if (urlError) {
+          return res.status(400).json({ error: `Invalid url: ${urlError}` });
+        }
+        data.url = url;
+      }
+
+      if (events !== undefined) {
+        const eventsError = validateEvents(events);
+        if (eventsError) {
+          return res.status(400).json({ error: eventsError, availableEvents: WEBHOOK_EVENTS });
+        }
+        data.events = [...new Set(events)];
+      }
+
+      if (isActive !== undefined) {
+        data.isActive = Boolean(isActive);
+      }
+
+      if (rotateSecret) {
+        data.secret = generateWebhookSecret();
+      }
+
+      const webhook = await getPrisma().webhook.update({
+        where: { id },
+        data,
+        select: WEBHOOK_SELECT,
+      });
+
+      res.json(rotateSecret ? { ...webhook, secret: data.secret } : webhook);
+    } catch (error) {
+      logger.error("Failed to update webhook:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.delete("/api/webhooks/:id", requireScope("webhooks:manage"), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!(await findAccessibleWebhook(req, id))) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      await getPrisma().webhook.delete({ where: { id } });
+
+      logger.info(`Deleted webhook: ${id}`);
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error("Failed to delete webhook:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== DELIVERY LOG ====================
+
+  app.get("/api/webhooks/:id/deliveries", requireScope("webhooks:manage"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { page = 1, limit = 50, status, event } = req.query;
+
+      if (!(await findAccessibleWebhook(req, id))) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(", ")}` });
+      }
+
+      const pageNum = Math.max(parseInt(page) || 1, 1);
+      const limitNum = Math.min(parseInt(limit) || 50, 100);
+
+      const where = { webhookId: id };
+      if (status) where.status = status;
+      if (event) where.event = event;
+
+      const prisma = getPrisma();
+
+      const [deliveries, total] = await Promise.all([
+        prisma.webhookDelivery.findMany({
+          where,
+          orderBy: { createdAt: "desc" },
+          skip: (pageNum - 1) * limitNum,
+          take: limitNum,
+          select: {
+            id: true,
+            event: true,
+            status: true,
+            attempts: true,
+            responseStatus: true,
+            errorMessage: true,
+            createdAt: true,
+            lastAttemptAt: true,
+            deliveredAt: true,
+          },
+        }),
+        prisma.webhookDelivery.count({ where }),
+      ]);
+
+      const totalPages = Math.ceil(total / limitNum);
+
+      res.json({
+        data: deliveries,
+        pagination: {
+          total,
+          page: pageNum,
+          limit: limitNum,
+          totalPages,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1,
+        },
+      });
+    } catch (error) {
+      logger.error("Failed to list webhook deliveries:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get("/api/webhooks/:id/deliveries/:deliveryId", requireScope("webhooks:manage"), async (req, res) => {
+    try {
+      const { id, deliveryId } = req.params;
+
+      if (!(await findAccessibleWebhook(req, id))) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      const delivery = await getPrisma().webhookDelivery.findFirst({
+        where: { id: deliveryId, webhookId: id },
+      });
+      if (!delivery) {
+        return res.status(404).json({ error: "Delivery not found" });
+      }
+
+      res.json(delivery);
+    } catch (error) {
+      logger.error("Failed to get webhook delivery:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Re-sends the stored payload as-is with a fresh signature and retry budget
+  app.post("/api/webhooks/:id/deliveries/:deliveryId/replay", requireScope("webhooks:manage"), async (req, res) => {
+    try {
+      const { id, deliveryId } = req.params;
+      const prisma = getPrisma();
+
+      const webhook = await findAccessibleWebhook(req, id);
+      if (!webhook) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      if (!webhook.isActive) {
+        return res.status(409).json({ error: "Webhook is disabled" });
+      }
+
+      const delivery = await prisma.webhookDelivery.findFirst({
+        where: { id: deliveryId, webhookId: id },
+        select: { id: true, status: true },
+      });
+      if (!delivery) {
+        return res.status(404).json({ error: "Delivery not found" });
+      }
+
+      if (delivery.status === "PENDING") {
+        return res.status(409).json({ error: "Delivery is still being retried" });
+      }
+
+      await prisma.webhookDelivery.update({
+        where: { id: deliveryId },
+        data: { status: "PENDING", errorMessage: null },
+      });
+      await enqueueDelivery(deliveryId);
+
+      logger.info(`Replaying webhook delivery: ${deliveryId}`);
+
+      res.status(202).json({ success: true, deliveryId });
+    } catch (error) {
+      logger.error("Failed to replay webhook delivery:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+};
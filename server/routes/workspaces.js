@@ -0,0 +1,113 @@
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}$/;
+
+module.exports = function registerWorkspaceRoutes(app, { getPrisma, logger, requireAuth, requirePlatform }) {
+  // Caller's own workspace
+  app.get("/api/workspace", requireAuth, async (req, res) => {
+    try {
+      if (!req.auth.workspaceId) {
+        return res.status(400).json({ error: "Platform credentials are not bound to a workspace" });
+      }
+
+      const workspace = await getPrisma().workspace.findUnique({
+        where: { id: req.auth.workspaceId },
+      });
+
+      res.json(workspace);
+    } catch (error) {
+      logger.error("Failed to get workspace:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get("/api/workspaces", requirePlatform, async (req, res) => {
+    try {
+      const workspaces = await getPrisma().workspace.findMany({
+        include: {
+          _count: {
+            select: { accounts: true, users: true, apiKeys: true },
+          },
+        },
+        orderBy: { createdAt: "asc" },
+      });
+
+      res.json(workspaces);
+    } catch (error) {
+      logger.error("Failed to list workspaces:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post("/api/workspaces", requirePlatform, async (req, res) => {
+    try {
+      const { name, slug } = req.body;
+
+      if (!name || !slug) {
+        return res.status(400).json({ error: "name and slug are required" });
+      }
+
+      if (!SLUG_PATTERN.test(slug)) {
+        return res.status(400).json({ error: "slug may contain lowercase letters, digits and dashes" });
+      }
+
+      const prisma = getPrisma();
+
+      if (await prisma.workspace.findUnique({ where: { slug } })) {
+        return res.status(409).json({ error: "Workspace with this slug already exists" });
+      }
+
+      const workspace = await prisma.workspace.create({
+        data: { name, slug },
+      });
+
+      logger.info(`Created workspace: ${workspace.id} (${slug})`);
+      res.status(201).json(workspace);
+    } catch (error) {
+      logger.error("Failed to create workspace:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.put("/api/workspaces/:id", requirePlatform, async (req, res) => {
+    try {
+      const { name } = req.body;
+
+      const workspace = await getPrisma().workspace.update({
+        where: { id: req.params.id },
+        data: name !== undefined ? { name } : {},
+      });
+
+      res.json(workspace);
+    } catch (error) {
+      if (error.code === "P2025") {
+        return res.status(404).json({ error: "Workspace not found" });
+      }
+      logger.error("Failed to update workspace:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Refuses to drop a workspace that still owns WhatsApp accounts -
+  // their sessions have to be disconnected and deleted first
+  app.delete("/api/workspaces/:id", requirePlatform, async (req, res) => {
+    try {
+      const prisma = getPrisma();
+      const { id } = req.params;
+
+      const accountCount = await prisma.whatsAppAccount.count({ where: { workspaceId: id } });
+      if (accountCount > 0) {
+        return res.status(400).json({ error: `Workspace still has ${accountCount} account(s)` });
+      }
+
+      await prisma.workspace.delete({ where: { id } });
+
+      logger.info(`Deleted workspace: ${id}`);
+      res.json({ success: true });
+    } catch (error) {
+      if (error.code === "P2025") {
+        return res.status(404).json({ error: "Workspace not found" });
+      }
+      logger.error("Failed to delete workspace:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+};
@@ -0,0 +1,182 @@
+// ==================== SCHEDULING & SEND WINDOWS ====================
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "UTC";
+
+// ISO weekdays: 1 = Monday ... 7 = Sunday
+const ALL_DAYS = [1, 2, 3, 4, 5, 6, 7];
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        weekday: "short",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timezone);
+}
+
+function isValidTimezone(timezone) {
+  if (typeof timezone !== "string" || !timezone) return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// First valid timezone wins: recipient -> contract -> account -> DEFAULT_TIMEZONE
+function resolveTimezone(...candidates) {
+  return candidates.find(isValidTimezone) || DEFAULT_TIMEZONE;
+}
+
+function toMinutes(time) {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+// Wall-clock parts of `date` in `timezone`
+function zonedParts(date, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+function timezoneOffset(date, timezone) {
+  const p = zonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Converts a wall-clock time in `timezone` to a Date; the second pass settles DST transitions
+function fromZonedTime(year, month, day, minutes, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  let utc = wallClock - timezoneOffset(new Date(wallClock), timezone);
+  utc = wallClock - timezoneOffset(new Date(utc), timezone);
+  return new Date(utc);
+}
+
+/**
+ * Validates a send window from the API.
+ * Accepts { days?: number[], start: "HH:mm", end: "HH:mm" } and returns { window } or { error }.
+ */
+function parseSendWindow(input) {
+  if (input === undefined || input === null) return { window: null };
+
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "sendWindow must be an object" };
+  }
+
+  const { days = ALL_DAYS, start, end } = input;
+
+  if (!TIME_PATTERN.test(start || "") || !TIME_PATTERN.test(end || "")) {
+    return { error: "sendWindow.start and sendWindow.end must be in HH:mm format" };
+  }
+
+  if (toMinutes(start) >= toMinutes(end)) {
+    return { error: "sendWindow.start must be earlier than sendWindow.end" };
+  }
+
+  if (!Array.isArray(days) || days.length === 0 || !days.every((day) => ALL_DAYS.includes(day))) {
+    return { error: "sendWindow.days must be a non-empty array of weekdays 1 (Mon) - 7 (Sun)" };
+  }
+
+  return { window: { days: [...new Set(days)].sort(), start, end } };
+}
+
+/**
+ * Earliest moment at or after `from` that falls inside the window, in `timezone`.
+ * Returns `from` itself when sending is allowed right now or there is no window.
+ */
+function nextAllowedTime(window, timezone, from = new Date()) {
+  if (!window) return from;
+
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+  const now = zonedParts(from, timezone);
+  const minutes = now.hour * 60 + now.minute;
+
+  if (window.days.includes(now.weekday) && minutes >= start && minutes < end) {
+    return from;
+  }
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const weekday = ((now.weekday - 1 + offset) % 7) + 1;
+    if (!window.days.includes(weekday)) continue;
+    if (offset === 0 && minutes >= start) continue;
+
+    return fromZonedTime(now.year, now.month, now.day + offset, start, timezone);
+  }
+
+  return from;
+}
+
+/**
+ * Validates the scheduling fields shared by contract creation and import:
+ * scheduledAt, sendWindow and timezone. Returns { schedule } or { error }.
+ */
+function parseContractSchedule({ scheduledAt, sendWindow, timezone }) {
+  const parsedWindow = parseSendWindow(sendWindow);
+  if (parsedWindow.error) return { error: parsedWindow.error };
+
+  if (timezone && !isValidTimezone(timezone)) {
+    return { error: "Invalid timezone" };
+  }
+
+  let scheduledDate = null;
+  if (scheduledAt) {
+    scheduledDate = new Date(scheduledAt);
+    if (isNaN(scheduledDate.getTime())) {
+      return { error: "scheduledAt must be an ISO 8601 date" };
+    }
+  }
+
+  return {
+    schedule: {
+      scheduledAt: scheduledDate,
+      sendWindow: parsedWindow.window,
+      timezone: timezone || null,
+    },
+  };
+}
+
+// Milliseconds to wait before the window opens (0 when sending is allowed now)
+function delayUntilWindow(window, timezone, from = new Date()) {
+  return Math.max(nextAllowedTime(window, timezone, from).getTime() - from.getTime(), 0);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  parseSendWindow,
+  parseContractSchedule,
+  nextAllowedTime,
+  delayUntilWindow,
+};
@@ -0,0 +1,157 @@
+// ==================== MESSAGE SEARCH ====================
+//
+// Full-text search over messages.searchVector, a generated tsvector column
+// with a GIN index. The 'simple' configuration doesn't stem, so Russian and
+// English text are matched the same way: whole words, case-insensitive.
+
+const { Prisma } = require("@prisma/client");
+const { encodeCursor, decodeCursor } = require("./chats");
+
+const MAX_SEARCH_PAGE = 100;
+
+const MESSAGE_DIRECTIONS = ["INCOMING", "OUTGOING"];
+const MESSAGE_STATUSES = ["PENDING", "SENT", "RECEIVED", "DELIVERED", "READ", "FAILED"];
+
+// Matches are wrapped in <mark>; the rest of the snippet is raw message text
+const HEADLINE_OPTIONS = "StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2";
+
+function likePattern(value) {
+  return `%${String(value).replace(/[\\%_]/g, "\\$&")}%`;
+}
+
+function parseDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validates search filters into SQL conditions. `q` is a web-style query
+ * ("exact phrase", or, -word); `contact` matches the contact name or number.
+ * Returns { conditions } or { error }.
+ */
+function parseSearchFilters({ q, contact, accountId, from, to, direction, status, cursor }) {
+  if (!q && !contact) {
+    return { error: "q or contact is required" };
+  }
+
+  const conditions = [];
+
+  if (q) {
+    conditions.push(Prisma.sql`m."searchVector" @@ websearch_to_tsquery('simple', ${String(q)})`);
+  }
+
+  if (contact) {
+    const pattern = likePattern(contact);
+    conditions.push(Prisma.sql`(
+      m."contactName" ILIKE ${pattern}
+      OR m."contactNumber" LIKE ${pattern}
+      OR c."name" ILIKE ${pattern}
+    )`);
+  }
+
+  if (accountId) {
+    conditions.push(Prisma.sql`m."accountId" = ${String(accountId)}`);
+  }
+
+  if (from) {
+    const fromDate = parseDate(from);
+    if (!fromDate) return { error: "from must be a valid date" };
+    conditions.push(Prisma.sql`m."sentAt" >= ${fromDate}`);
+  }
+
+  if (to) {
+    const toDate = parseDate(to);
+    if (!toDate) return { error: "to must be a valid date" };
+    conditions.push(Prisma.sql`m."sentAt" <= ${toDate}`);
+  }
+
+  if (direction) {
+    const value = String(direction).toUpperCase();
+    if (!MESSAGE_DIRECTIONS.includes(value)) {
+      return { error: `direction must be one of: ${MESSAGE_DIRECTIONS.join(", ")}` };
+    }
+    conditions.push(Prisma.sql`m."direction"::text = ${value}`);
+  }
+
+  if (status) {
+    const statuses = String(status).split(",").map((value) => value.trim().toUpperCase());
+    if (statuses.some((value) => !MESSAGE_STATUSES.includes(value))) {
+      return { error: `status must be one of: ${MESSAGE_STATUSES.join(", ")}` };
+    }
+    conditions.push(Prisma.sql`m."status"::text IN (${Prisma.join(statuses)})`);
+  }
+
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    if (!after) return { error: "Invalid cursor" };
+    conditions.push(Prisma.sql`(m."sentAt", m."id") < (${after.at}, ${after.id})`);
+  }
+
+  return { conditions };
+}
+
+/**
+ * Newest matching messages first, across every account of the workspace
+ * (all workspaces when workspaceId is null). Each message carries its
+ * account, the chat name and a highlighted `snippet`.
+ * Returns { data, pagination } or { error }.
+ */
+async function searchMessages(prisma, { workspaceId = null, limit, ...filters }) {
+  const parsed = parseSearchFilters(filters);
+  if (parsed.error) return parsed;
+
+  const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_SEARCH_PAGE);
+  const conditions = [...parsed.conditions];
+  if (workspaceId) {
+    conditions.push(Prisma.sql`m."workspaceId" = ${workspaceId}`);
+  }
+
+  const headline = filters.q
+    ? Prisma.sql`ts_headline(
+        'simple', p."message", websearch_to_tsquery('simple', ${String(filters.q)}), ${HEADLINE_OPTIONS}
+      )`
+    : Prisma.sql`left(p."message", 200)`;
+
+  // Headlines are built for the page only, not for every match
+  const rows = await prisma.$queryRaw`
+    SELECT p."id", p."sentAt", p."chatName", ${headline} AS "snippet"
+    FROM (
+      SELECT m."id", m."message", m."sentAt", c."name" AS "chatName"
+      FROM "messages" m
+      LEFT JOIN "chats" c ON c."accountId" = m."accountId" AND c."chatId" = m."chatId"
+      WHERE ${Prisma.join(conditions, " AND ")}
+      ORDER BY m."sentAt" DESC, m."id" DESC
+      LIMIT ${limitNum + 1}
+    ) p
+    ORDER BY p."sentAt" DESC, p."id" DESC
+  `;
+
+  const hasNextPage = rows.length > limitNum;
+  const page = rows.slice(0, limitNum);
+
+  const messages = await prisma.message.findMany({
+    where: { id: { in: page.map((row) => row.id) } },
+    include: { account: { select: { id: true, name: true, phoneNumber: true } } },
+  });
+  const byId = new Map(messages.map((message) => [message.id, message]));
+
+  const data = page
+    .filter((row) => byId.has(row.id))
+    .map((row) => ({ ...byId.get(row.id), chatName: row.chatName, snippet: row.snippet }));
+  const last = page[page.length - 1];
+
+  return {
+    data,
+    pagination: {
+      limit: limitNum,
+      hasNextPage,
+      nextCursor: hasNextPage ? encodeCursor(last.sentAt, last.id) : null,
+    },
+  };
+}
+
+module.exports = {
+  MESSAGE_DIRECTIONS,
+  MESSAGE_STATUSES,
+  searchMessages,
+};
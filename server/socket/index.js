@@ -1,6 +1,13 @@
 const { Server } = require('socket.io');
 const { createAdapter } = require('@socket.io/redis-adapter');
 const Redis = require('ioredis');
+const { MAX_INLINE_MEDIA_SIZE } = require('../media');
+const { corsOptions } = require('../auth');
+
+// Broadcast room for a workspace; platform (master key) sockets share one room
+function workspaceRoom(auth) {
+  return auth?.workspaceId ? `workspace:${auth.workspaceId}` : 'platform';
+}
 
 async function initSocketIO(httpServer, dependencies) {
   const {
@@ -11,25 +18,42 @@ async function initSocketIO(httpServer, dependencies) {
     logger,
     initializeClient,
     cleanupClient,
-    enqueueMessage,
-    processMessageQueue,
-    messageQueues,
+    queueSingleMessage,
+    resolveSendOptions,
+    sendReaction,
+    ensureClientStarted,
+    suppressedSendReason,
+    resolveJid,
+    listChats,
+    listChatMessages,
+    readChat,
+    searchMessages,
+    listGroups,
+    getGroup,
+    groupAdmin,
+    getQueueStatus,
+    parseMediaInput,
+    removeOutgoingMedia,
     connectingAccounts,
-    reconnectAttempts
+    reconnectAttempts,
+    socketMiddleware,
+    hasScope,
+    scopeToWorkspace,
+    resolveWorkspaceId
   } = dependencies;
 
   const io = new Server(httpServer, {
-    cors: {
-      origin: process.env.NEXT_PUBLIC_APP_URL || '*',
-      methods: ['GET', 'POST']
-    },
+    cors: corsOptions(['GET', 'POST']),
     transports: ['websocket', 'polling'],
     pingTimeout: 60000,
-    pingInterval: 25000
+    pingInterval: 25000,
+    // chat:send / message:send may carry base64 media
+    maxHttpBufferSize: MAX_INLINE_MEDIA_SIZE
   });
 
+  // Every namespace requires a valid API key or session in the handshake
   for (const namespace of ['/accounts', '/chats', '/qr']) {
-    io.of(namespace);
+    io.of(namespace).use(socketMiddleware);
   }
 
   // Redis adapter for horizontal scaling
@@ -54,11 +78,28 @@ async function initSocketIO(httpServer, dependencies) {
     logger,
     initializeClient,
     cleanupClient,
-    enqueueMessage,
-    processMessageQueue,
-    messageQueues,
+    queueSingleMessage,
+    resolveSendOptions,
+    sendReaction,
+    ensureClientStarted,
+    suppressedSendReason,
+    resolveJid,
+    listChats,
+    listChatMessages,
+    readChat,
+    searchMessages,
+    listGroups,
+    getGroup,
+    groupAdmin,
+    getQueueStatus,
+    parseMediaInput,
+    removeOutgoingMedia,
     connectingAccounts,
-    reconnectAttempts
+    reconnectAttempts,
+    hasScope,
+    scopeToWorkspace,
+    resolveWorkspaceId,
+    workspaceRoom
   };
 
   // Initialize namespaces with full dependencies
@@ -76,4 +117,4 @@ async function initSocketIO(httpServer, dependencies) {
   return io;
 }
 
-module.exports = { initSocketIO };
+module.exports = { initSocketIO, workspaceRoom };
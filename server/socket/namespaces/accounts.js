@@ -7,7 +7,7 @@ const path = require('path');
 const fs = require('fs');
 
 module.exports = function(io, dependencies) {
-  const { clients, prisma, getPrisma, isPrismaConnected, logger, connectingAccounts, initializeClient, cleanupClient, reconnectAttempts } = dependencies;
+  const { clients, prisma, getPrisma, isPrismaConnected, logger, connectingAccounts, initializeClient, cleanupClient, reconnectAttempts, hasScope, scopeToWorkspace, resolveWorkspaceId, workspaceRoom } = dependencies;
   const accountsNS = io.of('/accounts');
   const DB_TIMEOUT_MS = parseInt(process.env.DB_QUERY_TIMEOUT_MS || '15000', 10);
 
@@ -34,6 +34,29 @@ module.exports = function(io, dependencies) {
     return db;
   }
 
+  function requireScope(socket, scope, callback) {
+    if (hasScope(socket.data.auth, scope)) {
+      return true;
+    }
+
+    if (typeof callback === 'function') {
+      callback({ success: false, error: `Missing required scope: ${scope}` });
+    }
+    return false;
+  }
+
+  // Account lookup limited to the socket's workspace
+  function findAccessibleAccount(db, socket, accountId) {
+    return db.whatsAppAccount.findFirst({
+      where: scopeToWorkspace(socket.data.auth, { id: accountId }),
+    });
+  }
+
+  // Broadcast to everyone who can see the account's workspace
+  function toWorkspace(workspaceId) {
+    return accountsNS.to(`workspace:${workspaceId}`).to('platform');
+  }
+
   function getPublicClientStatus(account, clientStatus) {
     if (clientStatus?.status) {
       return clientStatus.status;
@@ -61,14 +84,25 @@ module.exports = function(io, dependencies) {
   accountsNS.on('connection', (socket) => {
     logger.info(`[Accounts NS] Connected: ${socket.id}`);
 
+    socket.join(workspaceRoom(socket.data.auth));
+
     socket.onAny((event, ...args) => {
       logger.info(`[Accounts NS] Event ${event} from ${socket.id}, args=${args.map((arg) => typeof arg).join(',')}`);
     });
 
     // Subscribe to account updates
-    socket.on('join', (accountId) => {
-      socket.join(`account:${accountId}`);
-      logger.debug(`[Accounts NS] Socket ${socket.id} joined account:${accountId}`);
+    socket.on('join', async (accountId) => {
+      if (!requireScope(socket, 'accounts:read')) return;
+
+      try {
+        const db = getPrisma ? getPrisma() : prisma;
+        if (!db || !(await findAccessibleAccount(db, socket, accountId))) return;
+
+        socket.join(`account:${accountId}`);
+        logger.debug(`[Accounts NS] Socket ${socket.id} joined account:${accountId}`);
+      } catch (error) {
+        logger.error('[Accounts NS] Failed to join account room:', error.message);
+      }
     });
 
     socket.on('leave', (accountId) => {
@@ -86,12 +120,15 @@ module.exports = function(io, dependencies) {
       }
 
       try {
+        if (!requireScope(socket, 'accounts:read', callback)) return;
+
         const db = requirePrisma(callback);
         if (!db) return;
 
         logger.info('[Accounts NS] accounts:list loading accounts');
         const accounts = await withTimeout(
           db.whatsAppAccount.findMany({
+            where: scopeToWorkspace(socket.data.auth),
             orderBy: { createdAt: 'desc' },
           }),
           'accounts:list'
@@ -110,12 +147,12 @@ module.exports = function(io, dependencies) {
     // Get account by ID
     socket.on('account:get', async ({ accountId }, callback) => {
       try {
+        if (!requireScope(socket, 'accounts:read', callback)) return;
+
         const db = requirePrisma(callback);
         if (!db) return;
 
-        const account = await db.whatsAppAccount.findUnique({
-          where: { id: accountId },
-        });
+        const account = await findAccessibleAccount(db, socket, accountId);
 
         if (!account) {
           return callback({ success: false, error: 'Account not found' });
@@ -132,18 +169,25 @@ module.exports = function(io, dependencies) {
     });
 
     // Create new account
-    socket.on('account:create', async ({ name, useLimits = true }, callback) => {
+    socket.on('account:create', async ({ name, useLimits = true, workspaceId }, callback) => {
       try {
+        if (!requireScope(socket, 'accounts:write', callback)) return;
+
         const db = requirePrisma(callback);
         if (!db) return;
 
+        const targetWorkspaceId = resolveWorkspaceId(socket.data.auth, workspaceId);
+        if (!targetWorkspaceId) {
+          return callback({ success: false, error: 'workspaceId is required' });
+        }
+
         const account = await db.whatsAppAccount.create({
-          data: { name, useLimits },
+          data: { name, useLimits, workspaceId: targetWorkspaceId },
         });
         logger.info(`[Accounts NS] Created account: ${account.id} (${name})`);
 
-        // Broadcast to all clients
-        accountsNS.emit('account:created', account);
+        // Broadcast to the account's workspace
+        toWorkspace(account.workspaceId).emit('account:created', account);
 
         callback({ success: true, data: account });
       } catch (error) {
@@ -155,9 +199,15 @@ module.exports = function(io, dependencies) {
     // Update account
     socket.on('account:update', async ({ accountId, name, useLimits }, callback) => {
       try {
+        if (!requireScope(socket, 'accounts:write', callback)) return;
+
         const db = requirePrisma(callback);
         if (!db) return;
 
+        if (!(await findAccessibleAccount(db, socket, accountId))) {
+          return callback({ success: false, error: 'Account not found' });
+        }
+
         const updateData = {};
         if (name !== undefined) updateData.name = name;
         if (useLimits !== undefined) updateData.useLimits = useLimits;
@@ -180,10 +230,19 @@ module.exports = function(io, dependencies) {
     // Connect account (start WhatsApp session)
     socket.on('account:connect', async ({ accountId }, callback) => {
       try {
+        if (!requireScope(socket, 'accounts:write', callback)) return;
+
         if (process.env.ENABLE_WHATSAPP_CLIENTS !== 'true') {
           return callback({ success: false, error: 'WhatsApp client initialization is disabled' });
         }
 
+        const db = requirePrisma(callback);
+        if (!db) return;
+
+        if (!(await findAccessibleAccount(db, socket, accountId))) {
+          return callback({ success: false, error: 'Account not found' });
+        }
+
         if (connectingAccounts.has(accountId)) {
           return callback({ success: false, error: 'Client is already being initialized' });
         }
@@ -211,9 +270,14 @@ module.exports = function(io, dependencies) {
     // Disconnect account
     socket.on('account:disconnect', async ({ accountId }, callback) => {
       try {
+        if (!requireScope(socket, 'accounts:write', callback)) return;
+
+        const db = requirePrisma(callback);
+        if (!db) return;
+
         const clientInfo = clients.get(accountId);
 
-        if (!clientInfo) {
+        if (!clientInfo || !(await findAccessibleAccount(db, socket, accountId))) {
           return callback({ success: false, error: 'Client not found' });
         }
 
@@ -227,8 +291,6 @@ module.exports = function(io, dependencies) {
         }
 
         await cleanupClient(accountId);
-        const db = requirePrisma(callback);
-        if (!db) return;
 
         await db.whatsAppAccount.update({
           where: { id: accountId },
@@ -246,6 +308,15 @@ module.exports = function(io, dependencies) {
     // Reset session
     socket.on('account:reset', async ({ accountId }, callback) => {
       try {
+        if (!requireScope(socket, 'accounts:write', callback)) return;
+
+        const db = requirePrisma(callback);
+        if (!db) return;
+
+        if (!(await findAccessibleAccount(db, socket, accountId))) {
+          return callback({ success: false, error: 'Account not found' });
+        }
+
         reconnectAttempts.delete(accountId);
         connectingAccounts.delete(accountId);
 
@@ -262,9 +333,6 @@ module.exports = function(io, dependencies) {
           fs.rmSync(sessionPath, { recursive: true, force: true });
         }
 
-        const db = requirePrisma(callback);
-        if (!db) return;
-
         await db.whatsAppAccount.update({
           where: { id: accountId },
           data: { status: 'DISCONNECTED' },
@@ -280,12 +348,12 @@ module.exports = function(io, dependencies) {
     // Delete account
     socket.on('account:delete', async ({ accountId }, callback) => {
       try {
+        if (!requireScope(socket, 'accounts:write', callback)) return;
+
         const db = requirePrisma(callback);
         if (!db) return;
 
-        const account = await db.whatsAppAccount.findUnique({
-          where: { id: accountId },
-        });
+        const account = await findAccessibleAccount(db, socket, accountId);
 
         if (!account) {
           return callback({ success: false, error: 'Account not found' });
@@ -311,7 +379,7 @@ module.exports = function(io, dependencies) {
         });
 
         // Broadcast deletion
-        accountsNS.emit('account:deleted', { accountId });
+        toWorkspace(account.workspaceId).emit('account:deleted', { accountId });
 
         logger.info(`[Accounts NS] Deleted account: ${accountId}`);
         callback({ success: true });
@@ -4,13 +4,9 @@
  */
 
 module.exports = function(io, dependencies) {
-  const { clients, prisma, getPrisma, isPrismaConnected, logger, messageQueues, enqueueMessage, processMessageQueue, initializeClient, cleanupClient } = dependencies;
+  const { clients, prisma, getPrisma, isPrismaConnected, logger, queueSingleMessage, resolveSendOptions, sendReaction, resolveJid, listChats, listChatMessages, readChat, searchMessages, listGroups, getGroup, groupAdmin, getQueueStatus, parseMediaInput, removeOutgoingMedia, ensureClientStarted, suppressedSendReason, hasScope, scopeToWorkspace, resolveWorkspaceId, workspaceRoom } = dependencies;
   const chatsNS = io.of('/chats');
 
-  function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   function requirePrisma(callback) {
     const db = getPrisma ? getPrisma() : prisma;
 
@@ -22,13 +18,73 @@ module.exports = function(io, dependencies) {
     return db;
   }
 
+  function requireScope(socket, scope, callback) {
+    if (hasScope(socket.data.auth, scope)) {
+      return true;
+    }
+
+    if (typeof callback === 'function') {
+      callback({ success: false, error: `Missing required scope: ${scope}` });
+    }
+    return false;
+  }
+
+  // Account lookup limited to the socket's workspace
+  function findAccessibleAccount(db, socket, accountId) {
+    return db.whatsAppAccount.findFirst({
+      where: scopeToWorkspace(socket.data.auth, { id: accountId }),
+    });
+  }
+
+  // Group administration events; groupAdmin returns { data } or { status, error, retryAfter }
+  function onGroupAdmin(socket, event, run) {
+    socket.on(event, async (params = {}, callback) => {
+      try {
+        if (!requireScope(socket, 'groups:manage', callback)) return;
+
+        const db = requirePrisma(callback);
+        if (!db) return;
+
+        const account = await findAccessibleAccount(db, socket, params.accountId);
+        if (!account) {
+          return callback({ success: false, error: 'Account not found' });
+        }
+
+        const result = await run(socket.data.auth, account, params);
+        if (result.error) {
+          return callback({
+            success: false,
+            error: result.error,
+            ...(result.retryAfter && { retryAfter: result.retryAfter }),
+          });
+        }
+
+        callback({ success: true, data: result.data });
+      } catch (error) {
+        logger.error(`[Chats NS] Failed to handle ${event}:`, error.message);
+        callback({ success: false, error: error.message });
+      }
+    });
+  }
+
   chatsNS.on('connection', (socket) => {
     logger.info(`[Chats NS] Connected: ${socket.id}`);
 
+    socket.join(workspaceRoom(socket.data.auth));
+
     // Subscribe to chat updates for an account
-    socket.on('join', (accountId) => {
-      socket.join(`account:${accountId}`);
-      logger.debug(`[Chats NS] Socket ${socket.id} joined account:${accountId}`);
+    socket.on('join', async (accountId) => {
+      if (!requireScope(socket, 'accounts:read')) return;
+
+      try {
+        const db = getPrisma ? getPrisma() : prisma;
+        if (!db || !(await findAccessibleAccount(db, socket, accountId))) return;
+
+        socket.join(`account:${accountId}`);
+        logger.debug(`[Chats NS] Socket ${socket.id} joined account:${accountId}`);
+      } catch (error) {
+        logger.error('[Chats NS] Failed to join account room:', error.message);
+      }
     });
 
     socket.on('leave', (accountId) => {
@@ -36,99 +92,195 @@ module.exports = function(io, dependencies) {
       logger.debug(`[Chats NS] Socket ${socket.id} left account:${accountId}`);
     });
 
-    // Get all chats for an account
-    socket.on('chats:list', async ({ accountId, page = 1, limit = 50, phone }, callback) => {
+    // Get chats for an account, newest first; pass pagination.nextCursor for the next page
+    socket.on('chats:list', async ({ accountId, cursor, limit = 50, phone, archived }, callback) => {
       try {
+        if (!requireScope(socket, 'accounts:read', callback)) return;
+
         const db = requirePrisma(callback);
         if (!db) return;
 
-        const pageNum = parseInt(page);
-        const limitNum = Math.min(parseInt(limit), 100);
-        const skip = (pageNum - 1) * limitNum;
+        if (!(await findAccessibleAccount(db, socket, accountId))) {
+          return callback({ success: false, error: 'Account not found' });
+        }
+
+        const result = await listChats(db, accountId, { cursor, limit, phone, archived });
+        if (result.error) {
+          return callback({ success: false, error: result.error });
+        }
+
+        callback({ success: true, ...result });
+      } catch (error) {
+        logger.error('[Chats NS] Failed to get chats:', error.message);
+        callback({ success: false, error: error.message });
+      }
+    });
+
+    // Reset unread count and send read receipts; rooms get chat:updated
+    socket.on('chat:read', async ({ accountId, chatId }, callback) => {
+      try {
+        if (!requireScope(socket, 'accounts:write', callback)) return;
 
-        const where = { accountId };
+        const db = requirePrisma(callback);
+        if (!db) return;
 
-        if (phone) {
-          where.OR = [
-            { to: { contains: phone } },
-            { from: { contains: phone } },
-            { contactNumber: { contains: phone } },
-          ];
+        if (!(await findAccessibleAccount(db, socket, accountId))) {
+          return callback({ success: false, error: 'Account not found' });
         }
 
-        const messages = await db.message.findMany({
-          where,
-          orderBy: { sentAt: 'desc' },
-          take: 5000,
-        });
+        const chat = await readChat(accountId, decodeURIComponent(chatId));
+        if (!chat) {
+          return callback({ success: false, error: 'Chat not found' });
+        }
 
-        const chatsMap = new Map();
+        callback({ success: true, data: chat });
+      } catch (error) {
+        logger.error('[Chats NS] Failed to mark chat as read:', error.message);
+        callback({ success: false, error: error.message });
+      }
+    });
 
-        messages.forEach(msg => {
-          const key = msg.contactNumber || msg.to || msg.from || msg.chatId;
-          if (!key) return;
+    // Full-text search across the workspace's accounts; same filters as GET /api/messages/search
+    socket.on('chats:search', async (params = {}, callback) => {
+      try {
+        if (!requireScope(socket, 'accounts:read', callback)) return;
 
-          if (!chatsMap.has(key)) {
-            chatsMap.set(key, {
-              chatId: msg.chatId,
-              contactNumber: msg.contactNumber || msg.to || msg.from,
-              contactName: msg.contactName,
-              messages: [],
-              unreadCount: 0,
-              lastMessageTime: msg.sentAt,
-            });
-          }
+        const db = requirePrisma(callback);
+        if (!db) return;
 
-          const chat = chatsMap.get(key);
-          if (chat.messages.length < 50) {
-            chat.messages.push(msg);
-          }
+        if (params.accountId && !(await findAccessibleAccount(db, socket, params.accountId))) {
+          return callback({ success: false, error: 'Account not found' });
+        }
 
-          if (new Date(msg.sentAt) > new Date(chat.lastMessageTime)) {
-            chat.lastMessageTime = msg.sentAt;
-          }
+        const result = await searchMessages(db, {
+          ...params,
+          workspaceId: resolveWorkspaceId(socket.data.auth, params.workspaceId),
         });
+        if (result.error) {
+          return callback({ success: false, error: result.error });
+        }
 
-        let chatsArray = Array.from(chatsMap.values());
-        chatsArray.sort((a, b) => new Date(b.lastMessageTime) - new Date(a.lastMessageTime));
-
-        const total = chatsArray.length;
-        const paginatedChats = chatsArray.slice(skip, skip + limitNum);
-        const totalPages = Math.ceil(total / limitNum);
-
-        callback({
-          success: true,
-          data: paginatedChats,
-          pagination: {
-            total,
-            page: pageNum,
-            limit: limitNum,
-            totalPages,
-            hasNextPage: pageNum < totalPages,
-            hasPrevPage: pageNum > 1,
-          },
-        });
+        callback({ success: true, ...result });
       } catch (error) {
-        logger.error('[Chats NS] Failed to get chats:', error.message);
+        logger.error('[Chats NS] Failed to search messages:', error.message);
+        callback({ success: false, error: error.message });
+      }
+    });
+
+    // Stored groups of the account
+    socket.on('groups:list', async ({ accountId, page = 1, limit = 50, search }, callback) => {
+      try {
+        if (!requireScope(socket, 'accounts:read', callback)) return;
+
+        const db = requirePrisma(callback);
+        if (!db) return;
+
+        if (!(await findAccessibleAccount(db, socket, accountId))) {
+          return callback({ success: false, error: 'Account not found' });
+        }
+
+        callback({ success: true, ...(await listGroups(db, accountId, { page, limit, search })) });
+      } catch (error) {
+        logger.error('[Chats NS] Failed to list groups:', error.message);
+        callback({ success: false, error: error.message });
+      }
+    });
+
+    // Group metadata with participants, live when the account is connected
+    socket.on('group:get', async ({ accountId, groupId }, callback) => {
+      try {
+        if (!requireScope(socket, 'accounts:read', callback)) return;
+
+        const db = requirePrisma(callback);
+        if (!db) return;
+
+        const account = await findAccessibleAccount(db, socket, accountId);
+        if (!account) {
+          return callback({ success: false, error: 'Account not found' });
+        }
+
+        const group = await getGroup(account, decodeURIComponent(groupId));
+        if (!group) {
+          return callback({ success: false, error: 'Group not found' });
+        }
+
+        callback({ success: true, data: group });
+      } catch (error) {
+        logger.error('[Chats NS] Failed to get group:', error.message);
         callback({ success: false, error: error.message });
       }
     });
 
-    // Get messages for a specific chat
-    socket.on('chat:messages', async ({ accountId, chatId }, callback) => {
+    onGroupAdmin(socket, 'group:create', (auth, account, { subject, participants }) =>
+      groupAdmin.createGroup(auth, account, { subject, participants })
+    );
+
+    onGroupAdmin(socket, 'group:participants:update', (auth, account, { groupId, action, participants }) =>
+      groupAdmin.updateParticipants(auth, account, { groupId, action, participants })
+    );
+
+    // subject and/or description, like PATCH /api/accounts/:accountId/groups/:groupId
+    onGroupAdmin(socket, 'group:update', async (auth, account, { groupId, subject, description }) => {
+      if (subject === undefined && description === undefined) {
+        return { error: 'Nothing to update' };
+      }
+
+      let result;
+      if (subject !== undefined) {
+        result = await groupAdmin.updateSubject(auth, account, { groupId, subject });
+        if (result.error) return result;
+      }
+      if (description !== undefined) {
+        result = await groupAdmin.updateDescription(auth, account, { groupId, description });
+      }
+      return result;
+    });
+
+    // media: { base64 | url, mimetype? } sets the picture, null removes it
+    onGroupAdmin(socket, 'group:picture', async (auth, account, { groupId, media: mediaInput }) => {
+      if (mediaInput === null) {
+        return groupAdmin.updatePicture(auth, account, { groupId, media: null });
+      }
+
+      const parsed = await parseMediaInput({ media: mediaInput });
+      if (parsed.error) return { error: parsed.error };
+      if (!parsed.media) return { error: 'Image is required' };
+
+      try {
+        return await groupAdmin.updatePicture(auth, account, { groupId, media: parsed.media });
+      } finally {
+        await removeOutgoingMedia(parsed.media);
+      }
+    });
+
+    onGroupAdmin(socket, 'group:invite', (auth, account, { groupId }) =>
+      groupAdmin.getInviteLink(auth, account, { groupId })
+    );
+
+    onGroupAdmin(socket, 'group:invite:revoke', (auth, account, { groupId }) =>
+      groupAdmin.revokeInviteLink(auth, account, { groupId })
+    );
+
+    // Get a page of a chat's history; same before / after / limit as the REST route
+    socket.on('chat:messages', async ({ accountId, chatId, before, after, limit }, callback) => {
       try {
+        if (!requireScope(socket, 'accounts:read', callback)) return;
+
         const db = requirePrisma(callback);
         if (!db) return;
 
+        if (!(await findAccessibleAccount(db, socket, accountId))) {
+          return callback({ success: false, error: 'Account not found' });
+        }
+
         const decodedChatId = decodeURIComponent(chatId);
 
-        const messages = await db.message.findMany({
-          where: { accountId, chatId: decodedChatId },
-          orderBy: { sentAt: 'asc' },
-          take: 500,
-        });
+        const result = await listChatMessages(db, accountId, decodedChatId, { before, after, limit });
+        if (result.error) {
+          return callback({ success: false, error: result.error });
+        }
 
-        callback({ success: true, data: messages });
+        callback({ success: true, ...result });
       } catch (error) {
         logger.error('[Chats NS] Failed to get chat messages:', error.message);
         callback({ success: false, error: error.message });
@@ -136,169 +288,170 @@ module.exports = function(io, dependencies) {
     });
 
     // Send message to a chat
-    socket.on('chat:send', async ({ accountId, chatId, message }, callback) => {
+    // media: { base64 | url, mimetype?, filename?, type?, ptt? }
+    // quotedMessageId / mentions make a reply; reaction: { messageId, emoji } reacts instead of sending
+    socket.on('chat:send', async ({ accountId, chatId, message, media: mediaInput, quotedMessageId, mentions, reaction }, callback) => {
+      let media = null;
+      let queued = false;
+
       try {
+        if (!requireScope(socket, 'messages:send', callback)) return;
+
         const db = requirePrisma(callback);
         if (!db) return;
 
         const decodedChatId = decodeURIComponent(chatId);
 
-        if (!message) {
+        const account = await findAccessibleAccount(db, socket, accountId);
+        if (!account) {
+          return callback({ success: false, error: 'Account not found' });
+        }
+
+        const jid = resolveJid(decodedChatId, account);
+        if (!jid) {
+          return callback({ success: false, error: 'Invalid phone number' });
+        }
+
+        const parsed = await parseMediaInput({ media: mediaInput });
+        if (parsed.error) {
+          return callback({ success: false, error: parsed.error });
+        }
+        media = parsed.media;
+
+        if (!message && !media && !reaction) {
           return callback({ success: false, error: 'Message is required' });
         }
 
-        let clientInfo = clients.get(accountId);
+        const options = await resolveSendOptions(db, account, jid, {
+          hasContent: Boolean(message || media),
+          quotedMessageId,
+          mentions,
+          reaction,
+        });
+        if (options.error) {
+          return callback({ success: false, error: options.error });
+        }
+
+        const suppressed = await suppressedSendReason(account, jid);
+        if (suppressed) {
+          return callback({ success: false, error: suppressed });
+        }
 
-        if (!clientInfo || clientInfo.status !== 'CONNECTED') {
-          try {
-            const account = await db.whatsAppAccount.findUnique({
-              where: { id: accountId },
-            });
+        ensureClientStarted(accountId);
 
-            if (!account) {
-              return callback({ success: false, error: 'Account not found' });
-            }
-
-            if (!clientInfo) {
-              await initializeClient(accountId);
-            } else if (clientInfo.status === 'DISCONNECTED') {
-              await cleanupClient(accountId);
-              await initializeClient(accountId);
-            }
-
-            await sleep(2000);
-
-            clientInfo = clients.get(accountId);
-            if (!clientInfo || clientInfo.status !== 'CONNECTED') {
-              return callback({
-                success: false,
-                error: 'Account is connecting. Try again.',
-                status: clientInfo?.status || 'DISCONNECTED',
-              });
-            }
-          } catch (connectError) {
+        if (options.reaction) {
+          const reacted = await sendReaction(account, jid, options.reaction);
+          if (reacted.error) {
             return callback({
               success: false,
-              error: 'Failed to connect account',
-              details: connectError.message,
+              error: reacted.error,
+              ...(reacted.retryAfter && { retryAfter: reacted.retryAfter }),
             });
           }
+          return callback({ success: true, data: reacted.data });
         }
 
-        const contactNumber = decodedChatId.split('@')[0];
-        const queue = messageQueues.get(accountId) || [];
-        const queueLength = queue.length;
-
-        const messageId = enqueueMessage(accountId, contactNumber, message);
+        const result = await queueSingleMessage(account, jid, message, media, options.reply);
+        queued = true;
 
-        if (queueLength === 0) {
-          setTimeout(() => processMessageQueue(accountId), 100);
-        }
-
-        callback({
-          success: true,
-          queued: true,
-          messageId,
-          queuePosition: queueLength + 1,
-          queueLength: queueLength + 1,
-          message: 'Message queued for delivery',
-        });
+        callback({ success: true, ...result, message: 'Message queued for delivery' });
       } catch (error) {
         logger.error('[Chats NS] Failed to queue chat message:', error.message);
         callback({ success: false, error: error.message });
+      } finally {
+        if (!queued) {
+          await removeOutgoingMedia(media);
+        }
       }
     });
 
     // Send single message (for quick sends)
-    socket.on('message:send', async ({ accountId, to, message }, callback) => {
+    socket.on('message:send', async ({ accountId, to, message, media: mediaInput, quotedMessageId, mentions, reaction }, callback) => {
+      let media = null;
+      let queued = false;
+
       try {
+        if (!requireScope(socket, 'messages:send', callback)) return;
+
         const db = requirePrisma(callback);
         if (!db) return;
 
-        if (!accountId || !to || !message) {
+        if (!accountId || !to || (!message && !mediaInput && !reaction)) {
           return callback({ success: false, error: 'Missing required fields' });
         }
 
-        let clientInfo = clients.get(accountId);
+        const account = await findAccessibleAccount(db, socket, accountId);
+        if (!account) {
+          return callback({ success: false, error: 'Account not found' });
+        }
 
-        if (!clientInfo || clientInfo.status !== 'CONNECTED') {
-          try {
-            const account = await db.whatsAppAccount.findUnique({
-              where: { id: accountId },
-            });
+        const jid = resolveJid(to, account);
+        if (!jid) {
+          return callback({ success: false, error: 'Invalid phone number' });
+        }
 
-            if (!account) {
-              return callback({ success: false, error: 'Account not found' });
-            }
-
-            if (!clientInfo) {
-              await initializeClient(accountId);
-            } else if (clientInfo.status === 'DISCONNECTED') {
-              await cleanupClient(accountId);
-              await initializeClient(accountId);
-            }
-
-            await sleep(2000);
-
-            clientInfo = clients.get(accountId);
-            if (!clientInfo || clientInfo.status !== 'CONNECTED') {
-              return callback({
-                success: false,
-                error: 'Account is connecting. Try again in a few seconds.',
-                status: clientInfo?.status || 'DISCONNECTED',
-              });
-            }
-          } catch (connectError) {
+        const parsed = await parseMediaInput({ media: mediaInput });
+        if (parsed.error) {
+          return callback({ success: false, error: parsed.error });
+        }
+        media = parsed.media;
+
+        const options = await resolveSendOptions(db, account, jid, {
+          hasContent: Boolean(message || media),
+          quotedMessageId,
+          mentions,
+          reaction,
+        });
+        if (options.error) {
+          return callback({ success: false, error: options.error });
+        }
+
+        const suppressed = await suppressedSendReason(account, jid);
+        if (suppressed) {
+          return callback({ success: false, error: suppressed });
+        }
+
+        ensureClientStarted(accountId);
+
+        if (options.reaction) {
+          const reacted = await sendReaction(account, jid, options.reaction);
+          if (reacted.error) {
             return callback({
               success: false,
-              error: 'Failed to connect account',
-              details: connectError.message,
+              error: reacted.error,
+              ...(reacted.retryAfter && { retryAfter: reacted.retryAfter }),
             });
           }
+          return callback({ success: true, data: reacted.data });
         }
 
-        const messageId = enqueueMessage(accountId, to, message);
-        const queue = messageQueues.get(accountId) || [];
-
-        if (queue.length === 1) {
-          setTimeout(() => processMessageQueue(accountId), 100);
-        }
+        const result = await queueSingleMessage(account, jid, message, media, options.reply);
+        queued = true;
 
-        callback({
-          success: true,
-          queued: true,
-          messageId,
-          queuePosition: queue.length,
-          message: 'Message queued for delivery',
-        });
+        callback({ success: true, ...result, message: 'Message queued for delivery' });
       } catch (error) {
         logger.error('[Chats NS] Failed to queue message:', error.message);
         callback({ success: false, error: error.message });
+      } finally {
+        if (!queued) {
+          await removeOutgoingMedia(media);
+        }
       }
     });
 
     // Get queue status
     socket.on('queue:status', async ({ accountId }, callback) => {
       try {
-        const queue = messageQueues.get(accountId) || [];
-        const clientInfo = clients.get(accountId);
-
-        callback({
-          success: true,
-          data: {
-            accountId,
-            queueLength: queue.length,
-            messages: queue.slice(0, 20).map((msg, index) => ({
-              position: index + 1,
-              to: msg.to,
-              message: msg.message.substring(0, 50) + (msg.message.length > 50 ? '...' : ''),
-              retries: msg.retries,
-            })),
-            status: {
-              clientStatus: clientInfo?.status || 'DISCONNECTED',
-            },
-          },
-        });
+        if (!requireScope(socket, 'accounts:read', callback)) return;
+
+        const db = requirePrisma(callback);
+        if (!db) return;
+
+        if (!(await findAccessibleAccount(db, socket, accountId))) {
+          return callback({ success: false, error: 'Account not found' });
+        }
+
+        callback({ success: true, data: await getQueueStatus(accountId) });
       } catch (error) {
         logger.error('[Chats NS] Failed to get queue status:', error.message);
         callback({ success: false, error: error.message });
@@ -1,12 +1,24 @@
-module.exports = function(io, { clients, prisma, logger }) {
+module.exports = function(io, { clients, prisma, getPrisma, logger, hasScope, scopeToWorkspace }) {
   const qrNS = io.of('/qr');
 
   qrNS.on('connection', (socket) => {
     logger.info(`[QR NS] Connected: ${socket.id}`);
 
-    socket.on('join', (accountId) => {
-      socket.join(`account:${accountId}`);
-      logger.debug(`[QR NS] Socket ${socket.id} joined account:${accountId}`);
+    socket.on('join', async (accountId) => {
+      if (!hasScope(socket.data.auth, 'accounts:read')) return;
+
+      try {
+        const db = getPrisma ? getPrisma() : prisma;
+        const account = db && await db.whatsAppAccount.findFirst({
+          where: scopeToWorkspace(socket.data.auth, { id: accountId }),
+        });
+        if (!account) return;
+
+        socket.join(`account:${accountId}`);
+        logger.debug(`[QR NS] Socket ${socket.id} joined account:${accountId}`);
+      } catch (error) {
+        logger.error('[QR NS] Failed to join account room:', error.message);
+      }
     });
 
     socket.on('leave', (accountId) => {
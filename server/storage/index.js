@@ -0,0 +1,46 @@
+const { createLocalStorage } = require("./local");
+
+/**
+ * Media storage backends. Each backend implements:
+ *   save(key, buffer, { mimetype }) -> { key, url }
+ *   read(key) -> { stream, size } | null   (only needed when served via /api/media)
+ *   remove(key)
+ *
+ * Select with MEDIA_STORAGE (default "local"). A new backend (S3, GCS...) is
+ * one factory added to BACKENDS; it may return absolute URLs from save().
+ */
+const BACKENDS = {
+  local: createLocalStorage,
+};
+
+let storage = null;
+
+// Keys are "<workspaceId>/<accountId>/<month>/<file>". Express decodes %2e%2e
+// and %2f in the route, so ".", ".." and empty segments are rejected before
+// the first segment is trusted as the owning workspace.
+function isValidMediaKey(key) {
+  if (typeof key !== "string" || key.includes("\\") || key.includes("\0")) return false;
+  return key.split("/").every((segment) => segment !== "" && segment !== "." && segment !== "..");
+}
+
+// Owning workspace of a media key, null for an invalid key
+function mediaKeyWorkspace(key) {
+  return isValidMediaKey(key) ? key.split("/")[0] : null;
+}
+
+function getStorage() {
+  if (!storage) {
+    const driver = process.env.MEDIA_STORAGE || "local";
+    const factory = BACKENDS[driver];
+
+    if (!factory) {
+      throw new Error(`Unknown MEDIA_STORAGE backend: ${driver}`);
+    }
+
+    storage = factory();
+  }
+
+  return storage;
+}
+
+module.exports = { getStorage, isValidMediaKey, mediaKeyWorkspace };
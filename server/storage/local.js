@@ -0,0 +1,45 @@
+const fs = require("fs");
+const path = require("path");
+
+const LOCAL_MEDIA_DIR = process.env.MEDIA_LOCAL_DIR || path.join(process.cwd(), ".media", "files");
+
+// Files are served back through the authenticated GET /api/media/* route
+function createLocalStorage({ baseDir = LOCAL_MEDIA_DIR, publicPath = "/api/media" } = {}) {
+  const root = path.resolve(baseDir);
+
+  function resolveKey(key) {
+    const fullPath = path.resolve(root, key);
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw new Error("Invalid media key");
+    }
+    return fullPath;
+  }
+
+  return {
+    name: "local",
+
+    async save(key, buffer) {
+      const fullPath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.promises.writeFile(fullPath, buffer);
+      return { key, url: `${publicPath}/${key}` };
+    },
+
+    async read(key) {
+      const fullPath = resolveKey(key);
+      try {
+        const stats = await fs.promises.stat(fullPath);
+        return { stream: fs.createReadStream(fullPath), size: stats.size };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,128 @@
+// ==================== SUPPRESSION LIST ====================
+//
+// Numbers that must not be contacted. An entry without accountId applies to
+// every account of the workspace. The messages worker checks the list right
+// before sending, so a number suppressed mid-campaign is skipped too.
+
+const { toJid, jidToNumber } = require("./phone");
+
+const SUPPRESSION_SOURCES = ["MANUAL", "IMPORT", "KEYWORD"];
+
+const DEFAULT_OPT_OUT_KEYWORDS = "STOP,STOPALL,UNSUBSCRIBE,СТОП,ОТПИСАТЬСЯ,ОТПИСКА";
+
+// Empty OPT_OUT_KEYWORDS turns keyword capture off
+const OPT_OUT_KEYWORDS = (process.env.OPT_OUT_KEYWORDS ?? DEFAULT_OPT_OUT_KEYWORDS)
+  .split(",")
+  .map((keyword) => normalizeKeyword(keyword))
+  .filter(Boolean);
+
+// "Stop!" and " стоп. " both match STOP / СТОП
+function normalizeKeyword(text) {
+  return String(text)
+    .trim()
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "")
+    .toUpperCase();
+}
+
+// Only a reply that is exactly a keyword opts out; "don't stop" in a sentence doesn't
+function matchOptOutKeyword(text) {
+  if (!text || OPT_OUT_KEYWORDS.length === 0) return null;
+
+  const normalized = normalizeKeyword(text);
+  return OPT_OUT_KEYWORDS.includes(normalized) ? normalized : null;
+}
+
+// Suppression entries store bare digits; groups are never suppressed
+function suppressionNumber(phoneNumber) {
+  const jid = toJid(phoneNumber);
+  if (jid.endsWith("@g.us")) return null;
+  return jidToNumber(jid);
+}
+
+/**
+ * Numbers to suppress for an opt-out in a direct chat. @lid chats hide the
+ * phone number: it comes from the key's phone-number JID (senderPn /
+ * remoteJidAlt) or the socket's LID mapping. The LID is kept as well, since
+ * sends into that chat are checked by it. The first entry is the phone
+ * number unless it couldn't be resolved.
+ */
+async function optOutNumbers(key, lidMapping) {
+  const chatId = key.remoteJid;
+  if (!chatId.endsWith("@lid")) return [jidToNumber(chatId)];
+
+  let phoneJid = [key.senderPn, key.remoteJidAlt].find((jid) => jid?.endsWith("@s.whatsapp.net"));
+  if (!phoneJid && lidMapping?.getPNForLID) {
+    try {
+      phoneJid = await lidMapping.getPNForLID(chatId);
+    } catch {
+      // No mapping stored for this LID
+    }
+  }
+
+  const lid = jidToNumber(chatId);
+  return phoneJid ? [jidToNumber(phoneJid), lid] : [lid];
+}
+
+function appliesTo(accountId) {
+  return { OR: [{ accountId: null }, { accountId }] };
+}
+
+async function findSuppression(prisma, { workspaceId, accountId, phoneNumber }) {
+  const number = suppressionNumber(phoneNumber);
+  if (!number) return null;
+
+  return prisma.suppression.findFirst({
+    where: { workspaceId, phoneNumber: number, ...appliesTo(accountId) },
+  });
+}
+
+// Map of number -> suppression for a batch of numbers
+async function findSuppressions(prisma, { workspaceId, accountId, phoneNumbers }) {
+  const numbers = [...new Set(phoneNumbers.map(suppressionNumber).filter(Boolean))];
+  if (numbers.length === 0) return new Map();
+
+  const suppressions = await prisma.suppression.findMany({
+    where: { workspaceId, phoneNumber: { in: numbers }, ...appliesTo(accountId) },
+  });
+
+  return new Map(suppressions.map((suppression) => [suppression.phoneNumber, suppression]));
+}
+
+function suppressionReason(suppression) {
+  return `Number is suppressed${suppression.reason ? `: ${suppression.reason}` : ""}`;
+}
+
+/**
+ * Adds numbers that aren't suppressed yet in the same scope (workspace-wide
+ * or the account). Postgres doesn't treat NULL accountIds as equal in a
+ * unique index, so duplicates are filtered here. Returns the created count.
+ */
+async function addSuppressions(prisma, { workspaceId, accountId = null, phoneNumbers, reason = null, source }) {
+  const numbers = [...new Set(phoneNumbers)];
+  if (numbers.length === 0) return 0;
+
+  const existing = await prisma.suppression.findMany({
+    where: { workspaceId, accountId, phoneNumber: { in: numbers } },
+    select: { phoneNumber: true },
+  });
+  const existingNumbers = new Set(existing.map((suppression) => suppression.phoneNumber));
+
+  const { count } = await prisma.suppression.createMany({
+    data: numbers
+      .filter((number) => !existingNumbers.has(number))
+      .map((phoneNumber) => ({ workspaceId, accountId, phoneNumber, reason, source })),
+  });
+
+  return count;
+}
+
+module.exports = {
+  SUPPRESSION_SOURCES,
+  matchOptOutKeyword,
+  optOutNumbers,
+  suppressionNumber,
+  findSuppression,
+  findSuppressions,
+  suppressionReason,
+  addSuppressions,
+};
@@ -0,0 +1,63 @@
+// ==================== MESSAGE TEMPLATES ====================
+
+// {{name}}, {{ name }}, {{customer.city}}, {{Имя}} (spreadsheet headers are often not ASCII)
+const PLACEHOLDER_PATTERN = /\{\{\s*([\p{L}\p{N}_.]+)\s*\}\}/gu;
+
+class MissingVariablesError extends Error {
+  constructor(names) {
+    super(`Missing template variable${names.length > 1 ? "s" : ""}: ${names.join(", ")}`);
+    this.name = "MissingVariablesError";
+    this.variables = names;
+  }
+}
+
+function extractPlaceholders(body) {
+  const names = new Set();
+  for (const match of (body || "").matchAll(PLACEHOLDER_PATTERN)) {
+    names.add(match[1]);
+  }
+  return [...names];
+}
+
+function lookupVariable(variables, name) {
+  return name.split(".").reduce(
+    (value, part) => (value !== null && typeof value === "object" ? value[part] : undefined),
+    variables
+  );
+}
+
+// Throws MissingVariablesError listing every placeholder without a value
+function renderTemplate(body, variables = {}) {
+  const values = variables && typeof variables === "object" ? variables : {};
+  const missing = extractPlaceholders(body).filter((name) => {
+    const value = lookupVariable(values, name);
+    return value === undefined || value === null;
+  });
+
+  if (missing.length > 0) {
+    throw new MissingVariablesError(missing);
+  }
+
+  return (body || "").replace(PLACEHOLDER_PATTERN, (match, name) => String(lookupVariable(values, name)));
+}
+
+// Media descriptor in the shape the messages worker sends (see server/media.js)
+function templateMedia(template) {
+  if (!template?.mediaUrl) return null;
+
+  return {
+    type: template.mediaType,
+    mimetype: template.mimetype,
+    filename: template.filename,
+    size: null,
+    ptt: false,
+    url: template.mediaUrl,
+  };
+}
+
+module.exports = {
+  MissingVariablesError,
+  extractPlaceholders,
+  renderTemplate,
+  templateMedia,
+};
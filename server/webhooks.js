@@ -0,0 +1,179 @@
+const crypto = require("crypto");
+const { webhookQueue } = require("./queue");
+const { checkOutboundUrl } = require("./netGuard");
+
+// ==================== OUTBOUND WEBHOOKS ====================
+
+const WEBHOOK_EVENTS = [
+  "message.received",
+  "message.sent",
+  "message.failed",
+  "message.reaction",
+  "account.status",
+  "contract.completed",
+];
+
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT_MS || "10000", 10);
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+// Receivers verify: hex(HMAC-SHA256(secret, `${timestamp}.${rawBody}`))
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+function invalidEvents(events) {
+  return events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+}
+
+// Checked on registration and again before every delivery, since DNS can change.
+// Returns an error message, or null when the URL may be called.
+async function webhookUrlError(url) {
+  const checked = await checkOutboundUrl(url);
+  if (checked.error) return checked.error;
+
+  // Plain HTTP is only for local development receivers
+  if (checked.url.protocol === "http:" && process.env.WEBHOOK_ALLOW_HTTP !== "true") {
+    return "Webhook URL must use https";
+  }
+
+  return null;
+}
+
+function enqueueDelivery(deliveryId) {
+  return webhookQueue.add("deliver", { deliveryId });
+}
+
+function createWebhookDispatcher({ getPrisma, logger }) {
+  // Fire-and-forget: webhook problems must never break message handling
+  async function emitWebhookEvent(accountId, event, data) {
+    try {
+      const prisma = getPrisma();
+
+      const webhooks = await prisma.webhook.findMany({
+        where: { accountId, isActive: true, events: { has: event } },
+        select: { id: true, workspaceId: true },
+      });
+
+      for (const webhook of webhooks) {
+        const delivery = await prisma.webhookDelivery.create({
+          data: {
+            webhookId: webhook.id,
+            event,
+            payload: {
+              event,
+              accountId,
+              workspaceId: webhook.workspaceId,
+              timestamp: new Date().toISOString(),
+              data,
+            },
+          },
+        });
+
+        await enqueueDelivery(delivery.id);
+      }
+    } catch (error) {
+      logger.error(`Failed to dispatch webhook event ${event} for ${accountId}:`, error.message);
+    }
+  }
+
+  return { emitWebhookEvent };
+}
+
+// Performs one HTTP attempt. Throws on failure so BullMQ retries with backoff;
+// the delivery is only marked FAILED once the last attempt is used up.
+async function deliverWebhook(prisma, deliveryId, { finalAttempt }) {
+  const delivery = await prisma.webhookDelivery.findUnique({
+    where: { id: deliveryId },
+    include: { webhook: true },
+  });
+
+  if (!delivery) {
+    return { skipped: true };
+  }
+
+  if (!delivery.webhook.isActive) {
+    await prisma.webhookDelivery.update({
+      where: { id: deliveryId },
+      data: { status: "FAILED", errorMessage: "Webhook is disabled" },
+    });
+    return { skipped: true };
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = new Date();
+
+  let responseStatus = null;
+  let responseBody = null;
+  let errorMessage = null;
+
+  try {
+    const urlError = await webhookUrlError(delivery.webhook.url);
+    if (urlError) {
+      throw new Error(`Blocked: ${urlError}`);
+    }
+
+    const response = await fetch(delivery.webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "wa-manager-webhooks/1.0",
+        "X-Webhook-Id": delivery.webhookId,
+        "X-Webhook-Delivery": delivery.id,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": `sha256=${signPayload(delivery.webhook.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT),
+    });
+
+    responseStatus = response.status;
+    responseBody = (await response.text().catch(() => "")).substring(0, MAX_RESPONSE_BODY_LENGTH);
+
+    if (!response.ok) {
+      errorMessage = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    errorMessage = error.name === "TimeoutError"
+      ? `Timed out after ${WEBHOOK_TIMEOUT}ms`
+      : error.message || "Request failed";
+  }
+
+  const succeeded = errorMessage === null;
+
+  await prisma.webhookDelivery.update({
+    where: { id: deliveryId },
+    data: {
+      attempts: { increment: 1 },
+      lastAttemptAt: startedAt,
+      responseStatus,
+      responseBody,
+      errorMessage,
+      status: succeeded ? "SUCCESS" : finalAttempt ? "FAILED" : "PENDING",
+      deliveredAt: succeeded ? new Date() : null,
+    },
+  });
+
+  if (!succeeded) {
+    throw new Error(errorMessage);
+  }
+
+  return { responseStatus };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  signPayload,
+  invalidEvents,
+  webhookUrlError,
+  enqueueDelivery,
+  createWebhookDispatcher,
+  deliverWebhook,
+};
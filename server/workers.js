@@ -1,6 +1,30 @@
-const { Worker } = require("bullmq");
+const { Worker, UnrecoverableError, DelayedError } = require("bullmq");
 const { PrismaClient } = require("@prisma/client");
-const { contractQueue, messageQueue, redisConnection } = require("./queue");
+const { redisConnection } = require("./queue");
+const { deliverWebhook } = require("./webhooks");
+const { renderTemplate, MissingVariablesError } = require("./templates");
+const { resolveTimezone, nextAllowedTime } = require("./schedule");
+const { toJid, jidToNumber } = require("./phone");
+const {
+  OPEN_RECIPIENT_STATUSES,
+  enqueueRecipients,
+  skipRecipients,
+  markRecipientInvalid,
+  pauseContract,
+  releaseRecipient,
+  isRecipientClaimable,
+  claimRecipient,
+  completeContractIfDone,
+} = require("./contracts");
+const { findSuppression, suppressionReason } = require("./suppressions");
+const { NOT_ON_WHATSAPP, checkNumbers } = require("./numberCheck");
+const { recordChatMessage } = require("./chats");
+const {
+  describeMessage,
+  removeOutgoingMedia,
+  storeOutgoingMedia,
+  outgoingMessageFields,
+} = require("./media");
 
 // Single Prisma instance with optimized settings
 const prisma = new PrismaClient({
@@ -11,39 +35,135 @@ const prisma = new PrismaClient({
 let clients = null;
 let logger = null;
 let CONFIG = null;
+let getLimits = null;
 let checkRateLimit = null;
 let checkDailyLimit = null;
 let checkNeedRest = null;
+let checkNewChatLimit = null;
+let startRest = null;
+let recordMessageSent = null;
+let acquireSendLock = null;
+let releaseSendLock = null;
+let startSendPause = null;
+let getSendPause = null;
+let reserveSendSlot = null;
 let sendMessageWithHumanBehavior = null;
-let messageCounters = null;
-let dailyLimits = null;
+let emitWebhookEvent = null;
+let emitMessageStatus = null;
 
 // Initialize workers with dependencies
 function initializeWorkers(dependencies) {
   clients = dependencies.clients;
   logger = dependencies.logger;
   CONFIG = dependencies.CONFIG;
+  getLimits = dependencies.getLimits;
   checkRateLimit = dependencies.checkRateLimit;
   checkDailyLimit = dependencies.checkDailyLimit;
   checkNeedRest = dependencies.checkNeedRest;
+  checkNewChatLimit = dependencies.checkNewChatLimit;
+  startRest = dependencies.startRest;
+  recordMessageSent = dependencies.recordMessageSent;
+  acquireSendLock = dependencies.acquireSendLock;
+  releaseSendLock = dependencies.releaseSendLock;
+  startSendPause = dependencies.startSendPause;
+  getSendPause = dependencies.getSendPause;
+  reserveSendSlot = dependencies.reserveSendSlot;
   sendMessageWithHumanBehavior = dependencies.sendMessageWithHumanBehavior;
-  messageCounters = dependencies.messageCounters;
-  dailyLimits = dependencies.dailyLimits;
+  emitWebhookEvent = dependencies.emitWebhookEvent;
+  emitMessageStatus = dependencies.emitMessageStatus;
 
   // Start workers
   startContractWorker();
   startMessageWorker();
+  startWebhookWorker();
 
   logger.info("✅ BullMQ workers initialized");
 }
 
+// A single send for a disconnected account checks again after 30s, 1m, 2m... up to
+// 10 minutes apart, and fails once the account has been gone for a day.
+// Contract messages pause their contract instead; resume queues them again.
+const DISCONNECTED_RETRY_DELAY = 30000;
+const DISCONNECTED_RETRY_MAX_DELAY = 10 * 60 * 1000;
+const DISCONNECTED_MAX_WAIT = 24 * 60 * 60 * 1000;
+
+// Longer than any single send (typing, upload); only matters if a worker dies mid-send
+const SEND_LOCK_TTL = 5 * 60 * 1000;
+
+// Slots of jobs waiting for a busy account are at least this far apart
+const SEND_SLOT_MIN_SPACING = 1000;
+
 // Helper functions
 function randomDelay(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min;
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+// Hands the job back to BullMQ until `timestamp`; the worker slot is free for other accounts meanwhile
+async function deferJob(job, token, timestamp) {
+  await job.moveToDelayed(timestamp, token);
+  throw new DelayedError();
+}
+
+/**
+ * A contract message pauses its contract; a single send waits with a growing
+ * backoff and fails after DISCONNECTED_MAX_WAIT. Either way the job leaves
+ * the worker (by returning, throwing or deferring).
+ */
+async function holdForDisconnectedAccount(job, token, { accountId, contractId, recipientId, phoneNumber }) {
+  if (recipientId) {
+    // Other jobs of a contract paused here are no longer claimable and are dropped quietly
+    if (await isRecipientClaimable(prisma, recipientId)) {
+      logger.warn(`📴 Account ${accountId} is not connected, pausing contract ${contractId}`);
+      await pauseContract(prisma, contractId);
+    }
+    return { success: false, skipped: true, phoneNumber, contractId };
+  }
+
+  const accountExists = await prisma.whatsAppAccount.count({ where: { id: accountId } });
+  if (!accountExists) {
+    throw new UnrecoverableError("Account not found");
+  }
+
+  const { disconnectedSince = Date.now(), disconnectedRetries = 0 } = job.data;
+  if (Date.now() - disconnectedSince >= DISCONNECTED_MAX_WAIT) {
+    throw new UnrecoverableError("Account not connected");
+  }
+
+  if (disconnectedRetries === 0) {
+    logger.warn(`📴 Account ${accountId} is not connected, ${phoneNumber} waits for it`);
+  }
+
+  await job.updateData({ ...job.data, disconnectedSince, disconnectedRetries: disconnectedRetries + 1 });
+
+  const delay = Math.min(DISCONNECTED_RETRY_DELAY * 2 ** disconnectedRetries, DISCONNECTED_RETRY_MAX_DELAY);
+  await deferJob(job, token, Date.now() + delay);
+}
+
+async function shouldVerifyNumbers(accountId) {
+  const account = await prisma.whatsAppAccount.findUnique({
+    where: { id: accountId },
+    select: { verifyNumbers: true },
+  });
+  return Boolean(account?.verifyNumbers);
+}
+
+// Marks the contract COMPLETED once no recipient is left to send
+async function finishContractIfDone(accountId, contractId) {
+  const contract = await completeContractIfDone(prisma, contractId);
+  if (!contract) return;
+
+  emitWebhookEvent(accountId, "contract.completed", {
+    contractId,
+    name: contract.name,
+    totalCount: contract.totalCount,
+    successCount: contract.successCount,
+    failureCount: contract.failureCount,
+    completedAt: contract.completedAt,
+  });
+
+  logger.info(`🎉 CONTRACT COMPLETED: ${contractId}`);
+  logger.info(`   ✅ Success: ${contract.successCount}`);
+  logger.info(`   ❌ Failed: ${contract.failureCount}`);
 }
 
 // ==================== CONTRACT WORKER ====================
@@ -56,21 +176,21 @@ function startContractWorker() {
       logger.info(`🔄 Processing contract job: ${contractId}`);
 
       try {
-        // Get contract from database
         const contract = await prisma.contract.findUnique({
           where: { id: contractId },
-          include: {
-            recipients: {
-              where: { status: { in: ["PENDING", "FAILED"] } },
-              orderBy: { createdAt: "asc" },
-            },
-          },
+          select: { id: true, name: true, status: true, accountId: true },
         });
 
         if (!contract) {
           throw new Error(`Contract ${contractId} not found`);
         }
 
+        // Paused or cancelled while the job waited, e.g. before a scheduled start
+        if (!["PENDING", "SCHEDULED", "IN_PROGRESS"].includes(contract.status)) {
+          logger.info(`⏭️ Contract ${contractId} is ${contract.status}, nothing to queue`);
+          return { success: true, contractId, messagesQueued: 0 };
+        }
+
         const accountId = contract.accountId;
         const clientInfo = clients.get(accountId);
 
@@ -78,15 +198,12 @@ function startContractWorker() {
           logger.warn(
             `Client ${accountId} not connected, pausing contract ${contractId}`
           );
-          await prisma.contract.update({
-            where: { id: contractId },
-            data: { status: "PAUSED" },
-          });
-          throw new Error("Account not connected");
+          await pauseContract(prisma, contractId);
+          return { success: false, contractId, messagesQueued: 0, reason: "Account not connected" };
         }
 
         // Update contract status to IN_PROGRESS
-        if (contract.status === "PENDING") {
+        if (contract.status === "PENDING" || contract.status === "SCHEDULED") {
           await prisma.contract.update({
             where: { id: contractId },
             data: {
@@ -96,42 +213,24 @@ function startContractWorker() {
           });
         }
 
+        const messagesQueued = await enqueueRecipients(prisma, contractId);
+
         logger.info(
-          `📋 Processing contract ${contract.name}: ${contract.recipients.length} recipients`
+          `✅ Added ${messagesQueued} messages to queue for contract ${contract.name} (${contractId})`
         );
 
-        // Add all recipients to message queue
-        const jobs = [];
-        for (const recipient of contract.recipients) {
-          jobs.push({
-            name: `msg-${recipient.phoneNumber}`,
-            data: {
-              contractId,
-              recipientId: recipient.id,
-              accountId,
-              phoneNumber: recipient.phoneNumber,
-              message: recipient.message,
-            },
-            opts: {
-              priority: 1, // Can add priority if needed
-            },
-          });
+        // Every pending recipient may have been suppressed
+        if (messagesQueued === 0) {
+          await finishContractIfDone(accountId, contractId);
         }
 
-        // Bulk add to message queue
-        await messageQueue.addBulk(jobs);
-
-        logger.info(
-          `✅ Added ${jobs.length} messages to queue for contract ${contractId}`
-        );
-
         // Update progress
         await job.updateProgress(100);
 
         return {
           success: true,
           contractId,
-          messagesQueued: jobs.length,
+          messagesQueued,
         };
       } catch (error) {
         const errorMsg = error.message || 'Unknown error';
@@ -174,185 +273,263 @@ function startContractWorker() {
 function startMessageWorker() {
   const messageWorker = new Worker(
     "messages",
-    async (job) => {
-      const { contractId, recipientId, accountId, phoneNumber, message } =
-        job.data;
+    async (job, token) => {
+      const {
+        contractId = null,
+        recipientId,
+        messageId,
+        accountId,
+        phoneNumber,
+        template = null,
+        variables,
+        sendWindow = null,
+        timezone,
+        // Replies from single sends; jobs queued before replies existed have neither
+        quoted = null,
+        mentions = [],
+      } = job.data;
+      let message = job.data.message;
+      const media = template ? template.media : job.data.media || null;
+      // Jobs queued before workspaces existed carry no workspaceId
+      const workspaceId = job.data.workspaceId || clients.get(accountId)?.workspaceId;
+      // Contract jobs track a recipient; single sends and chat replies already have a PENDING Message row
+      const isContractJob = Boolean(recipientId);
+      let lockAcquired = false;
 
       try {
-        // Update recipient status to QUEUED
-        await prisma.contractRecipient.update({
-          where: { id: recipientId },
-          data: {
-            status: "QUEUED",
-            attempts: { increment: 1 },
-            lastAttempt: new Date(),
-          },
-        });
+        // A disconnected account holds its messages instead of failing them
+        const clientInfo = clients.get(accountId);
+        if (!clientInfo || clientInfo.status !== "CONNECTED") {
+          return await holdForDisconnectedAccount(job, token, { accountId, contractId, recipientId, phoneNumber });
+        }
 
-        // Check rate limit
-        const rateCheck = await checkRateLimit(accountId);
-        if (!rateCheck.allowed && !rateCheck.noLimits) {
-          logger.warn(
-            `⏳ Rate limit reached for ${accountId}. Delaying ${rateCheck.resetIn}s...`
-          );
-          await sleep(rateCheck.resetIn * 1000);
+        // Each account sends strictly one message at a time. The lock comes before any database
+        // work: jobs of a busy account take the next free slot and stay delayed until then,
+        // so every other account keeps sending in parallel.
+        lockAcquired = await acquireSendLock(accountId, token, SEND_LOCK_TTL);
+        if (!lockAcquired) {
+          await deferJob(job, token, await reserveSendSlot(accountId, SEND_SLOT_MIN_SPACING));
+        }
+
+        // A run that stalled (worker crash) left its recipient SENDING. Nothing else of this
+        // account sends while we hold the lock, so it goes back to be claimed again.
+        if (isContractJob && job.stalledCounter > 0) {
+          await releaseRecipient(prisma, contractId, recipientId);
+        }
+
+        // Paused, cancelled, deleted, or already sent by another job
+        if (isContractJob && !(await isRecipientClaimable(prisma, recipientId))) {
+          logger.info(`⏭️ Skipping ${phoneNumber}: contract ${contractId} is not running or recipient was handled`);
+          return { success: false, skipped: true, phoneNumber, contractId };
+        }
+
+        // The number may have opted out after the job was queued
+        const suppression = workspaceId && (await findSuppression(prisma, { workspaceId, accountId, phoneNumber }));
+        if (suppression) {
+          const reason = suppressionReason(suppression);
+          if (!isContractJob) {
+            throw new UnrecoverableError(reason);
+          }
+
+          logger.info(`🔕 Skipping ${phoneNumber}: ${reason}`);
+          await skipRecipients(prisma, contractId, [recipientId], reason);
+          await finishContractIfDone(accountId, contractId);
+          return { success: false, skipped: true, phoneNumber, contractId };
+        }
+
+        // Render per-recipient text before any waiting; a missing variable fails only this recipient
+        if (template) {
+          try {
+            message = renderTemplate(template.body, variables);
+          } catch (renderError) {
+            if (renderError instanceof MissingVariablesError) {
+              throw new UnrecoverableError(renderError.message);
+            }
+            throw renderError;
+          }
+        }
+
+        // Supports plain numbers, @s.whatsapp.net, @lid (group participants) and @g.us (groups)
+        let jid = toJid(phoneNumber);
+        const cleanPhone = jidToNumber(jid);
+
+        // Optional existence check before any limit is touched; answers are cached, so it's usually a DB read
+        if (jid.endsWith("@s.whatsapp.net") && (await shouldVerifyNumbers(accountId))) {
+          const check = (await checkNumbers(prisma, clientInfo.sock, [cleanPhone])).get(cleanPhone);
+
+          if (!check.exists) {
+            if (!isContractJob) {
+              throw new UnrecoverableError(NOT_ON_WHATSAPP);
+            }
+
+            logger.info(`📵 ${cleanPhone} is not on WhatsApp, recipient of contract ${contractId} marked invalid`);
+            await markRecipientInvalid(prisma, contractId, recipientId, NOT_ON_WHATSAPP);
+            await finishContractIfDone(accountId, contractId);
+            return { success: false, skipped: true, phoneNumber, contractId };
+          }
+
+          jid = check.jid || jid;
+        }
+
+        // Human-like pause after the account's previous message
+        const pause = await getSendPause(accountId);
+        if (pause > 0) {
+          await deferJob(job, token, Date.now() + pause);
+        }
+
+        // The rest is shared through Redis, so a rest started elsewhere is waited out here too
+        const restCheck = await checkNeedRest(accountId);
+        if (restCheck.needRest && !restCheck.noLimits) {
+          let restDuration = restCheck.restingFor;
+          if (!restDuration) {
+            restDuration = restCheck.restDuration;
+            await startRest(accountId, restDuration);
+            logger.info(`💤 Account ${accountId} resting for ${Math.round(restDuration / 1000)}s`);
+          }
+
+          await deferJob(job, token, Date.now() + restDuration);
         }
 
         // Check daily limit
         const dailyCheck = await checkDailyLimit(accountId);
         if (!dailyCheck.allowed && !dailyCheck.noLimits) {
+          // A single send has no contract to pause, so it waits for the counter to roll over
+          if (!isContractJob) {
+            logger.warn(`🚫 ${dailyCheck.reason} for ${accountId}, message ${messageId} deferred`);
+            await deferJob(job, token, Date.now() + dailyCheck.resetIn);
+          }
+
+          // The contract is paused as a whole; its other jobs are dropped and resume queues them again
           logger.error(
-            `🚫 Daily limit reached for ${accountId}: ${dailyCheck.reason}`
+            `🚫 Daily limit reached for ${accountId}: ${dailyCheck.reason}, pausing contract ${contractId}`
           );
-          await prisma.contract.update({
-            where: { id: contractId },
-            data: { status: "PAUSED" },
-          });
-          throw new Error(`Daily limit reached: ${dailyCheck.reason}`);
+          await pauseContract(prisma, contractId);
+          return { success: false, skipped: true, phoneNumber, contractId };
         }
 
-        // Check if need rest
-        const restCheck = await checkNeedRest(accountId);
-        if (restCheck.needRest && !restCheck.noLimits) {
-          const counter = messageCounters.get(accountId);
-          if (counter && !counter.isResting) {
-            counter.isResting = true;
-            const restDuration = randomDelay(
-              CONFIG.REST_DURATION_MIN,
-              CONFIG.REST_DURATION_MAX
-            );
-            logger.info(
-              `💤 Account ${accountId} resting for ${Math.round(
-                restDuration / 1000
-              )}s after ${counter.count} messages`
-            );
-
-            await sleep(restDuration);
-
-            counter.isResting = false;
-            counter.count = 0;
-            counter.lastRest = Date.now();
-            logger.info(`✨ Account ${accountId} resuming after rest...`);
-          }
+        // First contact with a number counts against the daily new-chats limit; wait for tomorrow
+        const newChatCheck = await checkNewChatLimit(accountId, jid);
+        if (!newChatCheck.allowed) {
+          logger.warn(
+            `🆕 ${newChatCheck.reason} for ${accountId}, ${cleanPhone} deferred by ${Math.round(
+              newChatCheck.resetIn / 60000
+            )}min`
+          );
+          await deferJob(job, token, Date.now() + newChatCheck.resetIn);
         }
 
-        // Update recipient status to SENDING
-        await prisma.contractRecipient.update({
-          where: { id: recipientId },
-          data: { status: "SENDING" },
-        });
+        // Waiting for limits may have pushed us past the window; move to the next allowed slot
+        const allowedAt = nextAllowedTime(sendWindow, resolveTimezone(timezone));
+        if (allowedAt.getTime() > Date.now()) {
+          logger.info(
+            `🕘 ${phoneNumber} is outside the send window, rescheduled to ${allowedAt.toISOString()}`
+          );
+          await deferJob(job, token, allowedAt.getTime());
+        }
+
+        // Only checked here; the send is counted by recordMessageSent once it went out
+        const rateCheck = await checkRateLimit(accountId);
+        if (!rateCheck.allowed && !rateCheck.noLimits) {
+          logger.warn(
+            `⏳ Rate limit reached for ${accountId}, ${cleanPhone} deferred by ${rateCheck.resetIn}s`
+          );
+          await deferJob(job, token, Date.now() + rateCheck.resetIn * 1000);
+        }
 
-        // Format JID for WhatsApp
-        // Support: @lid (group participants), @s.whatsapp.net (regular users), @g.us (groups)
-        let jid;
-        let cleanPhone = phoneNumber;
-        if (phoneNumber.includes("@lid") || phoneNumber.includes("@s.whatsapp.net") || phoneNumber.includes("@g.us")) {
-          // Already formatted - use as is
-          jid = phoneNumber;
-          // Extract number: remove @suffix and device id if present (e.g., "77001234567:123@s.whatsapp.net" -> "77001234567")
-          cleanPhone = phoneNumber.split("@")[0].split(":")[0];
-        } else {
-          // Clean phone number and format as regular user
-          cleanPhone = phoneNumber.replace(/[^0-9]/g, '');
-          jid = `${cleanPhone}@s.whatsapp.net`;
+        if (isContractJob && !(await claimRecipient(prisma, recipientId))) {
+          logger.info(`⏭️ Skipping ${phoneNumber}: contract ${contractId} stopped while waiting`);
+          return { success: false, skipped: true, phoneNumber, contractId };
         }
 
-        logger.info(`📤 Sending to ${cleanPhone} (Contract: ${contractId})`);
+        logger.info(
+          `📤 Sending to ${cleanPhone} (${isContractJob ? `Contract: ${contractId}` : `Message: ${messageId}`})`
+        );
 
         // Send message with human-like behavior
-        await sendMessageWithHumanBehavior(accountId, jid, message);
+        const sentMessage = await sendMessageWithHumanBehavior(accountId, jid, message, media, { quoted, mentions });
+
+        // The message is already sent - a storage problem only costs the preview
+        let mediaUrl = null;
+        try {
+          mediaUrl = await storeOutgoingMedia(media, { workspaceId, accountId });
+        } catch (storageError) {
+          logger.error(`Failed to store sent media for ${phoneNumber}: ${storageError.message}`);
+        }
+        await removeOutgoingMedia(media);
+
+        const sent = {
+          chatId: jid,
+          waMessageId: sentMessage?.key?.id || null,
+          status: "SENT",
+          sentAt: new Date(),
+        };
 
         // Save to database
-        const dbMessage = await prisma.message.create({
-          data: {
-            accountId,
-            chatId: jid,
-            direction: "OUTGOING",
-            message: message,
-            to: cleanPhone,
-            status: "SENT",
-            contactNumber: cleanPhone,
-          },
-        });
+        const dbMessage = isContractJob
+          ? await prisma.message.create({
+              data: {
+                accountId,
+                workspaceId,
+                direction: "OUTGOING",
+                ...outgoingMessageFields(message, media, mediaUrl),
+                to: cleanPhone,
+                contactNumber: cleanPhone,
+                ...sent,
+              },
+            })
+          : await prisma.message.update({
+              where: { id: messageId },
+              data: { ...sent, mediaUrl },
+            });
+
+        // Single sends updated their chat when queued; a failure here must not retry the sent job
+        if (isContractJob) {
+          await recordChatMessage(prisma, dbMessage).catch((chatError) => {
+            logger.error(`Failed to update chat ${jid}: ${chatError.message}`);
+          });
+        }
 
-        // Update recipient status to SUCCESS
-        await prisma.contractRecipient.update({
-          where: { id: recipientId },
-          data: {
-            status: "SUCCESS",
-            messageId: dbMessage.id,
-            sentAt: new Date(),
-          },
+        emitWebhookEvent(accountId, "message.sent", { contractId, message: dbMessage });
+        emitMessageStatus({
+          accountId,
+          chatId: jid,
+          messageId: dbMessage.id,
+          waMessageId: dbMessage.waMessageId,
+          status: "SENT",
         });
 
-        // Update contract counters
-        await prisma.contract.update({
-          where: { id: contractId },
-          data: {
-            successCount: { increment: 1 },
-            pendingCount: { decrement: 1 },
-          },
-        });
+        // Daily, new-chat and rest counters
+        await recordMessageSent(accountId, { isNewChat: newChatCheck.isNewChat });
 
-        // Increment daily counter
-        const limits = dailyLimits.get(accountId);
+        // Pause before the account's next message, from its limit profile
+        const limits = await getLimits(accountId);
         if (limits) {
-          limits.messageCount++;
-        }
-
-        // Increment message counter for rest periods
-        const counter = messageCounters.get(accountId);
-        if (counter) {
-          counter.count++;
+          await startSendPause(accountId, randomDelay(limits.delayMin, limits.delayMax));
         }
 
         logger.info(`✅ SUCCESS: ${phoneNumber}`);
 
-        // Check if contract is completed (use raw count for efficiency)
-        const pendingCount = await prisma.contractRecipient.count({
-          where: {
-            contractId,
-            status: { in: ["PENDING", "QUEUED", "SENDING"] }
-          }
-        });
-
-        if (pendingCount === 0) {
-          // Contract completed - get final stats
-          const contract = await prisma.contract.findUnique({
-            where: { id: contractId },
-            select: { successCount: true, failureCount: true }
+        if (isContractJob) {
+          await prisma.contractRecipient.update({
+            where: { id: recipientId },
+            data: {
+              status: "SUCCESS",
+              messageId: dbMessage.id,
+              sentAt: new Date(),
+              ...(template && { message }),
+            },
           });
 
+          // Update contract counters
           await prisma.contract.update({
             where: { id: contractId },
             data: {
-              status: "COMPLETED",
-              completedAt: new Date(),
+              successCount: { increment: 1 },
+              pendingCount: { decrement: 1 },
             },
           });
 
-          logger.info(`🎉 CONTRACT COMPLETED: ${contractId}`);
-          logger.info(`   ✅ Success: ${contract?.successCount || 0}`);
-          logger.info(`   ❌ Failed: ${contract?.failureCount || 0}`);
-        }
-
-        // Get account to check if limits should be applied (use cache from client)
-        const clientInfo = clients.get(accountId);
-        const account = clientInfo ? await prisma.whatsAppAccount.findUnique({
-          where: { id: accountId },
-          select: { useLimits: true }
-        }) : null;
-
-        // Add delay between messages if limits are enabled
-        if (account && account.useLimits) {
-          const nextDelay = randomDelay(
-            CONFIG.DELAY_BETWEEN_MESSAGES_MIN,
-            CONFIG.DELAY_BETWEEN_MESSAGES_MAX
-          );
-          await sleep(nextDelay);
-        } else {
-          // Small delay even without limits
-          await sleep(100);
+          await finishContractIfDone(accountId, contractId);
         }
 
         await job.updateProgress(100);
@@ -361,56 +538,93 @@ function startMessageWorker() {
           success: true,
           phoneNumber,
           contractId,
+          messageId: dbMessage.id,
         };
       } catch (error) {
-        const errorMsg = error.message || 'Unknown error';
-        const errorCode = error.code;
-
-        // Check if this is a recoverable network error
-        const isNetworkError = errorCode === 'ETIMEDOUT' || errorCode === 'EPIPE' ||
-          errorCode === 'ECONNRESET' || errorCode === 'ENOTFOUND' ||
-          errorMsg.includes('timed out') || errorMsg.includes('Connection Closed');
+        if (error instanceof DelayedError) {
+          throw error;
+        }
 
-        if (isNetworkError) {
-          logger.warn(`⚠️ Network error for ${phoneNumber}: ${errorMsg} - will retry`);
-          // Don't mark as failed, let BullMQ retry
+        const errorMsg = error.message || 'Unknown error';
+        // Status, counters and media files are only settled once BullMQ has no attempts left
+        const isFinalAttempt =
+          error instanceof UnrecoverableError || job.attemptsMade + 1 >= (job.opts.attempts || 1);
+
+        if (!isFinalAttempt) {
+          logger.warn(`⚠️ Send to ${phoneNumber} failed: ${errorMsg} - will retry`);
+          // Let the retry (or resume, when the contract was paused meanwhile) claim the recipient again
+          if (isContractJob) {
+            await releaseRecipient(prisma, contractId, recipientId)
+              .catch((dbError) => logger.error(`Failed to requeue recipient ${recipientId}: ${dbError.message}`));
+          }
           throw error;
         }
 
         logger.error(`❌ FAILED: ${phoneNumber} - ${errorMsg}`);
 
-        // Update recipient status to FAILED
         try {
-          await prisma.contractRecipient.update({
-            where: { id: recipientId },
-            data: {
+          if (isContractJob) {
+            // A recipient that is already final (sent by another job, skipped) keeps its status
+            const { count } = await prisma.contractRecipient.updateMany({
+              where: { id: recipientId, status: { in: OPEN_RECIPIENT_STATUSES } },
+              data: {
+                status: "FAILED",
+                errorMessage: errorMsg.substring(0, 500), // Limit error message length
+              },
+            });
+
+            if (count > 0) {
+              // Update contract counters
+              await prisma.contract.update({
+                where: { id: contractId },
+                data: {
+                  failureCount: { increment: 1 },
+                  pendingCount: { decrement: 1 },
+                },
+              });
+
+              await finishContractIfDone(accountId, contractId);
+            }
+          } else {
+            const failed = await prisma.message.update({
+              where: { id: messageId },
+              data: { status: "FAILED", errorMessage: errorMsg.substring(0, 500) },
+            });
+
+            emitMessageStatus({
+              accountId,
+              chatId: failed.chatId,
+              messageId,
+              waMessageId: null,
               status: "FAILED",
-              errorMessage: errorMsg.substring(0, 500), // Limit error message length
-            },
-          });
-
-          // Update contract counters
-          await prisma.contract.update({
-            where: { id: contractId },
-            data: {
-              failureCount: { increment: 1 },
-              pendingCount: { decrement: 1 },
-            },
-          });
+              error: errorMsg,
+            });
+          }
         } catch (dbError) {
           logger.error(`Failed to update DB after message failure: ${dbError.message}`);
         }
 
+        emitWebhookEvent(accountId, "message.failed", {
+          contractId,
+          messageId: messageId || null,
+          to: phoneNumber,
+          message: describeMessage(message, media),
+          error: errorMsg,
+        });
+
+        await removeOutgoingMedia(media);
+
         throw error;
+      } finally {
+        if (lockAcquired) {
+          await releaseSendLock(accountId, token);
+        }
       }
     },
     {
       connection: redisConnection,
-      concurrency: 1, // Process messages one at a time per account (important!)
-      limiter: {
-        max: 20, // Max 20 messages per minute (matches CONFIG.RATE_LIMIT_MAX_MESSAGES)
-        duration: 60000,
-      },
+      // Accounts are kept serial by the send lock; per-account pace comes from the Redis limiter
+      concurrency: parseInt(process.env.MESSAGE_WORKER_CONCURRENCY || "150", 10),
     }
   );
 
@@ -428,6 +642,29 @@ function startMessageWorker() {
   return messageWorker;
 }
 
+// ==================== WEBHOOK WORKER ====================
+function startWebhookWorker() {
+  const webhookWorker = new Worker(
+    "webhooks",
+    async (job) => {
+      const finalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+      return deliverWebhook(prisma, job.data.deliveryId, { finalAttempt });
+    },
+    {
+      connection: redisConnection,
+      concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY || "10", 10),
+    }
+  );
+
+  webhookWorker.on("failed", (job, err) => {
+    logger.warn(
+      `⚠️ Webhook delivery ${job?.data?.deliveryId} attempt ${job?.attemptsMade} failed: ${err.message}`
+    );
+  });
+
+  return webhookWorker;
+}
+
 module.exports = {
   initializeWorkers,
 };
@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ROLE_SCOPES, ungrantableScopes } = require("../server/auth");
+
+const apiKey = { type: "apiKey", apiKeyId: "key_1", workspaceId: "ws_1", scopes: ["keys:manage", "messages:send"] };
+
+test("API keys can only grant scopes they hold", () => {
+  assert.deepEqual(ungrantableScopes(apiKey, ["messages:send"]), []);
+  assert.deepEqual(ungrantableScopes(apiKey, ["messages:send", "users:manage", "webhooks:manage"]), [
+    "users:manage",
+    "webhooks:manage",
+  ]);
+});
+
+test("master key and dashboard users may grant any scope", () => {
+  const master = { type: "master", workspaceId: null, scopes: ["*"] };
+  const session = { type: "session", userId: "user_1", workspaceId: "ws_1", role: "ADMIN", scopes: ["*"] };
+
+  assert.deepEqual(ungrantableScopes(master, ["users:manage"]), []);
+  assert.deepEqual(ungrantableScopes(session, ["users:manage", "keys:manage"]), []);
+});
+
+test("API keys can't hand out a role above their own scopes", () => {
+  assert.deepEqual(ungrantableScopes(apiKey, ROLE_SCOPES.ADMIN), ["*"]);
+  assert.deepEqual(ungrantableScopes(apiKey, ROLE_SCOPES.OPERATOR), [
+    "accounts:read",
+    "accounts:write",
+    "contracts:manage",
+    "groups:manage",
+  ]);
+
+  const operatorKey = { ...apiKey, scopes: [...ROLE_SCOPES.OPERATOR, "users:manage"] };
+  assert.deepEqual(ungrantableScopes(operatorKey, ROLE_SCOPES.OPERATOR), []);
+});
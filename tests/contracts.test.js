@@ -0,0 +1,166 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installFakeQueues } = require("./helpers/fakeQueue");
+const { createFakePrisma } = require("./helpers/fakePrisma");
+
+const { messageQueue } = installFakeQueues();
+const {
+  enqueueRecipients,
+  pauseContract,
+  resumeContract,
+  cancelContract,
+  retryFailedRecipients,
+  releaseRecipient,
+  isRecipientClaimable,
+  claimRecipient,
+  completeContractIfDone,
+} = require("../server/contracts");
+
+function recipient(id, status, extra = {}) {
+  return { id, contractId: "c1", phoneNumber: `7700123456${id.slice(-1)}`, message: "Hi", status, ...extra };
+}
+
+function setup(contractStatus, recipients, contractExtra = {}) {
+  messageQueue.jobs.length = 0;
+
+  const pendingCount = recipients.filter((r) => ["PENDING", "QUEUED", "SENDING"].includes(r.status)).length;
+  return createFakePrisma({
+    whatsAppAccount: [{ id: "acc1", timezone: "UTC" }],
+    contract: [
+      {
+        id: "c1",
+        workspaceId: "ws1",
+        accountId: "acc1",
+        status: contractStatus,
+        templateId: null,
+        sendWindow: null,
+        timezone: null,
+        pendingCount,
+        successCount: 0,
+        failureCount: recipients.filter((r) => r.status === "FAILED").length,
+        skippedCount: 0,
+        ...contractExtra,
+      },
+    ],
+    contractRecipient: recipients,
+  });
+}
+
+function statuses(prisma) {
+  return Object.fromEntries(prisma.rows("contractRecipient").map((r) => [r.id, r.status]));
+}
+
+test("enqueueRecipients queues PENDING recipients and skips suppressed numbers", async () => {
+  const prisma = setup("IN_PROGRESS", [recipient("r1", "PENDING"), recipient("r2", "PENDING"), recipient("r3", "SUCCESS")]);
+  prisma.rows("suppression").push({ id: "s1", workspaceId: "ws1", accountId: null, phoneNumber: "77001234562", reason: "Opt-out" });
+
+  assert.equal(await enqueueRecipients(prisma, "c1"), 1);
+  assert.deepEqual(statuses(prisma), { r1: "QUEUED", r2: "SKIPPED", r3: "SUCCESS" });
+  assert.deepEqual(messageQueue.jobs.map((job) => job.data.recipientId), ["r1"]);
+  assert.equal(prisma.row("contract", "c1").skippedCount, 1);
+});
+
+test("pause moves QUEUED back to PENDING and resume queues them again", async () => {
+  const prisma = setup("IN_PROGRESS", [recipient("r1", "QUEUED"), recipient("r2", "SENDING")]);
+
+  const { requeued } = await pauseContract(prisma, "c1");
+  assert.equal(requeued, 1);
+  assert.deepEqual(statuses(prisma), { r1: "PENDING", r2: "SENDING" });
+  assert.equal(await isRecipientClaimable(prisma, "r1"), false);
+
+  assert.equal(await resumeContract(prisma, "c1"), 1);
+  assert.equal(prisma.row("contract", "c1").status, "IN_PROGRESS");
+  assert.deepEqual(statuses(prisma), { r1: "QUEUED", r2: "SENDING" });
+});
+
+test("a send that fails while the contract is paused comes back on resume", async () => {
+  const prisma = setup("IN_PROGRESS", [recipient("r1", "QUEUED")]);
+  assert.equal(await claimRecipient(prisma, "r1"), true);
+
+  await pauseContract(prisma, "c1");
+  // The worker's non-final failure runs after the pause
+  await releaseRecipient(prisma, "c1", "r1");
+
+  assert.equal(prisma.row("contractRecipient", "r1").status, "PENDING");
+  assert.equal(await resumeContract(prisma, "c1"), 1);
+  assert.equal(prisma.row("contractRecipient", "r1").status, "QUEUED");
+  assert.equal(await isRecipientClaimable(prisma, "r1"), true);
+});
+
+test("a failed attempt of a running contract can be claimed by the retry", async () => {
+  const prisma = setup("IN_PROGRESS", [recipient("r1", "QUEUED")]);
+  await claimRecipient(prisma, "r1");
+
+  await releaseRecipient(prisma, "c1", "r1");
+
+  assert.equal(prisma.row("contractRecipient", "r1").status, "QUEUED");
+  assert.equal(await claimRecipient(prisma, "r1"), true);
+});
+
+test("a stalled SENDING recipient is released for the next run", async () => {
+  const prisma = setup("IN_PROGRESS", [recipient("r1", "SENDING")]);
+  assert.equal(await isRecipientClaimable(prisma, "r1"), false);
+
+  await releaseRecipient(prisma, "c1", "r1");
+
+  assert.equal(await isRecipientClaimable(prisma, "r1"), true);
+});
+
+test("recipients left QUEUED in a paused contract are queued again on resume", async () => {
+  const prisma = setup("PAUSED", [recipient("r1", "QUEUED"), recipient("r2", "PENDING")]);
+
+  assert.equal(await resumeContract(prisma, "c1"), 2);
+  assert.deepEqual(messageQueue.jobs.map((job) => job.data.recipientId), ["r1", "r2"]);
+});
+
+test("releasing a recipient of a cancelled contract skips it", async () => {
+  const prisma = setup("IN_PROGRESS", [recipient("r1", "SENDING"), recipient("r2", "QUEUED")]);
+
+  const { skipped } = await cancelContract(prisma, "c1");
+  assert.equal(skipped, 1);
+  assert.equal(prisma.row("contractRecipient", "r1").status, "SENDING");
+
+  await releaseRecipient(prisma, "c1", "r1");
+
+  assert.deepEqual(statuses(prisma), { r1: "SKIPPED", r2: "SKIPPED" });
+  const contract = prisma.row("contract", "c1");
+  assert.equal(contract.pendingCount, 0);
+  assert.equal(contract.skippedCount, 2);
+});
+
+test("retry-failed on a paused contract leaves it paused", async () => {
+  const prisma = setup("PAUSED", [recipient("r1", "FAILED"), recipient("r2", "PENDING")]);
+
+  assert.equal(await retryFailedRecipients(prisma, "c1"), 1);
+
+  assert.equal(prisma.row("contract", "c1").status, "PAUSED");
+  assert.deepEqual(statuses(prisma), { r1: "PENDING", r2: "PENDING" });
+  assert.equal(messageQueue.jobs.length, 0);
+});
+
+test("retry-failed runs a completed contract again, filtered by error", async () => {
+  const prisma = setup("COMPLETED", [
+    recipient("r1", "FAILED", { errorMessage: "Timed out" }),
+    recipient("r2", "FAILED", { errorMessage: "Not on WhatsApp" }),
+  ]);
+
+  assert.equal(await retryFailedRecipients(prisma, "c1", { errorContains: "timed" }), 1);
+
+  const contract = prisma.row("contract", "c1");
+  assert.equal(contract.status, "IN_PROGRESS");
+  assert.equal(contract.failureCount, 1);
+  assert.deepEqual(statuses(prisma), { r1: "QUEUED", r2: "FAILED" });
+});
+
+test("a contract completes only when no recipient is open", async () => {
+  const prisma = setup("IN_PROGRESS", [recipient("r1", "SUCCESS"), recipient("r2", "QUEUED")]);
+  assert.equal(await completeContractIfDone(prisma, "c1"), null);
+
+  prisma.row("contractRecipient", "r2").status = "FAILED";
+  const completed = await completeContractIfDone(prisma, "c1");
+  assert.equal(completed.status, "COMPLETED");
+
+  // Paused contracts keep their status
+  const paused = setup("PAUSED", [recipient("r1", "SUCCESS")]);
+  assert.equal(await completeContractIfDone(paused, "c1"), null);
+});
@@ -0,0 +1,161 @@
+// In-memory stand-in for the Prisma client, covering the queries the pure
+// server modules make: where filters (in/notIn/not/gt/contains, OR, to-one
+// relations), increment/decrement updates, orderBy id, take and $transaction.
+
+// Model -> relation field -> [related model, foreign key]
+const RELATIONS = {
+  contractRecipient: { contract: ["contract", "contractId"] },
+  contract: { template: ["template", "templateId"], account: ["whatsAppAccount", "accountId"] },
+};
+
+function createFakePrisma(seed = {}) {
+  const tables = {};
+  let nextId = 1;
+
+  function table(model) {
+    if (!tables[model]) tables[model] = [];
+    return tables[model];
+  }
+
+  function related(model, row, field) {
+    const [relatedModel, foreignKey] = RELATIONS[model][field];
+    return table(relatedModel).find((candidate) => candidate.id === row[foreignKey]) || null;
+  }
+
+  function matchesValue(value, condition) {
+    if (condition === null || typeof condition !== "object" || condition instanceof Date) {
+      return value === condition;
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case "in":
+          return operand.includes(value);
+        case "notIn":
+          return !operand.includes(value);
+        case "not":
+          return !matchesValue(value, operand);
+        case "gt":
+          return value > operand;
+        case "contains":
+          return condition.mode === "insensitive"
+            ? String(value ?? "").toLowerCase().includes(operand.toLowerCase())
+            : String(value ?? "").includes(operand);
+        case "mode":
+          return true;
+        default:
+          throw new Error(`fakePrisma: unsupported operator ${operator}`);
+      }
+    });
+  }
+
+  function matches(model, row, where = {}) {
+    return Object.entries(where).every(([field, condition]) => {
+      if (field === "OR") return condition.some((part) => matches(model, row, part));
+      if (field === "AND") return condition.every((part) => matches(model, row, part));
+      if (RELATIONS[model]?.[field]) {
+        const relatedRow = related(model, row, field);
+        return relatedRow !== null && matches(RELATIONS[model][field][0], relatedRow, condition);
+      }
+      return matchesValue(row[field], condition);
+    });
+  }
+
+  function applyData(row, data) {
+    for (const [field, value] of Object.entries(data)) {
+      if (value && typeof value === "object" && "increment" in value) {
+        row[field] = (row[field] || 0) + value.increment;
+      } else if (value && typeof value === "object" && "decrement" in value) {
+        row[field] = (row[field] || 0) - value.decrement;
+      } else {
+        row[field] = value;
+      }
+    }
+    return row;
+  }
+
+  function withIncludes(model, row, include) {
+    if (!row || !include) return row ? { ...row } : null;
+
+    const result = { ...row };
+    for (const field of Object.keys(include)) {
+      const relatedRow = related(model, row, field);
+      result[field] = relatedRow ? { ...relatedRow } : null;
+    }
+    return result;
+  }
+
+  function findMany(model, { where, orderBy, take } = {}) {
+    let rows = table(model).filter((row) => matches(model, row, where));
+    if (orderBy?.id) {
+      rows = rows.sort((a, b) => (a.id < b.id ? -1 : 1) * (orderBy.id === "desc" ? -1 : 1));
+    }
+    return take === undefined ? rows : rows.slice(0, take);
+  }
+
+  function delegate(model) {
+    return {
+      async findMany(args = {}) {
+        return findMany(model, args).map((row) => withIncludes(model, row, args.include));
+      },
+      async findFirst(args = {}) {
+        const [row] = findMany(model, args);
+        return withIncludes(model, row, args.include);
+      },
+      async findUnique(args) {
+        const [row] = findMany(model, args);
+        return withIncludes(model, row, args.include);
+      },
+      async count({ where } = {}) {
+        return findMany(model, { where }).length;
+      },
+      async create({ data }) {
+        const row = { id: `${model}_${nextId++}`, ...data };
+        table(model).push(row);
+        return { ...row };
+      },
+      async createMany({ data }) {
+        for (const entry of data) {
+          table(model).push({ id: `${model}_${nextId++}`, ...entry });
+        }
+        return { count: data.length };
+      },
+      async update({ where, data }) {
+        const [row] = findMany(model, { where });
+        if (!row) throw new Error(`fakePrisma: ${model} not found`);
+        return { ...applyData(row, data) };
+      },
+      async updateMany({ where, data }) {
+        const rows = findMany(model, { where });
+        rows.forEach((row) => applyData(row, data));
+        return { count: rows.length };
+      },
+    };
+  }
+
+  const prisma = {
+    // Operations run as they are created, so an array transaction keeps its order
+    async $transaction(operations) {
+      return typeof operations === "function" ? operations(prisma) : Promise.all(operations);
+    },
+    // Direct access for assertions
+    rows(model) {
+      return table(model);
+    },
+    row(model, id) {
+      return table(model).find((row) => row.id === id);
+    },
+  };
+
+  for (const model of ["contract", "contractRecipient", "template", "whatsAppAccount", "suppression", "message"]) {
+    prisma[model] = delegate(model);
+  }
+
+  for (const [model, rows] of Object.entries(seed)) {
+    table(model).push(...rows.map((row) => ({ ...row })));
+  }
+
+  return prisma;
+}
+
+module.exports = { createFakePrisma };
@@ -0,0 +1,44 @@
+// server/queue.js connects to Redis on require; tests swap in queues that
+// only record the jobs added to them.
+
+const QUEUE_MODULE = require.resolve("../../server/queue");
+
+function createFakeQueue() {
+  const jobs = [];
+
+  return {
+    jobs,
+    async add(name, data, opts = {}) {
+      jobs.push({ name, data, opts });
+      return { id: String(jobs.length) };
+    },
+    async addBulk(list) {
+      jobs.push(...list);
+      return list.map((job, index) => ({ id: String(jobs.length - list.length + index + 1) }));
+    },
+  };
+}
+
+// Must run before the module under test is required
+function installFakeQueues() {
+  const queues = {
+    contractQueue: createFakeQueue(),
+    messageQueue: createFakeQueue(),
+    webhookQueue: createFakeQueue(),
+  };
+
+  require.cache[QUEUE_MODULE] = {
+    id: QUEUE_MODULE,
+    filename: QUEUE_MODULE,
+    loaded: true,
+    exports: {
+      ...queues,
+      MESSAGE_PRIORITY: { SINGLE: 1, CONTRACT: 10 },
+      enqueueContract: (contractId) => queues.contractQueue.add("process-contract", { contractId }),
+    },
+  };
+
+  return queues;
+}
+
+module.exports = { installFakeQueues };
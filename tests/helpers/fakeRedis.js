@@ -0,0 +1,107 @@
+// In-memory stand-in for the ioredis connection used by server/limiter.js:
+// strings and hashes with PX expiry, MULTI, and the limiter's Lua scripts,
+// which are told apart by the commands they call.
+
+function createFakeRedis() {
+  const values = new Map();
+  const expiresAt = new Map();
+
+  function alive(key) {
+    if (expiresAt.has(key) && expiresAt.get(key) <= Date.now()) {
+      values.delete(key);
+      expiresAt.delete(key);
+    }
+    return values.has(key);
+  }
+
+  function hash(key) {
+    if (!alive(key)) values.set(key, {});
+    return values.get(key);
+  }
+
+  const commands = {
+    get: (key) => (alive(key) ? values.get(key) : null),
+    set(key, value, ...options) {
+      const nx = options.includes("NX");
+      if (nx && alive(key)) return null;
+
+      values.set(key, String(value));
+      expiresAt.delete(key);
+      const px = options.indexOf("PX");
+      if (px !== -1) expiresAt.set(key, Date.now() + Number(options[px + 1]));
+      return "OK";
+    },
+    incr(key) {
+      const value = (parseInt(commands.get(key), 10) || 0) + 1;
+      values.set(key, String(value));
+      return value;
+    },
+    del(key) {
+      const existed = alive(key);
+      values.delete(key);
+      expiresAt.delete(key);
+      return existed ? 1 : 0;
+    },
+    pexpire(key, ms) {
+      if (!alive(key)) return 0;
+      expiresAt.set(key, Date.now() + Number(ms));
+      return 1;
+    },
+    expire: (key, seconds) => commands.pexpire(key, Number(seconds) * 1000),
+    pttl(key) {
+      if (!alive(key)) return -2;
+      return expiresAt.has(key) ? expiresAt.get(key) - Date.now() : -1;
+    },
+    hget: (key, field) => (alive(key) ? values.get(key)[field] ?? null : null),
+    hgetall: (key) => (alive(key) ? { ...values.get(key) } : {}),
+    hincrby(key, field, amount) {
+      const fields = hash(key);
+      fields[field] = String((parseInt(fields[field], 10) || 0) + Number(amount));
+      return Number(fields[field]);
+    },
+  };
+
+  function evalScript(script, numKeys, ...args) {
+    const keys = args.slice(0, numKeys);
+    const argv = args.slice(numKeys);
+
+    if (script.includes('"INCR"')) {
+      const count = commands.incr(keys[0]);
+      if (count === 1) commands.pexpire(keys[0], argv[0]);
+      return [count, commands.pttl(keys[0])];
+    }
+
+    if (script.includes('"DEL"')) {
+      return commands.get(keys[0]) === argv[0] ? commands.del(keys[0]) : 0;
+    }
+
+    // Slot reservation
+    const now = Number(argv[0]);
+    const spacing = Math.max(Number(commands.get(keys[1]) || 0), Number(argv[1]));
+    const slot = Math.max(now, Number(commands.get(keys[0]) || 0)) + spacing;
+    commands.set(keys[0], slot, "PX", Math.floor(slot - now + spacing));
+    return slot;
+  }
+
+  const redis = { values };
+  for (const [name, command] of Object.entries(commands)) {
+    redis[name] = async (...args) => command(...args);
+  }
+  redis.eval = async (...args) => evalScript(...args);
+
+  redis.multi = () => {
+    const queued = [];
+    const chain = { exec: async () => queued.map((run) => [null, run()]) };
+    for (const [name, command] of Object.entries(commands)) {
+      chain[name] = (...args) => {
+        queued.push(() => command(...args));
+        return chain;
+      };
+    }
+    return chain;
+  };
+
+  return redis;
+}
+
+module.exports = { createFakeRedis };
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const { ImportError, parseRecipientFile } = require("../server/imports");
+
+let dir;
+
+test.before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "imports-test-"));
+});
+
+test.after(async () => {
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+async function csvFile(name, content) {
+  const filePath = path.join(dir, name);
+  await fs.promises.writeFile(filePath, content);
+  return { path: filePath, originalname: name, mimetype: "text/csv" };
+}
+
+test("CSV rows are normalized, deduplicated and reported by spreadsheet row", async () => {
+  const file = await csvFile(
+    "semicolons.csv",
+    "\uFEFFТелефон;Сообщение\n0500 353 529;Привет\n+996500353529;Дубль\n123;Bad\n0555123456;\n"
+  );
+
+  const result = await parseRecipientFile(file, { defaultCountryCode: "996" });
+
+  assert.deepEqual(result.recipients, [{ phoneNumber: "996500353529", message: "Привет", timezone: null }]);
+  assert.equal(result.totalRows, 4);
+  assert.deepEqual(result.duplicates, [{ row: 3, phoneNumber: "996500353529", firstRow: 2 }]);
+  assert.deepEqual(result.errors, [
+    { row: 4, phoneNumber: "123", error: "Invalid phone number" },
+    { row: 5, phoneNumber: "996555123456", error: "Message is empty" },
+  ]);
+  assert.equal(result.errorCount, 2);
+  assert.equal(result.duplicateCount, 1);
+});
+
+test("template imports take variables from unmapped columns", async () => {
+  const file = await csvFile(
+    "template.csv",
+    "phone,name,code,tz\n79991234567,Ann,1,Europe/Moscow\n79991234568,Bob,,\n79991234569,Cid,3,Mars/Olympus\n"
+  );
+
+  const result = await parseRecipientFile(file, { template: { body: "Hi {{name}}, your code {{code}}" } });
+
+  assert.deepEqual(result.recipients, [
+    { phoneNumber: "79991234567", message: "", timezone: "Europe/Moscow", variables: { name: "Ann", code: "1" } },
+  ]);
+  assert.deepEqual(result.errors, [
+    { row: 3, phoneNumber: "79991234568", error: "Missing template variable: code" },
+    { row: 4, phoneNumber: "79991234569", error: "Invalid timezone: Mars/Olympus" },
+  ]);
+});
+
+test("mapping problems fail the whole import before any row is used", async () => {
+  const file = await csvFile("mapping.csv", "phone,text\n79991234567,Hi\n");
+
+  await assert.rejects(parseRecipientFile(file, { mapping: { phoneNumber: "Mobile" } }), {
+    name: "ImportError",
+    message: "Unknown column(s): Mobile",
+  });
+  await assert.rejects(parseRecipientFile(file, { template: { body: "{{city}}" }, mapping: { variables: {} } }), {
+    message: "No column mapped for template variable(s): city",
+  });
+  await assert.rejects(
+    parseRecipientFile(await csvFile("header.csv", "phone,text\n"), {}),
+    (error) => error instanceof ImportError && error.message === "File has no data rows"
+  );
+  await assert.rejects(parseRecipientFile({ path: file.path, originalname: "list.txt", mimetype: "text/plain" }, {}), {
+    message: "File must be CSV or XLSX",
+  });
+});
+
+test("XLSX imports read the first worksheet with numeric phone cells", async () => {
+  const filePath = path.join(dir, "recipients.xlsx");
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Recipients");
+  sheet.addRow(["Phone", "Message"]);
+  sheet.addRow([996500353529, "Hello"]);
+  sheet.addRow([79991234567, "Привет"]);
+  await workbook.xlsx.writeFile(filePath);
+
+  const result = await parseRecipientFile({ path: filePath, originalname: "recipients.xlsx" }, {});
+
+  assert.deepEqual(result.recipients, [
+    { phoneNumber: "996500353529", message: "Hello", timezone: null },
+    { phoneNumber: "79991234567", message: "Привет", timezone: null },
+  ]);
+  assert.equal(result.totalRows, 2);
+});
@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLimiter } = require("../server/limiter");
+const { createFakePrisma } = require("./helpers/fakePrisma");
+const { createFakeRedis } = require("./helpers/fakeRedis");
+
+const CONFIG = { RATE_LIMIT_WINDOW: 60000 };
+
+const profile = {
+  id: "p1",
+  name: "Strict",
+  ratePerMinute: 2,
+  dailyLimit: 3,
+  newChatsPerDay: 1,
+  restAfterMessages: 2,
+  restMinSeconds: 60,
+  restMaxSeconds: 60,
+  delayMinSeconds: 1,
+  delayMaxSeconds: 2,
+  warmupStartLimit: null,
+};
+
+function setup({ useLimits = true } = {}) {
+  const redis = createFakeRedis();
+  const prisma = createFakePrisma({
+    whatsAppAccount: [
+      { id: "acc1", useLimits, createdAt: new Date(), limitProfileAssignedAt: new Date(), limitProfile: profile },
+    ],
+    message: [{ id: "m1", accountId: "acc1", chatId: "111@s.whatsapp.net", contactNumber: "111", status: "SENT" }],
+  });
+
+  return { redis, limiter: createLimiter({ redis, getPrisma: () => prisma, CONFIG }) };
+}
+
+test("the rate check is read-only and only recorded hits fill the window", async () => {
+  const { limiter } = setup();
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await limiter.checkRateLimit("acc1")).allowed, true);
+  }
+
+  await limiter.recordRateLimitHit("acc1");
+  await limiter.recordRateLimitHit("acc1");
+
+  const denied = await limiter.checkRateLimit("acc1");
+  assert.equal(denied.allowed, false);
+  assert.ok(denied.resetIn >= 1 && denied.resetIn <= 60);
+});
+
+test("sent messages count against the daily limit and the rest counter", async () => {
+  const { limiter } = setup();
+
+  await limiter.recordMessageSent("acc1", { isNewChat: true });
+  await limiter.recordMessageSent("acc1");
+  assert.deepEqual(await limiter.getLimitUsage("acc1"), {
+    dailyCount: 2,
+    newChatsCount: 1,
+    messagesSinceRest: 2,
+    isResting: false,
+  });
+  assert.equal((await limiter.checkDailyLimit("acc1")).allowed, true);
+
+  const rest = await limiter.checkNeedRest("acc1");
+  assert.equal(rest.needRest, true);
+  assert.equal(rest.restDuration, 60000);
+
+  await limiter.recordMessageSent("acc1");
+  const daily = await limiter.checkDailyLimit("acc1");
+  assert.equal(daily.allowed, false);
+  assert.equal(daily.reason, "Daily limit reached (3 messages)");
+});
+
+test("only chats without earlier messages count as new", async () => {
+  const { limiter } = setup();
+
+  assert.deepEqual(await limiter.checkNewChatLimit("acc1", "111@s.whatsapp.net"), { allowed: true, isNewChat: false });
+  assert.deepEqual(await limiter.checkNewChatLimit("acc1", "222@s.whatsapp.net"), { allowed: true, isNewChat: true });
+  assert.equal((await limiter.checkNewChatLimit("acc1", "120363@g.us")).isNewChat, false);
+
+  await limiter.recordMessageSent("acc1", { isNewChat: true });
+  const denied = await limiter.checkNewChatLimit("acc1", "222@s.whatsapp.net");
+  assert.equal(denied.allowed, false);
+  assert.ok(denied.resetIn > 0);
+});
+
+test("a rest is started once and resets the rest counter", async () => {
+  const { limiter } = setup();
+  await limiter.recordMessageSent("acc1");
+  await limiter.recordMessageSent("acc1");
+
+  assert.equal(await limiter.startRest("acc1", 60000), true);
+  assert.equal(await limiter.startRest("acc1", 60000), false);
+
+  const rest = await limiter.checkNeedRest("acc1");
+  assert.equal(rest.reason, "Currently resting");
+  assert.ok(rest.restingFor > 0);
+  assert.equal((await limiter.getLimitUsage("acc1")).messagesSinceRest, 0);
+});
+
+test("accounts without limits are never throttled", async () => {
+  const { limiter } = setup({ useLimits: false });
+  await limiter.recordRateLimitHit("acc1");
+  await limiter.recordRateLimitHit("acc1");
+  await limiter.recordRateLimitHit("acc1");
+
+  assert.deepEqual(await limiter.checkRateLimit("acc1"), { allowed: true, noLimits: true });
+  assert.equal((await limiter.checkDailyLimit("acc1")).noLimits, true);
+  assert.equal((await limiter.checkNeedRest("acc1")).noLimits, true);
+});
+
+test("the send lock is released only by its owner", async () => {
+  const { limiter } = setup();
+
+  assert.equal(await limiter.acquireSendLock("acc1", "job-1", 10000), true);
+  assert.equal(await limiter.acquireSendLock("acc1", "job-2", 10000), false);
+
+  await limiter.releaseSendLock("acc1", "job-2");
+  assert.equal(await limiter.acquireSendLock("acc1", "job-2", 10000), false);
+
+  await limiter.releaseSendLock("acc1", "job-1");
+  assert.equal(await limiter.acquireSendLock("acc1", "job-2", 10000), true);
+});
+
+test("waiting jobs get consecutive slots spaced by the account's pace", async () => {
+  const { limiter } = setup();
+  await limiter.startSendPause("acc1", 5000);
+
+  const pause = await limiter.getSendPause("acc1");
+  assert.ok(pause > 0 && pause <= 5000);
+
+  const first = await limiter.reserveSendSlot("acc1", 1000);
+  const second = await limiter.reserveSendSlot("acc1", 1000);
+  assert.equal(second - first, 5000);
+  assert.ok(first - Date.now() <= 5000);
+});
+
+test("failed logins lock an email only from the IP that failed", async () => {
+  const { limiter } = setup();
+
+  for (let i = 0; i < 4; i++) {
+    await limiter.recordLoginFailure("admin@example.com", "203.0.113.5");
+  }
+  assert.equal(await limiter.getLoginLock("admin@example.com", "203.0.113.5"), 0);
+
+  await limiter.recordLoginFailure("admin@example.com", "203.0.113.5");
+  const lockedFor = await limiter.getLoginLock("admin@example.com", "203.0.113.5");
+  assert.ok(lockedFor > 14 * 60 * 1000 && lockedFor <= 15 * 60 * 1000);
+  assert.equal(await limiter.getLoginLock("admin@example.com", "198.51.100.7"), 0);
+
+  await limiter.clearLoginFailures("admin@example.com", "203.0.113.5");
+  assert.equal(await limiter.getLoginLock("admin@example.com", "203.0.113.5"), 0);
+});
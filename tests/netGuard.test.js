@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { isPublicAddress, checkOutboundUrl, downloadPublicUrl } = require("../server/netGuard");
+
+function lookupFrom(records) {
+  return async (host) => (records[host] || []).map((address) => ({ address }));
+}
+
+async function withServer(handler, run) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+async function withPrivateAllowed(run) {
+  process.env.OUTBOUND_ALLOW_PRIVATE = "true";
+  try {
+    return await run();
+  } finally {
+    delete process.env.OUTBOUND_ALLOW_PRIVATE;
+  }
+}
+
+test("private, loopback, link-local and metadata addresses are not public", () => {
+  for (const address of ["127.0.0.1", "10.0.0.5", "172.20.1.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "::1", "fe80::1", "fd00:ec2::254", "::ffff:10.0.0.1", "::ffff:a00:1"]) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+  for (const address of ["8.8.8.8", "1.1.1.1", "2606:4700:4700::1111"]) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+});
+
+test("hosts are checked by every address they resolve to", async () => {
+  const lookup = lookupFrom({ "ok.example": ["93.184.216.34"], "mixed.example": ["93.184.216.34", "10.0.0.1"] });
+
+  assert.ok((await checkOutboundUrl("https://ok.example/a.jpg", { lookup })).url);
+  assert.match((await checkOutboundUrl("https://mixed.example/", { lookup })).error, /private or reserved/);
+  assert.match((await checkOutboundUrl("https://nowhere.example/", { lookup })).error, /private or reserved/);
+  assert.match((await checkOutboundUrl("http://[::ffff:127.0.0.1]/", { lookup })).error, /private or reserved/);
+  assert.match((await checkOutboundUrl("file:///etc/passwd", { lookup })).error, /http or https/);
+});
+
+test("downloads refuse loopback hosts", async () => {
+  await withServer((req, res) => res.end("secret"), async (base) => {
+    await assert.rejects(downloadPublicUrl(`${base}/file`, { maxSize: 1024 }), /private or reserved/);
+  });
+});
+
+test("a redirect to an internal address is checked again and refused", async () => {
+  await withServer(
+    (req, res) => {
+      // The first hop is allowed (local test server), the next one must pass the check on its own
+      delete process.env.OUTBOUND_ALLOW_PRIVATE;
+      res.writeHead(302, { Location: "http://169.254.169.254/latest/meta-data/" });
+      res.end();
+    },
+    (base) =>
+      withPrivateAllowed(() =>
+        assert.rejects(downloadPublicUrl(`${base}/image.jpg`, { maxSize: 1024 }), /private or reserved/)
+      )
+  );
+});
+
+test("downloads follow redirects and stop at maxSize", async () => {
+  await withServer(
+    (req, res) => {
+      if (req.url === "/moved") {
+        res.writeHead(301, { Location: "/image.jpg" });
+        return res.end();
+      }
+      if (req.url === "/big") {
+        return res.end(Buffer.alloc(2048));
+      }
+      res.writeHead(200, { "Content-Type": "image/jpeg" });
+      res.end("jpeg");
+    },
+    (base) =>
+      withPrivateAllowed(async () => {
+        const { buffer, mimetype } = await downloadPublicUrl(`${base}/moved`, { maxSize: 1024 });
+        assert.equal(buffer.toString(), "jpeg");
+        assert.equal(mimetype, "image/jpeg");
+
+        await assert.rejects(downloadPublicUrl(`${base}/big`, { maxSize: 1024 }), /exceeds 1024 bytes/);
+      })
+  );
+});
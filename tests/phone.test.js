@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizePhoneNumber, parseCountryCode, resolveJid } = require("../server/phone");
+
+const ru = { defaultCountryCode: "7" };
+const kg = { defaultCountryCode: "996" };
+
+test("Russian numbers in national, trunk and international form", () => {
+  for (const input of ["89991234567", "8 (999) 123-45-67", "+7 999 123-45-67", "79991234567", "9991234567"]) {
+    assert.equal(normalizePhoneNumber(input, ru), "79991234567", input);
+  }
+  // Toll-free numbers start with the trunk digit itself
+  assert.equal(normalizePhoneNumber("8001234567", ru), "78001234567");
+  assert.equal(normalizePhoneNumber("88001234567", ru), "78001234567");
+});
+
+test("Kazakh national numbers starting with 7 still get the country code", () => {
+  assert.equal(normalizePhoneNumber("7011234567", ru), "77011234567");
+  assert.equal(normalizePhoneNumber("87011234567", ru), "77011234567");
+  assert.equal(normalizePhoneNumber("77011234567", ru), "77011234567");
+  assert.equal(normalizePhoneNumber("+7 701 123 45 67", ru), "77011234567");
+});
+
+test("the 0 trunk prefix is replaced by the default country code", () => {
+  for (const input of ["0500 353 529", "0500353529", "500353529", "996500353529", "+996 (500) 35-35-29", "00996500353529"]) {
+    assert.equal(normalizePhoneNumber(input, kg), "996500353529", input);
+  }
+});
+
+test("numbers that can't be E.164 are rejected", () => {
+  assert.equal(normalizePhoneNumber("0500353529"), null);
+  assert.equal(normalizePhoneNumber("12345"), null);
+  assert.equal(normalizePhoneNumber("+1234567890123456"), null);
+  assert.equal(normalizePhoneNumber("call me"), null);
+  assert.equal(normalizePhoneNumber(null), null);
+});
+
+test("country codes and send targets", () => {
+  assert.equal(parseCountryCode("+996"), "996");
+  assert.equal(parseCountryCode(7), "7");
+  assert.equal(parseCountryCode(""), null);
+  assert.equal(parseCountryCode("0"), undefined);
+
+  assert.equal(resolveJid("8 999 123-45-67", { defaultCountryCode: "7" }), "79991234567@s.whatsapp.net");
+  assert.equal(resolveJid("120363000000000000@g.us"), "120363000000000000@g.us");
+  assert.equal(resolveJid("123"), null);
+});
@@ -0,0 +1,18 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installFakeQueues } = require("./helpers/fakeQueue");
+
+installFakeQueues();
+const { csvRow } = require("../server/routes/recipients");
+
+test("CSV cells are quoted when they contain separators or quotes", () => {
+  assert.equal(csvRow(["79991234567", "SUCCESS", null]), "79991234567,SUCCESS,\r\n");
+  assert.equal(csvRow(['Hi, "friend"', "line\nbreak"]), '"Hi, ""friend""","line\nbreak"\r\n');
+  assert.equal(csvRow([new Date("2026-01-02T03:04:05Z")]), "2026-01-02T03:04:05.000Z\r\n");
+});
+
+test("cells that would run as spreadsheet formulas are neutralized", () => {
+  assert.equal(csvRow(["=HYPERLINK(\"http://x\")"]), "\"'=HYPERLINK(\"\"http://x\"\")\"\r\n");
+  assert.equal(csvRow(["+1+1", "-2", "@SUM(A1)", "\tcmd"]), "'+1+1,'-2,'@SUM(A1),'\tcmd\r\n");
+  assert.equal(csvRow(["a=b"]), "a=b\r\n");
+});
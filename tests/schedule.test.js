@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_TIMEZONE,
+  resolveTimezone,
+  parseSendWindow,
+  parseContractSchedule,
+  nextAllowedTime,
+  delayUntilWindow,
+} = require("../server/schedule");
+
+const workdays = { days: [1, 2, 3, 4, 5], start: "09:00", end: "18:00" };
+
+test("send windows are validated and normalized", () => {
+  assert.deepEqual(parseSendWindow(undefined), { window: null });
+  assert.deepEqual(parseSendWindow({ start: "09:00", end: "18:00", days: [5, 1, 1] }), {
+    window: { days: [1, 5], start: "09:00", end: "18:00" },
+  });
+  assert.deepEqual(parseSendWindow({ start: "09:00", end: "18:00" }).window.days, [1, 2, 3, 4, 5, 6, 7]);
+
+  assert.match(parseSendWindow([]).error, /must be an object/);
+  assert.match(parseSendWindow({ start: "9:00", end: "18:00" }).error, /HH:mm/);
+  assert.match(parseSendWindow({ start: "18:00", end: "09:00" }).error, /earlier than/);
+  assert.match(parseSendWindow({ start: "09:00", end: "18:00", days: [0] }).error, /weekdays/);
+});
+
+test("contract schedules reject unknown timezones and bad dates", () => {
+  const { schedule } = parseContractSchedule({ scheduledAt: "2026-03-02T09:00:00Z", timezone: "Asia/Bishkek" });
+  assert.equal(schedule.scheduledAt.toISOString(), "2026-03-02T09:00:00.000Z");
+  assert.equal(schedule.sendWindow, null);
+
+  assert.equal(parseContractSchedule({ timezone: "Mars/Olympus" }).error, "Invalid timezone");
+  assert.match(parseContractSchedule({ scheduledAt: "tomorrow" }).error, /ISO 8601/);
+  assert.match(parseContractSchedule({ sendWindow: { start: "10:00", end: "10:00" } }).error, /earlier than/);
+});
+
+test("the first valid timezone wins", () => {
+  assert.equal(resolveTimezone(null, "Nope/Nope", "Asia/Almaty", "UTC"), "Asia/Almaty");
+  assert.equal(resolveTimezone(undefined, ""), DEFAULT_TIMEZONE);
+});
+
+test("inside the window sending is allowed right away", () => {
+  // Monday 10:00 in Bishkek (UTC+6)
+  const from = new Date("2026-03-02T04:00:00Z");
+  assert.equal(nextAllowedTime(workdays, "Asia/Bishkek", from), from);
+  assert.equal(delayUntilWindow(workdays, "Asia/Bishkek", from), 0);
+  assert.equal(nextAllowedTime(null, "Asia/Bishkek", from), from);
+});
+
+test("before the start the window opens the same day in the contract's timezone", () => {
+  // Monday 08:00 in Bishkek
+  const from = new Date("2026-03-02T02:00:00Z");
+  assert.equal(nextAllowedTime(workdays, "Asia/Bishkek", from).toISOString(), "2026-03-02T03:00:00.000Z");
+  assert.equal(delayUntilWindow(workdays, "Asia/Bishkek", from), 60 * 60 * 1000);
+});
+
+test("after Friday's end the window opens on Monday, across month ends", () => {
+  // Friday 19:00 in Bishkek
+  assert.equal(
+    nextAllowedTime(workdays, "Asia/Bishkek", new Date("2026-03-06T13:00:00Z")).toISOString(),
+    "2026-03-09T03:00:00.000Z"
+  );
+  // Saturday, January 31
+  assert.equal(
+    nextAllowedTime(workdays, "UTC", new Date("2026-01-31T12:00:00Z")).toISOString(),
+    "2026-02-02T09:00:00.000Z"
+  );
+});
+
+test("the window start follows daylight saving changes", () => {
+  const everyDay = { days: [1, 2, 3, 4, 5, 6, 7], start: "09:00", end: "17:00" };
+
+  // Saturday 18:00 CET; Berlin switches to CEST (UTC+2) overnight
+  assert.equal(
+    nextAllowedTime(everyDay, "Europe/Berlin", new Date("2026-03-28T17:00:00Z")).toISOString(),
+    "2026-03-29T07:00:00.000Z"
+  );
+});
@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { isValidMediaKey, mediaKeyWorkspace } = require("../server/storage");
+const { createLocalStorage } = require("../server/storage/local");
+
+test("media keys name their workspace in the first segment", () => {
+  assert.equal(mediaKeyWorkspace("ws_1/acc_1/2026-10/file.jpg"), "ws_1");
+  assert.equal(isValidMediaKey("ws_1/acc_1/2026-10/file.jpg"), true);
+});
+
+test("dot, dot-dot and empty segments can't move a key into another workspace", () => {
+  // What Express hands over for /api/media/ws_1/%2e%2e/ws_2/acc/2026-10/file.jpg
+  assert.equal(mediaKeyWorkspace("ws_1/../ws_2/acc/2026-10/file.jpg"), null);
+  assert.equal(mediaKeyWorkspace("ws_1/./file.jpg"), null);
+  assert.equal(mediaKeyWorkspace("ws_1//file.jpg"), null);
+  assert.equal(mediaKeyWorkspace("/etc/passwd"), null);
+  assert.equal(mediaKeyWorkspace("ws_1\\..\\ws_2\\file.jpg"), null);
+  assert.equal(mediaKeyWorkspace(".."), null);
+});
+
+test("local storage never resolves a key outside its directory", async () => {
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), "media-"));
+  const storage = createLocalStorage({ baseDir });
+
+  try {
+    const { url } = await storage.save("ws_1/acc_1/2026-10/a.txt", Buffer.from("hi"));
+    assert.equal(url, "/api/media/ws_1/acc_1/2026-10/a.txt");
+    const file = await storage.read("ws_1/acc_1/2026-10/a.txt");
+    file.stream.destroy();
+    assert.equal(file.size, 2);
+    assert.equal(await storage.read("ws_1/acc_1/2026-10/missing.txt"), null);
+    await assert.rejects(storage.read("../outside.txt"), /Invalid media key/);
+  } finally {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { optOutNumbers } = require("../server/suppressions");
+
+test("direct chats opt out the chat's number", async () => {
+  assert.deepEqual(await optOutNumbers({ remoteJid: "77001234567@s.whatsapp.net" }), ["77001234567"]);
+});
+
+test("LID senders opt out their phone number from the message key", async () => {
+  const key = { remoteJid: "123456789012345@lid", senderPn: "77001234567@s.whatsapp.net" };
+
+  assert.deepEqual(await optOutNumbers(key), ["77001234567", "123456789012345"]);
+});
+
+test("LID senders fall back to the socket's LID mapping", async () => {
+  const lidMapping = {
+    getPNForLID: async (lid) => (lid === "123456789012345@lid" ? "77001234567:3@s.whatsapp.net" : null),
+  };
+
+  assert.deepEqual(await optOutNumbers({ remoteJid: "123456789012345@lid" }, lidMapping), [
+    "77001234567",
+    "123456789012345",
+  ]);
+});
+
+test("unresolved LIDs are suppressed by the LID alone", async () => {
+  const lidMapping = {
+    getPNForLID: async () => {
+      throw new Error("not found");
+    },
+  };
+
+  assert.deepEqual(await optOutNumbers({ remoteJid: "123456789012345@lid" }, lidMapping), ["123456789012345"]);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MissingVariablesError, extractPlaceholders, renderTemplate, templateMedia } = require("../server/templates");
+
+test("placeholders are listed once, with spaces, dots and non-ASCII names", () => {
+  assert.deepEqual(extractPlaceholders("Hi {{name}}, {{ name }} from {{customer.city}}, {{Имя}}"), [
+    "name",
+    "customer.city",
+    "Имя",
+  ]);
+  assert.deepEqual(extractPlaceholders(null), []);
+});
+
+test("templates render nested and non-string values", () => {
+  assert.equal(
+    renderTemplate("{{ Имя }}, order {{order.id}} ships to {{order.city}}", {
+      Имя: "Айбек",
+      order: { id: 42, city: "Бишкек" },
+    }),
+    "Айбек, order 42 ships to Бишкек"
+  );
+  assert.equal(renderTemplate("Balance: {{balance}}", { balance: 0 }), "Balance: 0");
+  assert.equal(renderTemplate("No placeholders", null), "No placeholders");
+});
+
+test("every missing variable is reported at once", () => {
+  assert.throws(
+    () => renderTemplate("{{name}} {{order.id}} {{city}}", { name: "A", order: {}, city: null }),
+    (error) => {
+      assert.ok(error instanceof MissingVariablesError);
+      assert.deepEqual(error.variables, ["order.id", "city"]);
+      assert.equal(error.message, "Missing template variables: order.id, city");
+      return true;
+    }
+  );
+});
+
+test("template media is shaped like a URL media descriptor", () => {
+  assert.equal(templateMedia({ mediaUrl: null }), null);
+  assert.deepEqual(
+    templateMedia({ mediaUrl: "https://cdn.example/a.jpg", mediaType: "image", mimetype: "image/jpeg", filename: "a.jpg" }),
+    { type: "image", mimetype: "image/jpeg", filename: "a.jpg", size: null, ptt: false, url: "https://cdn.example/a.jpg" }
+  );
+});